@@ -3,7 +3,8 @@
  * Bridge script for configuration loading and main script injection
  *
  * @description Lightweight bridge script that receives configuration from content script
- *              and loads the main injected script with proper configuration in page context
+ *              and loads the shared event pipeline and the main injected script with proper
+ *              configuration in page context
  * @version 1.4
  * @author MTM Event Monitor
  */
@@ -14,12 +15,84 @@
     // UTILITY FUNCTIONS
     // =============================================================================
 
+    /** @type {Object|null} Trusted Types policy for the extension script URLs (created once per page) */
+    let scriptUrlPolicy = null;
+
+    /**
+     * Gets the Trusted Types policy for the extension script URLs
+     * @returns {Object} Trusted Types policy
+     * @throws {Error} If the page's CSP does not allow the policy
+     */
+    function getScriptUrlPolicy() {
+        if (scriptUrlPolicy) return scriptUrlPolicy;
+
+        try {
+            scriptUrlPolicy = window.trustedTypes.createPolicy('mtm-monitor-script', {
+                createScriptURL: (url) => {
+                    // Only allow our extension URLs
+                    if (url.startsWith('chrome-extension://')) {
+                        return url;
+                    }
+                    throw new Error('Invalid script URL');
+                }
+            });
+        } catch (policyError) {
+            // Policy might already exist, try to get it
+            scriptUrlPolicy = window.trustedTypes.getPolicyByName('mtm-monitor-script');
+            if (!scriptUrlPolicy) {
+                throw policyError;
+            }
+        }
+        return scriptUrlPolicy;
+    }
+
     /**
-     * Loads the main injected script with configuration
+     * Loads an extension script into the page context
      * @param {string} scriptUrl - URL of the script to load
-     * @param {Object} config - Configuration object
+     * @param {Function} onLoad - Called after the script was executed
+     */
+     function loadPageScript(scriptUrl, onLoad) {
+         const script = document.createElement('script');
+
+         // Handle Trusted Types CSP if present
+         if (window.trustedTypes && window.trustedTypes.createPolicy) {
+             try {
+                 script.src = getScriptUrlPolicy().createScriptURL(scriptUrl);
+             } catch (trustedTypesError) {
+                 console.log('MTM Monitor: Cannot inject due to Trusted Types CSP:', trustedTypesError.message);
+                 return;
+             }
+         } else {
+             // Standard assignment for sites without Trusted Types
+             script.src = scriptUrl;
+         }
+
+         // Set up event handlers
+         script.onload = function() {
+             this.remove();
+             onLoad();
+         };
+
+         script.onerror = function(error) {
+             console.log('MTM Monitor: Script injection failed:', error);
+             this.remove();
+         };
+
+         // Inject the script
+         const target = document.head || document.documentElement;
+         if (target) {
+             target.appendChild(script);
+         } else {
+             console.log('MTM Monitor: Cannot find injection target (head/documentElement)');
+         }
+     }
+
+    /**
+     * Loads the event pipeline and the main injected script (in this order)
+     * @param {string} pipelineUrl - URL of the shared event pipeline script
+     * @param {string} scriptUrl - URL of the main injected script
      */
-     function loadMainScript(scriptUrl, config) {
+     function loadMainScript(pipelineUrl, scriptUrl) {
          try {
              // Check if we're on a restricted site
              const restrictedDomains = [
@@ -35,59 +108,12 @@
                  return;
              }
 
-             const mainScript = document.createElement('script');
-
-             // Handle Trusted Types CSP if present
-             if (window.trustedTypes && window.trustedTypes.createPolicy) {
-                 try {
-                     // Try to create a policy for our script URLs
-                     let policy;
-                     try {
-                         policy = window.trustedTypes.createPolicy('mtm-monitor-script', {
-                             createScriptURL: (url) => {
-                                 // Only allow our extension URLs
-                                 if (url.startsWith('chrome-extension://')) {
-                                     return url;
-                                 }
-                                 throw new Error('Invalid script URL');
-                             }
-                         });
-                     } catch (policyError) {
-                         // Policy might already exist, try to get it
-                         policy = window.trustedTypes.getPolicyByName('mtm-monitor-script');
-                         if (!policy) {
-                             throw policyError;
-                         }
-                     }
-
-                     mainScript.src = policy.createScriptURL(scriptUrl);
-                 } catch (trustedTypesError) {
-                     console.log('MTM Monitor: Cannot inject due to Trusted Types CSP:', trustedTypesError.message);
-                     return;
-                 }
-             } else {
-                 // Standard assignment for sites without Trusted Types
-                 mainScript.src = scriptUrl;
-             }
-
-             // Set up event handlers
-             mainScript.onload = function() {
-                 console.log('MTM Monitor: Injected script loaded successfully');
-                 this.remove();
-             };
-
-             mainScript.onerror = function(error) {
-                 console.log('MTM Monitor: Script injection failed:', error);
-                 this.remove();
-             };
-
-             // Inject the script
-             const target = document.head || document.documentElement;
-             if (target) {
-                 target.appendChild(mainScript);
-             } else {
-                 console.log('MTM Monitor: Cannot find injection target (head/documentElement)');
-             }
+             // The injected script expects window.MTMEventPipeline when it starts
+             loadPageScript(pipelineUrl, () => {
+                 loadPageScript(scriptUrl, () => {
+                     console.log('MTM Monitor: Injected script loaded successfully');
+                 });
+             });
 
          } catch (error) {
              console.log('MTM Monitor: Script injection blocked by CSP or other security policy:', error.message);
@@ -104,12 +130,13 @@
     document.addEventListener('mtmConfigReady', function(event) {
         const config = event.detail.config;
         const scriptUrl = event.detail.injectedScriptUrl;
+        const pipelineUrl = event.detail.pipelineScriptUrl;
 
         // Set global configuration for injected script
         window.MTM_MONITOR_CONFIG = config;
 
-        // Load main script with provided URL
-        loadMainScript(scriptUrl, config);
+        // Load pipeline and main script with provided URLs
+        loadMainScript(pipelineUrl, scriptUrl);
     });
 
 })();
\ No newline at end of file
@@ -20,6 +20,15 @@ const DEFAULT_CONFIG = {
     autoShow: true,
     hideMTMFrame: false,
     consoleLogging: true,
+    preserveLog: false,
+    inPageOverlay: true,
+    ruleEventFields: true,
+    ruleEventValue: true,
+    ruleDimensionLength: true,
+    maxDimensionLength: 255,
+    ruleExpectedSiteIds: true,
+    expectedSiteIds: '',
+    ruleDuplicatePageview: true,
     maxEvents: 1000,
     virtualizeThreshold: 100
 };
@@ -28,10 +37,54 @@ const DEFAULT_CONFIG = {
 const PERFORMANCE = {
     MAX_EVENTS: 1000,
     VIRTUALIZE_THRESHOLD: 100,
-    DUPLICATE_TIMEOUT: 2000,
-    CLEANUP_INTERVAL: 5000
+    CLEANUP_INTERVAL: 5000,
+    TRACKING_REQUEST_WAIT: 3000,
+    PUSH_CONFIRM_WAIT: 1000,
+    STATUS_MESSAGE_DURATION: 6000,
+    SCENARIO_STEP_WAIT: 1500,
+    SCENARIO_PAGE_LOAD_WAIT: 2500
 };
 
+/** @const {Object} Session export formats (file extension and MIME type) */
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    har: { extension: 'har', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    coverage: { extension: 'csv', mimeType: 'text/csv', fileSuffix: '-coverage' }
+};
+
+/** @const {Array<string>} Column order of the fired tags CSV export */
+const CSV_COLUMNS = [
+    'eventNumber', 'eventTimestamp', 'eventName', 'source', 'containerId',
+    'tagName', 'triggerName', 'tagTimestamp', 'tagStatus'
+];
+
+/** @const {Array<string>} Column order of the coverage CSV export */
+const COVERAGE_CSV_COLUMNS = [
+    'containerId', 'itemType', 'itemId', 'name', 'type', 'count', 'firstTime', 'lastTime'
+];
+
+/** @const {boolean} Whether this content script runs in the top-level frame (subframes forward their events) */
+const IS_TOP_FRAME = window === window.top;
+
+/** @const {string} Storage key prefix for the event list filter (chrome.storage.local, per hostname) */
+const EVENT_FILTER_PREFIX = 'eventFilter_';
+
+/** @const {string} Storage key prefix for the push console templates (chrome.storage.local, per hostname) */
+const PUSH_TEMPLATES_PREFIX = 'pushTemplates_';
+
+/** @const {string} Storage key prefix for the regression scenarios (chrome.storage.local, per hostname) */
+const SCENARIOS_PREFIX = 'scenarios_';
+
+/** @const {Array<string>} Step types of a regression scenario */
+const SCENARIO_STEP_TYPES = ['navigate', 'push', 'click', 'wait'];
+
+/** @const {number} Delay before the search inputs re-render the list (ms) */
+const FILTER_INPUT_DELAY = 200;
+
+/** @const {string} Storage key of the tracking plan (chrome.storage.local - too large for sync storage) */
+const TRACKING_PLAN_KEY = 'trackingPlan';
+
 /** @const {Object} CSS class names for styling */
 const CSS_CLASSES = {
     OVERLAY: 'matomo-event-overlay',
@@ -49,16 +102,10 @@ const CSS_CLASSES = {
 /** @type {Array<Object>} Event log storage */
 let eventLog = [];
 
-/** @type {Object} Tracks which events are expanded in UI */
-let expandedStates = {};
-
 /** @type {boolean} Controls automatic scrolling to new events */
 let autoScrollEnabled = true;
 
-/** @type {Map<string, Object>} Recent events cache for duplicate detection */
-let recentEvents = new Map();
-
-/** @type {number} Counter for suppressed duplicate events */
+/** @type {number} Counter for duplicate events suppressed by the injected script */
 let suppressedDuplicates = 0;
 
 /** @type {number} Maximum number of events to store */
@@ -70,12 +117,45 @@ let virtualizeThreshold = PERFORMANCE.VIRTUALIZE_THRESHOLD;
 /** @type {boolean} Whether virtualization is currently active */
 let isVirtualized = false;
 
+/** @type {Object|null} Windowed event list of the overlay (see createEventListView) */
+let eventListView = null;
+
+/** @type {string} Container IDs shown in the overlay footer when the list was last rendered */
+let renderedContainerKey = '';
+
 /** @type {Object|null} Container info stored globally */
 let globalContainerInfo = null;
 
+/** @type {Map<string, Object>} Containers running in subframes (Container ID -> container info) */
+let frameContainerInfo = new Map();
+
+/** @type {Array<Object>} Tracking requests whose event has not been captured yet */
+let pendingTrackingRequests = [];
+
+/** @type {Object} Configuration of the tracking request validation rules */
+let validationConfig = DEFAULT_CONFIG;
+
 /** @type {boolean} Whether console logging is enabled */
 let consoleLoggingEnabled = false;
 
+/** @type {boolean} Whether events are preserved across page navigations */
+let preserveLogEnabled = false;
+
+/** @type {string|null} Why preserving events stopped (e.g. storage quota) - null while it works */
+let preserveLogError = null;
+
+/** @const {string} Identifies the current page load (separates pages in "preserve log" mode) */
+const PAGE_LOAD_ID = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** @type {Object|null} Imported session shown in read-only replay mode (null = live events) */
+let importedSession = null;
+
+/** @type {boolean} Whether the DevTools panel of this tab is open (events are forwarded to it) */
+let devtoolsPanelConnected = false;
+
+/** @type {Object} Active event list filter (persisted per site) */
+let eventFilter = JSON.parse(JSON.stringify(DEFAULT_EVENT_FILTER));
+
 // =============================================================================
 // UI STATE MANAGEMENT
 // =============================================================================
@@ -95,48 +175,87 @@ let mtmFrameObserver = null;
 /** @type {boolean} Whether MTM debug frame should be hidden */
 let shouldHideMTMFrame = false;
 
+/** @type {Array<Object>} Push console templates of the current site ({name, target, data}) */
+let pushTemplates = [];
+
+/** @type {string} Input mode of the push console ('fields' or 'json') */
+let pushConsoleMode = 'fields';
+
+/** @type {number|null} Timeout waiting for the injected script to confirm a push */
+let pushConfirmTimeout = null;
+
+/** @type {number|null} Timeout hiding the overlay status message */
+let overlayStatusTimeout = null;
+
+/** @type {Object} Selected section and search text of the container inventory */
+let containerInventoryView = { section: 'tags', search: '' };
+
+/** @type {Object} Sessions compared in the session comparison (null = live session) */
+let comparisonSessions = { a: null, b: null };
+
+/** @type {Array<Object>} Regression scenarios of the current site ({name, steps, expectations}) */
+let scenarios = [];
+
+/** @type {Object|null} Scenario run in progress ({scenario, stepIndex, startedAt, stepErrors}) */
+let activeScenarioRun = null;
+
+/** @type {Object|null} Report of the last finished scenario run */
+let lastScenarioReport = null;
+
+/** @type {Function|null} Capturing click listener while a click step is being picked */
+let scenarioClickPicker = null;
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
 /**
- * Cleans event details for comparison (removes metadata)
- * @param {Object} details - Event details object
- * @returns {Object} Cleaned object without metadata
+ * Gets the most recent known container info (global or from the last event)
+ * @returns {Array<Object>} Array of container information objects
  */
-function cleanEventDetails(details) {
-    if (!details || typeof details !== 'object') return details;
+function getKnownContainerInfo() {
+    if (importedSession) {
+        return importedSession.containers || [];
+    }
+
+    let containers = [];
+
+    if (globalContainerInfo && globalContainerInfo.length > 0) {
+        containers = globalContainerInfo;
+    } else if (eventLog.length > 0) {
+        // Fallback to event-specific container info
+        const lastEvent = eventLog[eventLog.length - 1];
+        if (lastEvent.containerInfo && lastEvent.containerInfo.length > 0 && (!lastEvent.frame || lastEvent.frame.isTop)) {
+            containers = lastEvent.containerInfo;
+        }
+    }
+
+    // Containers of subframes that are not also loaded in the top frame
+    const knownIds = new Set(containers.map(container => container.id));
+    const frameContainers = Array.from(frameContainerInfo.values()).filter(container => !knownIds.has(container.id));
 
-    const cleaned = { ...details };
-    delete cleaned.__mtm_processed;
-    delete cleaned._debug;
-    delete cleaned.customTimestamp;
-    return cleaned;
+    return frameContainers.length > 0 ? containers.concat(frameContainers) : containers;
 }
 
 /**
- * Cleans up old entries from cache maps
+ * Gets origin and path of the frame this content script runs in
+ * @returns {Object} Frame info attached to every event
  */
-function cleanupEventCaches() {
-    const now = Date.now();
-    const maxAge = PERFORMANCE.DUPLICATE_TIMEOUT;
-
-    for (const [key, eventInfo] of recentEvents.entries()) {
-        if (now - eventInfo.timestamp > maxAge) {
-            recentEvents.delete(key);
-        }
-    }
+function getFrameInfo() {
+    return {
+        isTop: IS_TOP_FRAME,
+        origin: window.location.origin,
+        path: window.location.pathname,
+        url: window.location.href
+    };
 }
 
 /**
- * Escapes HTML characters for safe display
- * @param {string} text - Text to escape
- * @returns {string} Escaped HTML string
+ * Gets the events currently shown in the overlay (imported session or live event log)
+ * @returns {Array<Object>} Events in chronological order
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function getDisplayedEvents() {
+    return importedSession ? importedSession.events : eventLog;
 }
 
 /**
@@ -146,25 +265,23 @@ function escapeHtml(text) {
 function getHeaderTitle() {
     let title = 'MTM Events';
 
-    // Use global container info if available
-    if (globalContainerInfo && globalContainerInfo.length > 0) {
-        const container = globalContainerInfo[0];
-        if (container.environment === 'preview') {
+    const containers = getKnownContainerInfo();
+    if (containers.length > 0) {
+        if (containers.some(container => container.environment === 'preview')) {
             title = `Preview: ${title}`;
         }
-        title += ` [${container.id}]`;
-    } else if (eventLog.length > 0) {
-        // Fallback to event-specific container info
-        const lastEvent = eventLog[eventLog.length - 1];
-        if (lastEvent.containerInfo && lastEvent.containerInfo.length > 0) {
-            const container = lastEvent.containerInfo[0];
-            if (container.environment === 'preview') {
-                title = `Preview: ${title}`;
-            }
-            title += ` [${container.id}]`;
+
+        if (activeContainerFilter) {
+            title += ` [${activeContainerFilter}, filtered]`;
+        } else {
+            title += ` [${containers.map(container => container.id).join(', ')}]`;
         }
     }
 
+    if (importedSession) {
+        title = `Replay: ${title}`;
+    }
+
     return title;
 }
 
@@ -172,47 +289,9 @@ function getHeaderTitle() {
 // EVENT PROCESSING
 // =============================================================================
 
-/**
- * Checks if an event is an exact duplicate
- * @param {Object} newEvent - New event to check
- * @returns {boolean} True if event is a duplicate
- */
-function isExactDuplicate(newEvent) {
-    const now = Date.now();
-
-    const cleanEvent = {
-        eventName: newEvent.eventName,
-        source: newEvent.source?.replace(' (historical)', ''),
-        details: newEvent.details ? cleanEventDetails(newEvent.details) : null
-    };
-
-    const eventJson = JSON.stringify(cleanEvent);
-
-    if (recentEvents.has(eventJson)) {
-        const lastSeen = recentEvents.get(eventJson);
-        const timeDiff = now - lastSeen.timestamp;
-
-        if (timeDiff < PERFORMANCE.DUPLICATE_TIMEOUT) {
-            const lastHadIndex = lastSeen.hadArrayIndex;
-            const newHasIndex = newEvent.arrayIndex !== null && newEvent.arrayIndex !== undefined;
-
-            if (lastHadIndex !== newHasIndex) {
-                return true;
-            }
-        }
-    }
-
-    recentEvents.set(eventJson, {
-        timestamp: now,
-        hadArrayIndex: newEvent.arrayIndex !== null && newEvent.arrayIndex !== undefined
-    });
-
-    cleanupEventCaches();
-    return false;
-}
-
 /**
  * Cleans up event log when it exceeds maximum size
+ * @returns {number} Number of removed events
  */
 function cleanupEventLog() {
     if (eventLog.length > maxEvents) {
@@ -222,8 +301,12 @@ function cleanupEventLog() {
         removedEvents.forEach(event => {
             const eventId = `event-${event.id}`;
             delete expandedStates[eventId];
+            delete expandedStates[`${eventId}-not-fired`];
+            delete expandedStates[`${eventId}-tab`];
         });
+        return removedEvents.length;
     }
+    return 0;
 }
 
 /**
@@ -236,6 +319,14 @@ function checkVirtualization() {
     }
 }
 
+/**
+ * Checks whether the displayed event list is virtualized
+ * @returns {boolean} True if only the newest events are rendered
+ */
+function isEventListVirtualized() {
+    return importedSession ? importedSession.events.length > virtualizeThreshold : isVirtualized;
+}
+
 /**
  * Updates the badge counter in the extension icon
  */
@@ -257,10 +348,11 @@ function updateDuplicateCounter() {
     if (!header) return;
 
     const baseTitle = getHeaderTitle();
-    const totalEvents = eventLog.length;
-    const maxEventsInfo = maxEvents < 1000 ? ` (max ${maxEvents})` : '';
-    const virtualizationInfo = isVirtualized ? ' [virtualized]' : '';
-    const duplicatesInfo = suppressedDuplicates > 0 ? `, ${suppressedDuplicates} dups hidden` : '';
+    const totalEvents = getDisplayedEvents().length;
+    const maxEventsInfo = maxEvents < 1000 && !importedSession ? ` (max ${maxEvents})` : '';
+    const virtualizationInfo = isEventListVirtualized() ? ' [virtualized]' : '';
+    const duplicates = importedSession ? importedSession.suppressedDuplicates || 0 : suppressedDuplicates;
+    const duplicatesInfo = duplicates > 0 ? `, ${duplicates} dups hidden` : '';
 
     header.textContent = `${baseTitle} (${totalEvents}${maxEventsInfo}${duplicatesInfo})${virtualizationInfo}`;
 }
@@ -268,8 +360,9 @@ function updateDuplicateCounter() {
 /**
  * Logs event to browser console if console logging is enabled
  * @param {Object} eventData - Event data to log
+ * @param {number} [eventNumber] - Event number (defaults to the next live event number)
  */
-function logEventToConsole(eventData) {
+function logEventToConsole(eventData, eventNumber = eventLog.length) {
     if (!consoleLoggingEnabled) return;
 
     // Determine event display name
@@ -291,9 +384,6 @@ function logEventToConsole(eventData) {
         fractionalSecondDigits: 3
     });
 
-    // Get event number (starting from 0 to match _mtm array index)
-    const eventNumber = eventLog.length;
-
     // Create deep copies to avoid references
     const logData = {
         details: eventData.details ? JSON.parse(JSON.stringify(eventData.details)) : null,
@@ -316,10 +406,20 @@ function logEventToConsole(eventData) {
     const debugModeActive = logData.triggerAnalysis && logData.triggerAnalysis.debugMode;
 
     // Start collapsed group with event number and formatted timestamp
-    console.groupCollapsed(`🏷️ MTM Event #${eventNumber}: ${displayName}${nameDetails} ⏰ ${timeString}`);
+    // Historical entries without known push time show the earliest possible time
+    const timePrefix = eventData.timestampSource === 'unknown' ? '≥ ' : '';
+    console.groupCollapsed(`🏷️ MTM Event #${eventNumber}: ${displayName}${nameDetails} ⏰ ${timePrefix}${timeString}`);
 
     console.log('📋 Event Details:', logData.details);
 
+    if (eventData.dataLayerState) {
+        const state = JSON.parse(JSON.stringify(eventData.dataLayerState));
+        console.log(`🗂️ ${state.name} Model:`, state.model);
+        if (state.changes.length > 0) {
+            console.log(`Δ ${state.name} Changes:`, state.changes);
+        }
+    }
+
     if (logData.triggerAnalysis) {
         if (!debugModeActive) {
             console.log('⚠️ MTM Debug Mode not (yet) active - trigger and tag analysis unavailable');
@@ -337,29 +437,46 @@ function logEventToConsole(eventData) {
                     return {
                         name: tag.name,
                         trigger: tag.trigger,
-                        timestamp: tag.timestamp
+                        containerId: tag.containerId,
+                        timestamp: tag.timestamp,
+                        status: tag.status
                     };
                 }
             });
             console.log('🏷️ Fired Tags:', tagDetails);
         }
+        if (logData.triggerAnalysis.suppressedTags && logData.triggerAnalysis.suppressedTags.length > 0) {
+            console.log('⛔ Blocked / Suppressed Tags:', logData.triggerAnalysis.suppressedTags);
+        }
+        if (logData.triggerAnalysis.notFiredTriggers && logData.triggerAnalysis.notFiredTriggers.length > 0) {
+            console.log('🚫 Not Fired Triggers:', logData.triggerAnalysis.notFiredTriggers);
+        }
+    }
+
+    if (eventData.planViolations && eventData.planViolations.length > 0) {
+        console.warn('📋 Tracking Plan Violations:', eventData.planViolations.map(violation => violation.message));
+    }
+
+    if (eventData.trackingRequests && eventData.trackingRequests.length > 0) {
+        console.log('📡 Tracking Requests:', JSON.parse(JSON.stringify(eventData.trackingRequests)));
     }
 
     if (logData.containerInfo && logData.containerInfo.length > 0) {
-        const container = logData.containerInfo[0];
-        const dataLayerInfo = {
-            dataLayer: container.dataLayer && container.dataLayer.values ?
-                JSON.parse(JSON.stringify(container.dataLayer.values)) : null
-        };
+        logData.containerInfo.forEach(container => {
+            const dataLayerInfo = {
+                dataLayer: container.dataLayer && container.dataLayer.values ?
+                    JSON.parse(JSON.stringify(container.dataLayer.values)) : null
+            };
 
-        // Use resolved variables if available
-        if (container.resolvedVariables) {
-            dataLayerInfo.variables = JSON.parse(JSON.stringify(container.resolvedVariables));
-        } else {
-            dataLayerInfo.variables = { note: 'Variable resolution not available' };
-        }
+            // Use resolved variables if available
+            if (container.resolvedVariables) {
+                dataLayerInfo.variables = JSON.parse(JSON.stringify(container.resolvedVariables));
+            } else {
+                dataLayerInfo.variables = { note: 'Variable resolution not available' };
+            }
 
-        console.log(`📊 dataLayer Info (${container.id}):`, dataLayerInfo);
+            console.log(`📊 dataLayer Info (${container.id}):`, dataLayerInfo);
+        });
     }
 
     // Log current _mtm array state (including current event)
@@ -385,6 +502,7 @@ document.addEventListener('matomoEventDetected', function(event) {
         maxEvents = config.maxEvents || PERFORMANCE.MAX_EVENTS;
         virtualizeThreshold = config.virtualizeThreshold || PERFORMANCE.VIRTUALIZE_THRESHOLD;
         consoleLoggingEnabled = config.consoleLogging || false;
+        preserveLogEnabled = config.preserveLog || false;
 
         if (!config.watchMTM && !config.watchDataLayer) {
             return;
@@ -397,7 +515,10 @@ document.addEventListener('matomoEventDetected', function(event) {
                 new Date().toISOString(),
             id: (event.detail && event.detail.customTimestamp) ?
                 event.detail.customTimestamp + Math.random() :
-                Date.now() + Math.random()
+                Date.now() + Math.random(),
+            pageUrl: window.location.href,
+            pageLoadId: PAGE_LOAD_ID,
+            frame: getFrameInfo()
         };
 
         delete eventData.customTimestamp;
@@ -420,44 +541,74 @@ document.addEventListener('matomoEventDetected', function(event) {
             }
         }
 
-        // Precise duplicate detection
-        if (isExactDuplicate(eventData)) {
-            suppressedDuplicates++;
-            updateDuplicateCounter();
-            return;
-        }
+        // Tracking requests are often sent before the (analyzed) event arrives
+        attachPendingTrackingRequests(eventData);
+
+        // Highlight variables that changed since the previous event of this frame
+        compareEventVariables(eventData, eventLog);
 
         // Log to console if enabled
         logEventToConsole(eventData);
 
-        // Add to event log
-        eventLog.push(eventData);
-        cleanupEventLog();
-        eventLog.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        checkVirtualization();
-        cleanupExpandedStates();
+        // Subframes keep their log for variable comparison and late tags only - the top frame shows the events
+        if (!IS_TOP_FRAME) {
+            eventLog.push(eventData);
+            cleanupEventLog();
+            forwardEventToTopFrame(eventData, eventLog.length - 1);
+            return;
+        }
+
+        addEventToLog(eventData, config);
+    });
+});
+
+/**
+ * Counts the duplicate events the injected script dropped (shown in the overlay header)
+ */
+document.addEventListener('matomoDuplicateEventSuppressed', function() {
+    suppressedDuplicates++;
+    updateDuplicateCounter();
+});
 
-        // Update UI
-        if (autoScrollEnabled || eventLog.length === 1) {
+/**
+ * Adds an event of this or a subframe to the event log and updates UI, badge and DevTools panel
+ * @param {Object} eventData - Event to add
+ * @param {Object} config - Current configuration
+ */
+function addEventToLog(eventData, config) {
+    eventLog.push(eventData);
+    if (preserveLogEnabled) {
+        preserveEventInTab(eventData, eventLog.length - 1);
+    }
+    if (activeScenarioRun) {
+        recordScenarioEvents([eventData]);
+    }
+    if (devtoolsPanelConnected) {
+        sendEventToDevtoolsPanel(eventData, eventLog.length - 1);
+    }
+    const removedCount = cleanupEventLog();
+    eventLog.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    checkVirtualization();
+    cleanupExpandedStates();
+
+    // Update UI
+    if (overlay && document.getElementById('matomo-event-list')) {
+        addEventToOverlay(eventData, removedCount > 0);
+    } else {
+        setTimeout(() => {
             if (overlay && document.getElementById('matomo-event-list')) {
                 updateOverlay();
-            } else {
-                setTimeout(() => {
-                    if (overlay && document.getElementById('matomo-event-list')) {
-                        updateOverlay();
-                    }
-                }, 100);
             }
-        }
+        }, 100);
+    }
 
-        // Auto-show overlay if configured
-        if (config.autoShow && !isOverlayVisible && eventLog.length === 1) {
-            showOverlay();
-        }
+    // Auto-show overlay if configured (not when the in-page overlay is disabled)
+    if (config.autoShow && config.inPageOverlay && !isOverlayVisible && eventLog.length === 1) {
+        showOverlay();
+    }
 
-        updateBadgeCounter();
-    });
-});
+    updateBadgeCounter();
+}
 
 /**
  * Configuration update listener
@@ -498,6 +649,7 @@ function createOverlay() {
 
         setupEventListeners();
         loadConfigurationToPanel();
+        updatePreserveLogWarning();
 
         chrome.storage.sync.get({ hideMTMFrame: false }, function(config) {
             updateMTMFrameButton(config.hideMTMFrame);
@@ -522,6 +674,25 @@ function setupEventListeners() {
     const configBtn = document.getElementById('matomo-config-btn');
     const applyBtn = document.getElementById('applyConfig');
     const mtmFrameBtn = document.getElementById('matomo-mtm-frame-btn');
+    const exportBtn = document.getElementById('matomo-export-btn');
+    const exportMenu = document.getElementById('matomo-export-menu');
+    const importBtn = document.getElementById('matomo-import-btn');
+    const importMenu = document.getElementById('matomo-import-menu');
+    const importInput = document.getElementById('matomo-import-input');
+    const issuesBtn = document.getElementById('matomo-issues-btn');
+    const issuesMenu = document.getElementById('matomo-issues-menu');
+    const testBtn = document.getElementById('matomo-test-btn');
+    const testMenu = document.getElementById('matomo-test-menu');
+    const variableTimeline = document.getElementById('matomo-variable-timeline');
+    const trackingPlanBtn = document.getElementById('loadTrackingPlan');
+    const trackingPlanInput = document.getElementById('trackingPlanInput');
+    const removeTrackingPlanBtn = document.getElementById('removeTrackingPlan');
+
+    setupFilterBar();
+    setupPushConsole();
+    setupContainerInventory();
+    setupSessionComparison();
+    setupScenarios();
 
     if (closeBtn) closeBtn.addEventListener('click', hideOverlay);
     if (clearBtn) clearBtn.addEventListener('click', clearEvents);
@@ -529,6 +700,127 @@ function setupEventListeners() {
     if (mtmFrameBtn) mtmFrameBtn.addEventListener('click', toggleMTMFrameManually);
     if (applyBtn) applyBtn.addEventListener('click', applyConfiguration);
 
+    if (importBtn && importMenu && importInput) {
+        importBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            importMenu.classList.toggle('visible');
+        });
+
+        importMenu.addEventListener('click', function(e) {
+            const actionBtn = e.target.closest('[data-import-action]');
+            if (actionBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                importMenu.classList.remove('visible');
+                if (actionBtn.getAttribute('data-import-action') === 'compare') {
+                    showSessionComparison();
+                } else {
+                    importInput.click();
+                }
+            }
+        });
+
+        importInput.addEventListener('change', function() {
+            if (importInput.files && importInput.files[0]) {
+                importSessionFile(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+    }
+
+    if (testBtn && testMenu) {
+        testBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            testMenu.classList.toggle('visible');
+        });
+
+        testMenu.addEventListener('click', function(e) {
+            const toolBtn = e.target.closest('[data-test-tool]');
+            if (toolBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                testMenu.classList.remove('visible');
+                if (toolBtn.getAttribute('data-test-tool') === 'scenarios') {
+                    toggleScenarios();
+                } else {
+                    togglePushConsole();
+                }
+            }
+        });
+    }
+
+    if (exportBtn && exportMenu) {
+        exportBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            exportMenu.classList.toggle('visible');
+        });
+
+        exportMenu.addEventListener('click', function(e) {
+            const formatBtn = e.target.closest('[data-export-format]');
+            if (formatBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                exportMenu.classList.remove('visible');
+                exportSession(formatBtn.getAttribute('data-export-format'));
+            }
+        });
+    }
+
+    if (trackingPlanBtn && trackingPlanInput) {
+        trackingPlanBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            trackingPlanInput.click();
+        });
+
+        trackingPlanInput.addEventListener('change', function() {
+            if (trackingPlanInput.files && trackingPlanInput.files[0]) {
+                loadTrackingPlanFile(trackingPlanInput.files[0]);
+            }
+            trackingPlanInput.value = '';
+        });
+    }
+    if (removeTrackingPlanBtn) removeTrackingPlanBtn.addEventListener('click', removeTrackingPlan);
+
+    if (issuesBtn && issuesMenu) {
+        issuesBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            issuesMenu.classList.toggle('visible');
+        });
+
+        issuesMenu.addEventListener('click', function(e) {
+            const issueItem = e.target.closest('[data-reveal-event-id]');
+            if (issueItem) {
+                e.preventDefault();
+                e.stopPropagation();
+                issuesMenu.classList.remove('visible');
+                if (eventListView) {
+                    revealEventInListView(eventListView, issueItem.getAttribute('data-reveal-event-id'));
+                }
+            }
+        });
+    }
+
+    if (variableTimeline) {
+        variableTimeline.addEventListener('click', function(e) {
+            const entry = e.target.closest('[data-reveal-event-id]');
+            if (e.target.closest('[data-close-variable-timeline]')) {
+                e.preventDefault();
+                e.stopPropagation();
+                hideVariableTimeline();
+            } else if (entry) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (eventListView) {
+                    revealEventInListView(eventListView, entry.getAttribute('data-reveal-event-id'));
+                }
+            }
+        });
+    }
+
     if (configBtn) {
         configBtn.addEventListener('click', function(e) {
             e.preventDefault();
@@ -539,6 +831,41 @@ function setupEventListeners() {
 
     // Event delegation for dynamic toggle buttons
     overlay.addEventListener('click', function(e) {
+        if (e.target.closest('#matomo-exit-replay-btn')) {
+            e.preventDefault();
+            e.stopPropagation();
+            exitReplayMode();
+            return;
+        }
+
+        const copyPathButton = e.target.closest('[data-copy-path]');
+        if (copyPathButton) {
+            e.preventDefault();
+            e.stopPropagation();
+            copyDataLayerPath(copyPathButton);
+            return;
+        }
+
+        const tabButton = e.target.closest('[data-details-tab]');
+        if (tabButton) {
+            e.preventDefault();
+            e.stopPropagation();
+            switchEventDetailsTab(tabButton.getAttribute('data-tab-event-id'), tabButton.getAttribute('data-details-tab'));
+            return;
+        }
+
+        const timelineLink = e.target.closest('[data-variable-timeline]');
+        if (timelineLink) {
+            e.preventDefault();
+            e.stopPropagation();
+            showVariableTimeline({
+                name: timelineLink.getAttribute('data-variable-timeline'),
+                containerId: timelineLink.getAttribute('data-variable-container'),
+                frameKey: timelineLink.getAttribute('data-variable-frame')
+            });
+            return;
+        }
+
         if (e.target.closest('.matomo-details-toggle') || e.target.closest('.matomo')) {
             const button = e.target.closest('.matomo-details-toggle') || e.target.closest('.matomo');
             const eventId = button.getAttribute('data-event-id');
@@ -550,8 +877,32 @@ function setupEventListeners() {
         }
     });
 
+    // Event delegation for container filter (footer is re-rendered with the list)
+    overlay.addEventListener('change', function(e) {
+        if (e.target && e.target.id === 'matomo-container-filter') {
+            activeContainerFilter = e.target.value || null;
+            updateOverlay();
+        }
+    });
+
     // Click outside config panel to close
     document.addEventListener('click', function(e) {
+        if (exportMenu && exportMenu.classList.contains('visible') && !exportMenu.contains(e.target)) {
+            exportMenu.classList.remove('visible');
+        }
+
+        if (importMenu && importMenu.classList.contains('visible') && !importMenu.contains(e.target)) {
+            importMenu.classList.remove('visible');
+        }
+
+        if (issuesMenu && issuesMenu.classList.contains('visible') && !issuesMenu.contains(e.target)) {
+            issuesMenu.classList.remove('visible');
+        }
+
+        if (testMenu && testMenu.classList.contains('visible') && !testMenu.contains(e.target)) {
+            testMenu.classList.remove('visible');
+        }
+
         if (configPanel && configPanel.classList.contains('visible')) {
             const configBtn = document.getElementById('matomo-config-btn');
             if (!configPanel.contains(e.target) && (!configBtn || !configBtn.contains(e.target))) {
@@ -617,13 +968,33 @@ function loadConfigurationToPanel() {
         const autoShow = document.getElementById('autoShow');
         const hideMTMFrame = document.getElementById('hideMTMFrame');
         const consoleLogging = document.getElementById('consoleLogging');
+        const preserveLog = document.getElementById('preserveLog');
+        const inPageOverlay = document.getElementById('inPageOverlay');
+        const ruleEventFields = document.getElementById('ruleEventFields');
+        const ruleEventValue = document.getElementById('ruleEventValue');
+        const ruleDimensionLength = document.getElementById('ruleDimensionLength');
+        const maxDimensionLength = document.getElementById('maxDimensionLength');
+        const ruleDuplicatePageview = document.getElementById('ruleDuplicatePageview');
+        const ruleExpectedSiteIds = document.getElementById('ruleExpectedSiteIds');
+        const expectedSiteIds = document.getElementById('expectedSiteIds');
 
         if (watchMTM) watchMTM.checked = items.watchMTM;
         if (watchDataLayer) watchDataLayer.checked = items.watchDataLayer;
         if (autoShow) autoShow.checked = items.autoShow;
         if (hideMTMFrame) hideMTMFrame.checked = items.hideMTMFrame;
         if (consoleLogging) consoleLogging.checked = items.consoleLogging;
+        if (preserveLog) preserveLog.checked = items.preserveLog;
+        if (inPageOverlay) inPageOverlay.checked = items.inPageOverlay;
+        if (ruleEventFields) ruleEventFields.checked = items.ruleEventFields;
+        if (ruleEventValue) ruleEventValue.checked = items.ruleEventValue;
+        if (ruleDimensionLength) ruleDimensionLength.checked = items.ruleDimensionLength;
+        if (maxDimensionLength) maxDimensionLength.value = items.maxDimensionLength;
+        if (ruleDuplicatePageview) ruleDuplicatePageview.checked = items.ruleDuplicatePageview;
+        if (ruleExpectedSiteIds) ruleExpectedSiteIds.checked = items.ruleExpectedSiteIds;
+        if (expectedSiteIds) expectedSiteIds.value = items.expectedSiteIds;
     });
+
+    updateTrackingPlanStatus();
 }
 
 /**
@@ -635,7 +1006,16 @@ function applyConfiguration() {
         watchDataLayer: document.getElementById('watchDataLayer')?.checked ?? DEFAULT_CONFIG.watchDataLayer,
         autoShow: document.getElementById('autoShow')?.checked ?? DEFAULT_CONFIG.autoShow,
         hideMTMFrame: document.getElementById('hideMTMFrame')?.checked ?? DEFAULT_CONFIG.hideMTMFrame,
-        consoleLogging: document.getElementById('consoleLogging')?.checked ?? DEFAULT_CONFIG.consoleLogging
+        consoleLogging: document.getElementById('consoleLogging')?.checked ?? DEFAULT_CONFIG.consoleLogging,
+        preserveLog: document.getElementById('preserveLog')?.checked ?? DEFAULT_CONFIG.preserveLog,
+        inPageOverlay: document.getElementById('inPageOverlay')?.checked ?? DEFAULT_CONFIG.inPageOverlay,
+        ruleEventFields: document.getElementById('ruleEventFields')?.checked ?? DEFAULT_CONFIG.ruleEventFields,
+        ruleEventValue: document.getElementById('ruleEventValue')?.checked ?? DEFAULT_CONFIG.ruleEventValue,
+        ruleDimensionLength: document.getElementById('ruleDimensionLength')?.checked ?? DEFAULT_CONFIG.ruleDimensionLength,
+        maxDimensionLength: parseInt(document.getElementById('maxDimensionLength')?.value, 10) || DEFAULT_CONFIG.maxDimensionLength,
+        ruleDuplicatePageview: document.getElementById('ruleDuplicatePageview')?.checked ?? DEFAULT_CONFIG.ruleDuplicatePageview,
+        ruleExpectedSiteIds: document.getElementById('ruleExpectedSiteIds')?.checked ?? DEFAULT_CONFIG.ruleExpectedSiteIds,
+        expectedSiteIds: (document.getElementById('expectedSiteIds')?.value ?? DEFAULT_CONFIG.expectedSiteIds).trim()
     };
 
     chrome.storage.sync.set(config, function() {
@@ -644,648 +1024,3063 @@ function applyConfiguration() {
 }
 
 // =============================================================================
-// MTM DEBUG FRAME MANAGEMENT
+// VARIABLE TIMELINE
 // =============================================================================
 
 /**
- * Toggles MTM debug frame visibility manually
+ * Shows the value timeline of a variable across the displayed session
+ * @param {Object} variable - Variable ({name, containerId, frameKey})
  */
-function toggleMTMFrameManually() {
-    chrome.storage.sync.get({ hideMTMFrame: false }, function(config) {
-        const newHideState = !config.hideMTMFrame;
+function showVariableTimeline(variable) {
+    const timelineEl = document.getElementById('matomo-variable-timeline');
+    if (!timelineEl) return;
 
-        chrome.storage.sync.set({ hideMTMFrame: newHideState }, function() {
-            setupMTMFrameHiding(newHideState);
-            updateMTMFrameButton(newHideState);
-        });
-    });
+    timelineEl.innerHTML = generateVariableTimelineHtml(getDisplayedEvents(), variable);
+    timelineEl.classList.add('visible');
 }
 
 /**
- * Updates MTM frame button appearance
- * @param {boolean} isHidden - Whether frame is hidden
+ * Hides the variable timeline
  */
-function updateMTMFrameButton(isHidden) {
-    const mtmFrameBtn = document.getElementById('matomo-mtm-frame-btn');
-    if (mtmFrameBtn) {
-        mtmFrameBtn.textContent = isHidden ? '👁️' : '🙈';
-        mtmFrameBtn.title = isHidden ? 'Show MTM Debug Frame' : 'Hide MTM Debug Frame';
-        mtmFrameBtn.classList.toggle('hidden-state', isHidden);
+function hideVariableTimeline() {
+    const timelineEl = document.getElementById('matomo-variable-timeline');
+    if (timelineEl) {
+        timelineEl.classList.remove('visible');
     }
 }
 
+// =============================================================================
+// CONTAINER INVENTORY
+// =============================================================================
+
 /**
- * Sets up MTM debug frame hiding/showing
- * @param {boolean} hide - Whether to hide the frame
+ * Checks whether the container inventory is open
+ * @returns {boolean} True if the inventory is visible
  */
-function setupMTMFrameHiding(hide) {
-    shouldHideMTMFrame = hide;
+function isContainerInventoryVisible() {
+    const inventory = document.getElementById('matomo-container-inventory');
+    return !!inventory && inventory.classList.contains('visible');
+}
 
-    hideMTMFrameIfExists();
+/**
+ * Shows/hides the container inventory
+ */
+function toggleContainerInventory() {
+    const inventory = document.getElementById('matomo-container-inventory');
+    if (!inventory) return;
 
-    if (hide) {
-        startMTMFrameObserver();
-    } else {
+    inventory.classList.toggle('visible');
+    if (inventory.classList.contains('visible')) {
+        renderContainerInventory();
+    }
+}
+
+/**
+ * Renders the container inventory (expanded items stay expanded)
+ */
+function renderContainerInventory() {
+    const contentEl = document.getElementById('matomo-inventory-content');
+    if (!contentEl) return;
+
+    const openItems = new Set(Array.from(contentEl.querySelectorAll('[data-inventory-item][open]'))
+        .map(item => item.getAttribute('data-inventory-item')));
+
+    contentEl.innerHTML = generateContainerInventoryHtml(getKnownContainerInfo(), getDisplayedEvents(), {
+        ...containerInventoryView,
+        openItems: openItems
+    });
+}
+
+/**
+ * Re-renders the container inventory if it is open (new events change the usage of items)
+ */
+function refreshContainerInventory() {
+    if (isContainerInventoryVisible()) {
+        renderContainerInventory();
+    }
+}
+
+/**
+ * Sets up the container inventory inputs
+ */
+function setupContainerInventory() {
+    const inventoryBtn = document.getElementById('matomo-inventory-btn');
+    const inventory = document.getElementById('matomo-container-inventory');
+    const searchInput = document.getElementById('matomo-inventory-search');
+    if (!inventoryBtn || !inventory) return;
+
+    let inputTimeout = null;
+
+    inventoryBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleContainerInventory();
+    });
+
+    if (searchInput) {
+        searchInput.addEventListener('input', function() {
+            clearTimeout(inputTimeout);
+            inputTimeout = setTimeout(() => {
+                containerInventoryView.search = searchInput.value;
+                renderContainerInventory();
+            }, FILTER_INPUT_DELAY);
+        });
+    }
+
+    // Variable timeline links are handled by the overlay click delegation
+    inventory.addEventListener('click', function(e) {
+        const sectionTab = e.target.closest('[data-inventory-section]');
+        const eventLink = e.target.closest('[data-reveal-event-id]');
+
+        if (e.target.closest('#matomo-inventory-close')) {
+            inventory.classList.remove('visible');
+        } else if (sectionTab) {
+            containerInventoryView.section = sectionTab.getAttribute('data-inventory-section');
+            renderContainerInventory();
+        } else if (eventLink) {
+            if (eventListView) {
+                revealEventInListView(eventListView, eventLink.getAttribute('data-reveal-event-id'));
+            }
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
+}
+
+// =============================================================================
+// TRACKING PLAN
+// =============================================================================
+
+/**
+ * Normalizes a tracking plan ({events: {name: schema}} or {events: [{name, ...schema}]})
+ * @param {Object} data - Parsed tracking plan file
+ * @returns {Object|null} Tracking plan with events keyed by name, null if the format is unknown
+ */
+function normalizeTrackingPlan(data) {
+    if (!data || typeof data !== 'object' || !data.events || typeof data.events !== 'object') {
+        return null;
+    }
+
+    const events = {};
+    if (Array.isArray(data.events)) {
+        data.events.forEach(event => {
+            if (event && event.name) {
+                const { name, ...schema } = event;
+                events[name] = schema;
+            }
+        });
+    } else {
+        Object.keys(data.events).forEach(name => {
+            events[name] = data.events[name] || {};
+        });
+    }
+
+    return {
+        title: data.title || null,
+        events: events
+    };
+}
+
+/**
+ * Loads a tracking plan file and stores it (applied on the next page load)
+ * @param {File} file - Selected JSON file
+ */
+function loadTrackingPlanFile(file) {
+    file.text()
+        .then(text => {
+            const plan = normalizeTrackingPlan(JSON.parse(text));
+            if (!plan) {
+                throw new Error('Unknown file format (expected an object with "events")');
+            }
+            plan.fileName = file.name;
+
+            chrome.storage.local.set({ [TRACKING_PLAN_KEY]: plan }, function() {
+                updateTrackingPlanStatus(' - reload the page to apply');
+            });
+        })
+        .catch(error => {
+            console.log('MTM Monitor: Tracking plan import failed:', error.message);
+            updateTrackingPlanStatus(` - import failed: ${error.message}`, true);
+        });
+}
+
+/**
+ * Removes the stored tracking plan
+ */
+function removeTrackingPlan() {
+    chrome.storage.local.remove(TRACKING_PLAN_KEY, function() {
+        updateTrackingPlanStatus();
+    });
+}
+
+/**
+ * Shows the stored tracking plan in the config panel
+ * @param {string} [note] - Text appended to the status
+ * @param {boolean} [isError] - Whether the note describes an error
+ */
+function updateTrackingPlanStatus(note = '', isError = false) {
+    const statusEl = document.getElementById('trackingPlanStatus');
+    const removeBtn = document.getElementById('removeTrackingPlan');
+    if (!statusEl) return;
+
+    chrome.storage.local.get({ [TRACKING_PLAN_KEY]: null }, function(items) {
+        const plan = items[TRACKING_PLAN_KEY];
+        statusEl.textContent = plan ?
+            `${plan.title || plan.fileName}: ${Object.keys(plan.events).length} events${note}` :
+            `No tracking plan loaded${note}`;
+        statusEl.classList.toggle('error', isError);
+        if (removeBtn) removeBtn.hidden = !plan;
+    });
+}
+
+// =============================================================================
+// PUSH CONSOLE
+// =============================================================================
+
+/**
+ * Gets the storage key of the push console templates for the current site
+ * @returns {string} Storage key
+ */
+function getPushTemplatesKey() {
+    return `${PUSH_TEMPLATES_PREFIX}${window.location.hostname}`;
+}
+
+/**
+ * Shows/hides the push console
+ */
+function togglePushConsole() {
+    const pushConsole = document.getElementById('matomo-push-console');
+    if (!pushConsole) return;
+
+    pushConsole.classList.toggle('visible');
+    if (pushConsole.classList.contains('visible') && pushConsoleMode === 'fields') {
+        document.getElementById('matomo-push-event').focus();
+    }
+}
+
+/**
+ * Parses a parameter value typed into the push console (JSON where possible, string otherwise)
+ * @param {string} text - Typed value
+ * @returns {*} Parsed value
+ */
+function parsePushValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Formats a value for a parameter input (strings stay unquoted unless they would parse as JSON)
+ * @param {*} value - Parameter value
+ * @returns {string} Input text
+ */
+function formatPushValue(value) {
+    return typeof value === 'string' && parsePushValue(value) === value ? value : JSON.stringify(value);
+}
+
+/**
+ * Adds a key/value row to the push console parameters
+ * @param {string} key - Parameter name
+ * @param {string} value - Parameter value (as typed)
+ */
+function addPushParamRow(key = '', value = '') {
+    const paramsEl = document.getElementById('matomo-push-params');
+    if (!paramsEl) return;
+
+    const row = document.createElement('div');
+    row.className = 'matomo-push-param';
+    row.innerHTML = `
+        <input type="text" class="matomo" data-push-param-key placeholder="Key">
+        <input type="text" class="matomo" data-push-param-value placeholder="Value">
+        <button class="matomo" data-remove-push-param title="Remove Parameter">×</button>
+    `;
+    row.querySelector('[data-push-param-key]').value = key;
+    row.querySelector('[data-push-param-value]').value = value;
+    paramsEl.appendChild(row);
+}
+
+/**
+ * Builds the event of the push console inputs
+ * @returns {{target: string, data: Object}} Target array and event object
+ * @throws {Error} If the inputs do not describe a valid event
+ */
+function readPushEvent() {
+    const target = document.getElementById('matomo-push-target').value;
+
+    if (pushConsoleMode === 'json') {
+        const text = document.getElementById('matomo-push-json').value.trim();
+        if (!text) {
+            throw new Error('Enter a JSON object to push');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Only JSON objects can be pushed');
+        }
+        return { target, data };
+    }
+
+    const eventName = document.getElementById('matomo-push-event').value.trim();
+    if (!eventName) {
+        throw new Error('Enter an event name');
+    }
+
+    const data = { event: eventName };
+    document.querySelectorAll('#matomo-push-params .matomo-push-param').forEach(row => {
+        const key = row.querySelector('[data-push-param-key]').value.trim();
+        if (key) {
+            data[key] = parsePushValue(row.querySelector('[data-push-param-value]').value.trim());
+        }
+    });
+    return { target, data };
+}
+
+/**
+ * Writes an event into the push console inputs (both modes)
+ * @param {Object} data - Event object
+ */
+function writePushEvent(data) {
+    const paramsEl = document.getElementById('matomo-push-params');
+    paramsEl.innerHTML = '';
+
+    document.getElementById('matomo-push-event').value = typeof data.event === 'string' ? data.event : '';
+    Object.keys(data).filter(key => key !== 'event').forEach(key => {
+        addPushParamRow(key, formatPushValue(data[key]));
+    });
+    if (!paramsEl.children.length) {
+        addPushParamRow();
+    }
+
+    document.getElementById('matomo-push-json').value = JSON.stringify(data, null, 2);
+}
+
+/**
+ * Switches the push console between parameter fields and raw JSON (keeps the entered event)
+ * @param {string} mode - 'fields' or 'json'
+ */
+function setPushConsoleMode(mode) {
+    if (mode === pushConsoleMode) return;
+
+    try {
+        writePushEvent(readPushEvent().data);
+    } catch (error) {
+        // Incomplete input is not converted - the other mode keeps its own content
+    }
+
+    pushConsoleMode = mode;
+    document.getElementById('matomo-push-fields').hidden = mode !== 'fields';
+    document.getElementById('matomo-push-json').hidden = mode !== 'json';
+    document.querySelectorAll('#matomo-push-console [data-push-mode]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-push-mode') === mode);
+    });
+}
+
+/**
+ * Shows a status message in the push console
+ * @param {string} message - Status message
+ * @param {boolean} isError - Whether the message describes an error
+ */
+function showPushStatus(message, isError = false) {
+    const statusEl = document.getElementById('matomo-push-status');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+    }
+}
+
+/**
+ * Sends the event of the push console to the injected script and waits for its answer
+ * @param {string} requestType - Event name of the request ('mtmPushEventRequest' or 'mtmDryRunRequest')
+ * @param {string} pendingMessage - Status shown until the answer arrives
+ */
+function sendPushConsoleRequest(requestType, pendingMessage) {
+    let pushEvent;
+    try {
+        pushEvent = readPushEvent();
+    } catch (error) {
+        showPushStatus(error.message, true);
+        return;
+    }
+
+    // Sent as JSON string - the page context receives a plain copy of the event
+    document.dispatchEvent(new CustomEvent(requestType, {
+        detail: { target: pushEvent.target, json: JSON.stringify(pushEvent.data) },
+        bubbles: true
+    }));
+
+    showPushStatus(pendingMessage);
+    clearTimeout(pushConfirmTimeout);
+    pushConfirmTimeout = setTimeout(() => {
+        showPushStatus('No response - the monitor is not active on this page', true);
+    }, PERFORMANCE.PUSH_CONFIRM_WAIT);
+}
+
+/**
+ * Pushes the event of the push console into the page (via the injected script)
+ */
+function pushEventToPage() {
+    if (importedSession) {
+        showPushStatus('Exit replay mode to push events', true);
+        return;
+    }
+
+    sendPushConsoleRequest('mtmPushEventRequest', 'Pushing...');
+}
+
+/**
+ * Evaluates the triggers of all containers against the push console event without pushing it
+ */
+function dryRunPushEvent() {
+    sendPushConsoleRequest('mtmDryRunRequest', 'Evaluating triggers...');
+}
+
+/**
+ * Shows the dry-run result of the injected script in the push console
+ * @param {Object} result - Dry-run result ({target, eventName, triggerAnalysis, success, error})
+ */
+function handleDryRunResult(result) {
+    const resultEl = document.getElementById('matomo-push-dry-run');
+    clearTimeout(pushConfirmTimeout);
+    pushConfirmTimeout = null;
+
+    if (!result.success) {
+        showPushStatus(`Dry run failed: ${result.error}`, true);
+        return;
+    }
+
+    showPushStatus('');
+    if (resultEl) {
+        resultEl.innerHTML = generateDryRunHtml(result);
+        resultEl.hidden = false;
+    }
+}
+
+/**
+ * Handles the push confirmation of the injected script
+ * @param {Object} result - Push result ({target, success, error})
+ */
+function handlePushResult(result) {
+    clearTimeout(pushConfirmTimeout);
+    pushConfirmTimeout = null;
+
+    if (result.success) {
+        showPushStatus(`Pushed to ${result.target}`);
+    } else {
+        showPushStatus(`Push failed: ${result.error}`, true);
+    }
+}
+
+/**
+ * Fills the template select of the push console
+ * @param {string} selectedName - Name of the selected template
+ */
+function renderPushTemplateOptions(selectedName = '') {
+    const select = document.getElementById('matomo-push-template-select');
+    if (!select) return;
+
+    select.innerHTML = `
+        <option value="">${pushTemplates.length > 0 ? 'Templates...' : 'No templates saved'}</option>
+        ${pushTemplates.map(template => `
+            <option value="${escapeHtml(template.name).replace(/"/g, '&quot;')}">${escapeHtml(template.name)} (${escapeHtml(template.target)})</option>
+        `).join('')}
+    `;
+    select.value = selectedName;
+}
+
+/**
+ * Loads the push console templates of the current site
+ */
+function loadPushTemplates() {
+    const key = getPushTemplatesKey();
+    chrome.storage.local.get({ [key]: [] }, function(items) {
+        pushTemplates = Array.isArray(items[key]) ? items[key] : [];
+        renderPushTemplateOptions();
+    });
+}
+
+/**
+ * Persists the push console templates of the current site
+ */
+function savePushTemplates() {
+    chrome.storage.local.set({ [getPushTemplatesKey()]: pushTemplates }).catch(() => {
+        // Silent fail - templates remain available until the page is reloaded
+    });
+}
+
+/**
+ * Saves the current push console event as template (replaces a template of the same name)
+ */
+function saveCurrentPushTemplate() {
+    const name = document.getElementById('matomo-push-template-name').value.trim();
+    if (!name) {
+        showPushStatus('Enter a template name', true);
+        return;
+    }
+
+    let pushEvent;
+    try {
+        pushEvent = readPushEvent();
+    } catch (error) {
+        showPushStatus(error.message, true);
+        return;
+    }
+
+    const template = { name, target: pushEvent.target, data: pushEvent.data };
+    const index = pushTemplates.findIndex(existing => existing.name === name);
+    if (index !== -1) {
+        pushTemplates[index] = template;
+    } else {
+        pushTemplates.push(template);
+    }
+
+    savePushTemplates();
+    renderPushTemplateOptions(name);
+    showPushStatus(`Template "${name}" saved`);
+}
+
+/**
+ * Loads a saved template into the push console
+ * @param {string} name - Template name
+ */
+function applyPushTemplate(name) {
+    const template = pushTemplates.find(existing => existing.name === name);
+    if (!template) return;
+
+    document.getElementById('matomo-push-target').value = template.target;
+    document.getElementById('matomo-push-template-name').value = template.name;
+    writePushEvent(template.data);
+    showPushStatus('');
+}
+
+/**
+ * Deletes the selected push console template
+ */
+function deleteSelectedPushTemplate() {
+    const name = document.getElementById('matomo-push-template-select').value;
+    if (!name) return;
+
+    pushTemplates = pushTemplates.filter(template => template.name !== name);
+    savePushTemplates();
+    renderPushTemplateOptions();
+    showPushStatus(`Template "${name}" deleted`);
+}
+
+/**
+ * Sets up the push console inputs
+ */
+function setupPushConsole() {
+    const pushConsole = document.getElementById('matomo-push-console');
+    if (!pushConsole) return;
+
+    pushConsole.addEventListener('click', function(e) {
+        const modeButton = e.target.closest('[data-push-mode]');
+        const removeButton = e.target.closest('[data-remove-push-param]');
+
+        if (e.target.closest('#matomo-push-close')) {
+            pushConsole.classList.remove('visible');
+        } else if (modeButton) {
+            setPushConsoleMode(modeButton.getAttribute('data-push-mode'));
+        } else if (removeButton) {
+            removeButton.closest('.matomo-push-param').remove();
+        } else if (e.target.closest('#matomo-push-add-param')) {
+            addPushParamRow();
+        } else if (e.target.closest('#matomo-push-send')) {
+            pushEventToPage();
+        } else if (e.target.closest('#matomo-push-dry-run-btn')) {
+            dryRunPushEvent();
+        } else if (e.target.closest('#matomo-push-save-template')) {
+            saveCurrentPushTemplate();
+        } else if (e.target.closest('#matomo-push-delete-template')) {
+            deleteSelectedPushTemplate();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
+
+    // Enter in a field pushes the event (the JSON textarea keeps Enter for line breaks)
+    pushConsole.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && e.target.matches('#matomo-push-fields input')) {
+            e.preventDefault();
+            pushEventToPage();
+        }
+    });
+
+    document.getElementById('matomo-push-template-select').addEventListener('change', function(e) {
+        applyPushTemplate(e.target.value);
+    });
+
+    addPushParamRow();
+    loadPushTemplates();
+}
+
+// =============================================================================
+// REGRESSION SCENARIOS
+// =============================================================================
+
+/**
+ * Gets the storage key of the regression scenarios for the current site
+ * @returns {string} Storage key
+ */
+function getScenariosKey() {
+    return `${SCENARIOS_PREFIX}${window.location.hostname}`;
+}
+
+/**
+ * Shows/hides the regression scenarios panel
+ */
+function toggleScenarios() {
+    const scenariosPanel = document.getElementById('matomo-scenarios');
+    if (scenariosPanel) {
+        scenariosPanel.classList.toggle('visible');
+    }
+}
+
+/**
+ * Shows a status message in the regression scenarios panel
+ * @param {string} message - Status message
+ * @param {boolean} isError - Whether the message describes an error
+ */
+function showScenarioStatus(message, isError = false) {
+    const statusEl = document.getElementById('matomo-scenario-status');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+    }
+}
+
+/**
+ * Resolves the target of a navigate step (scenarios belong to one site - only http(s) URLs
+ * of the current hostname are allowed)
+ * @param {string} url - Absolute or relative URL
+ * @returns {URL} Resolved URL
+ * @throws {Error} If the URL is invalid or leaves the site
+ */
+function resolveScenarioUrl(url) {
+    let resolved;
+    try {
+        resolved = new URL(url, window.location.href);
+    } catch (error) {
+        throw new Error(`invalid url "${url}"`);
+    }
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+        throw new Error(`only http(s) urls are allowed, got "${resolved.protocol}"`);
+    }
+    if (resolved.hostname !== window.location.hostname) {
+        throw new Error(`url must stay on ${window.location.hostname}`);
+    }
+    return resolved;
+}
+
+/**
+ * Validates the steps and expectations of a scenario
+ * @param {Object} definition - Scenario definition ({steps, expectations})
+ * @returns {{steps: Array<Object>, expectations: Array<Object>}} Validated definition
+ * @throws {Error} If a step or expectation is invalid
+ */
+function validateScenarioDefinition(definition) {
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition.steps)) {
+        throw new Error('A scenario needs a "steps" array');
+    }
+    const expectations = definition.expectations || [];
+    if (!Array.isArray(expectations)) {
+        throw new Error('"expectations" must be an array');
+    }
+
+    definition.steps.forEach((step, index) => {
+        const stepLabel = `Step ${index + 1}`;
+        if (!step || !SCENARIO_STEP_TYPES.includes(step.type)) {
+            throw new Error(`${stepLabel}: type must be one of ${SCENARIO_STEP_TYPES.join(', ')}`);
+        }
+        if (step.type === 'navigate') {
+            if (typeof step.url !== 'string') {
+                throw new Error(`${stepLabel}: navigate needs a "url"`);
+            }
+            try {
+                resolveScenarioUrl(step.url);
+            } catch (error) {
+                throw new Error(`${stepLabel}: ${error.message}`);
+            }
+        }
+        if (step.type === 'push' && (!step.data || typeof step.data !== 'object' || Array.isArray(step.data))) {
+            throw new Error(`${stepLabel}: push needs a "data" object`);
+        }
+        if (step.type === 'click' && typeof step.selector !== 'string') {
+            throw new Error(`${stepLabel}: click needs a "selector"`);
+        }
+        if (step.type === 'wait' && typeof step.ms !== 'number') {
+            throw new Error(`${stepLabel}: wait needs "ms"`);
+        }
+    });
+
+    expectations.forEach((expectation, index) => {
+        if (!expectation || (expectation.tag === undefined && expectation.trigger === undefined)) {
+            throw new Error(`Expectation ${index + 1}: needs a "tag" or "trigger"`);
+        }
+    });
+
+    return { steps: definition.steps, expectations: expectations };
+}
+
+/**
+ * Reads the steps and expectations of the scenario editor
+ * @returns {{steps: Array<Object>, expectations: Array<Object>}} Validated definition
+ * @throws {Error} If the editor does not contain a valid scenario
+ */
+function readScenarioDefinition() {
+    const text = document.getElementById('matomo-scenario-json').value.trim();
+    if (!text) {
+        return { steps: [], expectations: [] };
+    }
+
+    let definition;
+    try {
+        definition = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return validateScenarioDefinition(definition);
+}
+
+/**
+ * Writes steps and expectations into the scenario editor
+ * @param {Object} definition - Scenario definition ({steps, expectations})
+ */
+function writeScenarioDefinition(definition) {
+    document.getElementById('matomo-scenario-json').value = JSON.stringify({
+        steps: definition.steps,
+        expectations: definition.expectations
+    }, null, 2);
+}
+
+/**
+ * Adds a step or expectation to the scenario editor
+ * @param {string} listName - 'steps' or 'expectations'
+ * @param {Object} entry - Step or expectation
+ */
+function appendToScenarioDefinition(listName, entry) {
+    try {
+        const definition = readScenarioDefinition();
+        definition[listName].push(entry);
+        writeScenarioDefinition(definition);
+        showScenarioStatus(listName === 'steps' ? `Step added: ${entry.type}` : 'Expectation added');
+    } catch (error) {
+        showScenarioStatus(error.message, true);
+    }
+}
+
+/**
+ * Adds the push console event as push step
+ */
+function addScenarioPushStep() {
+    try {
+        const pushEvent = readPushEvent();
+        appendToScenarioDefinition('steps', { type: 'push', target: pushEvent.target, data: pushEvent.data });
+    } catch (error) {
+        showScenarioStatus(`Compose the event in the push console first (${error.message})`, true);
+    }
+}
+
+/**
+ * Adds an expectation for the newest event: its first fired tag (or matched trigger) exactly once
+ */
+function addScenarioExpectation() {
+    const event = eventLog[eventLog.length - 1];
+    const firedTag = event && (event.triggerAnalysis?.firedTags || [])[0];
+    const triggerName = event && getTriggeredTriggerNames(event)[0];
+
+    if (firedTag !== undefined) {
+        appendToScenarioDefinition('expectations', {
+            event: event.eventName,
+            tag: typeof firedTag === 'string' ? firedTag : firedTag.name,
+            count: 1
+        });
+    } else if (triggerName !== undefined) {
+        appendToScenarioDefinition('expectations', { event: event.eventName, trigger: triggerName, count: 1 });
+    } else {
+        showScenarioStatus('The newest event fired no tag - edit the expectation in the JSON', true);
+    }
+}
+
+/**
+ * Builds a CSS selector for a clicked element (ID, otherwise a short tag/class path)
+ * @param {Element} element - Clicked element
+ * @returns {string} CSS selector
+ */
+function getElementSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body && parts.length < 4) {
+        if (current.id) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+
+        let part = current.tagName.toLowerCase();
+        const classNames = Array.from(current.classList).slice(0, 2);
+        if (classNames.length > 0) {
+            part += classNames.map(className => `.${CSS.escape(className)}`).join('');
+        }
+
+        const sameTagSiblings = current.parentElement ?
+            Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName) : [];
+        if (sameTagSiblings.length > 1) {
+            part += `:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`;
+        }
+
+        parts.unshift(part);
+        current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+}
+
+/**
+ * Records the next click on the page (outside the overlay) as click step - the click itself is not executed
+ */
+function pickScenarioClickStep() {
+    if (scenarioClickPicker) {
+        document.removeEventListener('click', scenarioClickPicker, true);
+    }
+
+    /**
+     * Captures the picked element before page handlers run
+     * @param {MouseEvent} e - Click event
+     */
+    scenarioClickPicker = e => {
+        if (overlay && overlay.contains(e.target)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        document.removeEventListener('click', scenarioClickPicker, true);
+        scenarioClickPicker = null;
+        appendToScenarioDefinition('steps', { type: 'click', selector: getElementSelector(e.target) });
+    };
+
+    document.addEventListener('click', scenarioClickPicker, true);
+    showScenarioStatus('Click the element on the page...');
+}
+
+/**
+ * Fills the scenario select of the scenarios panel
+ * @param {string} selectedName - Name of the selected scenario
+ */
+function renderScenarioOptions(selectedName = '') {
+    const select = document.getElementById('matomo-scenario-select');
+    if (!select) return;
+
+    select.innerHTML = `
+        <option value="">${scenarios.length > 0 ? 'Scenarios...' : 'No scenarios saved'}</option>
+        ${scenarios.map(scenario => `
+            <option value="${escapeHtml(scenario.name).replace(/"/g, '&quot;')}">${escapeHtml(scenario.name)} (${scenario.steps.length} steps)</option>
+        `).join('')}
+    `;
+    select.value = selectedName;
+}
+
+/**
+ * Loads the regression scenarios of the current site
+ */
+function loadScenarios() {
+    const key = getScenariosKey();
+    chrome.storage.local.get({ [key]: [] }, function(items) {
+        scenarios = Array.isArray(items[key]) ? items[key] : [];
+        renderScenarioOptions();
+    });
+}
+
+/**
+ * Persists the regression scenarios of the current site
+ */
+function saveScenarios() {
+    chrome.storage.local.set({ [getScenariosKey()]: scenarios }).catch(() => {
+        // Silent fail - scenarios remain available until the page is reloaded
+    });
+}
+
+/**
+ * Reads the scenario of the editor (name, steps and expectations)
+ * @returns {Object} Scenario ({name, steps, expectations})
+ * @throws {Error} If the editor does not contain a valid scenario
+ */
+function readScenarioEditor() {
+    const name = document.getElementById('matomo-scenario-name').value.trim();
+    if (!name) {
+        throw new Error('Enter a scenario name');
+    }
+    return { name, ...readScenarioDefinition() };
+}
+
+/**
+ * Adds scenarios to the site's scenarios (replaces scenarios of the same name)
+ * @param {Array<Object>} newScenarios - Validated scenarios
+ */
+function mergeScenarios(newScenarios) {
+    newScenarios.forEach(scenario => {
+        const index = scenarios.findIndex(existing => existing.name === scenario.name);
+        if (index !== -1) {
+            scenarios[index] = scenario;
+        } else {
+            scenarios.push(scenario);
+        }
+    });
+    saveScenarios();
+}
+
+/**
+ * Saves the scenario of the editor
+ */
+function saveCurrentScenario() {
+    try {
+        const scenario = readScenarioEditor();
+        mergeScenarios([scenario]);
+        renderScenarioOptions(scenario.name);
+        showScenarioStatus(`Scenario "${scenario.name}" saved`);
+    } catch (error) {
+        showScenarioStatus(error.message, true);
+    }
+}
+
+/**
+ * Loads a saved scenario into the editor
+ * @param {string} name - Scenario name
+ */
+function applyScenario(name) {
+    const scenario = scenarios.find(existing => existing.name === name);
+    if (!scenario) return;
+
+    document.getElementById('matomo-scenario-name').value = scenario.name;
+    writeScenarioDefinition(scenario);
+    showScenarioStatus('');
+}
+
+/**
+ * Deletes the selected scenario
+ */
+function deleteSelectedScenario() {
+    const name = document.getElementById('matomo-scenario-select').value;
+    if (!name) return;
+
+    scenarios = scenarios.filter(scenario => scenario.name !== name);
+    saveScenarios();
+    renderScenarioOptions();
+    showScenarioStatus(`Scenario "${name}" deleted`);
+}
+
+/**
+ * Downloads the scenarios of the current site as JSON file
+ */
+function exportScenarios() {
+    if (scenarios.length === 0) {
+        showScenarioStatus('No scenarios saved for this site', true);
+        return;
+    }
+
+    const content = JSON.stringify({
+        hostname: window.location.hostname,
+        exportedAt: new Date().toISOString(),
+        scenarios: scenarios
+    }, null, 2);
+    downloadFile(content, `mtm-scenarios-${window.location.hostname || 'page'}.json`, 'application/json');
+}
+
+/**
+ * Imports scenarios from an exported scenarios file (merged by name)
+ * @param {File} file - Selected file
+ */
+function importScenariosFile(file) {
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text);
+            const imported = Array.isArray(data) ? data : data && data.scenarios;
+            if (!Array.isArray(imported)) {
+                throw new Error('No scenarios found in file');
+            }
+
+            const validated = imported.map(scenario => {
+                if (!scenario || typeof scenario.name !== 'string' || !scenario.name) {
+                    throw new Error('Every scenario needs a name');
+                }
+                return { name: scenario.name, ...validateScenarioDefinition(scenario) };
+            });
+
+            mergeScenarios(validated);
+            renderScenarioOptions();
+            showScenarioStatus(`${validated.length} scenario(s) imported`);
+        })
+        .catch(error => {
+            showScenarioStatus(`Import failed: ${error.message}`, true);
+        });
+}
+
+/**
+ * Sends captured events to the scenario run (kept by the service worker across navigations)
+ * @param {Array<Object>} events - Events from the event log
+ * @param {boolean} isUpdate - Whether the events were already sent and changed since (e.g. delayed tags)
+ */
+function recordScenarioEvents(events, isUpdate = false) {
+    chrome.runtime.sendMessage({
+        type: isUpdate ? 'updateScenarioEvents' : 'addScenarioEvents',
+        events: events.map(event => serializeEventForExport(event, eventLog.indexOf(event)))
+    }).catch(() => {
+        // Silent fail - the event is missing in the report and fails its expectations
+    });
+}
+
+/**
+ * Starts a run of the scenario in the editor against the current page and container
+ */
+function startScenarioRun() {
+    if (importedSession) {
+        showScenarioStatus('Exit replay mode to run scenarios', true);
+        return;
+    }
+    if (activeScenarioRun) {
+        showScenarioStatus('A scenario is already running', true);
+        return;
+    }
+
+    let scenario;
+    try {
+        scenario = readScenarioEditor();
+    } catch (error) {
+        showScenarioStatus(error.message, true);
+        return;
+    }
+    if (scenario.steps.length === 0) {
+        showScenarioStatus('Add at least one step', true);
+        return;
+    }
+
+    const run = { scenario, stepIndex: 0, startedAt: new Date().toISOString(), stepErrors: [], events: [] };
+    chrome.runtime.sendMessage({ type: 'updateScenarioRun', changes: run })
+        .then(response => {
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'no response');
+            }
+            activeScenarioRun = run;
+            lastScenarioReport = null;
+            document.getElementById('matomo-scenario-report').innerHTML = '';
+            runNextScenarioStep();
+        })
+        .catch(error => {
+            showScenarioStatus(`Scenario could not be started: ${error.message}`, true);
+        });
+}
+
+/**
+ * Records a failed step of the running scenario
+ * @param {string} message - Error description
+ */
+function addScenarioStepError(message) {
+    activeScenarioRun.stepErrors.push(message);
+    chrome.runtime.sendMessage({
+        type: 'updateScenarioRun',
+        changes: { stepErrors: activeScenarioRun.stepErrors }
+    }).catch(() => {
+        // Silent fail - the error is still shown if the run ends on this page
+    });
+}
+
+/**
+ * Executes the next step of the running scenario (finishes the run after the last step)
+ */
+function runNextScenarioStep() {
+    const run = activeScenarioRun;
+    if (!run) return;
+
+    if (run.stepIndex >= run.scenario.steps.length) {
+        finishScenarioRun();
+        return;
+    }
+
+    const step = run.scenario.steps[run.stepIndex];
+    run.stepIndex++;
+    showScenarioStatus(`Step ${run.stepIndex}/${run.scenario.steps.length}: ${step.type}`);
+
+    // Progress is stored before the step runs - navigate and click steps may unload the page
+    chrome.runtime.sendMessage({ type: 'updateScenarioRun', changes: { stepIndex: run.stepIndex } })
+        .then(() => executeScenarioStep(step, run.stepIndex))
+        .catch(() => {
+            addScenarioStepError(`Step ${run.stepIndex}: progress could not be stored`);
+            finishScenarioRun();
+        });
+}
+
+/**
+ * Executes a scenario step and schedules the next one
+ * @param {Object} step - Scenario step ({type, ...})
+ * @param {number} stepNumber - Step number (1-based)
+ */
+function executeScenarioStep(step, stepNumber) {
+    let wait = typeof step.wait === 'number' ? step.wait : PERFORMANCE.SCENARIO_STEP_WAIT;
+
+    switch (step.type) {
+        case 'navigate': {
+            // Stored runs are checked again - storage may hold runs of older versions
+            let url;
+            try {
+                url = resolveScenarioUrl(step.url);
+            } catch (error) {
+                addScenarioStepError(`Step ${stepNumber}: ${error.message}`);
+                break;
+            }
+            const isHashChange = url.href !== window.location.href &&
+                url.href.split('#')[0] === window.location.href.split('#')[0];
+
+            // The content script of the next page resumes the run (a hash change keeps this page)
+            if (url.href === window.location.href) {
+                window.location.reload();
+                return;
+            }
+            window.location.href = url.href;
+            if (!isHashChange) return;
+            break;
+        }
+
+        case 'push':
+            // Sent as JSON string - the page context receives a plain copy of the event
+            document.dispatchEvent(new CustomEvent('mtmPushEventRequest', {
+                detail: { target: step.target || '_mtm', json: JSON.stringify(step.data) },
+                bubbles: true
+            }));
+            break;
+
+        case 'click': {
+            const element = document.querySelector(step.selector);
+            if (element) {
+                element.click();
+            } else {
+                addScenarioStepError(`Step ${stepNumber}: no element matches "${step.selector}"`);
+            }
+            break;
+        }
+
+        case 'wait':
+            wait = step.ms;
+            break;
+    }
+
+    setTimeout(runNextScenarioStep, wait);
+}
+
+/**
+ * Continues a scenario run after one of its steps loaded this page
+ */
+function resumeScenarioRun() {
+    chrome.runtime.sendMessage({ type: 'getScenarioRun' })
+        .then(response => {
+            if (!response || !response.success || !response.run || !response.run.scenario) return;
+
+            // Events of this page captured before the run was known
+            const pageEvents = eventLog.filter(event => event.pageLoadId === PAGE_LOAD_ID);
+            if (pageEvents.length > 0) {
+                recordScenarioEvents(pageEvents);
+            }
+
+            activeScenarioRun = { ...response.run, stepErrors: response.run.stepErrors || [] };
+            delete activeScenarioRun.events;
+            showOverlay();
+            setTimeout(runNextScenarioStep, PERFORMANCE.SCENARIO_PAGE_LOAD_WAIT);
+        })
+        .catch(() => {
+            // Silent fail - no scenario is running in this tab
+        });
+}
+
+/**
+ * Ends the running scenario and evaluates its expectations against the captured events
+ */
+function finishScenarioRun() {
+    const scenario = activeScenarioRun.scenario;
+    const localStepErrors = activeScenarioRun.stepErrors;
+    activeScenarioRun = null;
+
+    chrome.runtime.sendMessage({ type: 'clearScenarioRun' })
+        .catch(() => null)
+        .then(response => {
+            const run = response && response.run ? response.run : {};
+            const events = run.events || [];
+            const stepErrors = run.stepErrors || localStepErrors;
+            const results = evaluateScenarioExpectations(scenario, events);
+
+            lastScenarioReport = {
+                scenarioName: scenario.name,
+                finishedAt: new Date().toISOString(),
+                eventCount: events.length,
+                stepErrors: stepErrors,
+                results: results,
+                passed: stepErrors.length === 0 && results.every(result => result.passed)
+            };
+
+            console.log(`MTM Monitor: Scenario "${scenario.name}" ${lastScenarioReport.passed ? 'passed' : 'failed'}`, lastScenarioReport);
+            showOverlay();
+            renderScenarioReport();
+        });
+}
+
+/**
+ * Shows the report of the last scenario run in the scenarios panel
+ */
+function renderScenarioReport() {
+    const scenariosPanel = document.getElementById('matomo-scenarios');
+    if (!scenariosPanel || !lastScenarioReport) return;
+
+    document.getElementById('matomo-scenario-report').innerHTML = generateScenarioReportHtml(lastScenarioReport);
+    scenariosPanel.classList.add('visible');
+    showScenarioStatus('');
+}
+
+/**
+ * Sets up the regression scenarios panel
+ */
+function setupScenarios() {
+    const scenariosPanel = document.getElementById('matomo-scenarios');
+    const scenarioInput = document.getElementById('matomo-scenario-input');
+    if (!scenariosPanel || !scenarioInput) return;
+
+    scenariosPanel.addEventListener('click', function(e) {
+        if (e.target.closest('#matomo-scenario-close')) {
+            scenariosPanel.classList.remove('visible');
+        } else if (e.target.closest('#matomo-scenario-add-page')) {
+            appendToScenarioDefinition('steps', { type: 'navigate', url: window.location.href });
+        } else if (e.target.closest('#matomo-scenario-add-push')) {
+            addScenarioPushStep();
+        } else if (e.target.closest('#matomo-scenario-add-click')) {
+            pickScenarioClickStep();
+        } else if (e.target.closest('#matomo-scenario-add-expectation')) {
+            addScenarioExpectation();
+        } else if (e.target.closest('#matomo-scenario-run')) {
+            startScenarioRun();
+        } else if (e.target.closest('#matomo-scenario-save')) {
+            saveCurrentScenario();
+        } else if (e.target.closest('#matomo-scenario-delete')) {
+            deleteSelectedScenario();
+        } else if (e.target.closest('#matomo-scenario-export')) {
+            exportScenarios();
+        } else if (e.target.closest('#matomo-scenario-import')) {
+            scenarioInput.click();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
+
+    document.getElementById('matomo-scenario-select').addEventListener('change', function(e) {
+        applyScenario(e.target.value);
+    });
+
+    scenarioInput.addEventListener('change', function() {
+        if (scenarioInput.files && scenarioInput.files[0]) {
+            importScenariosFile(scenarioInput.files[0]);
+        }
+        scenarioInput.value = '';
+    });
+
+    loadScenarios();
+
+    // The overlay may be created while a run is in progress or after it finished
+    if (activeScenarioRun) {
+        scenariosPanel.classList.add('visible');
+        showScenarioStatus(`Step ${activeScenarioRun.stepIndex}/${activeScenarioRun.scenario.steps.length} running...`);
+    }
+    renderScenarioReport();
+}
+
+// =============================================================================
+// MTM DEBUG FRAME MANAGEMENT
+// =============================================================================
+
+/**
+ * Toggles MTM debug frame visibility manually
+ */
+function toggleMTMFrameManually() {
+    chrome.storage.sync.get({ hideMTMFrame: false }, function(config) {
+        const newHideState = !config.hideMTMFrame;
+
+        chrome.storage.sync.set({ hideMTMFrame: newHideState }, function() {
+            setupMTMFrameHiding(newHideState);
+            updateMTMFrameButton(newHideState);
+        });
+    });
+}
+
+/**
+ * Updates MTM frame button appearance
+ * @param {boolean} isHidden - Whether frame is hidden
+ */
+function updateMTMFrameButton(isHidden) {
+    const mtmFrameBtn = document.getElementById('matomo-mtm-frame-btn');
+    if (mtmFrameBtn) {
+        mtmFrameBtn.textContent = isHidden ? '👁️' : '🙈';
+        mtmFrameBtn.title = isHidden ? 'Show MTM Debug Frame' : 'Hide MTM Debug Frame';
+        mtmFrameBtn.classList.toggle('hidden-state', isHidden);
+    }
+}
+
+/**
+ * Sets up MTM debug frame hiding/showing
+ * @param {boolean} hide - Whether to hide the frame
+ */
+function setupMTMFrameHiding(hide) {
+    shouldHideMTMFrame = hide;
+
+    hideMTMFrameIfExists();
+
+    if (hide) {
+        startMTMFrameObserver();
+    } else {
         stopMTMFrameObserver();
         showMTMFrameIfExists();
     }
 }
 
 /**
- * Hides MTM debug frame if it exists
- * @returns {boolean} True if frame was found and hidden
+ * Hides MTM debug frame if it exists
+ * @returns {boolean} True if frame was found and hidden
+ */
+function hideMTMFrameIfExists() {
+    const mtmFrame = document.getElementById('mtmDebugFrame') ||
+                     document.querySelector('iframe.mtmStickyBottom') ||
+                     document.querySelector('iframe[id*="mtm"]') ||
+                     document.querySelector('iframe[src*="about:blank"]');
+
+    if (mtmFrame && shouldHideMTMFrame) {
+        mtmFrame.style.setProperty('height', '0px', 'important');
+        mtmFrame.style.setProperty('display', 'none', 'important');
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Shows MTM debug frame if it exists
+ */
+function showMTMFrameIfExists() {
+    const mtmFrame = document.getElementById('mtmDebugFrame') ||
+                     document.querySelector('iframe.mtmStickyBottom');
+
+    if (mtmFrame) {
+        mtmFrame.style.removeProperty('display');
+        mtmFrame.style.setProperty('height', '33vh', 'important');
+    }
+}
+
+/**
+ * Starts observing for MTM debug frame creation
+ */
+function startMTMFrameObserver() {
+    if (mtmFrameObserver) return;
+
+    mtmFrameObserver = new MutationObserver(function(mutations) {
+        mutations.forEach(function(mutation) {
+            mutation.addedNodes.forEach(function(node) {
+                if (node.nodeName === 'IFRAME' &&
+                    (node.id === 'mtmDebugFrame' ||
+                     node.className?.includes('mtmStickyBottom') ||
+                     node.src === 'about:blank')) {
+                    setTimeout(() => hideMTMFrameIfExists(), 100);
+                }
+            });
+        });
+    });
+
+    mtmFrameObserver.observe(document.body, {
+        childList: true,
+        subtree: true
+    });
+}
+
+/**
+ * Stops observing for MTM debug frame creation
+ */
+function stopMTMFrameObserver() {
+    if (mtmFrameObserver) {
+        mtmFrameObserver.disconnect();
+        mtmFrameObserver = null;
+    }
+}
+
+// =============================================================================
+// EVENT DISPLAY AND FORMATTING
+// =============================================================================
+
+/**
+ * Gets the displayed events after filtering (newest first)
+ * @returns {{events: Array<Object>, totalCount: number, eventNumbers: Map<*, number>|null}} Filtered events,
+ *          number of displayed events and event numbers (only needed if events were filtered out)
+ */
+function getFilteredEventList() {
+    const displayedEvents = getDisplayedEvents();
+    const events = filterEvents(displayedEvents, eventFilter).slice().reverse(); // Newest first
+
+    // Filtered events keep their position in the event log as event number
+    const eventNumbers = events.length !== displayedEvents.length ?
+        new Map(displayedEvents.map((event, index) => [event.id, index])) : null;
+
+    return { events: events, totalCount: displayedEvents.length, eventNumbers: eventNumbers };
+}
+
+/**
+ * Gets a key for the containers shown in the footer
+ * @returns {string} Container IDs and their number of triggers
+ */
+function getContainerFooterKey() {
+    return getKnownContainerInfo()
+        .map(container => `${container.id}:${container.triggers ? container.triggers.length : '-'}`)
+        .join('|');
+}
+
+/**
+ * Renders the frame of the events list; the event rows are added by the windowed list view
+ * @param {Object} eventList - Result of getFilteredEventList()
+ * @returns {string} HTML string for events list
+ */
+function renderEvents(eventList) {
+    const containers = getKnownContainerInfo();
+
+    let eventsHtml = importedSession ? renderReplayBannerHTML() : '';
+    let containerInfoHtml = '';
+
+    if (eventList.totalCount > 0 && eventList.events.length === 0) {
+        eventsHtml += `
+            <div class="matomo-filter-empty">
+                No events match the current filter
+            </div>
+        `;
+    }
+
+    eventsHtml += '<div id="matomo-event-rows" class="matomo-event-rows"></div>';
+
+    // Add container info at the bottom (only once)
+    if (containers.length > 0) {
+        const containerStatsHtml = containers.map(container => `
+                <div class="container-stats-footer">
+                    📦 Container ${escapeHtml(String(container.id))}: ${container.triggers ?
+                        `${container.triggers.length} triggers, ${container.tags?.length || 0} tags available` :
+                        `version ${escapeHtml(String(container.versionName ?? '-'))}, revision ${escapeHtml(String(container.revision ?? '-'))}`}
+                    ${container.environment ? ` (${escapeHtml(container.environment)})` : ''}
+                    ${container.frameOrigin ? ` 🪟 in frame ${escapeHtml(container.frameOrigin)}` : ''}
+                </div>
+        `).join('');
+
+        // Container filter is only useful with more than one container
+        const containerFilterHtml = containers.length > 1 ? `
+                <div class="container-filter-footer">
+                    <label for="matomo-container-filter">Show triggers/tags of:</label>
+                    <select id="matomo-container-filter" class="matomo">
+                        <option value="" ${!activeContainerFilter ? 'selected' : ''}>All containers</option>
+                        ${containers.map(container => `
+                            <option value="${escapeHtml(String(container.id))}" ${activeContainerFilter === container.id ? 'selected' : ''}>${escapeHtml(String(container.id))}</option>
+                        `).join('')}
+                    </select>
+                </div>
+        ` : '';
+
+        containerInfoHtml = `
+            <div class="container-info-footer">
+                ${containerStatsHtml}
+                ${containerFilterHtml}
+            </div>
+        `;
+    }
+
+    return eventsHtml + containerInfoHtml;
+}
+
+/**
+ * Renders the banner shown above imported (read-only) sessions
+ * @returns {string} HTML string for the replay banner
+ */
+function renderReplayBannerHTML() {
+    const page = importedSession.page || {};
+
+    return `
+        <div class="matomo-replay-banner">
+            <div class="replay-info">
+                <strong>📂 Imported session (read-only)</strong>
+                <small>${escapeHtml(importedSession.fileName || '')}</small>
+                <small>${escapeHtml(page.url || 'Unknown page')}${importedSession.exportedAt ? ` | exported ${escapeHtml(new Date(importedSession.exportedAt).toLocaleString())}` : ''}</small>
+            </div>
+            <button id="matomo-exit-replay-btn" class="matomo" title="Back to live events">Exit replay</button>
+        </div>
+    `;
+}
+
+/**
+ * Updates the main overlay display
+ */
+function updateOverlay() {
+    if (!overlay) {
+        createOverlay();
+        return;
+    }
+
+    const eventListEl = document.getElementById('matomo-event-list');
+    if (!eventListEl) {
+        return;
+    }
+
+    const eventList = getFilteredEventList();
+
+    eventListEl.innerHTML = renderEvents(eventList);
+    renderedContainerKey = getContainerFooterKey();
+
+    updateAutoScrollButton();
+    updateDuplicateCounter();
+    updateFilterCount(eventList.events.length, eventList.totalCount);
+    updateFrameFilterOptions();
+    updateIssuesList();
+    refreshContainerInventory();
+    refreshSessionComparison();
+
+    if (autoScrollEnabled && eventList.totalCount > 0) {
+        eventListEl.scrollTop = 0;
+    }
+
+    if (!eventListView || eventListView.scrollEl !== eventListEl) {
+        eventListView = createEventListView(eventListEl);
+    }
+
+    setEventListViewEvents(eventListView, document.getElementById('matomo-event-rows'), {
+        events: eventList.events,
+        totalLength: eventList.totalCount,
+        currentPageLoadId: PAGE_LOAD_ID,
+        eventNumbers: eventList.eventNumbers,
+        windowed: isEventListVirtualized()
+    });
+}
+
+/**
+ * Adds a newly captured event to the overlay as a single row (falls back to a full update)
+ * @param {Object} eventData - Event that was just added to the event log
+ * @param {boolean} logTrimmed - Whether old events were removed from the event log
+ */
+function addEventToOverlay(eventData, logTrimmed) {
+    const eventListEl = document.getElementById('matomo-event-list');
+    const rowsEl = document.getElementById('matomo-event-rows');
+
+    // Event numbers shift when the log is trimmed or the event is not the newest one;
+    // the frame (empty state, footer) changes with the first row or new containers
+    const canAddRow = eventListView && rowsEl && eventListView.rowsEl === rowsEl &&
+        !importedSession && !logTrimmed &&
+        eventLog[eventLog.length - 1] === eventData &&
+        eventListView.events.length > 0 &&
+        eventListView.windowed === isEventListVirtualized() &&
+        renderedContainerKey === getContainerFooterKey();
+
+    if (!canAddRow) {
+        updateOverlay();
+        return;
+    }
+
+    if (matchesEventFilter(eventData, eventFilter)) {
+        prependEventToListView(eventListView, eventData, eventLog.length - 1);
+    } else if (eventListView.eventNumbers === null) {
+        // First filtered-out event: rendered event numbers must come from the event log from now on
+        updateOverlay();
+        return;
+    }
+
+    updateAutoScrollButton();
+    updateDuplicateCounter();
+    updateFilterCount(eventListView.events.length, eventLog.length);
+    updateIssuesList();
+    refreshContainerInventory();
+    refreshSessionComparison();
+    if (!isFrameInFilterOptions(eventData)) {
+        updateFrameFilterOptions();
+    }
+
+    if (autoScrollEnabled) {
+        eventListEl.scrollTop = 0;
+    }
+}
+
+/**
+ * Cleans up old expanded states
+ */
+function cleanupExpandedStates() {
+    const currentEventIds = new Set();
+    eventLog.forEach(event => {
+        currentEventIds.add(`event-${event.id}`);
+    });
+
+    Object.keys(expandedStates).forEach(eventId => {
+        // Sub-sections and tabs (e.g. "event-123-not-fired") belong to their parent event
+        const parentEventId = eventId.replace(/-(not-fired|tab)$/, '');
+        if (!currentEventIds.has(parentEventId)) {
+            delete expandedStates[eventId];
+        }
+    });
+}
+
+// =============================================================================
+// OVERLAY CONTROL FUNCTIONS
+// =============================================================================
+
+/**
+ * Shows the overlay
+ */
+function showOverlay() {
+    if (!overlay) createOverlay();
+    overlay.style.display = 'block';
+    isOverlayVisible = true;
+}
+
+/**
+ * Hides the overlay
+ */
+function hideOverlay() {
+    if (overlay) {
+        overlay.style.display = 'none';
+        isOverlayVisible = false;
+        hideConfigPanel();
+    }
+}
+
+/**
+ * Shows a status message at the bottom of the overlay (hidden again after a few seconds)
+ * @param {string} message - Status message
+ * @param {boolean} isError - Whether the message describes an error
+ */
+function showOverlayStatus(message, isError = false) {
+    const statusEl = document.getElementById('matomo-overlay-status');
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+    statusEl.hidden = false;
+
+    clearTimeout(overlayStatusTimeout);
+    overlayStatusTimeout = setTimeout(() => {
+        statusEl.hidden = true;
+    }, PERFORMANCE.STATUS_MESSAGE_DURATION);
+}
+
+/**
+ * Toggles auto-scroll functionality
+ */
+function toggleAutoScroll() {
+    autoScrollEnabled = !autoScrollEnabled;
+    updateAutoScrollButton();
+}
+
+/**
+ * Clears all events from the log
+ */
+function clearEvents() {
+    // Imported sessions are read-only - clearing only leaves the replay
+    if (importedSession) {
+        exitReplayMode();
+        return;
+    }
+
+    eventLog = [];
+    hideVariableTimeline();
+    frameContainerInfo.clear();
+    pendingTrackingRequests = [];
+    expandedStates = {};
+    suppressedDuplicates = 0;
+    isVirtualized = false;
+    updateOverlay();
+    updateBadgeCounter();
+
+    chrome.runtime.sendMessage({
+        type: 'clearBadge'
+    }).catch(() => {
+        // Silent fail - badge clear is not critical
+    });
+
+    if (preserveLogEnabled) {
+        // Clearing frees the storage - preserving starts again
+        preserveLogError = null;
+        updatePreserveLogWarning();
+        chrome.runtime.sendMessage({
+            type: 'clearPreservedEvents'
+        }).catch(() => {
+            // Silent fail - preserved events are cleared with the tab anyway
+        });
+    }
+
+    if (devtoolsPanelConnected) {
+        notifyDevtoolsPanel({ type: 'eventsCleared' });
+    }
+}
+
+/**
+ * Updates auto-scroll button appearance
+ */
+function updateAutoScrollButton() {
+    const btn = document.getElementById('matomo-autoscroll-btn');
+    if (btn) {
+        if (autoScrollEnabled) {
+            btn.textContent = '🔄';
+            btn.className = 'auto-scroll-btn active';
+            btn.title = 'Auto-scroll is active (click to pause)';
+        } else {
+            btn.textContent = '⏸️';
+            btn.className = 'auto-scroll-btn paused';
+            btn.title = 'Auto-scroll is paused (click to activate)';
+        }
+    }
+}
+
+/**
+ * Makes an element draggable
+ * @param {HTMLElement} element - Element to make draggable
+ * @param {HTMLElement} handle - Handle element for dragging
+ */
+function makeDraggable(element, handle) {
+    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
+
+    handle.onmousedown = dragMouseDown;
+
+    function dragMouseDown(e) {
+        e = e || window.event;
+        e.preventDefault();
+        pos3 = e.clientX;
+        pos4 = e.clientY;
+        document.onmouseup = closeDragElement;
+        document.onmousemove = elementDrag;
+    }
+
+    function elementDrag(e) {
+        e = e || window.event;
+        e.preventDefault();
+        pos1 = pos3 - e.clientX;
+        pos2 = pos4 - e.clientY;
+        pos3 = e.clientX;
+        pos4 = e.clientY;
+        element.style.top = (element.offsetTop - pos2) + "px";
+        element.style.left = (element.offsetLeft - pos1) + "px";
+    }
+
+    function closeDragElement() {
+        document.onmouseup = null;
+        document.onmousemove = null;
+    }
+}
+
+// =============================================================================
+// EVENT LIST FILTER
+// =============================================================================
+
+/**
+ * Gets the storage key of the event filter for the current site
+ * @returns {string} Storage key
+ */
+function getEventFilterKey() {
+    return `${EVENT_FILTER_PREFIX}${window.location.hostname}`;
+}
+
+/**
+ * Loads the persisted event filter of the current site
+ */
+function loadEventFilter() {
+    const key = getEventFilterKey();
+    chrome.storage.local.get({ [key]: null }, function(items) {
+        const stored = items[key];
+        if (stored) {
+            eventFilter = {
+                ...DEFAULT_EVENT_FILTER,
+                ...stored,
+                sources: { ...DEFAULT_EVENT_FILTER.sources, ...(stored.sources || {}) }
+            };
+        }
+
+        syncFilterBarInputs();
+        if (overlay) {
+            updateOverlay();
+        }
+    });
+}
+
+/**
+ * Persists the event filter for the current site
+ */
+function saveEventFilter() {
+    chrome.storage.local.set({ [getEventFilterKey()]: eventFilter }).catch(() => {
+        // Silent fail - filter is still applied for this page
+    });
+}
+
+/**
+ * Applies a filter change, persists it and re-renders the list
+ * @param {Object} changes - Changed filter properties
+ */
+function updateEventFilter(changes) {
+    eventFilter = {
+        ...eventFilter,
+        ...changes,
+        sources: { ...eventFilter.sources, ...(changes.sources || {}) }
+    };
+    saveEventFilter();
+    syncFilterBarInputs();
+    updateOverlay();
+}
+
+/**
+ * Writes the event filter into the filter bar inputs
+ */
+function syncFilterBarInputs() {
+    const textInput = document.getElementById('matomo-filter-text');
+    const triggerTagInput = document.getElementById('matomo-filter-trigger-tag');
+    const firedTagsInput = document.getElementById('matomo-filter-fired-tags');
+    const frameSelect = document.getElementById('matomo-filter-frame');
+    const resetBtn = document.getElementById('matomo-filter-reset');
+
+    if (textInput && textInput.value !== eventFilter.text) textInput.value = eventFilter.text;
+    if (frameSelect) frameSelect.value = eventFilter.frame;
+    if (triggerTagInput && triggerTagInput.value !== eventFilter.triggerOrTag) triggerTagInput.value = eventFilter.triggerOrTag;
+    if (firedTagsInput) firedTagsInput.checked = eventFilter.onlyFiredTags;
+    if (resetBtn) resetBtn.disabled = !isEventFilterActive(eventFilter);
+
+    document.querySelectorAll('#matomo-filter-bar [data-filter-source]').forEach(input => {
+        input.checked = eventFilter.sources[input.getAttribute('data-filter-source')] !== false;
+    });
+}
+
+/**
+ * Fills the frame filter with the frames that sent events (hidden while all events come from the top frame)
+ */
+function updateFrameFilterOptions() {
+    const frameSelect = document.getElementById('matomo-filter-frame');
+    if (!frameSelect) return;
+
+    const frames = new Map();
+    getDisplayedEvents().forEach(event => {
+        const frameKey = getEventFrameKey(event);
+        if (frameKey !== 'top' && !frames.has(frameKey)) {
+            frames.set(frameKey, event.frame.url || frameKey);
+        }
+    });
+
+    // Keep a persisted frame selection visible even if that frame has not sent events yet
+    if (eventFilter.frame && eventFilter.frame !== 'top' && !frames.has(eventFilter.frame)) {
+        frames.set(eventFilter.frame, eventFilter.frame);
+    }
+
+    frameSelect.hidden = frames.size === 0 && !eventFilter.frame;
+    frameSelect.innerHTML = `
+        <option value="">All frames</option>
+        <option value="top">Top frame</option>
+        ${Array.from(frames.entries()).map(([frameKey, frameUrl]) => `
+            <option value="${escapeHtml(frameKey)}" title="${escapeHtml(frameUrl)}">🪟 ${escapeHtml(frameKey)}</option>
+        `).join('')}
+    `;
+    frameSelect.value = eventFilter.frame;
+}
+
+/**
+ * Checks whether the frame filter already offers the frame of an event
+ * @param {Object} event - Event data
+ * @returns {boolean} True if the frame is listed
  */
-function hideMTMFrameIfExists() {
-    const mtmFrame = document.getElementById('mtmDebugFrame') ||
-                     document.querySelector('iframe.mtmStickyBottom') ||
-                     document.querySelector('iframe[id*="mtm"]') ||
-                     document.querySelector('iframe[src*="about:blank"]');
+function isFrameInFilterOptions(event) {
+    const frameSelect = document.getElementById('matomo-filter-frame');
+    const frameKey = getEventFrameKey(event);
+    return !frameSelect || frameKey === 'top' ||
+        Array.from(frameSelect.options).some(option => option.value === frameKey);
+}
 
-    if (mtmFrame && shouldHideMTMFrame) {
-        mtmFrame.style.setProperty('height', '0px', 'important');
-        mtmFrame.style.setProperty('display', 'none', 'important');
-        return true;
+/**
+ * Shows the number of matching events in the filter bar
+ * @param {number} matchCount - Number of events matching the filter
+ * @param {number} totalCount - Number of events in the list
+ */
+function updateFilterCount(matchCount, totalCount) {
+    const countEl = document.getElementById('matomo-filter-count');
+    if (countEl) {
+        countEl.textContent = isEventFilterActive(eventFilter) ? `${matchCount} / ${totalCount}` : '';
     }
-    return false;
 }
 
 /**
- * Shows MTM debug frame if it exists
+ * Sets up the filter bar inputs
  */
-function showMTMFrameIfExists() {
-    const mtmFrame = document.getElementById('mtmDebugFrame') ||
-                     document.querySelector('iframe.mtmStickyBottom');
+function setupFilterBar() {
+    const textInput = document.getElementById('matomo-filter-text');
+    const triggerTagInput = document.getElementById('matomo-filter-trigger-tag');
+    const firedTagsInput = document.getElementById('matomo-filter-fired-tags');
+    const frameSelect = document.getElementById('matomo-filter-frame');
+    const resetBtn = document.getElementById('matomo-filter-reset');
+    let inputTimeout = null;
+
+    /**
+     * Re-renders after typing has paused
+     * @param {Object} changes - Changed filter properties
+     */
+    const updateAfterInput = (changes) => {
+        clearTimeout(inputTimeout);
+        inputTimeout = setTimeout(() => updateEventFilter(changes), FILTER_INPUT_DELAY);
+    };
 
-    if (mtmFrame) {
-        mtmFrame.style.removeProperty('display');
-        mtmFrame.style.setProperty('height', '33vh', 'important');
+    if (textInput) {
+        textInput.addEventListener('input', () => updateAfterInput({ text: textInput.value.trim() }));
+    }
+    if (triggerTagInput) {
+        triggerTagInput.addEventListener('input', () => updateAfterInput({ triggerOrTag: triggerTagInput.value.trim() }));
+    }
+    if (firedTagsInput) {
+        firedTagsInput.addEventListener('change', () => updateEventFilter({ onlyFiredTags: firedTagsInput.checked }));
+    }
+    if (frameSelect) {
+        frameSelect.addEventListener('change', () => updateEventFilter({ frame: frameSelect.value }));
+    }
+    if (resetBtn) {
+        resetBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            updateEventFilter(JSON.parse(JSON.stringify(DEFAULT_EVENT_FILTER)));
+        });
     }
+
+    document.querySelectorAll('#matomo-filter-bar [data-filter-source]').forEach(input => {
+        input.addEventListener('change', () => {
+            updateEventFilter({ sources: { [input.getAttribute('data-filter-source')]: input.checked } });
+        });
+    });
+
+    syncFilterBarInputs();
 }
 
+// =============================================================================
+// PRESERVED EVENT LOG
+// =============================================================================
+
 /**
- * Starts observing for MTM debug frame creation
+ * Sends an event to the service worker to keep it across page navigations
+ * @param {Object} event - Event from the event log
+ * @param {number} index - Position in the event log
+ * @param {boolean} isUpdate - Whether the event is already preserved and changed since (replaced by ID)
  */
-function startMTMFrameObserver() {
-    if (mtmFrameObserver) return;
+function preserveEventInTab(event, index, isUpdate = false) {
+    if (preserveLogError) return;
 
-    mtmFrameObserver = new MutationObserver(function(mutations) {
-        mutations.forEach(function(mutation) {
-            mutation.addedNodes.forEach(function(node) {
-                if (node.nodeName === 'IFRAME' &&
-                    (node.id === 'mtmDebugFrame' ||
-                     node.className?.includes('mtmStickyBottom') ||
-                     node.src === 'about:blank')) {
-                    setTimeout(() => hideMTMFrameIfExists(), 100);
+    chrome.runtime.sendMessage({
+        type: isUpdate ? 'updatePreservedEvent' : 'preserveEvent',
+        event: serializeEventForPreservation(event, index)
+    }).then(response => {
+        if (response && response.success === false) {
+            stopPreservingEvents(response.error);
+        }
+    }).catch(error => {
+        stopPreservingEvents(error.message);
+    });
+}
+
+/**
+ * Creates the preserved copy of an event - full snapshots (dataLayer model, resolved
+ * variables) stay with the page they were captured on
+ * @param {Object} event - Event from the event log
+ * @param {number} index - Position in the event log
+ * @returns {Object} Serialized event
+ */
+function serializeEventForPreservation(event, index) {
+    const serialized = serializeEventForExport(event, index);
+    serialized.dataLayerState = null;
+    serialized.containerInfo = serialized.containerInfo.map(container => ({ ...container, resolvedVariables: null }));
+    if (serialized.details) {
+        serialized.rawData = null;
+    }
+    return serialized;
+}
+
+/**
+ * Stops preserving events after a failed write and shows why
+ * @param {string} reason - Error reported by the service worker
+ */
+function stopPreservingEvents(reason) {
+    if (preserveLogError) return;
+
+    preserveLogError = reason || 'unknown error';
+    console.log('MTM Monitor: Preserve log stopped:', preserveLogError);
+    updatePreserveLogWarning();
+    showOverlayStatus(`Preserve log stopped - new events are only kept for this page (${preserveLogError})`, true);
+}
+
+/**
+ * Shows the preserve log warning in the overlay header while preserving is stopped
+ */
+function updatePreserveLogWarning() {
+    const warningEl = document.getElementById('matomo-preserve-warning');
+    if (!warningEl) return;
+
+    warningEl.hidden = !preserveLogError;
+    warningEl.title = preserveLogError ?
+        `Preserve log stopped: ${preserveLogError}. Clear the events to preserve again.` : '';
+}
+
+/**
+ * Restores events of previous pages in this tab ("preserve log" mode)
+ */
+function restorePreservedEvents() {
+    chrome.storage.sync.get({ preserveLog: false }, function(config) {
+        preserveLogEnabled = config.preserveLog;
+        if (!preserveLogEnabled) return;
+
+        chrome.runtime.sendMessage({ type: 'getPreservedEvents' })
+            .then(response => {
+                if (!response || !response.success || !Array.isArray(response.events) || response.events.length === 0) {
+                    return;
+                }
+
+                const knownIds = new Set(eventLog.map(event => event.id));
+                const restoredEvents = response.events.filter(event => !knownIds.has(event.id));
+
+                eventLog = restoredEvents.concat(eventLog);
+                eventLog.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                cleanupEventLog();
+                checkVirtualization();
+
+                if (overlay) {
+                    updateOverlay();
                 }
+                updateBadgeCounter();
+            })
+            .catch(() => {
+                // Silent fail - previous events are not critical
             });
+    });
+}
+
+// =============================================================================
+// SESSION EXPORT
+// =============================================================================
+
+/**
+ * Reduces container info of an event to the exportable parts (no live trigger/tag objects)
+ * @param {Array<Object>} containerInfo - Container info of an event
+ * @returns {Array<Object>} Exportable container info
+ */
+function serializeContainerInfoForExport(containerInfo) {
+    return (containerInfo || []).map(container => ({
+        id: container.id,
+        versionName: container.versionName,
+        revision: container.revision,
+        environment: container.environment,
+        resolvedVariables: container.resolvedVariables || null,
+        changedVariables: container.changedVariables || null
+    }));
+}
+
+/**
+ * Creates an exportable copy of a logged event
+ * @param {Object} event - Event from the event log
+ * @param {number} index - Position in the event log (event number)
+ * @returns {Object} Exportable event
+ */
+function serializeEventForExport(event, index) {
+    return {
+        number: index,
+        id: event.id,
+        timestamp: event.timestamp,
+        timestampSource: event.timestampSource || null,
+        eventName: event.eventName,
+        source: event.source,
+        isHistorical: event.isHistorical || false,
+        arrayIndex: event.arrayIndex !== undefined ? event.arrayIndex : null,
+        pageUrl: event.pageUrl || null,
+        pageLoadId: event.pageLoadId || null,
+        frame: event.frame || null,
+        eventSequence: typeof event.eventSequence === 'number' ? event.eventSequence : null,
+        details: event.details || null,
+        rawData: event.rawData !== undefined ? event.rawData : null,
+        firedTags: event.firedTags || [],
+        trackingRequests: event.trackingRequests || [],
+        planViolations: event.planViolations || null,
+        dataLayerState: event.dataLayerState || null,
+        triggerAnalysis: event.triggerAnalysis || null,
+        containerInfo: serializeContainerInfoForExport(event.containerInfo)
+    };
+}
+
+/**
+ * Builds the complete session object for export
+ * @returns {Object} Session with page, container and event data
+ */
+function buildSessionExport() {
+    return {
+        format: 'mtm-monitor-session',
+        formatVersion: 1,
+        extensionVersion: chrome.runtime.getManifest().version,
+        exportedAt: new Date().toISOString(),
+        page: {
+            url: window.location.href,
+            title: document.title
+        },
+        containers: getKnownContainerInfo().map(container => ({
+            id: container.id,
+            versionName: container.versionName,
+            revision: container.revision,
+            environment: container.environment,
+            debugMode: !!container.debugMode,
+            tags: container.tags || null,
+            triggers: container.triggers || null,
+            variables: container.variables || null
+        })),
+        suppressedDuplicates: suppressedDuplicates,
+        coverage: computeSessionCoverage(getKnownContainerInfo(), eventLog),
+        events: eventLog.map(serializeEventForExport)
+    };
+}
+
+/**
+ * Converts a session into a HAR-like log (one entry per event)
+ * @param {Object} session - Session from buildSessionExport()
+ * @returns {Object} HAR-like object
+ */
+function convertSessionToHar(session) {
+    const pageId = 'page_1';
+
+    return {
+        log: {
+            version: '1.2',
+            creator: {
+                name: 'MTM Event Monitor',
+                version: session.extensionVersion
+            },
+            pages: [{
+                startedDateTime: session.events.length > 0 ? session.events[0].timestamp : session.exportedAt,
+                id: pageId,
+                title: session.page.url,
+                pageTimings: {},
+                _containers: session.containers,
+                _coverage: session.coverage
+            }],
+            entries: session.events.map(event => ({
+                pageref: pageId,
+                startedDateTime: event.timestamp,
+                time: 0,
+                _timestampSource: event.timestampSource,
+                _eventNumber: event.number,
+                _eventName: event.eventName,
+                _source: event.source,
+                _isHistorical: event.isHistorical,
+                _frame: event.frame,
+                _trackingRequests: event.trackingRequests,
+                _planViolations: event.planViolations,
+                _dataLayerState: event.dataLayerState,
+                _details: event.details,
+                _triggerAnalysis: event.triggerAnalysis,
+                _containerInfo: event.containerInfo
+            }))
+        }
+    };
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} Escaped CSV cell
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a session into a CSV with one row per fired tag
+ * @param {Object} session - Session from buildSessionExport()
+ * @returns {string} CSV content
+ */
+function convertSessionToCsv(session) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    session.events.forEach(event => {
+        const firedTags = event.triggerAnalysis ? event.triggerAnalysis.firedTags || [] : [];
+
+        firedTags.forEach(tag => {
+            const tagObject = typeof tag === 'string' ? { name: tag } : tag;
+            const row = {
+                eventNumber: event.number,
+                eventTimestamp: event.timestamp,
+                eventName: event.eventName,
+                source: event.source,
+                containerId: tagObject.containerId,
+                tagName: tagObject.name,
+                triggerName: tagObject.trigger,
+                tagTimestamp: tagObject.timestamp,
+                tagStatus: tagObject.status || 'fired'
+            };
+            rows.push(CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
         });
     });
 
-    mtmFrameObserver.observe(document.body, {
-        childList: true,
-        subtree: true
+    return rows.join('\r\n');
+}
+
+/**
+ * Converts the coverage of a session to CSV (one row per tag and trigger)
+ * @param {Object} session - Session export
+ * @returns {string} CSV content
+ */
+function convertCoverageToCsv(session) {
+    const rows = [COVERAGE_CSV_COLUMNS.join(',')];
+
+    (session.coverage || []).filter(container => container.debugMode).forEach(container => {
+        ['tags', 'triggers'].forEach(itemType => {
+            container[itemType].items.forEach(item => {
+                const row = {
+                    containerId: container.id,
+                    itemType: itemType === 'tags' ? 'tag' : 'trigger',
+                    itemId: item.id,
+                    name: item.name,
+                    type: item.type,
+                    count: item.count,
+                    firstTime: item.firstTime,
+                    lastTime: item.lastTime
+                };
+                rows.push(COVERAGE_CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+            });
+        });
     });
+
+    return rows.join('\r\n');
 }
 
 /**
- * Stops observing for MTM debug frame creation
+ * Triggers a file download from the page
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
  */
-function stopMTMFrameObserver() {
-    if (mtmFrameObserver) {
-        mtmFrameObserver.disconnect();
-        mtmFrameObserver = null;
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Exports the captured session as file download
+ * @param {string} format - Export format (json, har or csv)
+ */
+function exportSession(format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) return;
+
+    const session = buildSessionExport();
+    let content;
+
+    try {
+        if (format === 'csv') {
+            content = convertSessionToCsv(session);
+        } else if (format === 'coverage') {
+            content = convertCoverageToCsv(session);
+        } else if (format === 'har') {
+            content = JSON.stringify(convertSessionToHar(session), null, 2);
+        } else {
+            content = JSON.stringify(session, null, 2);
+        }
+    } catch (error) {
+        console.log('MTM Monitor: Session export failed:', error.message);
+        return;
     }
+
+    const dateString = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `mtm-session-${window.location.hostname || 'page'}-${dateString}${exportFormat.fileSuffix || ''}.${exportFormat.extension}`;
+
+    downloadFile(content, filename, exportFormat.mimeType);
 }
 
 // =============================================================================
-// EVENT DISPLAY AND FORMATTING
+// SESSION IMPORT AND REPLAY
 // =============================================================================
 
 /**
- * Formats JSON data for display with syntax highlighting
- * @param {any} obj - Object to format
- * @returns {string} Formatted HTML string
+ * Gets an imported value if it is a string
+ * @param {any} value - Imported value
+ * @returns {string|null} String or null
  */
-function formatJSON(obj) {
-    function cleanObject(obj) {
-        if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
-            const cleaned = {};
-            for (const [key, value] of Object.entries(obj)) {
-                if (key !== '__mtm_processed') {
-                    cleaned[key] = value;
-                }
-            }
-            return cleaned;
-        }
-        return obj;
+function getImportedString(value) {
+    return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Gets an imported value if it is a plain object
+ * @param {any} value - Imported value
+ * @returns {Object|null} Object or null
+ */
+function getImportedObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+}
+
+/**
+ * Gets the objects of an imported array
+ * @param {any} value - Imported value
+ * @returns {Array<Object>} Objects of the array (empty for other values)
+ */
+function getImportedObjects(value) {
+    return Array.isArray(value) ? value.filter(getImportedObject) : [];
+}
+
+/**
+ * Type-checks the trigger analysis of an imported event (the renderer relies on its lists being arrays)
+ * @param {any} analysis - Imported trigger analysis
+ * @returns {Object|null} Trigger analysis or null
+ */
+function sanitizeImportedTriggerAnalysis(analysis) {
+    const importedAnalysis = getImportedObject(analysis);
+    if (!importedAnalysis) return null;
+
+    return {
+        debugMode: importedAnalysis.debugMode === true,
+        tagSource: getImportedString(importedAnalysis.tagSource),
+        totalTriggers: Number(importedAnalysis.totalTriggers) || 0,
+        totalTags: Number(importedAnalysis.totalTags) || 0,
+        containers: getImportedObjects(importedAnalysis.containers),
+        triggeredTriggers: getImportedObjects(importedAnalysis.triggeredTriggers),
+        notFiredTriggers: getImportedObjects(importedAnalysis.notFiredTriggers),
+        firedTags: Array.isArray(importedAnalysis.firedTags) ?
+            importedAnalysis.firedTags.filter(tag => typeof tag === 'string' || getImportedObject(tag)) : [],
+        suppressedTags: getImportedObjects(importedAnalysis.suppressedTags)
+    };
+}
+
+/**
+ * Copies the known fields of an imported event with the types the renderer expects.
+ * Session files are shared between users - unknown fields are dropped, ids are reassigned.
+ * @param {Object} event - Imported event (session JSON format)
+ * @param {number} index - Position in the imported session
+ * @returns {Object} Event for replay
+ */
+function sanitizeImportedEvent(event, index) {
+    const importedEvent = getImportedObject(event) || {};
+    const frame = getImportedObject(importedEvent.frame);
+    const timestamp = importedEvent.timestamp;
+
+    return {
+        number: index,
+        id: `imported-${index}`,
+        timestamp: typeof timestamp === 'number' || typeof timestamp === 'string' ? timestamp : null,
+        timestampSource: getImportedString(importedEvent.timestampSource),
+        eventName: getImportedString(importedEvent.eventName),
+        source: getImportedString(importedEvent.source) || '',
+        isHistorical: importedEvent.isHistorical === true,
+        arrayIndex: Number.isInteger(importedEvent.arrayIndex) ? importedEvent.arrayIndex : null,
+        pageUrl: getImportedString(importedEvent.pageUrl),
+        pageLoadId: getImportedString(importedEvent.pageLoadId),
+        frame: frame ? {
+            isTop: frame.isTop === true,
+            origin: getImportedString(frame.origin) || '',
+            path: getImportedString(frame.path) || '',
+            url: getImportedString(frame.url) || ''
+        } : null,
+        eventSequence: Number.isInteger(importedEvent.eventSequence) ? importedEvent.eventSequence : null,
+        details: getImportedObject(importedEvent.details),
+        rawData: importedEvent.rawData !== undefined ? importedEvent.rawData : null,
+        firedTags: Array.isArray(importedEvent.firedTags) ? importedEvent.firedTags.map(String) : [],
+        trackingRequests: getImportedObjects(importedEvent.trackingRequests),
+        planViolations: getImportedObjects(importedEvent.planViolations),
+        dataLayerState: getImportedObject(importedEvent.dataLayerState),
+        triggerAnalysis: sanitizeImportedTriggerAnalysis(importedEvent.triggerAnalysis),
+        containerInfo: getImportedObjects(importedEvent.containerInfo)
+    };
+}
+
+/**
+ * Copies the known fields of an imported session with the types the renderer expects
+ * @param {Object} session - Imported session (session JSON format)
+ * @returns {Object} Session for replay
+ */
+function sanitizeImportedSession(session) {
+    const page = getImportedObject(session.page) || {};
+
+    return {
+        format: 'mtm-monitor-session',
+        formatVersion: 1,
+        extensionVersion: getImportedString(session.extensionVersion),
+        exportedAt: getImportedString(session.exportedAt),
+        page: { url: getImportedString(page.url), title: getImportedString(page.title) },
+        containers: getImportedObjects(session.containers),
+        coverage: Array.isArray(session.coverage) ? getImportedObjects(session.coverage) : null,
+        events: session.events.map(sanitizeImportedEvent)
+    };
+}
+
+/**
+ * Normalizes an imported file (session JSON or HAR-like log) into a session object
+ * @param {Object} data - Parsed file content
+ * @returns {Object|null} Session object or null if the format is unknown
+ */
+function normalizeImportedSession(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    if (data.format === 'mtm-monitor-session' && Array.isArray(data.events)) {
+        return sanitizeImportedSession(data);
     }
 
-    const cleanedObj = cleanObject(obj);
+    // HAR-like export: restore events from the log entries
+    if (data.log && Array.isArray(data.log.entries)) {
+        const page = (data.log.pages || [])[0] || {};
+        return sanitizeImportedSession({
+            extensionVersion: data.log.creator?.version,
+            exportedAt: null,
+            page: { url: page.title },
+            containers: page._containers,
+            coverage: page._coverage,
+            events: data.log.entries.map(entry => ({
+                timestamp: entry.startedDateTime,
+                timestampSource: entry._timestampSource,
+                eventName: entry._eventName,
+                source: entry._source,
+                isHistorical: entry._isHistorical,
+                frame: entry._frame,
+                trackingRequests: entry._trackingRequests,
+                planViolations: entry._planViolations,
+                dataLayerState: entry._dataLayerState,
+                details: entry._details,
+                triggerAnalysis: entry._triggerAnalysis,
+                containerInfo: entry._containerInfo
+            }))
+        });
+    }
 
-    function formatValue(value, indent = 0) {
-        const spaces = '  '.repeat(indent);
+    return null;
+}
 
-        if (value === null) {
-            return '<span class="json-null">null</span>';
+/**
+ * Reads an exported session file (JSON session or HAR-like event log)
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} Normalized session (with file name)
+ */
+function readSessionFile(file) {
+    return file.text().then(text => {
+        const session = normalizeImportedSession(JSON.parse(text));
+        if (!session) {
+            throw new Error('Unknown file format (expected MTM Monitor session or HAR-like export)');
         }
+        session.fileName = file.name;
+        return session;
+    });
+}
 
-        if (typeof value === 'string') {
-            return `<span class="json-string">"${escapeHtml(value)}"</span>`;
-        }
+/**
+ * Reads a session file and shows it in read-only replay mode
+ * @param {File} file - Selected session file
+ */
+function importSessionFile(file) {
+    readSessionFile(file)
+        .then(enterReplayMode)
+        .catch(error => {
+            console.log('MTM Monitor: Session import failed:', error.message);
+            showOverlayStatus(`Session import failed: ${error.message}`, true);
+        });
+}
 
-        if (typeof value === 'number') {
-            return `<span class="json-number">${value}</span>`;
-        }
+/**
+ * Shows an imported session in the overlay and replays it to the console
+ * @param {Object} session - Normalized session
+ */
+function enterReplayMode(session) {
+    // Imported event IDs must not collide with live event IDs (expanded states)
+    session.events = session.events.map((event, index) => ({
+        ...event,
+        id: `replay-${index}`
+    }));
+    session.events.forEach((event, index) => compareEventVariables(event, session.events.slice(0, index)));
+
+    importedSession = session;
+    activeContainerFilter = null;
+    hideVariableTimeline();
+    updateOverlay();
+    showOverlay();
+
+    chrome.storage.sync.get(DEFAULT_CONFIG, function(config) {
+        consoleLoggingEnabled = config.consoleLogging || false;
+        if (!consoleLoggingEnabled) return;
+
+        console.log(`📂 MTM Monitor replay: ${session.events.length} events from ${session.page?.url || session.fileName}`);
+        session.events.forEach((event, index) => {
+            logEventToConsole(event, event.number ?? index);
+        });
+    });
+}
+
+/**
+ * Leaves replay mode and shows the live events again
+ */
+function exitReplayMode() {
+    importedSession = null;
+    activeContainerFilter = null;
+    hideVariableTimeline();
+    updateOverlay();
+}
+
+// =============================================================================
+// SESSION COMPARISON
+// =============================================================================
+
+/**
+ * Checks whether the session comparison is open
+ * @returns {boolean} True if the comparison is visible
+ */
+function isSessionComparisonVisible() {
+    const comparison = document.getElementById('matomo-session-compare');
+    return !!comparison && comparison.classList.contains('visible');
+}
+
+/**
+ * Shows the session comparison
+ */
+function showSessionComparison() {
+    const comparison = document.getElementById('matomo-session-compare');
+    if (!comparison) return;
+
+    comparison.classList.add('visible');
+    renderSessionComparison();
+}
+
+/**
+ * Gets a compared session (the live session is exported on demand)
+ * @param {string} side - 'a' or 'b'
+ * @returns {Object} Session export
+ */
+function getComparisonSession(side) {
+    return comparisonSessions[side] || { ...buildSessionExport(), fileName: 'Live session' };
+}
 
-        if (typeof value === 'boolean') {
-            return `<span class="json-boolean">${value}</span>`;
+/**
+ * Renders the session comparison
+ */
+function renderSessionComparison() {
+    const contentEl = document.getElementById('matomo-compare-content');
+    if (!contentEl) return;
+
+    ['a', 'b'].forEach(side => {
+        const labelEl = document.getElementById(`matomo-compare-label-${side}`);
+        if (labelEl) {
+            labelEl.textContent = comparisonSessions[side] ? comparisonSessions[side].fileName : 'Live session';
         }
+    });
+
+    if (!comparisonSessions.a && !comparisonSessions.b) {
+        contentEl.innerHTML = '<div class="matomo-issue-empty">Load an exported session for A and/or B - the other side uses the live session</div>';
+        return;
+    }
+
+    const sessionA = getComparisonSession('a');
+    const sessionB = getComparisonSession('b');
+    contentEl.innerHTML = generateSessionComparisonHtml(compareSessions(sessionA, sessionB), sessionA, sessionB);
+}
+
+/**
+ * Re-renders the session comparison if it is open and compares the live session
+ */
+function refreshSessionComparison() {
+    if (isSessionComparisonVisible() && (!comparisonSessions.a || !comparisonSessions.b)) {
+        renderSessionComparison();
+    }
+}
 
-        if (Array.isArray(value)) {
-            if (value.length === 0) return '<span class="json-bracket">[]</span>';
+/**
+ * Shows or clears the error line of the session comparison
+ * @param {string} message - Error message (empty to clear)
+ */
+function setComparisonStatus(message) {
+    const statusEl = document.getElementById('matomo-compare-status');
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.hidden = !message;
+}
+
+/**
+ * Loads an exported session as one side of the comparison
+ * @param {string} side - 'a' or 'b'
+ * @param {File} file - Selected file
+ */
+function loadComparisonFile(side, file) {
+    readSessionFile(file)
+        .then(session => {
+            comparisonSessions[side] = session;
+            setComparisonStatus('');
+            renderSessionComparison();
+        })
+        .catch(error => {
+            console.log('MTM Monitor: Session import failed:', error.message);
+            setComparisonStatus(`Could not load ${side.toUpperCase()}: ${error.message}`);
+        });
+}
 
-            const items = value.map(item =>
-                `${spaces}  ${formatValue(item, indent + 1)}`
-            ).join(',\n');
+/**
+ * Sets up the session comparison inputs
+ */
+function setupSessionComparison() {
+    const comparison = document.getElementById('matomo-session-compare');
+    const compareInput = document.getElementById('matomo-compare-input');
+    if (!comparison || !compareInput) return;
+
+    let loadSide = 'a';
+
+    comparison.addEventListener('click', function(e) {
+        const loadBtn = e.target.closest('[data-compare-load]');
+        const liveBtn = e.target.closest('[data-compare-live]');
+
+        if (e.target.closest('#matomo-compare-close')) {
+            comparison.classList.remove('visible');
+        } else if (loadBtn) {
+            loadSide = loadBtn.getAttribute('data-compare-load');
+            compareInput.click();
+        } else if (liveBtn) {
+            comparisonSessions[liveBtn.getAttribute('data-compare-live')] = null;
+            renderSessionComparison();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    });
 
-            return `<span class="json-bracket">[</span>\n${items}\n${spaces}<span class="json-bracket">]</span>`;
+    compareInput.addEventListener('change', function() {
+        if (compareInput.files && compareInput.files[0]) {
+            loadComparisonFile(loadSide, compareInput.files[0]);
         }
+        compareInput.value = '';
+    });
+}
 
-        if (typeof value === 'object') {
-            const keys = Object.keys(value);
-            if (keys.length === 0) return '<span class="json-bracket">{}</span>';
-
-            const items = keys.map(key =>
-                `${spaces}  <span class="json-key">"${escapeHtml(key)}"</span><span class="json-colon">:</span> ${formatValue(value[key], indent + 1)}`
-            ).join(',\n');
+// =============================================================================
+// TRACKING REQUESTS
+// =============================================================================
 
-            return `<span class="json-bracket">{</span>\n${items}\n${spaces}<span class="json-bracket">}</span>`;
+/**
+ * Finds the logged event of this frame with an event sequence number
+ * @param {number|null} eventSequence - Event sequence reported by the injected script
+ * @returns {Object|null} Event from the event log
+ */
+function findEventBySequence(eventSequence) {
+    if (typeof eventSequence !== 'number') return null;
+
+    // Sequences are counted per frame - the top frame only matches its own events
+    for (let index = eventLog.length - 1; index >= 0; index--) {
+        const event = eventLog[index];
+        if (event.eventSequence === eventSequence && event.pageLoadId === PAGE_LOAD_ID &&
+            (!IS_TOP_FRAME || !event.frame || event.frame.isTop)) {
+            return event;
         }
-
-        return escapeHtml(String(value));
     }
-
-    return formatValue(cleanedObj);
+    return null;
 }
 
 /**
- * Renders events list (with virtualization support)
- * @returns {string} HTML string for events list
+ * Gets the newest event captured in this frame
+ * @returns {Object|null} Newest own event
  */
-function renderEvents() {
-    const allEvents = eventLog.slice().reverse(); // Newest first
-
-    let eventsHtml = '';
-    let containerInfoHtml = '';
-
-    if (!isVirtualized) {
-        eventsHtml = allEvents.map((event, index) => renderEventHTML(event, index, allEvents.length)).join('');
-    } else {
-        const visibleEvents = allEvents.slice(0, 50);
-        const hiddenCount = allEvents.length - visibleEvents.length;
-
-        eventsHtml = visibleEvents.map((event, index) => renderEventHTML(event, index, allEvents.length)).join('');
-
-        if (hiddenCount > 0) {
-            eventsHtml += `
-                <div class="matomo-virtualization-info">
-                    <div class="virtualization-message">
-                        📊 ${hiddenCount} more events hidden (virtualization active)
-                        <br><small>Use Clear function or increase virtualization limit in settings</small>
-                    </div>
-                </div>
-            `;
+function getNewestOwnEvent() {
+    for (let index = eventLog.length - 1; index >= 0; index--) {
+        const event = eventLog[index];
+        if (!IS_TOP_FRAME || !event.frame || event.frame.isTop) {
+            return event;
         }
     }
-
-    // Add container info at the bottom (only once)
-    if (globalContainerInfo && globalContainerInfo.length > 0) {
-        const container = globalContainerInfo[0];
-        containerInfoHtml = `
-            <div class="container-info-footer">
-                <div class="container-stats-footer">
-                    📦 Container ${container.id}: ${container.triggers?.length || 0} triggers, ${container.tags?.length || 0} tags available
-                    ${container.environment ? ` (${container.environment})` : ''}
-                </div>
-            </div>
-        `;
-    }
-
-    return eventsHtml + containerInfoHtml;
+    return null;
 }
 
 /**
- * Renders HTML for a single event
- * @param {Object} event - Event data
- * @param {number} index - Event index
- * @param {number} totalLength - Total number of events
- * @returns {string} HTML string for event
+ * Handles a tracking request reported by the injected script
+ * @param {Object} request - Tracking request
  */
-function renderEventHTML(event, index, totalLength) {
-    let displayName = event.eventName || 'Unknown';
-    let originalName = '';
-
-    if (event.eventName === 'aEvent' && event.details && event.details.aEvent) {
-        displayName = event.details.aEvent;
-        originalName = ' <span class="original-name">(aEvent)</span>';
+function handleTrackingRequest(request) {
+    const event = findEventBySequence(request.eventSequence);
+    if (event) {
+        addTrackingRequestToEvent(event, request);
+        return;
     }
 
-    const eventId = `event-${event.id}`;
-    const isExpanded = expandedStates[eventId] || false;
-    const isHistorical = event.isHistorical || false;
-    const eventNumber = totalLength - 1 - index;
+    pendingTrackingRequests.push({ request: request, receivedAt: Date.now() });
+    setTimeout(flushPendingTrackingRequests, PERFORMANCE.TRACKING_REQUEST_WAIT);
+}
 
-    const tags = event.firedTags || [];
-    const tagsHtml = tags.length > 0 ? `
-        <div class="matomo-event-tags">
-            <strong>Tags:</strong> ${tags.map(tag => `<span class="tag-item">${tag}</span>`).join(', ')}
-        </div>
-    ` : '';
+/**
+ * Adds tracking requests that waited for this event (or waited too long for any event)
+ * @param {Object} eventData - Newly captured event (not yet in the event log)
+ */
+function attachPendingTrackingRequests(eventData) {
+    if (pendingTrackingRequests.length === 0) return;
 
-    const sourceInfo = getEventSourceInfo(event);
-    const sourceBadge = sourceInfo.show ? `<span class="event-source-badge ${sourceInfo.class}" title="${sourceInfo.tooltip}">${sourceInfo.label}</span>` : '';
+    const now = Date.now();
+    const hasSequence = typeof eventData.eventSequence === 'number';
 
-    const arrayIndexText = event.arrayIndex !== null && event.arrayIndex !== undefined ? ` [${event.arrayIndex}]` : '';
+    pendingTrackingRequests = pendingTrackingRequests.filter(entry => {
+        const matches = hasSequence && entry.request.eventSequence === eventData.eventSequence;
+        const expired = now - entry.receivedAt >= PERFORMANCE.TRACKING_REQUEST_WAIT;
+        if (!matches && !expired) return true;
 
-    // Generate trigger analysis HTML
-    const triggerAnalysisHtml = generateTriggerAnalysisHtml(event);
+        const request = { ...entry.request, unattributed: !matches };
+        request.warnings = validateTrackingRequest(request, eventData);
+        eventData.trackingRequests = (eventData.trackingRequests || []).concat(request);
+        return false;
+    });
+}
 
-    // Generate trigger badge for the header (positioned next to time)
-    const triggerBadge = generateTriggerBadge(event);
+/**
+ * Attaches tracking requests that found no event to the newest event
+ */
+function flushPendingTrackingRequests() {
+    const now = Date.now();
+    const newestEvent = getNewestOwnEvent();
+    if (!newestEvent) return;
 
-    return `
-        <div class="matomo-event-item ${isHistorical ? 'historical' : ''}">
-            <div class="matomo-event-header">
-                <div class="matomo-event-name">
-                    ${event.details || event.triggerAnalysis ? `<span class="matomo-details-toggle matomo inline-toggle" data-event-id="${eventId}">
-                        <span class="toggle-icon">${isExpanded ? '▼' : '▶'}</span>
-                    </span>` : ''}
-                    <span class="matomo-event-number ${isHistorical ? 'historical' : ''}">${eventNumber}</span>
-                    ${sourceBadge}
-                    ${displayName}${originalName}
-                    ${arrayIndexText ? `<span class="array-index">${arrayIndexText}</span>` : ''}
-                </div>
-                <div class="matomo-event-meta">
-                    ${triggerBadge}
-                    <span class="matomo-event-time matomo">${new Date(event.timestamp).toLocaleTimeString()}</span>
-                </div>
-            </div>
-            ${tagsHtml}
-            ${(event.details || event.triggerAnalysis) ? `
-                <div id="${eventId}" class="matomo-event-details ${isExpanded ? '' : 'collapsed'}">
-                    ${triggerAnalysisHtml}
-                    ${event.details ? `
-                        <div class="event-details-section">
-                            <h5>📋 Event Details:</h5>
-                            <pre class="json-formatter matomo">${formatJSON(event.details)}</pre>
-                        </div>
-                    ` : ''}
-                </div>
-            ` : ''}
-        </div>
-    `;
+    pendingTrackingRequests = pendingTrackingRequests.filter(entry => {
+        if (now - entry.receivedAt < PERFORMANCE.TRACKING_REQUEST_WAIT) return true;
+        addTrackingRequestToEvent(newestEvent, { ...entry.request, unattributed: true });
+        return false;
+    });
 }
 
 /**
- * Generates trigger analysis HTML for an event
- * @param {Object} event - Event data
- * @returns {string} HTML string for trigger analysis
+ * Adds a tracking request to a logged event and refreshes its display
+ * @param {Object} event - Event from the event log
+ * @param {Object} request - Tracking request
  */
-function generateTriggerAnalysisHtml(event) {
-    if (!event.triggerAnalysis) {
-        return '';
-    }
+function addTrackingRequestToEvent(event, request) {
+    const trackingRequest = { ...request, warnings: validateTrackingRequest(request, event) };
+    event.trackingRequests = (event.trackingRequests || []).concat(trackingRequest);
 
-    const analysis = event.triggerAnalysis;
-    let html = '<div class="trigger-analysis-section">';
-
-    // Debug Mode Warning (no container stats)
-    if (!analysis.debugMode) {
-        html += `
-            <div class="debug-mode-warning">
-                <strong>⚠️ MTM Debug Mode not active</strong><br>
-                <small>Enable with: <code>window.MatomoTagManager.enableDebugMode()</code></small>
-            </div>
-        `;
+    if (consoleLoggingEnabled) {
+        console.log(`📡 MTM Tracking Request (${event.eventName}):`, trackingRequest);
     }
 
-    // Always show triggers and tags if available, regardless of debug mode
-    if (analysis.debugMode || analysis.triggeredTriggers.length > 0 || analysis.firedTags.length > 0) {
-        // Triggered Triggers (without container stats)
-        if (analysis.triggeredTriggers.length > 0) {
-            html += '<div class="triggered-triggers">';
-            html += '<h5>🎯 Triggered Triggers:</h5>';
-
-            analysis.triggeredTriggers.forEach(trigger => {
-                html += `
-                    <div class="trigger-item">
-                        <div class="trigger-header">
-                            <strong>${escapeHtml(trigger.name)}</strong>
-                            <span class="trigger-type">(${trigger.type})</span>
-                        </div>
-                        <div class="trigger-conditions">
-                            ${trigger.matchedConditions.map(cond => `
-                                <div class="condition ${cond.matched ? 'matched' : 'not-matched'}">
-                                    <span class="condition-variable">${escapeHtml(cond.variable)}</span>:
-                                    "<span class="condition-value">${escapeHtml(String(cond.actual))}</span>"
-                                    <span class="condition-operator">${cond.comparison}</span>
-                                    "<span class="condition-expected">${escapeHtml(String(cond.expected))}</span>"
-                                    <span class="condition-result">${cond.matched ? '✅' : '❌'}</span>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                `;
-            });
-
-            html += '</div>';
-        }
-
-        // Fired Tags - enhanced with time and trigger info
-        if (analysis.firedTags.length > 0) {
-            html += '<div class="fired-tags">';
-            html += '<h5>🏷️ Fired Tags:</h5>';
-            html += '<div class="tag-list">';
-
-            analysis.firedTags.forEach(tag => {
-                // Handle both string and object formats
-                if (typeof tag === 'string') {
-                    // Fallback for simple string format
-                    html += `
-                        <div class="tag-entry">
-                            <span class="tag-name">${escapeHtml(tag)}</span>
-                            <span class="tag-details">Legacy format - no timing info</span>
-                        </div>
-                    `;
-                } else {
-                    // Enhanced object format with timing and trigger info
-                    html += `
-                        <div class="tag-entry">
-                            <span class="tag-name">${escapeHtml(tag.name || 'Unknown Tag')}</span>
-                            <span class="tag-details">
-                                ⏰ ${tag.timestamp || 'No timestamp'} | 🎯 ${escapeHtml(tag.trigger || 'Unknown trigger')}
-                            </span>
-                        </div>
-                    `;
-                }
-            });
-
-            html += '</div></div>';
-        }
+    refreshLoggedEvent(event);
+}
 
-        // No Results
-        if (analysis.triggeredTriggers.length === 0 && analysis.firedTags.length === 0) {
-            html += '<div class="no-triggers">💤 No triggers or tags detected for this event</div>';
-        }
-    }
+/**
+ * Moves a delayed tag of a logged event to its fired tags once the delay ended
+ * @param {Object} execution - Late tag execution ({eventSequence, tag})
+ */
+function handleLateTagExecution(execution) {
+    const event = findEventBySequence(execution.eventSequence);
+    const analysis = event && event.triggerAnalysis;
+    if (!analysis) return;
+
+    const isSameTag = tag => tag.name === execution.tag.name && tag.containerId === execution.tag.containerId;
+    const delayedTag = (analysis.suppressedTags || []).find(tag => tag.status === 'delayed' && isSameTag(tag));
+
+    analysis.suppressedTags = (analysis.suppressedTags || []).filter(tag => tag !== delayedTag);
+    analysis.firedTags = analysis.firedTags.concat({
+        ...execution.tag,
+        // The analysis of the event knows the trigger that matched
+        trigger: delayedTag ? delayedTag.trigger : execution.tag.trigger,
+        delayed: true
+    });
 
-    html += '</div>';
-    return html;
+    refreshLoggedEvent(event);
 }
 
 /**
- * Generates trigger badge for the event header
- * @param {Object} event - Event data
- * @returns {string} HTML string for trigger badge
+ * Re-renders a logged event that changed after it was captured
+ * @param {Object} event - Event from the event log
  */
-function generateTriggerBadge(event) {
-    if (!event.triggerAnalysis) {
-        return '';
-    }
+function refreshLoggedEvent(event) {
+    const index = eventLog.indexOf(event);
 
-    const analysis = event.triggerAnalysis;
-
-    if (!analysis.debugMode) {
-        return '<span class="trigger-badge debug-off" title="MTM Debug Mode not active">🔍</span>';
+    if (!IS_TOP_FRAME) {
+        forwardEventToTopFrame(event, index);
+        return;
     }
 
-    const triggerCount = analysis.triggeredTriggers.length;
-    const tagCount = analysis.firedTags.length;
-
-    // Only show badge if there are triggers or tags
-    if (triggerCount === 0 && tagCount === 0) {
-        return '';
+    if (eventListView && !importedSession) {
+        updateEventInListView(eventListView, event);
+        updateIssuesList();
     }
-
-    let badgeText = '';
-    let badgeClass = 'trigger-badge active';
-    let title = '';
-
-    if (triggerCount > 0 && tagCount > 0) {
-        badgeText = `🎯${triggerCount} 🏷️${tagCount}`;
-        title = `${triggerCount} trigger(s) fired ${tagCount} tag(s)`;
-    } else if (triggerCount > 0) {
-        badgeText = `🎯${triggerCount}`;
-        title = `${triggerCount} trigger(s) fired (no tags)`;
-    } else if (tagCount > 0) {
-        badgeText = `🏷️${tagCount}`;
-        title = `${tagCount} tag(s) fired`;
+    if (preserveLogEnabled && event.pageLoadId === PAGE_LOAD_ID) {
+        preserveEventInTab(event, index, true);
+    }
+    if (activeScenarioRun) {
+        recordScenarioEvents([event], true);
+    }
+    if (devtoolsPanelConnected) {
+        notifyDevtoolsPanel({
+            type: 'eventUpdated',
+            event: serializeEventForExport(event, index)
+        });
     }
-
-    return `<span class="${badgeClass}" title="${title}">${badgeText}</span>`;
 }
 
-/**
- * Gets event source information for badge display
- * @param {Object} event - Event data
- * @returns {Object} Source info object
- */
-function getEventSourceInfo(event) {
-    const source = event.source || '';
-    const isHistorical = event.isHistorical || false;
-
-    if (source.includes('_mtm.push')) {
-        return { show: false };
-    } else if (source.includes('dataLayer')) {
-        if (isHistorical) {
-            return {
-                label: 'DL-SCAN',
-                class: 'source-dl-historical',
-                tooltip: 'Event read from existing dataLayer (initial scan)',
-                show: true
-            };
-        } else {
-            return {
-                label: 'DL-LIVE',
-                class: 'source-dl-live',
-                tooltip: 'Event intercepted via dataLayer.push() proxy',
-                show: true
-            };
+// =============================================================================
+// TRACKING REQUEST VALIDATION
+// =============================================================================
+
+/** @const {Array<Object>} Tracking request validation rules - each rule runs when the config option of its ID is set */
+const VALIDATION_RULES = [
+    {
+        id: 'ruleEventFields',
+        check: function(params) {
+            const isEventHit = ['e_c', 'e_a', 'e_n', 'e_v'].some(key => params[key] !== undefined);
+            const missing = ['e_c', 'e_a'].filter(key => !params[key]);
+            if (!isEventHit || missing.length === 0) return null;
+            return `Event hit without ${missing.map(key => TRACKING_PARAM_LABELS[key].toLowerCase()).join(' and ')}`;
+        }
+    },
+    {
+        id: 'ruleEventValue',
+        check: function(params) {
+            if (params.e_v === undefined) return null;
+            const value = String(params.e_v).trim();
+            return value === '' || !isFinite(Number(value)) ? `Event value "${params.e_v}" is not numeric` : null;
+        }
+    },
+    {
+        id: 'ruleDimensionLength',
+        check: function(params, context) {
+            const maxLength = Number(context.config.maxDimensionLength) || DEFAULT_CONFIG.maxDimensionLength;
+            const tooLong = Object.keys(params).filter(key =>
+                /^dimension\d+$/.test(key) && String(params[key]).length > maxLength);
+            return tooLong.length > 0 ? `${tooLong.join(', ')} longer than ${maxLength} characters` : null;
+        }
+    },
+    {
+        id: 'ruleExpectedSiteIds',
+        check: function(params, context) {
+            const siteIds = String(context.config.expectedSiteIds).split(',').map(id => id.trim()).filter(Boolean);
+            if (siteIds.length === 0 || siteIds.includes(String(params.idsite))) return null;
+            return `Unexpected site ID ${params.idsite || '(none)'} (expected ${siteIds.join(', ')})`;
+        }
+    },
+    {
+        id: 'ruleDuplicatePageview',
+        check: function(params, context) {
+            if (getTrackingHitType(params) !== 'pageview') return null;
+            const isDuplicate = context.previousRequests.some(request => {
+                const previous = request.params || {};
+                return getTrackingHitType(previous) === 'pageview' && previous.idsite === params.idsite &&
+                    previous.url === params.url && previous.action_name === params.action_name;
+            });
+            return isDuplicate ? `Duplicate pageview of ${params.url || params.action_name || 'this page'} in one page load` : null;
         }
-    } else {
-        return {
-            label: 'OTHER',
-            class: 'source-other',
-            tooltip: `Event source: ${source}`,
-            show: true
-        };
     }
-}
+];
 
 /**
- * Updates the main overlay display
+ * Loads the validation rule configuration
  */
-function updateOverlay() {
-    if (!overlay) {
-        createOverlay();
-        return;
-    }
-
-    const eventListEl = document.getElementById('matomo-event-list');
-    if (!eventListEl) {
-        return;
-    }
+function loadValidationConfig() {
+    chrome.storage.sync.get(DEFAULT_CONFIG, function(config) {
+        validationConfig = config;
+    });
+}
 
-    eventListEl.innerHTML = renderEvents();
+/**
+ * Gets the tracking requests already sent in the page load of an event (own frame only)
+ * @param {Object} event - Event the new request belongs to (may not be logged yet)
+ * @returns {Array<Object>} Tracking requests
+ */
+function getPageLoadTrackingRequests(event) {
+    const requests = [];
 
-    updateAutoScrollButton();
-    updateDuplicateCounter();
+    eventLog.forEach(loggedEvent => {
+        if (loggedEvent !== event && loggedEvent.pageLoadId === event.pageLoadId &&
+            (!IS_TOP_FRAME || !loggedEvent.frame || loggedEvent.frame.isTop)) {
+            requests.push(...(loggedEvent.trackingRequests || []));
+        }
+    });
+    requests.push(...(event.trackingRequests || []));
 
-    if (autoScrollEnabled && eventLog.length > 0) {
-        eventListEl.scrollTop = 0;
-    }
+    return requests;
 }
 
 /**
- * Toggles event details visibility
- * @param {string} eventId - Event element ID
+ * Runs the enabled validation rules on a tracking request
+ * @param {Object} request - Tracking request (not yet attached to the event)
+ * @param {Object} event - Event the request belongs to
+ * @returns {Array<Object>} Warnings ({rule, message})
  */
-function toggleEventDetails(eventId) {
-    const detailsEl = document.getElementById(eventId);
+function validateTrackingRequest(request, event) {
+    const params = request.params || {};
+    const context = {
+        config: validationConfig,
+        previousRequests: getPageLoadTrackingRequests(event)
+    };
 
-    if (detailsEl) {
-        detailsEl.classList.toggle('collapsed');
+    const warnings = [];
+    VALIDATION_RULES.forEach(rule => {
+        if (!validationConfig[rule.id]) return;
 
-        const toggleBtn = document.querySelector(`[data-event-id="${eventId}"] .toggle-icon`);
-        if (toggleBtn) {
-            const isCollapsed = detailsEl.classList.contains('collapsed');
-            toggleBtn.textContent = isCollapsed ? '▶' : '▼';
+        const message = rule.check(params, context);
+        if (message) {
+            warnings.push({ rule: rule.id, message: message });
         }
+    });
 
-        expandedStates[eventId] = !detailsEl.classList.contains('collapsed');
+    if (consoleLoggingEnabled) {
+        warnings.forEach(warning => console.warn(`⚠️ MTM Tracking Request (${event.eventName}): ${warning.message}`));
     }
+
+    return warnings;
 }
 
 /**
- * Cleans up old expanded states
+ * Updates the issues button and list of the overlay
  */
-function cleanupExpandedStates() {
-    const currentEventIds = new Set();
-    eventLog.slice(-20).forEach(event => {
-        currentEventIds.add(`event-${event.id}`);
-    });
+function updateIssuesList() {
+    const issuesBtn = document.getElementById('matomo-issues-btn');
+    const issuesMenu = document.getElementById('matomo-issues-menu');
+    if (!issuesBtn || !issuesMenu) return;
 
-    Object.keys(expandedStates).forEach(eventId => {
-        if (!currentEventIds.has(eventId)) {
-            delete expandedStates[eventId];
-        }
-    });
+    const issues = collectTrackingIssues(getDisplayedEvents());
+
+    issuesBtn.hidden = issues.length === 0;
+    issuesBtn.textContent = `⚠️ ${issues.length}`;
+    issuesMenu.innerHTML = generateIssuesListHtml(issues);
+
+    if (issues.length === 0) {
+        issuesMenu.classList.remove('visible');
+    }
 }
 
 // =============================================================================
-// OVERLAY CONTROL FUNCTIONS
+// SUBFRAME EVENTS
 // =============================================================================
 
 /**
- * Shows the overlay
+ * Sends an event captured in a subframe to the top frame (relayed by the service worker)
+ * @param {Object} event - Event from the event log of this frame
+ * @param {number} index - Position in the event log of this frame
  */
-function showOverlay() {
-    if (!overlay) createOverlay();
-    overlay.style.display = 'block';
-    isOverlayVisible = true;
+function forwardEventToTopFrame(event, index) {
+    chrome.runtime.sendMessage({
+        type: 'frameEvent',
+        event: serializeEventForExport(event, index)
+    }).catch(() => {
+        // Silent fail - the top frame has no content script (e.g. restricted page)
+    });
 }
 
 /**
- * Hides the overlay
+ * Adds an event forwarded from a subframe to the event log of the top frame
+ * @param {Object} frameEvent - Serialized event of the subframe
  */
-function hideOverlay() {
-    if (overlay) {
-        overlay.style.display = 'none';
-        isOverlayVisible = false;
-        hideConfigPanel();
-    }
+function addFrameEvent(frameEvent) {
+    chrome.storage.sync.get(DEFAULT_CONFIG, function(config) {
+        // Subframe events belong to the current page load of the top frame
+        const eventData = {
+            ...frameEvent,
+            pageUrl: window.location.href,
+            pageLoadId: PAGE_LOAD_ID
+        };
+
+        (eventData.containerInfo || []).forEach(container => {
+            frameContainerInfo.set(container.id, {
+                ...container,
+                frameOrigin: eventData.frame ? eventData.frame.origin : null
+            });
+        });
+
+        // Known event: the subframe sent an update (e.g. a late tracking request or delayed tag)
+        const knownEvent = eventLog.find(event => event.id === eventData.id);
+        if (knownEvent) {
+            Object.assign(knownEvent, eventData);
+            refreshLoggedEvent(knownEvent);
+            return;
+        }
+
+        addEventToLog(eventData, config);
+    });
 }
 
+// =============================================================================
+// DEVTOOLS PANEL
+// =============================================================================
+
 /**
- * Toggles auto-scroll functionality
+ * Sends a message for the DevTools panel to the service worker
+ * @param {Object} message - Message to forward to the panel of this tab
  */
-function toggleAutoScroll() {
-    autoScrollEnabled = !autoScrollEnabled;
-    updateAutoScrollButton();
+function notifyDevtoolsPanel(message) {
+    chrome.runtime.sendMessage({
+        type: 'devtoolsPanelMessage',
+        message: message
+    }).catch(() => {
+        // Silent fail - the panel may have been closed in the meantime
+    });
 }
 
 /**
- * Clears all events from the log
+ * Forwards a captured event to the DevTools panel
+ * @param {Object} event - Event from the event log
+ * @param {number} index - Position in the event log
  */
-function clearEvents() {
-    eventLog = [];
-    expandedStates = {};
-    recentEvents.clear();
-    suppressedDuplicates = 0;
-    isVirtualized = false;
-    updateOverlay();
-    updateBadgeCounter();
-
-    chrome.runtime.sendMessage({
-        type: 'clearBadge'
-    }).catch(() => {
-        // Silent fail - badge clear is not critical
+function sendEventToDevtoolsPanel(event, index) {
+    notifyDevtoolsPanel({
+        type: 'eventCaptured',
+        event: serializeEventForExport(event, index)
     });
 }
 
 /**
- * Updates auto-scroll button appearance
+ * Asks the service worker whether a DevTools panel is open for this tab
  */
-function updateAutoScrollButton() {
-    const btn = document.getElementById('matomo-autoscroll-btn');
-    if (btn) {
-        if (autoScrollEnabled) {
-            btn.textContent = '🔄';
-            btn.className = 'auto-scroll-btn active';
-            btn.title = 'Auto-scroll is active (click to pause)';
-        } else {
-            btn.textContent = '⏸️';
-            btn.className = 'auto-scroll-btn paused';
-            btn.title = 'Auto-scroll is paused (click to activate)';
-        }
-    }
+function requestDevtoolsPanelState() {
+    chrome.runtime.sendMessage({ type: 'getDevtoolsPanelState' })
+        .then(response => {
+            devtoolsPanelConnected = !!(response && response.success && response.connected);
+        })
+        .catch(() => {
+            // Silent fail - the panel requests the event log itself when it opens
+        });
 }
 
 /**
- * Makes an element draggable
- * @param {HTMLElement} element - Element to make draggable
- * @param {HTMLElement} handle - Handle element for dragging
+ * Handles messages from the service worker (on behalf of the DevTools panel)
  */
-function makeDraggable(element, handle) {
-    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message.type) {
+        case 'getEventLog':
+            sendResponse({
+                success: true,
+                pageUrl: window.location.href,
+                pageLoadId: PAGE_LOAD_ID,
+                suppressedDuplicates: suppressedDuplicates,
+                events: eventLog.map(serializeEventForExport)
+            });
+            break;
 
-    handle.onmousedown = dragMouseDown;
+        case 'devtoolsPanelState':
+            devtoolsPanelConnected = !!message.connected;
+            sendResponse({ success: true });
+            break;
 
-    function dragMouseDown(e) {
-        e = e || window.event;
-        e.preventDefault();
-        pos3 = e.clientX;
-        pos4 = e.clientY;
-        document.onmouseup = closeDragElement;
-        document.onmousemove = elementDrag;
-    }
+        case 'clearEvents':
+            clearEvents();
+            sendResponse({ success: true });
+            break;
 
-    function elementDrag(e) {
-        e = e || window.event;
-        e.preventDefault();
-        pos1 = pos3 - e.clientX;
-        pos2 = pos4 - e.clientY;
-        pos3 = e.clientX;
-        pos4 = e.clientY;
-        element.style.top = (element.offsetTop - pos2) + "px";
-        element.style.left = (element.offsetLeft - pos1) + "px";
-    }
+        case 'frameEvent':
+            if (IS_TOP_FRAME && message.event) {
+                addFrameEvent(message.event);
+            }
+            sendResponse({ success: true });
+            break;
 
-    function closeDragElement() {
-        document.onmouseup = null;
-        document.onmousemove = null;
+        default:
+            // Not for this listener
+            break;
     }
-}
+});
 
 // =============================================================================
 // KEYBOARD SHORTCUTS
@@ -1295,6 +4090,9 @@ function makeDraggable(element, handle) {
  * Handles keyboard shortcuts
  */
 document.addEventListener('keydown', function(e) {
+    // The overlay lives in the top frame only
+    if (!IS_TOP_FRAME) return;
+
     // Toggle overlay
     if (e.ctrlKey && e.altKey && e.key === 'm') {
         e.preventDefault();
@@ -1433,30 +4231,33 @@ document.addEventListener('keydown', function(e) {
  */
 function proceedWithInjection() {
     chrome.storage.sync.get(DEFAULT_CONFIG, function(config) {
-        // Load configuration script first
-        const configScript = document.createElement('script');
-        configScript.src = chrome.runtime.getURL('config-script.js');
-
-        configScript.onload = function() {
-            this.remove();
-
-            // Send configuration and script URL via event
-            const event = new CustomEvent('mtmConfigReady', {
-                detail: {
-                    config: config,
-                    injectedScriptUrl: chrome.runtime.getURL('injected-script.js')
-                },
-                bubbles: true
-            });
-            document.dispatchEvent(event);
-        };
+        chrome.storage.local.get({ [TRACKING_PLAN_KEY]: null }, function(items) {
+            // Load configuration script first
+            const configScript = document.createElement('script');
+            configScript.src = chrome.runtime.getURL('config-script.js');
+
+            configScript.onload = function() {
+                this.remove();
+
+                // Send configuration (incl. tracking plan) and script URL via event
+                const event = new CustomEvent('mtmConfigReady', {
+                    detail: {
+                        config: { ...config, trackingPlan: items[TRACKING_PLAN_KEY] },
+                        injectedScriptUrl: chrome.runtime.getURL('injected-script.js'),
+                        pipelineScriptUrl: chrome.runtime.getURL('event-pipeline.js')
+                    },
+                    bubbles: true
+                });
+                document.dispatchEvent(event);
+            };
 
-        configScript.onerror = function() {
-            console.log('MTM Monitor: Failed to load config script');
-            this.remove();
-        };
+            configScript.onerror = function() {
+                console.log('MTM Monitor: Failed to load config script');
+                this.remove();
+            };
 
-        (document.head || document.documentElement).appendChild(configScript);
+            (document.head || document.documentElement).appendChild(configScript);
+        });
     });
 
     // Set up MTM frame hiding on load
@@ -1503,13 +4304,41 @@ function tryRuntimeDetection() {
 
 // Auto-show on first event
 document.addEventListener('matomoEventDetected', function() {
-    chrome.storage.sync.get({ autoShow: true }, function(config) {
-        if (config.autoShow && !isOverlayVisible) {
+    chrome.storage.sync.get({ autoShow: true, inPageOverlay: true }, function(config) {
+        if (IS_TOP_FRAME && config.autoShow && config.inPageOverlay && !isOverlayVisible) {
             showOverlay();
         }
     });
 }, { once: true });
 
+// Tracking requests listener
+document.addEventListener('matomoTrackingRequestDetected', function(event) {
+    if (event.detail) {
+        handleTrackingRequest(event.detail);
+    }
+});
+
+// Delayed tag executions listener
+document.addEventListener('matomoLateTagExecution', function(event) {
+    if (event.detail && event.detail.tag) {
+        handleLateTagExecution(event.detail);
+    }
+});
+
+// Push console confirmation listener
+document.addEventListener('matomoPushEventResult', function(event) {
+    if (IS_TOP_FRAME && event.detail) {
+        handlePushResult(event.detail);
+    }
+});
+
+// Trigger dry-run result listener
+document.addEventListener('matomoDryRunResult', function(event) {
+    if (IS_TOP_FRAME && event.detail) {
+        handleDryRunResult(event.detail);
+    }
+});
+
 // Clear events listener
 document.addEventListener('matomoClearEvents', function() {
     clearEvents();
@@ -1518,5 +4347,23 @@ document.addEventListener('matomoClearEvents', function() {
 // Mark as loaded
 window.matomoMonitorLoaded = true;
 
+// Validation rules apply to tracking requests of every frame
+loadValidationConfig();
+
+// Subframes only forward their events to the top frame
+if (IS_TOP_FRAME) {
+    // Restore events of previous pages ("preserve log" mode)
+    restorePreservedEvents();
+
+    // Restore the event list filter of this site
+    loadEventFilter();
+
+    // Forward events if the DevTools panel is already open (e.g. after a navigation)
+    requestDevtoolsPanelState();
+
+    // Continue a regression scenario that navigated to this page
+    resumeScenarioRun();
+}
+
 // Initialize
 initializeContentScript();
\ No newline at end of file
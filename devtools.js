@@ -0,0 +1,11 @@
+/**
+ * Matomo Tag Manager Event Monitor - DevTools Page
+ * Registers the "MTM" panel in Chrome DevTools
+ *
+ * @description Runs once per DevTools window and creates the panel that shows
+ *              the events of the inspected tab (see panel.js)
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+
+chrome.devtools.panels.create('MTM', 'assets/icon16.png', 'panel.html');
@@ -0,0 +1,319 @@
+/**
+ * Matomo Tag Manager Event Monitor - Event Pipeline
+ * Environment-independent steps of the event pipeline shared by all entry points
+ *
+ * @description Normalizes raw _mtm / dataLayer entries into events and runs them through
+ *              analyze → enrich → dedupe → dispatch. Analyze, enrich and dispatch depend on
+ *              the environment and are passed in by each entry point (page context, DevTools
+ *              panel, tests). Live and historical events share these steps. Loaded into the
+ *              page context before injected-script.js, into the content script and the panel;
+ *              without DOM or extension API access it can also be required from Node.
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+(function(root) {
+    'use strict';
+
+    // =============================================================================
+    // CONSTANTS AND CONFIGURATION
+    // =============================================================================
+
+    /** @const {string} Source suffix of events found in the arrays when the monitor loaded */
+    const HISTORICAL_SOURCE_SUFFIX = ' (historical)';
+
+    /** @const {Array<string>} Metadata keys ignored when comparing event details */
+    const METADATA_KEYS = ['__mtm_processed', '_debug', 'customTimestamp'];
+
+    // =============================================================================
+    // NORMALIZE
+    // =============================================================================
+
+    /**
+     * Checks whether a dataLayer entry is an MTM event
+     * @param {any} data - DataLayer entry
+     * @returns {boolean} True for MTM events
+     */
+    function isMTMDataLayerEntry(data) {
+        if (!data || typeof data !== 'object') return false;
+
+        return !!(
+            (typeof data.event === 'string' && (
+                data.event.startsWith('mtm.') ||
+                data.event === 'mtm' ||
+                data.event.includes('CustomEvent') ||
+                data['mtm.customEvent']
+            )) ||
+            Object.prototype.hasOwnProperty.call(data, 'mtm') ||
+            (Object.prototype.hasOwnProperty.call(data, 'aMTMts') && Object.prototype.hasOwnProperty.call(data, 'aMTMparams'))
+        );
+    }
+
+    /**
+     * Creates the fields shared by all normalized events
+     * @param {string} source - Event source (e.g. '_mtm.push')
+     * @param {any} data - Raw pushed entry
+     * @param {Object} options - Normalization options ({isHistorical, firedTags})
+     * @returns {Object} Event data without name and details
+     */
+    function createBaseEvent(source, data, options) {
+        const isHistorical = !!options.isHistorical;
+
+        return {
+            source: `${source}${isHistorical ? HISTORICAL_SOURCE_SUFFIX : ''}`,
+            rawData: data,
+            firedTags: options.firedTags || [],
+            isHistorical: isHistorical,
+            sourceType: isHistorical ? 'initial-scan' : 'live-proxy',
+            detectionMethod: isHistorical ? 'array-read' : 'proxy-intercept'
+        };
+    }
+
+    /**
+     * Adds scan information to the details of historical events
+     * @param {Object} eventData - Normalized event
+     * @param {Object} details - Event details
+     * @returns {Object} Details (with _debug for historical events)
+     */
+    function withDebugInfo(eventData, details) {
+        if (!eventData.isHistorical) return details;
+
+        const debugInfo = {
+            sourceType: eventData.sourceType,
+            detectionMethod: eventData.detectionMethod,
+            isHistorical: true
+        };
+        if (eventData.arrayIndex !== undefined) {
+            debugInfo.arrayIndex = eventData.arrayIndex;
+        }
+        return { ...details, _debug: debugInfo };
+    }
+
+    /**
+     * Normalizes an entry pushed into an MTM array (e.g. _mtm)
+     * @param {string} objectName - Name of the MTM object
+     * @param {any} data - Pushed entry
+     * @param {Object} options - Normalization options ({arrayIndex, isHistorical, firedTags, method})
+     *                            - method: MTM object method that was called (default 'push')
+     * @returns {Object} Normalized event
+     */
+    function normalizeMTMEntry(objectName, data, options = {}) {
+        const eventData = createBaseEvent(`${objectName}.${options.method || 'push'}`, data, options);
+        eventData.objectName = objectName;
+        if (options.method) {
+            eventData.method = options.method;
+        }
+        eventData.arrayIndex = options.arrayIndex !== undefined ? options.arrayIndex : null;
+
+        if (Array.isArray(data)) {
+            eventData.eventName = data[0] || 'MTM Array Event';
+            eventData.details = withDebugInfo(eventData, { action: data[0], parameters: data.slice(1) });
+        } else if (data && typeof data === 'object') {
+            eventData.eventName = data.event || data.eventName || 'MTM Direct Object';
+            eventData.details = withDebugInfo(eventData, { ...data });
+        } else {
+            eventData.eventName = 'MTM Direct Value';
+            eventData.details = withDebugInfo(eventData, { value: data });
+        }
+
+        return eventData;
+    }
+
+    /**
+     * Normalizes an MTM event pushed into the dataLayer
+     * @param {Object} data - DataLayer entry
+     * @param {Object} options - Normalization options ({isHistorical, firedTags})
+     * @returns {Object} Normalized event
+     */
+    function normalizeDataLayerEntry(data, options = {}) {
+        const eventData = createBaseEvent('dataLayer', data, options);
+
+        if (data.event === 'mtm.CustomEvent' || data['mtm.customEvent']) {
+            eventData.eventName = data.eventName || data['mtm.customEventName'] || data.event || 'MTM Custom Event';
+            eventData.details = withDebugInfo(eventData, {
+                eventCategory: data.eventCategory,
+                eventAction: data.eventAction,
+                eventLabel: data.eventLabel,
+                eventValue: data.eventValue,
+                customEventName: data['mtm.customEventName'],
+                ...data
+            });
+        } else if (typeof data.event === 'string' && data.event.startsWith('mtm.')) {
+            eventData.eventName = data.event;
+            eventData.details = withDebugInfo(eventData, { ...data });
+        } else {
+            eventData.eventName = data.event || data.eventName || data.type || 'MTM Event';
+            eventData.details = withDebugInfo(eventData, { ...data });
+        }
+
+        return eventData;
+    }
+
+    // =============================================================================
+    // DEDUPE
+    // =============================================================================
+
+    /**
+     * Creates a clean object for event comparison (removes metadata)
+     * @param {Object} details - Event details object
+     * @returns {Object} Cleaned object without metadata
+     */
+    function cleanEventDetails(details) {
+        if (!details || typeof details !== 'object') return details;
+
+        const cleaned = { ...details };
+        METADATA_KEYS.forEach(key => delete cleaned[key]);
+        return cleaned;
+    }
+
+    /**
+     * Builds the duplicate detection signature of an event (historical and live copies match)
+     * @param {Object} eventData - Event data
+     * @returns {string} Signature
+     */
+    function getEventSignature(eventData) {
+        return JSON.stringify({
+            eventName: eventData.eventName || 'unknown',
+            source: eventData.source ? eventData.source.replace(HISTORICAL_SOURCE_SUFFIX, '') : 'unknown',
+            details: eventData.details ? cleanEventDetails(eventData.details) : null
+        });
+    }
+
+    // =============================================================================
+    // DISPATCH
+    // =============================================================================
+
+    /**
+     * Creates a plain copy of an event that survives CustomEvent and message passing
+     * (DOM events are summarized, functions dropped)
+     * @param {Object} eventData - Event data
+     * @returns {Object} Serializable copy
+     */
+    function toPlainEventData(eventData) {
+        try {
+            return JSON.parse(JSON.stringify(eventData, (key, value) => {
+                if (typeof Event !== 'undefined' && value instanceof Event) {
+                    return {
+                        event: value.event || value.type,
+                        type: value.type,
+                        isTrusted: value.isTrusted,
+                        timeStamp: value.timeStamp,
+                        __isSerializedEvent: true
+                    };
+                }
+                return typeof value === 'function' ? undefined : value;
+            }));
+        } catch (error) {
+            return {
+                source: eventData.source || 'unknown',
+                eventName: eventData.eventName || 'unknown',
+                details: typeof eventData.details === 'object' ? { serialized: 'true' } : eventData.details
+            };
+        }
+    }
+
+    // =============================================================================
+    // PROCESS
+    // =============================================================================
+
+    /**
+     * Creates the event processor of an entry point (analyze → enrich → dedupe → dispatch)
+     * @param {Object} steps - Processing steps and settings ({analyze, enrich, dispatch, onDuplicate,
+     *                         getSignature, dedupeWindow, liveDelay, schedule, now}) - only dispatch is required
+     *                         - onDuplicate: called with the plain copy of each dropped duplicate
+     * @returns {{processEvent: Function, dispatchEvent: Function}} Event processor
+     */
+    function createEventProcessor(steps) {
+        const analyze = steps.analyze || (() => {});
+        const enrich = steps.enrich || (() => {});
+        const onDuplicate = steps.onDuplicate || (() => {});
+        const getSignature = steps.getSignature || getEventSignature;
+        const dedupeWindow = steps.dedupeWindow || 0;
+        const liveDelay = steps.liveDelay || 0;
+        const schedule = steps.schedule || ((callback, delay) => setTimeout(callback, delay));
+        const now = steps.now || Date.now;
+
+        /** @type {Map<string, number>} Recently dispatched signatures (signature -> dispatch time) */
+        const dispatchedSignatures = new Map();
+
+        /**
+         * Checks whether an event with the same signature was dispatched within the dedupe window
+         * @param {string} signature - Event signature
+         * @param {number} currentTime - Current time (ms)
+         * @returns {boolean} True for duplicates
+         */
+        function isDuplicate(signature, currentTime) {
+            for (const [knownSignature, dispatchedAt] of dispatchedSignatures) {
+                if (currentTime - dispatchedAt >= dedupeWindow) {
+                    dispatchedSignatures.delete(knownSignature);
+                }
+            }
+            return dispatchedSignatures.has(signature);
+        }
+
+        /**
+         * Dispatches a plain copy of an analyzed event unless it is a duplicate
+         * @param {Object} eventData - Event data
+         * @param {number} timestamp - Event timestamp (ms)
+         * @returns {boolean} True if the event was dispatched
+         */
+        function dispatchEvent(eventData, timestamp = now()) {
+            if (!eventData) return false;
+
+            const plainEvent = toPlainEventData(eventData);
+            const signature = getSignature(plainEvent);
+            const currentTime = now();
+            if (isDuplicate(signature, currentTime)) {
+                onDuplicate(plainEvent);
+                return false;
+            }
+
+            dispatchedSignatures.set(signature, currentTime);
+            steps.dispatch(plainEvent, timestamp);
+            return true;
+        }
+
+        /**
+         * Runs a normalized event through all steps. Live events wait for liveDelay (e.g. until
+         * MTM processed the push); historical events were processed before the monitor loaded
+         * and are handled right away.
+         * @param {Object} eventData - Normalized event
+         * @param {number|null} timestamp - Event timestamp (null = time of dispatch)
+         */
+        function processEvent(eventData, timestamp = null) {
+            const run = () => {
+                analyze(eventData);
+                enrich(eventData);
+                dispatchEvent(eventData, timestamp !== null ? timestamp : now());
+            };
+
+            if (eventData.isHistorical || liveDelay <= 0) {
+                run();
+            } else {
+                schedule(run, liveDelay);
+            }
+        }
+
+        return { processEvent, dispatchEvent };
+    }
+
+    // =============================================================================
+    // EXPORT
+    // =============================================================================
+
+    /** @const {Object} Public pipeline steps */
+    const MTMEventPipeline = {
+        isMTMDataLayerEntry,
+        normalizeMTMEntry,
+        normalizeDataLayerEntry,
+        cleanEventDetails,
+        getEventSignature,
+        toPlainEventData,
+        createEventProcessor
+    };
+
+    root.MTMEventPipeline = MTMEventPipeline;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MTMEventPipeline;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
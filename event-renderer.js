@@ -0,0 +1,2396 @@
+/**
+ * Matomo Tag Manager Event Monitor - Event Renderer
+ * Shared HTML rendering of captured events
+ *
+ * @description Renders event items, trigger analysis, fired tags and variables, and keeps
+ *              long event lists windowed. Used by the in-page overlay (content script)
+ *              and the DevTools panel.
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+
+// =============================================================================
+// CONSTANTS AND CONFIGURATION
+// =============================================================================
+
+/** @const {Object} Display labels for tag states reported by the injected script */
+const TAG_STATUS_LABELS = {
+    'blocked': '⛔ blocked by block trigger',
+    'fire-limit': '🔁 fire limit reached',
+    'delayed': '⏳ delayed',
+    'suppressed': '🚫 suppressed (date range or fire limit storage)'
+};
+
+/** @const {Object} Tooltips of historical event times by origin of the timestamp */
+const TIMESTAMP_SOURCE_TITLES = {
+    'recorded': 'Push time recorded at page start',
+    'mtm.startTime': 'Time taken from mtm.startTime of the entry',
+    'gtm.start': 'Time taken from gtm.start of the entry',
+    'unknown': 'Pushed before the monitor loaded - exact time unknown, not earlier than shown'
+};
+
+/** @const {Object} Default event list filter (nothing filtered) */
+const DEFAULT_EVENT_FILTER = {
+    text: '',
+    triggerOrTag: '',
+    onlyFiredTags: false,
+    frame: '',
+    sources: {
+        mtm: true,
+        dlLive: true,
+        dlScan: true,
+        historical: true
+    }
+};
+
+/** @const {Object} Labels of decoded Matomo tracking parameters (shown above the raw parameters) */
+const TRACKING_PARAM_LABELS = {
+    idsite: 'Site ID',
+    action_name: 'Action name',
+    url: 'URL',
+    urlref: 'Referrer',
+    e_c: 'Event category',
+    e_a: 'Event action',
+    e_n: 'Event name',
+    e_v: 'Event value',
+    search: 'Search keyword',
+    search_cat: 'Search category',
+    search_count: 'Search results',
+    link: 'Outlink',
+    download: 'Download',
+    c_n: 'Content name',
+    c_p: 'Content piece',
+    c_t: 'Content target',
+    c_i: 'Content interaction',
+    idgoal: 'Goal ID',
+    revenue: 'Revenue',
+    ec_id: 'Order ID',
+    _id: 'Visitor ID',
+    uid: 'User ID',
+    pv_id: 'Pageview ID',
+    ca: 'Custom action'
+};
+
+/** @const {Object} Sections of the container inventory (key -> tab label) */
+const INVENTORY_SECTIONS = {
+    tags: '🏷️ Tags',
+    triggers: '🎯 Triggers',
+    variables: '🔧 Variables',
+    coverage: '📊 Coverage'
+};
+
+/** @const {Object} Windowed event list settings */
+const EVENT_LIST_WINDOW = {
+    ESTIMATED_ROW_HEIGHT: 44,
+    OVERSCAN_ROWS: 8
+};
+
+// =============================================================================
+// STATE MANAGEMENT
+// =============================================================================
+
+/** @type {Object} Tracks which events are expanded in UI */
+let expandedStates = {};
+
+/** @type {string|null} Container ID the overlay is filtered by (null = all containers) */
+let activeContainerFilter = null;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Escapes HTML characters for safe display (quotes included, so results can be used in attributes)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML string
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Copies text to the clipboard (falls back to execCommand where the Clipboard API is blocked)
+ * @param {string} text - Text to copy
+ */
+function copyTextToClipboard(text) {
+    const copyWithSelection = () => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).catch(copyWithSelection);
+    } else {
+        copyWithSelection();
+    }
+}
+
+/**
+ * Returns trigger analysis restricted to the active container filter
+ * @param {Object} analysis - Trigger analysis of an event
+ * @returns {Object} Filtered trigger analysis (original object if no filter is active)
+ */
+function filterAnalysisByContainer(analysis) {
+    if (!analysis || !activeContainerFilter) {
+        return analysis;
+    }
+
+    // Items without container ID (older format) are always shown
+    const matchesFilter = item => !item || typeof item !== 'object' ||
+        !item.containerId || item.containerId === activeContainerFilter;
+
+    return {
+        ...analysis,
+        triggeredTriggers: (analysis.triggeredTriggers || []).filter(matchesFilter),
+        notFiredTriggers: (analysis.notFiredTriggers || []).filter(matchesFilter),
+        firedTags: (analysis.firedTags || []).filter(matchesFilter),
+        suppressedTags: (analysis.suppressedTags || []).filter(matchesFilter)
+    };
+}
+
+// =============================================================================
+// EVENT FILTERING
+// =============================================================================
+
+/**
+ * Gets the source filter key of an event (matches the keys of DEFAULT_EVENT_FILTER.sources)
+ * @param {Object} event - Event data
+ * @returns {string} 'mtm', 'dlLive', 'dlScan' or 'historical'
+ */
+function getEventSourceFilterKey(event) {
+    const source = event.source || '';
+
+    if (source.includes('dataLayer')) {
+        return event.isHistorical ? 'dlScan' : 'dlLive';
+    }
+    return event.isHistorical ? 'historical' : 'mtm';
+}
+
+/**
+ * Gets the frame filter key of an event
+ * @param {Object} event - Event data
+ * @returns {string} 'top' for the top-level frame, otherwise origin and path of the subframe
+ */
+function getEventFrameKey(event) {
+    if (!event.frame || event.frame.isTop) {
+        return 'top';
+    }
+    return `${event.frame.origin || ''}${event.frame.path || ''}`;
+}
+
+/**
+ * Checks whether a filter restricts the event list at all
+ * @param {Object} filter - Event filter
+ * @returns {boolean} True if any filter criterion is set
+ */
+function isEventFilterActive(filter) {
+    return !!(filter.text || filter.triggerOrTag || filter.onlyFiredTags || filter.frame ||
+        Object.values(filter.sources).some(enabled => !enabled));
+}
+
+/**
+ * Gets the names of all tags an event fired
+ * @param {Object} event - Event data
+ * @returns {Array<string>} Tag names
+ */
+function getFiredTagNames(event) {
+    const names = (event.firedTags || []).map(tag => String(tag));
+    const analysisTags = event.triggerAnalysis?.firedTags || [];
+    analysisTags.forEach(tag => {
+        if (tag && tag.name) names.push(String(tag.name));
+    });
+    return names;
+}
+
+/**
+ * Checks whether an event matches a filter
+ * @param {Object} event - Event data
+ * @param {Object} filter - Event filter
+ * @returns {boolean} True if the event is shown
+ */
+function matchesEventFilter(event, filter) {
+    if (!filter.sources[getEventSourceFilterKey(event)]) {
+        return false;
+    }
+
+    if (filter.frame && getEventFrameKey(event) !== filter.frame) {
+        return false;
+    }
+
+    const firedTagNames = getFiredTagNames(event);
+    if (filter.onlyFiredTags && firedTagNames.length === 0) {
+        return false;
+    }
+
+    if (filter.triggerOrTag) {
+        const search = filter.triggerOrTag.toLowerCase();
+        const triggerNames = (event.triggerAnalysis?.triggeredTriggers || []).map(trigger => String(trigger.name || ''));
+        if (!triggerNames.concat(firedTagNames).some(name => name.toLowerCase().includes(search))) {
+            return false;
+        }
+    }
+
+    if (filter.text) {
+        const search = filter.text.toLowerCase();
+        let detailsText = '';
+        try {
+            detailsText = JSON.stringify(event.details ?? event.rawData ?? '');
+        } catch (error) {
+            // Circular details - search the event name only
+        }
+        if (!`${event.eventName || ''} ${detailsText}`.toLowerCase().includes(search)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Filters events (keeps their order)
+ * @param {Array<Object>} events - Events to filter
+ * @param {Object} filter - Event filter
+ * @returns {Array<Object>} Matching events
+ */
+function filterEvents(events, filter) {
+    if (!isEventFilterActive(filter)) {
+        return events;
+    }
+    return events.filter(event => matchesEventFilter(event, filter));
+}
+
+// =============================================================================
+// EVENT DISPLAY AND FORMATTING
+// =============================================================================
+
+/**
+ * Formats JSON data for display with syntax highlighting
+ * @param {any} obj - Object to format
+ * @returns {string} Formatted HTML string
+ */
+function formatJSON(obj) {
+    function cleanObject(obj) {
+        if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
+            const cleaned = {};
+            for (const [key, value] of Object.entries(obj)) {
+                if (key !== '__mtm_processed') {
+                    cleaned[key] = value;
+                }
+            }
+            return cleaned;
+        }
+        return obj;
+    }
+
+    const cleanedObj = cleanObject(obj);
+
+    function formatValue(value, indent = 0) {
+        const spaces = '  '.repeat(indent);
+
+        if (value === null) {
+            return '<span class="json-null">null</span>';
+        }
+
+        if (typeof value === 'string') {
+            return `<span class="json-string">"${escapeHtml(value)}"</span>`;
+        }
+
+        if (typeof value === 'number') {
+            return `<span class="json-number">${value}</span>`;
+        }
+
+        if (typeof value === 'boolean') {
+            return `<span class="json-boolean">${value}</span>`;
+        }
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '<span class="json-bracket">[]</span>';
+
+            const items = value.map(item =>
+                `${spaces}  ${formatValue(item, indent + 1)}`
+            ).join(',\n');
+
+            return `<span class="json-bracket">[</span>\n${items}\n${spaces}<span class="json-bracket">]</span>`;
+        }
+
+        if (typeof value === 'object') {
+            const keys = Object.keys(value);
+            if (keys.length === 0) return '<span class="json-bracket">{}</span>';
+
+            const items = keys.map(key =>
+                `${spaces}  <span class="json-key">"${escapeHtml(key)}"</span><span class="json-colon">:</span> ${formatValue(value[key], indent + 1)}`
+            ).join(',\n');
+
+            return `<span class="json-bracket">{</span>\n${items}\n${spaces}<span class="json-bracket">}</span>`;
+        }
+
+        return escapeHtml(String(value));
+    }
+
+    return formatValue(cleanedObj);
+}
+
+/**
+ * Checks whether events belong to more than one page load (navigation separators needed)
+ * @param {Array<Object>} events - Events to check
+ * @returns {boolean} True if separators are shown
+ */
+function hasMultiplePageLoads(events) {
+    return new Set(events.map(event => event.pageLoadId).filter(Boolean)).size > 1;
+}
+
+/**
+ * Renders the navigation separator above an event if it starts a new page group
+ * @param {Object} event - Event data
+ * @param {Object|null} newerEvent - Event rendered above (null for the newest event)
+ * @param {string|null} currentPageLoadId - Page load ID of the current page
+ * @returns {string} HTML string for the separator (empty if the event continues a group)
+ */
+function renderNavigationSeparatorHTML(event, newerEvent, currentPageLoadId) {
+    // Newest first: a separator starts each page group
+    if (newerEvent && newerEvent.pageLoadId === event.pageLoadId) {
+        return '';
+    }
+
+    return `
+        <div class="matomo-navigation-separator" title="${escapeHtml(event.pageUrl || '')}">
+            🧭 ${escapeHtml(event.pageUrl || 'Unknown page')}
+            ${currentPageLoadId && event.pageLoadId === currentPageLoadId ? '<span class="current-page-label">current page</span>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders HTML for a single event
+ * @param {Object} event - Event data
+ * @param {number} eventNumber - Event number (position in the event log)
+ * @returns {string} HTML string for event
+ */
+function renderEventHTML(event, eventNumber) {
+    let displayName = event.eventName || 'Unknown';
+    let originalName = '';
+
+    if (event.eventName === 'aEvent' && event.details && event.details.aEvent) {
+        displayName = event.details.aEvent;
+        originalName = ' <span class="original-name">(aEvent)</span>';
+    }
+
+    const eventId = `event-${escapeHtml(String(event.id))}`;
+    const isExpanded = expandedStates[eventId] || false;
+    const isHistorical = event.isHistorical || false;
+
+    const tags = event.firedTags || [];
+    const tagsHtml = tags.length > 0 ? `
+        <div class="matomo-event-tags">
+            <strong>Tags:</strong> ${tags.map(tag => `<span class="tag-item">${escapeHtml(String(tag))}</span>`).join(', ')}
+        </div>
+    ` : '';
+
+    const sourceInfo = getEventSourceInfo(event);
+    const sourceBadge = sourceInfo.show ? `<span class="event-source-badge ${sourceInfo.class}" title="${escapeHtml(sourceInfo.tooltip)}">${sourceInfo.label}</span>` : '';
+    const frameBadge = event.frame && !event.frame.isTop ?
+        `<span class="event-source-badge source-frame" title="Captured in iframe ${escapeHtml(event.frame.url || getEventFrameKey(event))}">🪟 ${escapeHtml(event.frame.origin || 'iframe')}</span>` : '';
+
+    const arrayIndexText = event.arrayIndex !== null && event.arrayIndex !== undefined ? ` [${Number(event.arrayIndex)}]` : '';
+
+    // Generate trigger analysis HTML
+    const triggerAnalysisHtml = generateTriggerAnalysisHtml(event);
+
+    // Generate trigger badge for the header (positioned next to time)
+    const triggerBadge = generateTriggerBadge(event);
+
+    const trackingRequests = event.trackingRequests || [];
+    const warningBadge = generateWarningBadge(event);
+    const planBadge = generatePlanBadge(event);
+    const trackingBadge = trackingRequests.length > 0 ?
+        `<span class="trigger-badge tracking-badge" title="${trackingRequests.length} tracking request(s) sent">📡${trackingRequests.length}</span>` : '';
+    // Variables and dataLayer state are shown in tabs next to the details
+    const detailTabs = [];
+    const variablesHtml = generateVariablesHtml(event);
+    if (variablesHtml) {
+        detailTabs.push({ id: 'variables', label: getVariablesTabLabel(event), html: variablesHtml });
+    }
+    const dataLayerHtml = generateDataLayerStateHtml(event);
+    if (dataLayerHtml) {
+        detailTabs.push({ id: 'datalayer', label: getDataLayerTabLabel(event), html: dataLayerHtml });
+    }
+    const activeTab = detailTabs.some(tab => tab.id === expandedStates[`${eventId}-tab`]) ?
+        expandedStates[`${eventId}-tab`] : 'overview';
+    const hasDetails = !!(event.details || event.triggerAnalysis || trackingRequests.length > 0 || planBadge || detailTabs.length > 0);
+
+    return `
+        <div class="matomo-event-item ${isHistorical ? 'historical' : ''}">
+            <div class="matomo-event-header">
+                <div class="matomo-event-name">
+                    ${hasDetails ? `<span class="matomo-details-toggle matomo inline-toggle" data-event-id="${eventId}">
+                        <span class="toggle-icon">${isExpanded ? '▼' : '▶'}</span>
+                    </span>` : ''}
+                    <span class="matomo-event-number ${isHistorical ? 'historical' : ''}">${eventNumber}</span>
+                    ${sourceBadge}
+                    ${frameBadge}
+                    ${escapeHtml(String(displayName))}${originalName}
+                    ${arrayIndexText ? `<span class="array-index">${arrayIndexText}</span>` : ''}
+                </div>
+                <div class="matomo-event-meta">
+                    ${triggerBadge}
+                    ${planBadge}
+                    ${warningBadge}
+                    ${trackingBadge}
+                    ${generateEventTimeHtml(event)}
+                </div>
+            </div>
+            ${tagsHtml}
+            ${hasDetails ? `
+                <div id="${eventId}" class="matomo-event-details ${isExpanded ? '' : 'collapsed'}">
+                    ${detailTabs.length > 0 ? generateDetailsTabsHtml(eventId, detailTabs, activeTab) : ''}
+                    <div class="event-details-panel" data-details-panel="overview" ${activeTab === 'overview' ? '' : 'hidden'}>
+                        ${generatePlanViolationsHtml(event)}
+                        ${triggerAnalysisHtml}
+                        ${generateTrackingRequestsHtml(event)}
+                        ${event.details ? `
+                            <div class="event-details-section">
+                                <h5>📋 Event Details:</h5>
+                                <pre class="json-formatter matomo">${formatJSON(event.details)}</pre>
+                            </div>
+                        ` : ''}
+                    </div>
+                    ${detailTabs.map(tab => `
+                        <div class="event-details-panel" data-details-panel="${tab.id}" ${activeTab === tab.id ? '' : 'hidden'}>
+                            ${tab.html}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generates trigger analysis HTML for an event
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for trigger analysis
+ */
+function generateTriggerAnalysisHtml(event) {
+    if (!event.triggerAnalysis) {
+        return '';
+    }
+
+    const analysis = filterAnalysisByContainer(event.triggerAnalysis);
+    const showContainerIds = (analysis.containers || []).length > 1;
+    let html = '<div class="trigger-analysis-section">';
+
+    // Debug Mode Warning (no container stats)
+    if (!analysis.debugMode) {
+        html += `
+            <div class="debug-mode-warning">
+                <strong>⚠️ MTM Debug Mode not active</strong><br>
+                <small>Enable with: <code>window.MatomoTagManager.enableDebugMode()</code></small>
+            </div>
+        `;
+    }
+
+    // Always show triggers and tags if available, regardless of debug mode
+    if (analysis.debugMode || analysis.triggeredTriggers.length > 0 || analysis.firedTags.length > 0) {
+        // Triggered Triggers (without container stats)
+        if (analysis.triggeredTriggers.length > 0) {
+            html += '<div class="triggered-triggers">';
+            html += '<h5>🎯 Triggered Triggers:</h5>';
+
+            analysis.triggeredTriggers.forEach(trigger => {
+                html += `
+                    <div class="trigger-item">
+                        <div class="trigger-header">
+                            <strong>${escapeHtml(trigger.name)}</strong>
+                            <span class="trigger-type">(${escapeHtml(String(trigger.type))})</span>
+                            ${showContainerIds && trigger.containerId ? `<span class="container-id-badge">${escapeHtml(String(trigger.containerId))}</span>` : ''}
+                        </div>
+                        ${renderTriggerConditionsHtml(trigger.matchedConditions)}
+                    </div>
+                `;
+            });
+
+            html += '</div>';
+        }
+
+        // Fired Tags - enhanced with time and trigger info
+        if (analysis.firedTags.length > 0) {
+            html += '<div class="fired-tags">';
+            html += analysis.tagSource === 'simulated' ?
+                '<h5 title="Derived from the tags referenced by matching triggers">🏷️ Fired Tags (simulated):</h5>' :
+                '<h5 title="Reported by MTM tag execution">🏷️ Fired Tags:</h5>';
+            html += '<div class="tag-list">';
+
+            analysis.firedTags.forEach(tag => {
+                // Handle both string and object formats
+                if (typeof tag === 'string') {
+                    // Fallback for simple string format
+                    html += `
+                        <div class="tag-entry">
+                            <span class="tag-name">${escapeHtml(tag)}</span>
+                            <span class="tag-details">Legacy format - no timing info</span>
+                        </div>
+                    `;
+                } else {
+                    // Enhanced object format with timing and trigger info
+                    html += `
+                        <div class="tag-entry">
+                            <span class="tag-name">${escapeHtml(tag.name || 'Unknown Tag')}</span>
+                            <span class="tag-details">
+                                ⏰ ${escapeHtml(String(tag.timestamp || 'No timestamp'))} | 🎯 ${escapeHtml(tag.trigger || 'Unknown trigger')}${showContainerIds && tag.containerId ? ` | 📦 ${escapeHtml(String(tag.containerId))}` : ''}${tag.delayed ? ` | ${TAG_STATUS_LABELS.delayed}${tag.fireDelay ? ` (${Number(tag.fireDelay)} ms)` : ''}` : ''}
+                            </span>
+                        </div>
+                    `;
+                }
+            });
+
+            html += '</div></div>';
+        }
+
+        // Blocked / suppressed tags (only known from MTM execution hooks)
+        if (analysis.suppressedTags && analysis.suppressedTags.length > 0) {
+            html += '<div class="fired-tags suppressed-tags">';
+            html += '<h5>⛔ Blocked / Suppressed Tags:</h5>';
+            html += '<div class="tag-list">';
+
+            analysis.suppressedTags.forEach(tag => {
+                let statusLabel = TAG_STATUS_LABELS[tag.status] || escapeHtml(String(tag.status));
+                if (tag.status === 'delayed' && tag.fireDelay) {
+                    statusLabel += ` (${Number(tag.fireDelay)} ms)`;
+                } else if (tag.status === 'fire-limit' && tag.fireLimit) {
+                    statusLabel += ` (${escapeHtml(String(tag.fireLimit))})`;
+                }
+
+                html += `
+                    <div class="tag-entry ${escapeHtml(String(tag.status))}">
+                        <span class="tag-name">${escapeHtml(tag.name || 'Unknown Tag')}</span>
+                        <span class="tag-details">
+                            ${statusLabel} | ⏰ ${escapeHtml(String(tag.timestamp || 'No timestamp'))} | 🎯 ${escapeHtml(tag.trigger || 'Unknown trigger')}
+                        </span>
+                    </div>
+                `;
+            });
+
+            html += '</div></div>';
+        }
+
+        // Not fired triggers (near misses) - collapsible
+        html += generateNotFiredTriggersHtml(event, analysis);
+
+        // No Results
+        if (analysis.triggeredTriggers.length === 0 && analysis.firedTags.length === 0) {
+            html += '<div class="no-triggers">💤 No triggers or tags detected for this event</div>';
+        }
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Renders the matched conditions of a trigger
+ * @param {Array<Object>} matchedConditions - Conditions with actual value and match result
+ * @returns {string} HTML string for trigger conditions
+ */
+function renderTriggerConditionsHtml(matchedConditions) {
+    return `
+        <div class="trigger-conditions">
+            ${(matchedConditions || []).map(cond => `
+                <div class="condition ${cond.matched ? 'matched' : 'not-matched'}">
+                    <span class="condition-variable">${escapeHtml(String(cond.variable))}</span>:
+                    "<span class="condition-value">${escapeHtml(String(cond.actual))}</span>"
+                    <span class="condition-operator">${escapeHtml(String(cond.comparison))}</span>
+                    "<span class="condition-expected">${escapeHtml(String(cond.expected))}</span>"
+                    <span class="condition-result">${cond.matched ? '✅' : '❌'}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Generates the collapsible "Not fired" section for evaluated but not fired triggers
+ * @param {Object} event - Event data
+ * @param {Object} analysis - (Filtered) trigger analysis of the event
+ * @returns {string} HTML string for not fired triggers
+ */
+function generateNotFiredTriggersHtml(event, analysis) {
+    const notFired = analysis.notFiredTriggers || [];
+    if (notFired.length === 0) {
+        return '';
+    }
+
+    const sectionId = `event-${escapeHtml(String(event.id))}-not-fired`;
+    const isExpanded = expandedStates[sectionId] || false;
+    const showContainerIds = (analysis.containers || []).length > 1;
+
+    return `
+        <div class="not-fired-triggers">
+            <h5 class="matomo-details-toggle matomo" data-event-id="${sectionId}">
+                <span class="toggle-icon">${isExpanded ? '▼' : '▶'}</span>
+                🚫 Not fired (${notFired.length}):
+            </h5>
+            <div id="${sectionId}" class="not-fired-list ${isExpanded ? '' : 'collapsed'}">
+                ${notFired.map(trigger => `
+                    <div class="trigger-item not-fired">
+                        <div class="trigger-header">
+                            <strong>${escapeHtml(trigger.name)}</strong>
+                            <span class="trigger-type">(${escapeHtml(String(trigger.type))})</span>
+                            ${showContainerIds && trigger.containerId ? `<span class="container-id-badge">${escapeHtml(String(trigger.containerId))}</span>` : ''}
+                            <span class="condition-count">${Number(trigger.matchedCount)}/${Number(trigger.totalConditions)} conditions matched</span>
+                        </div>
+                        ${renderTriggerConditionsHtml(trigger.matchedConditions)}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generates the tracking plan badge for the event header
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for the badge (empty without violations)
+ */
+function generatePlanBadge(event) {
+    const violations = event.planViolations || [];
+    if (violations.length === 0) {
+        return '';
+    }
+
+    const title = escapeHtml(violations.map(violation => violation.message).join('\n')).replace(/"/g, '&quot;');
+    return `<span class="trigger-badge plan-badge" title="${title}">📋${violations.length}</span>`;
+}
+
+/**
+ * Generates the tracking plan violations section of an event
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for the violations
+ */
+function generatePlanViolationsHtml(event) {
+    const violations = event.planViolations || [];
+    if (violations.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="event-details-section plan-violations-section">
+            <h5>📋 Tracking Plan Violations (${violations.length}):</h5>
+            ${violations.map(violation => `
+                <div class="plan-violation plan-violation-${escapeHtml(violation.type)}">${escapeHtml(violation.message)}</div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Gets the tracking requests of an event that match the container filter
+ * @param {Object} event - Event data
+ * @returns {Array<Object>} Tracking requests
+ */
+function getVisibleTrackingRequests(event) {
+    return (event.trackingRequests || []).filter(request =>
+        !activeContainerFilter || !request.tag || request.tag.containerId === activeContainerFilter);
+}
+
+/**
+ * Collects the validation warnings of all (visible) tracking requests of events
+ * @param {Array<Object>} events - Events in chronological order
+ * @returns {Array<Object>} Issues ({event, eventNumber, tagName, message})
+ */
+function collectTrackingIssues(events) {
+    const issues = [];
+
+    events.forEach((event, index) => {
+        getVisibleTrackingRequests(event).forEach(request => {
+            (request.warnings || []).forEach(warning => {
+                issues.push({
+                    event: event,
+                    eventNumber: index + 1,
+                    tagName: request.tag ? request.tag.name : null,
+                    message: warning.message
+                });
+            });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Generates the warning badge for the event header
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for the badge (empty without warnings)
+ */
+function generateWarningBadge(event) {
+    const messages = collectTrackingIssues([event]).map(issue => issue.message);
+    if (messages.length === 0) {
+        return '';
+    }
+
+    return `<span class="trigger-badge warning-badge" title="${escapeHtml(messages.join('\n')).replace(/"/g, '&quot;')}">⚠️${messages.length}</span>`;
+}
+
+/**
+ * Generates the aggregate issues list (newest first)
+ * @param {Array<Object>} issues - Issues from collectTrackingIssues()
+ * @returns {string} HTML string for the issues list
+ */
+function generateIssuesListHtml(issues) {
+    if (issues.length === 0) {
+        return '<div class="matomo-issue-empty">No tracking request issues</div>';
+    }
+
+    return issues.slice().reverse().map(issue => `
+        <button class="matomo matomo-issue-item" data-reveal-event-id="${escapeHtml(String(issue.event.id))}" title="Show event">
+            <strong>#${issue.eventNumber} ${escapeHtml(issue.event.eventName || 'Unknown')}</strong>${issue.tagName ? ` - ${escapeHtml(issue.tagName)}` : ''}<br>
+            ⚠️ ${escapeHtml(issue.message)}
+        </button>
+    `).join('');
+}
+
+/**
+ * Determines the kind of hit a Matomo tracking request records
+ * @param {Object} params - Decoded request parameters
+ * @returns {string} Hit type label
+ */
+function getTrackingHitType(params) {
+    if (params.ping) return 'ping';
+    if (params.e_c || params.e_a) return 'event';
+    if (params.search !== undefined) return 'site search';
+    if (params.ec_id) return 'ecommerce order';
+    if (params.idgoal === '0' && params.ec_items) return 'cart update';
+    if (params.idgoal) return 'goal';
+    if (params.link) return 'outlink';
+    if (params.download) return 'download';
+    if (params.c_n) return params.c_i ? 'content interaction' : 'content impression';
+    if (params.ca) return 'custom action';
+    return 'pageview';
+}
+
+/**
+ * Generates the tracking requests section of an event (one entry per hit, grouped by tag)
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for tracking requests
+ */
+function generateTrackingRequestsHtml(event) {
+    const requests = getVisibleTrackingRequests(event);
+    if (requests.length === 0) {
+        return '';
+    }
+
+    const requestsHtml = requests.map(request => {
+        const params = request.params || {};
+        const tagName = request.tag ? request.tag.name : (request.unattributed ? 'Unattributed (sent during or before this event)' : 'Unknown tag');
+
+        // Decoded parameters first, custom dimensions after them
+        const decodedRows = Object.keys(TRACKING_PARAM_LABELS)
+            .filter(key => params[key] !== undefined && params[key] !== '')
+            .map(key => [TRACKING_PARAM_LABELS[key], params[key]]);
+        Object.keys(params)
+            .filter(key => /^dimension\d+$/.test(key))
+            .forEach(key => decodedRows.push([`Dimension ${key.replace('dimension', '')}`, params[key]]));
+
+        return `
+            <div class="tracking-request">
+                <div class="tracking-request-header">
+                    <span class="tracking-hit-type">${escapeHtml(getTrackingHitType(params))}</span>
+                    <strong>${escapeHtml(tagName)}</strong>
+                    <small>${escapeHtml(request.method || 'GET')} via ${escapeHtml(request.transport || 'unknown')}${request.bulk ? ' (bulk)' : ''}
+                        ${request.timestamp ? ` | ${escapeHtml(new Date(request.timestamp).toLocaleTimeString())}` : ''}</small>
+                </div>
+                ${(request.warnings || []).map(warning => `
+                    <div class="tracking-warning">⚠️ ${escapeHtml(warning.message)}</div>
+                `).join('')}
+                ${decodedRows.map(([label, value]) => `
+                    <div class="variable-row">
+                        <span class="variable-name">${escapeHtml(label)}</span>
+                        <span class="variable-value">${escapeHtml(String(value))}</span>
+                    </div>
+                `).join('')}
+                <details class="tracking-request-raw">
+                    <summary>All parameters (${Object.keys(params).length}) - ${escapeHtml(request.endpoint || '')}</summary>
+                    <pre class="json-formatter matomo">${formatJSON(params)}</pre>
+                </details>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="event-details-section tracking-requests-section">
+            <h5>📡 Tracking Requests (${requests.length}):</h5>
+            ${requestsHtml}
+        </div>
+    `;
+}
+
+/**
+ * Gets the containers of an event that have resolved variables (respecting the container filter)
+ * @param {Object} event - Event data
+ * @returns {Array<Object>} Containers with resolvedVariables
+ */
+function getVariableContainers(event) {
+    return (event.containerInfo || []).filter(container => container.resolvedVariables &&
+        (!activeContainerFilter || container.id === activeContainerFilter));
+}
+
+/**
+ * Generates the tab bar of the event details (details tab plus the given tabs)
+ * @param {string} eventId - ID of the details element
+ * @param {Array<Object>} tabs - Additional tabs ({id, label})
+ * @param {string} activeTab - ID of the active tab
+ * @returns {string} HTML string for the tab bar
+ */
+function generateDetailsTabsHtml(eventId, tabs, activeTab) {
+    return `
+        <div class="event-details-tabs">
+            ${[{ id: 'overview', label: '📋 Details' }].concat(tabs).map(tab => `
+                <button class="matomo matomo-details-tab ${tab.id === activeTab ? 'active' : ''}" data-details-tab="${tab.id}" data-tab-event-id="${eventId}">${tab.label}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Gets the label of the variables tab (number of variables and changes)
+ * @param {Object} event - Event data
+ * @returns {string} Tab label HTML
+ */
+function getVariablesTabLabel(event) {
+    let variableCount = 0;
+    let changedCount = 0;
+    getVariableContainers(event).forEach(container => {
+        variableCount += Object.keys(container.resolvedVariables).length;
+        changedCount += Object.keys(container.changedVariables || {}).length;
+    });
+
+    return `📊 Variables (${variableCount})${changedCount > 0 ? ` <span class="variable-changed-count">${changedCount} changed</span>` : ''}`;
+}
+
+/**
+ * Generates the resolved variables of an event (values changed since the previous event are highlighted)
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for resolved variables
+ */
+function generateVariablesHtml(event) {
+    const containers = getVariableContainers(event);
+    const frameKey = getEventFrameKey(event);
+
+    const rows = [];
+    containers.forEach(container => {
+        const changedVariables = container.changedVariables || {};
+
+        Object.entries(container.resolvedVariables).forEach(([name, variable]) => {
+            const change = changedVariables[name];
+            const previousValue = change && !change.isNew ?
+                `<span class="variable-previous-value">was ${escapeHtml(JSON.stringify(change.previousValue) ?? 'undefined')}</span>` : '';
+
+            rows.push(`
+                <div class="variable-row ${change ? 'variable-changed' : ''}">
+                    <button class="matomo variable-name variable-timeline-link" title="${escapeHtml(String(variable.type))} - show timeline"
+                        data-variable-timeline="${escapeHtml(name)}" data-variable-container="${escapeHtml(String(container.id))}" data-variable-frame="${escapeHtml(frameKey)}">${escapeHtml(name)}</button>
+                    <span class="variable-value">${escapeHtml(JSON.stringify(variable.currentValue) ?? 'undefined')}${previousValue}</span>
+                    ${change && change.isNew ? '<span class="variable-new-badge">new</span>' : ''}
+                    ${containers.length > 1 ? `<span class="container-id-badge">${escapeHtml(String(container.id))}</span>` : ''}
+                </div>
+            `);
+        });
+    });
+
+    if (rows.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="event-details-section variables-section">
+            ${rows.join('')}
+        </div>
+    `;
+}
+
+/**
+ * Switches the event details to another tab
+ * @param {string} eventId - ID of the details element
+ * @param {string} tab - Tab to show ("overview", "variables" or "datalayer")
+ */
+function switchEventDetailsTab(eventId, tab) {
+    const detailsEl = document.getElementById(eventId);
+    if (!detailsEl) return;
+
+    detailsEl.querySelectorAll('[data-details-tab]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-details-tab') === tab);
+    });
+    detailsEl.querySelectorAll('[data-details-panel]').forEach(panel => {
+        panel.hidden = panel.getAttribute('data-details-panel') !== tab;
+    });
+
+    if (tab === 'overview') {
+        delete expandedStates[`${eventId}-tab`];
+    } else {
+        expandedStates[`${eventId}-tab`] = tab;
+    }
+}
+
+/**
+ * Generates trigger badge for the event header
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for trigger badge
+ */
+function generateTriggerBadge(event) {
+    if (!event.triggerAnalysis) {
+        return '';
+    }
+
+    const analysis = filterAnalysisByContainer(event.triggerAnalysis);
+
+    if (!analysis.debugMode) {
+        return '<span class="trigger-badge debug-off" title="MTM Debug Mode not active">🔍</span>';
+    }
+
+    const triggerCount = analysis.triggeredTriggers.length;
+    const tagCount = analysis.firedTags.length;
+    const suppressedCount = (analysis.suppressedTags || []).length;
+
+    // Only show badge if there are triggers or tags
+    if (triggerCount === 0 && tagCount === 0) {
+        return '';
+    }
+
+    let badgeText = '';
+    let badgeClass = 'trigger-badge active';
+    let title = '';
+
+    if (triggerCount > 0 && tagCount > 0) {
+        badgeText = `🎯${triggerCount} 🏷️${tagCount}`;
+        title = `${triggerCount} trigger(s) fired ${tagCount} tag(s)`;
+    } else if (triggerCount > 0) {
+        badgeText = `🎯${triggerCount}`;
+        title = `${triggerCount} trigger(s) fired (no tags)`;
+    } else if (tagCount > 0) {
+        badgeText = `🏷️${tagCount}`;
+        title = `${tagCount} tag(s) fired`;
+    }
+
+    if (suppressedCount > 0) {
+        badgeText += ` ⛔${suppressedCount}`;
+        title += `, ${suppressedCount} tag(s) blocked or suppressed`;
+    }
+
+    return `<span class="${badgeClass}" title="${title}">${badgeText}</span>`;
+}
+
+/**
+ * Generates the time of an event header (times of historical entries show their origin)
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for the time
+ */
+function generateEventTimeHtml(event) {
+    const time = new Date(event.timestamp).toLocaleTimeString();
+    const title = TIMESTAMP_SOURCE_TITLES[event.timestampSource];
+    if (!title) {
+        return `<span class="matomo-event-time matomo">${time}</span>`;
+    }
+
+    const isUnknown = event.timestampSource === 'unknown';
+    return `<span class="matomo-event-time matomo ${isUnknown ? 'time-unknown' : ''}" title="${title}">${isUnknown ? '≥ ' : ''}${time}</span>`;
+}
+
+/**
+ * Gets event source information for badge display
+ * @param {Object} event - Event data
+ * @returns {Object} Source info object
+ */
+function getEventSourceInfo(event) {
+    const source = event.source || '';
+    const isHistorical = event.isHistorical || false;
+
+    if (source.includes('_mtm.push')) {
+        return { show: false };
+    } else if (source.includes('dataLayer')) {
+        if (isHistorical) {
+            return {
+                label: 'DL-SCAN',
+                class: 'source-dl-historical',
+                tooltip: 'Event read from existing dataLayer (initial scan)',
+                show: true
+            };
+        } else {
+            return {
+                label: 'DL-LIVE',
+                class: 'source-dl-live',
+                tooltip: 'Event intercepted via dataLayer.push() proxy',
+                show: true
+            };
+        }
+    } else {
+        return {
+            label: 'OTHER',
+            class: 'source-other',
+            tooltip: `Event source: ${source}`,
+            show: true
+        };
+    }
+}
+
+/**
+ * Toggles event details visibility
+ * @param {string} eventId - Event element ID
+ */
+function toggleEventDetails(eventId) {
+    const detailsEl = document.getElementById(eventId);
+
+    if (detailsEl) {
+        detailsEl.classList.toggle('collapsed');
+
+        const toggleBtn = document.querySelector(`[data-event-id="${eventId}"] .toggle-icon`);
+        if (toggleBtn) {
+            const isCollapsed = detailsEl.classList.contains('collapsed');
+            toggleBtn.textContent = isCollapsed ? '▶' : '▼';
+        }
+
+        expandedStates[eventId] = !detailsEl.classList.contains('collapsed');
+    }
+}
+
+// =============================================================================
+// VARIABLE CHANGES
+// =============================================================================
+
+/**
+ * Finds the resolved variables of a container in the newest previous event of a frame
+ * @param {Array<Object>} previousEvents - Earlier events in chronological order
+ * @param {string} frameKey - Frame key (see getEventFrameKey)
+ * @param {string} containerId - Container ID
+ * @returns {Object|null} Resolved variables
+ */
+function findPreviousResolvedVariables(previousEvents, frameKey, containerId) {
+    for (let index = previousEvents.length - 1; index >= 0; index--) {
+        const previousEvent = previousEvents[index];
+        if (getEventFrameKey(previousEvent) !== frameKey) continue;
+
+        const container = (previousEvent.containerInfo || []).find(previousContainer =>
+            previousContainer.id === containerId && previousContainer.resolvedVariables);
+        if (container) {
+            return container.resolvedVariables;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stores which resolved variables changed since the previous event of the same frame and container
+ * (containerInfo[].changedVariables: variable name -> {previousValue} or {isNew: true})
+ * @param {Object} event - Event to compare
+ * @param {Array<Object>} previousEvents - Earlier events in chronological order
+ */
+function compareEventVariables(event, previousEvents) {
+    const frameKey = getEventFrameKey(event);
+
+    (event.containerInfo || []).forEach(container => {
+        if (!container.resolvedVariables) return;
+
+        const previousVariables = findPreviousResolvedVariables(previousEvents, frameKey, container.id);
+        if (!previousVariables) {
+            // First snapshot of this container - nothing to compare with
+            delete container.changedVariables;
+            return;
+        }
+
+        const changedVariables = {};
+        Object.entries(container.resolvedVariables).forEach(([name, variable]) => {
+            const previous = previousVariables[name];
+            if (!previous) {
+                changedVariables[name] = { isNew: true };
+            } else if (JSON.stringify(previous.currentValue) !== JSON.stringify(variable.currentValue)) {
+                changedVariables[name] = { previousValue: previous.currentValue };
+            }
+        });
+        container.changedVariables = changedVariables;
+    });
+}
+
+/**
+ * Generates the value timeline of a variable across all events (one entry per value change)
+ * @param {Array<Object>} events - Events in chronological order
+ * @param {Object} variable - Variable to show ({name, containerId, frameKey})
+ * @returns {string} HTML string for the timeline
+ */
+function generateVariableTimelineHtml(events, variable) {
+    const entries = [];
+    let previousJson;
+    let snapshotCount = 0;
+
+    events.forEach((event, index) => {
+        if (getEventFrameKey(event) !== variable.frameKey) return;
+
+        const container = (event.containerInfo || []).find(eventContainer =>
+            String(eventContainer.id) === variable.containerId && eventContainer.resolvedVariables &&
+            eventContainer.resolvedVariables[variable.name]);
+        if (!container) return;
+
+        snapshotCount++;
+        const value = container.resolvedVariables[variable.name].currentValue;
+        const valueJson = JSON.stringify(value) ?? 'undefined';
+
+        if (entries.length > 0 && valueJson === previousJson) {
+            entries[entries.length - 1].unchangedCount++;
+            return;
+        }
+
+        entries.push({ event: event, eventNumber: index + 1, valueJson: valueJson, unchangedCount: 0 });
+        previousJson = valueJson;
+    });
+
+    return `
+        <div class="matomo-variable-timeline-header">
+            <strong>📈 ${escapeHtml(variable.name)}</strong>
+            <span class="container-id-badge">${escapeHtml(variable.containerId)}</span>
+            <small>${entries.length} value(s) in ${snapshotCount} event(s)</small>
+            <button class="matomo matomo-variable-timeline-close" data-close-variable-timeline title="Close Timeline">×</button>
+        </div>
+        <div class="matomo-variable-timeline-entries">
+            ${entries.length === 0 ? '<div class="matomo-issue-empty">No values recorded</div>' : ''}
+            ${entries.map((entry, entryIndex) => `
+                <button class="matomo matomo-timeline-entry ${entryIndex > 0 ? 'variable-changed' : ''}" data-reveal-event-id="${escapeHtml(String(entry.event.id))}" title="Show event">
+                    <span class="matomo-timeline-event">#${entry.eventNumber} ${escapeHtml(entry.event.eventName || 'Unknown')}</span>
+                    <span class="matomo-timeline-time">${new Date(entry.event.timestamp).toLocaleTimeString()}</span>
+                    <span class="variable-value">${escapeHtml(entry.valueJson)}</span>
+                    ${entry.unchangedCount > 0 ? `<small>unchanged for ${entry.unchangedCount} more event(s)</small>` : ''}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+// =============================================================================
+// DATALAYER STATE
+// =============================================================================
+
+/**
+ * Gets the label of the dataLayer tab (number of changed paths)
+ * @param {Object} event - Event data
+ * @returns {string} Tab label HTML
+ */
+function getDataLayerTabLabel(event) {
+    const changeCount = (event.dataLayerState.changes || []).length;
+    return `🗂️ dataLayer${changeCount > 0 ? ` <span class="variable-changed-count">${changeCount} changed</span>` : ''}`;
+}
+
+/**
+ * Generates the dataLayer state inspector of an event (changes and merged model tree)
+ * @param {Object} event - Event data
+ * @returns {string} HTML string for the dataLayer state
+ */
+function generateDataLayerStateHtml(event) {
+    const state = event.dataLayerState;
+    if (!state || !state.model) {
+        return '';
+    }
+
+    const changes = state.changes || [];
+    const changedPaths = new Set(changes.map(change => change.path));
+
+    return `
+        <div class="event-details-section datalayer-section">
+            <h5>Δ Changes since previous push (${changes.length}${state.changesTruncated ? '+' : ''}):</h5>
+            ${changes.length === 0 ? '<div class="datalayer-no-changes">No changes</div>' : ''}
+            ${changes.map(change => `
+                <div class="variable-row variable-changed">
+                    <span class="variable-name">${escapeHtml(change.path)}</span>
+                    <span class="variable-value">
+                        ${escapeHtml(JSON.stringify(change.value) ?? 'undefined')}
+                        ${change.type === 'changed' ? `<span class="variable-previous-value">was ${escapeHtml(JSON.stringify(change.previousValue) ?? 'undefined')}</span>` : ''}
+                    </span>
+                    ${change.type === 'added' ? '<span class="variable-new-badge">new</span>' : ''}
+                </div>
+            `).join('')}
+        </div>
+        <div class="event-details-section datalayer-section">
+            <h5>🗂️ Merged model of ${escapeHtml(state.name)} after this event:</h5>
+            <div class="datalayer-tree">
+                ${renderDataLayerTreeHtml(state.model, '', changedPaths)}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Builds the path of a dataLayer key (dot notation as used by MTM dataLayer variables)
+ * @param {string} parentPath - Path of the parent
+ * @param {string} key - Key or array index
+ * @returns {string} Path
+ */
+function getDataLayerPath(parentPath, key) {
+    return parentPath ? `${parentPath}.${key}` : String(key);
+}
+
+/**
+ * Renders the children of a dataLayer model node as a collapsible tree
+ * @param {Object|Array} node - Object or array
+ * @param {string} path - Path of the node
+ * @param {Set<string>} changedPaths - Paths changed by the event (highlighted, branches opened)
+ * @returns {string} HTML string for the tree
+ */
+function renderDataLayerTreeHtml(node, path, changedPaths) {
+    return Object.keys(node).map(key => {
+        const value = node[key];
+        const childPath = getDataLayerPath(path, key);
+        const isChanged = changedPaths.has(childPath);
+        const copyButton = `<button class="matomo datalayer-copy-path" data-copy-path="${escapeHtml(childPath)}" title="Copy path ${escapeHtml(childPath)}">⧉</button>`;
+
+        if (value && typeof value === 'object') {
+            const hasChangedChild = Array.from(changedPaths).some(changedPath => changedPath.startsWith(`${childPath}.`));
+            const size = Array.isArray(value) ? `[${value.length}]` : `{${Object.keys(value).length}}`;
+            return `
+                <details class="datalayer-node ${isChanged ? 'datalayer-changed' : ''}" ${hasChangedChild || isChanged ? 'open' : ''}>
+                    <summary><span class="datalayer-key">${escapeHtml(key)}</span> <span class="datalayer-size">${size}</span> ${copyButton}</summary>
+                    ${renderDataLayerTreeHtml(value, childPath, changedPaths)}
+                </details>
+            `;
+        }
+
+        return `
+            <div class="datalayer-leaf ${isChanged ? 'datalayer-changed' : ''}">
+                <span class="datalayer-key">${escapeHtml(key)}:</span>
+                <span class="variable-value">${escapeHtml(JSON.stringify(value) ?? 'undefined')}</span>
+                ${copyButton}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Copies the path of a tree node (button with data-copy-path) and confirms it on the button
+ * @param {HTMLElement} button - Copy button
+ */
+function copyDataLayerPath(button) {
+    copyTextToClipboard(button.getAttribute('data-copy-path'));
+
+    button.textContent = '✓';
+    setTimeout(() => {
+        button.textContent = '⧉';
+    }, 1000);
+}
+
+// =============================================================================
+// TRIGGER DRY RUN
+// =============================================================================
+
+/**
+ * Generates the dry-run result of a hypothetical payload (per container: would fire / would not fire)
+ * @param {Object} result - Dry-run result ({target, eventName, triggerAnalysis})
+ * @returns {string} HTML string for the dry-run result
+ */
+function generateDryRunHtml(result) {
+    const analysis = result.triggerAnalysis;
+    const containers = analysis.containers || [];
+
+    if (containers.length === 0) {
+        return '<div class="matomo-dry-run-empty">No MTM container loaded on this page</div>';
+    }
+
+    return `
+        <div class="matomo-dry-run-title">
+            🔍 Dry run of <strong>${escapeHtml(String(result.eventName))}</strong> (${escapeHtml(result.target)}) - nothing was pushed
+        </div>
+        ${containers.map(container => {
+            const belongsToContainer = item => item.containerId === container.id;
+            const wouldFire = analysis.triggeredTriggers.filter(belongsToContainer);
+            const notFired = analysis.notFiredTriggers.filter(belongsToContainer);
+            const tags = analysis.firedTags.filter(belongsToContainer);
+
+            if (!container.debugMode) {
+                return `
+                    <div class="matomo-dry-run-container">
+                        <h5>📦 ${escapeHtml(String(container.id))}</h5>
+                        <div class="debug-mode-warning">⚠️ MTM Debug Mode not active - triggers of this container are unknown</div>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="matomo-dry-run-container">
+                    <h5>📦 ${escapeHtml(String(container.id))} <small>(${wouldFire.length}/${container.totalTriggers} triggers would fire)</small></h5>
+                    ${wouldFire.map(trigger => {
+                        const triggerTags = tags.filter(tag => tag.trigger === trigger.name);
+                        return `
+                            <div class="trigger-item">
+                                <div class="trigger-header">
+                                    <strong>✅ ${escapeHtml(trigger.name)}</strong>
+                                    <span class="trigger-type">(${escapeHtml(String(trigger.type))})</span>
+                                </div>
+                                <div class="matomo-dry-run-tags">
+                                    🏷️ ${triggerTags.length > 0 ? triggerTags.map(tag => escapeHtml(tag.name)).join(', ') : 'No tags reference this trigger'}
+                                </div>
+                                ${renderTriggerConditionsHtml(trigger.matchedConditions)}
+                            </div>
+                        `;
+                    }).join('')}
+                    ${notFired.length > 0 ? `
+                        <details class="matomo-dry-run-not-fired">
+                            <summary>🚫 Would not fire (${notFired.length})</summary>
+                            ${notFired.map(trigger => `
+                                <div class="trigger-item not-fired">
+                                    <div class="trigger-header">
+                                        <strong>${escapeHtml(trigger.name)}</strong>
+                                        <span class="trigger-type">(${escapeHtml(String(trigger.type))})</span>
+                                        <span class="condition-count">${trigger.matchedCount}/${trigger.totalConditions} conditions matched</span>
+                                    </div>
+                                    ${renderTriggerConditionsHtml(trigger.matchedConditions)}
+                                </div>
+                            `).join('')}
+                        </details>
+                    ` : ''}
+                    ${wouldFire.length === 0 && notFired.length === 0 ? '<div class="no-triggers">💤 No triggers with conditions in this container</div>' : ''}
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+// =============================================================================
+// CONTAINER INVENTORY
+// =============================================================================
+
+/**
+ * Collects in which events tags fired, triggers matched and variables were part of a matched condition
+ * @param {Array<Object>} events - Events in chronological order
+ * @returns {Map<string, Array<Object>>} Usage by inventory item key ({event, eventNumber, status})
+ */
+function collectContainerItemUsage(events) {
+    const usage = new Map();
+
+    /**
+     * Adds an event to the usage of an item (once per event)
+     * @param {string} key - Inventory item key
+     * @param {Object} entry - Usage entry
+     */
+    const addUsage = (key, entry) => {
+        const entries = usage.get(key) || [];
+        if (entries.length === 0 || entries[entries.length - 1].event !== entry.event) {
+            entries.push(entry);
+        }
+        usage.set(key, entries);
+    };
+
+    events.forEach((event, index) => {
+        const analysis = event.triggerAnalysis;
+        if (!analysis) return;
+
+        const entry = status => ({ event: event, eventNumber: index + 1, status: status });
+
+        (analysis.triggeredTriggers || []).forEach(trigger => {
+            addUsage(getInventoryItemKey(trigger.containerId, 'triggers', trigger.id ?? trigger.name), entry('matched'));
+            (trigger.matchedConditions || []).filter(condition => condition.matched).forEach(condition => {
+                addUsage(getInventoryItemKey(trigger.containerId, 'variables', condition.variable), entry('matched'));
+            });
+        });
+        (analysis.firedTags || []).forEach(tag => {
+            if (tag && typeof tag === 'object') {
+                addUsage(getInventoryItemKey(tag.containerId, 'tags', tag.name), entry('fired'));
+            }
+        });
+        (analysis.suppressedTags || []).forEach(tag => {
+            addUsage(getInventoryItemKey(tag.containerId, 'tags', tag.name), entry(tag.status));
+        });
+    });
+
+    return usage;
+}
+
+/**
+ * Builds the key of an inventory item (also used to keep items expanded across re-renders)
+ * @param {string|null} containerId - Container ID
+ * @param {string} section - Inventory section (see INVENTORY_SECTIONS)
+ * @param {string|number} itemId - Trigger ID, tag name or variable name
+ * @returns {string} Item key
+ */
+function getInventoryItemKey(containerId, section, itemId) {
+    return `${containerId ?? ''}|${section}|${itemId}`;
+}
+
+/**
+ * Checks whether an inventory item matches the search text (name, type, parameters and conditions)
+ * @param {Object} item - Tag, trigger or variable description
+ * @param {string} search - Lower-case search text
+ * @returns {boolean} True if the item matches
+ */
+function matchesInventorySearch(item, search) {
+    if (!search) return true;
+    return JSON.stringify(item).toLowerCase().includes(search);
+}
+
+/**
+ * Renders the parameters of an inventory item
+ * @param {Object} parameters - Plain parameters
+ * @returns {string} HTML string for the parameters
+ */
+function renderInventoryParametersHtml(parameters) {
+    const entries = Object.entries(parameters || {}).filter(([, value]) => value !== undefined && value !== '');
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="inventory-label">Parameters:</div>
+        ${entries.map(([key, value]) => `
+            <div class="variable-row">
+                <span class="variable-name">${escapeHtml(key)}</span>
+                <span class="variable-value">${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value))}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Renders the events an inventory item matched or fired in
+ * @param {Array<Object>} entries - Usage entries ({event, eventNumber, status})
+ * @param {string} emptyLabel - Text shown without usage
+ * @returns {string} HTML string for the event links
+ */
+function renderInventoryUsageHtml(entries, emptyLabel) {
+    if (entries.length === 0) {
+        return `<div class="inventory-label">${emptyLabel}</div>`;
+    }
+
+    return `
+        <div class="inventory-label">Events (${entries.length}):</div>
+        <div class="inventory-usage">
+            ${entries.map(entry => `
+                <button class="matomo inventory-event-link ${entry.status === 'fired' || entry.status === 'matched' ? '' : 'suppressed'}"
+                    data-reveal-event-id="${escapeHtml(String(entry.event.id))}" title="${escapeHtml(TAG_STATUS_LABELS[entry.status] || entry.status)} - show event">
+                    #${entry.eventNumber} ${escapeHtml(entry.event.eventName || 'Unknown')}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders a single inventory item as collapsible entry
+ * @param {string} key - Inventory item key
+ * @param {Object} item - Tag, trigger or variable description
+ * @param {string} badge - Usage badge text (empty for none)
+ * @param {string} body - HTML of the expanded item
+ * @param {Set<string>} openItems - Keys of expanded items
+ * @returns {string} HTML string for the item
+ */
+function renderInventoryItemHtml(key, item, badge, body, openItems) {
+    return `
+        <details class="inventory-item" data-inventory-item="${escapeHtml(key).replace(/"/g, '&quot;')}" ${openItems.has(key) ? 'open' : ''}>
+            <summary>
+                <strong>${escapeHtml(String(item.name ?? item.id))}</strong>
+                <span class="trigger-type">(${escapeHtml(String(item.type))})</span>
+                ${badge ? `<span class="inventory-usage-badge">${badge}</span>` : ''}
+            </summary>
+            <div class="inventory-item-body">${body}</div>
+        </details>
+    `;
+}
+
+/**
+ * Renders the tags of a container
+ * @param {Object} container - Container info with tag and trigger descriptions
+ * @param {Map<string, Array<Object>>} usage - Result of collectContainerItemUsage()
+ * @param {Object} view - Inventory view ({search, openItems})
+ * @returns {Array<string>} HTML strings of the matching tags
+ */
+function renderInventoryTagsHtml(container, usage, view) {
+    const triggerNames = new Map((container.triggers || []).map(trigger => [trigger.id, trigger.name]));
+    const triggerList = ids => (ids || []).map(id => escapeHtml(String(triggerNames.get(id) ?? id))).join(', ');
+
+    return (container.tags || []).filter(tag => matchesInventorySearch(tag, view.search)).map(tag => {
+        const key = getInventoryItemKey(container.id, 'tags', tag.name);
+        const entries = usage.get(key) || [];
+        const firedCount = entries.filter(entry => entry.status === 'fired').length;
+        const limits = [
+            tag.fireLimit && tag.fireLimit !== 'unlimited' ? `fire limit: ${escapeHtml(String(tag.fireLimit))}` : '',
+            tag.fireDelay ? `fire delay: ${escapeHtml(String(tag.fireDelay))} ms` : '',
+            tag.startDate ? `from ${escapeHtml(String(tag.startDate))}` : '',
+            tag.endDate ? `until ${escapeHtml(String(tag.endDate))}` : ''
+        ].filter(Boolean).join(' | ');
+
+        return renderInventoryItemHtml(key, tag, firedCount > 0 ? `fired ${firedCount}×` : '', `
+            <div class="inventory-label">🔥 Fire triggers: ${triggerList(tag.fireTriggerIds) || '-'}</div>
+            <div class="inventory-label">⛔ Block triggers: ${triggerList(tag.blockTriggerIds) || '-'}</div>
+            ${limits ? `<div class="inventory-label">${limits}</div>` : ''}
+            ${renderInventoryParametersHtml(tag.parameters)}
+            ${renderInventoryUsageHtml(entries, 'Not fired in this session')}
+        `, view.openItems);
+    });
+}
+
+/**
+ * Renders the triggers of a container
+ * @param {Object} container - Container info with tag and trigger descriptions
+ * @param {Map<string, Array<Object>>} usage - Result of collectContainerItemUsage()
+ * @param {Object} view - Inventory view ({search, openItems})
+ * @returns {Array<string>} HTML strings of the matching triggers
+ */
+function renderInventoryTriggersHtml(container, usage, view) {
+    const tags = container.tags || [];
+    const tagList = (trigger, property) => tags
+        .filter(tag => (tag[property] || []).includes(trigger.id))
+        .map(tag => escapeHtml(String(tag.name)))
+        .join(', ');
+
+    return (container.triggers || []).filter(trigger => matchesInventorySearch(trigger, view.search)).map(trigger => {
+        const key = getInventoryItemKey(container.id, 'triggers', trigger.id ?? trigger.name);
+        const entries = usage.get(key) || [];
+
+        return renderInventoryItemHtml(key, trigger, entries.length > 0 ? `matched ${entries.length}×` : '', `
+            <div class="inventory-label">🔥 Fires tags: ${tagList(trigger, 'fireTriggerIds') || '-'}</div>
+            <div class="inventory-label">⛔ Blocks tags: ${tagList(trigger, 'blockTriggerIds') || '-'}</div>
+            <div class="inventory-label">Conditions:</div>
+            ${(trigger.conditions || []).length === 0 ? '<div class="inventory-label">-</div>' : ''}
+            ${(trigger.conditions || []).map(condition => `
+                <div class="condition">
+                    <span class="condition-variable">${escapeHtml(String(condition.variable))}</span>
+                    <span class="condition-operator">${escapeHtml(String(condition.comparison))}</span>
+                    "<span class="condition-expected">${escapeHtml(String(condition.expected))}</span>"
+                </div>
+            `).join('')}
+            ${renderInventoryParametersHtml(trigger.parameters)}
+            ${renderInventoryUsageHtml(entries, 'Not matched in this session')}
+        `, view.openItems);
+    });
+}
+
+/**
+ * Renders the variables of a container
+ * @param {Object} container - Container info with variable descriptions
+ * @param {Map<string, Array<Object>>} usage - Result of collectContainerItemUsage()
+ * @param {Object} view - Inventory view ({search, openItems, frameKeys})
+ * @returns {Array<string>} HTML strings of the matching variables
+ */
+function renderInventoryVariablesHtml(container, usage, view) {
+    const frameKey = view.frameKeys.get(String(container.id)) || 'top';
+
+    return (container.variables || []).filter(variable => matchesInventorySearch(variable, view.search)).map(variable => {
+        const key = getInventoryItemKey(container.id, 'variables', variable.name);
+        const entries = usage.get(key) || [];
+        const lookUpTable = variable.lookUpTable || [];
+
+        return renderInventoryItemHtml(key, variable, '', `
+            <button class="matomo variable-timeline-link" data-variable-timeline="${escapeHtml(String(variable.name))}"
+                data-variable-container="${escapeHtml(String(container.id))}" data-variable-frame="${escapeHtml(frameKey)}">📈 Show value timeline</button>
+            ${variable.defaultValue !== null && variable.defaultValue !== undefined ? `<div class="inventory-label">Default value: ${escapeHtml(JSON.stringify(variable.defaultValue))}</div>` : ''}
+            ${lookUpTable.length > 0 ? `<div class="inventory-label">Lookup table: ${escapeHtml(JSON.stringify(lookUpTable))}</div>` : ''}
+            ${renderInventoryParametersHtml(variable.parameters)}
+            ${renderInventoryUsageHtml(entries, 'Not part of a matched trigger condition in this session')}
+        `, view.openItems);
+    });
+}
+
+/**
+ * Generates the container inventory (tags, triggers and variables of all containers with their session usage)
+ * @param {Array<Object>} containers - Known containers (with tag, trigger and variable descriptions)
+ * @param {Array<Object>} events - Events in chronological order
+ * @param {Object} view - Inventory view ({section, search, openItems})
+ * @returns {string} HTML string for the inventory
+ */
+function generateContainerInventoryHtml(containers, events, view) {
+    const usage = collectContainerItemUsage(events);
+    const search = view.search.trim().toLowerCase();
+    const renderers = {
+        tags: renderInventoryTagsHtml,
+        triggers: renderInventoryTriggersHtml,
+        variables: renderInventoryVariablesHtml
+    };
+
+    // Variable timelines need the frame the container runs in
+    const frameKeys = new Map();
+    events.forEach(event => {
+        (event.containerInfo || []).forEach(container => frameKeys.set(String(container.id), getEventFrameKey(event)));
+    });
+
+    const itemView = { search: search, openItems: view.openItems, frameKeys: frameKeys };
+    const tabs = Object.entries(INVENTORY_SECTIONS).map(([section, label]) => {
+        const count = section === 'coverage' ? '' :
+            ` (${containers.reduce((sum, container) => sum + (container[section] || []).length, 0)})`;
+        return `<button class="matomo matomo-details-tab ${section === view.section ? 'active' : ''}" data-inventory-section="${section}">${label}${count}</button>`;
+    }).join('');
+
+    if (view.section === 'coverage') {
+        return `
+            <div class="event-details-tabs">${tabs}</div>
+            ${generateCoverageReportHtml(computeSessionCoverage(containers, events, usage))}
+        `;
+    }
+
+    const containersHtml = containers.map(container => {
+        if (!Array.isArray(container.tags) || !container.debugMode) {
+            return `
+                <div class="inventory-container">
+                    <h5>📦 ${escapeHtml(String(container.id))}</h5>
+                    <div class="debug-mode-warning">⚠️ MTM Debug Mode not active - tags, triggers and variables of this container are unknown</div>
+                </div>
+            `;
+        }
+
+        const items = renderers[view.section](container, usage, itemView);
+        return `
+            <div class="inventory-container">
+                <h5>📦 ${escapeHtml(String(container.id))}${container.versionName ? ` <small>${escapeHtml(String(container.versionName))}</small>` : ''}</h5>
+                ${items.length > 0 ? items.join('') : '<div class="matomo-issue-empty">No matching items</div>'}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="event-details-tabs">${tabs}</div>
+        ${containers.length === 0 ? '<div class="matomo-issue-empty">No MTM container detected yet</div>' : containersHtml}
+    `;
+}
+
+// =============================================================================
+// SESSION COVERAGE
+// =============================================================================
+
+/**
+ * Computes which tags fired and which triggers matched during a session
+ * @param {Array<Object>} containers - Known containers (with tag and trigger descriptions)
+ * @param {Array<Object>} events - Events in chronological order
+ * @param {Map<string, Array<Object>>} [usage] - Result of collectContainerItemUsage() (computed if omitted)
+ * @returns {Array<Object>} Coverage per container ({id, debugMode, tags, triggers}; each
+ *          {total, covered, items: [{id, name, type, count, firstTime, lastTime, firstEventId}]})
+ */
+function computeSessionCoverage(containers, events, usage = collectContainerItemUsage(events)) {
+    /**
+     * Computes the coverage of one item list
+     * @param {Object} container - Container info
+     * @param {string} section - 'tags' or 'triggers'
+     * @param {string} status - Usage status that counts as covered
+     * @returns {Object} Coverage of the list
+     */
+    const coverageOf = (container, section, status) => {
+        const items = (container[section] || []).map(item => {
+            const itemId = section === 'triggers' ? item.id ?? item.name : item.name;
+            const entries = (usage.get(getInventoryItemKey(container.id, section, itemId)) || [])
+                .filter(entry => entry.status === status);
+            return {
+                id: item.id ?? null,
+                name: item.name,
+                type: item.type,
+                count: entries.length,
+                firstTime: entries.length > 0 ? entries[0].event.timestamp : null,
+                lastTime: entries.length > 0 ? entries[entries.length - 1].event.timestamp : null,
+                firstEventId: entries.length > 0 ? entries[0].event.id : null
+            };
+        });
+        return { total: items.length, covered: items.filter(item => item.count > 0).length, items: items };
+    };
+
+    return containers.map(container => ({
+        id: container.id,
+        debugMode: !!container.debugMode && Array.isArray(container.tags),
+        tags: coverageOf(container, 'tags', 'fired'),
+        triggers: coverageOf(container, 'triggers', 'matched')
+    }));
+}
+
+/**
+ * Renders the fired and never fired items of one coverage list
+ * @param {Object} coverage - Coverage of tags or triggers ({total, covered, items})
+ * @param {string} label - List label ('Tags' or 'Triggers')
+ * @param {string} firedLabel - Verb for covered items ('fired' or 'matched')
+ * @returns {string} HTML string for the list
+ */
+function renderCoverageListHtml(coverage, label, firedLabel) {
+    const percent = coverage.total > 0 ? Math.round(coverage.covered / coverage.total * 100) : 0;
+    const fired = coverage.items.filter(item => item.count > 0);
+    const neverFired = coverage.items.filter(item => item.count === 0);
+
+    return `
+        <div class="coverage-list">
+            <div class="coverage-summary">
+                <strong>${label}: ${coverage.covered}/${coverage.total} ${firedLabel} (${percent}%)</strong>
+                <meter class="coverage-bar" min="0" max="100" low="50" high="99" optimum="100" value="${percent}"></meter>
+            </div>
+            ${neverFired.length > 0 ? `
+                <div class="inventory-label">🚫 Never ${firedLabel} (${neverFired.length}):</div>
+                ${neverFired.map(item => `
+                    <div class="coverage-item never-fired">
+                        <span class="variable-name">${escapeHtml(String(item.name))}</span>
+                        <span class="trigger-type">(${escapeHtml(String(item.type))})</span>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${fired.length > 0 ? `
+                <div class="inventory-label">✅ ${firedLabel.charAt(0).toUpperCase() + firedLabel.slice(1)} (${fired.length}):</div>
+                ${fired.map(item => `
+                    <button class="matomo coverage-item" data-reveal-event-id="${escapeHtml(String(item.firstEventId))}" title="Show first event">
+                        <span class="variable-name">${escapeHtml(String(item.name))}</span>
+                        <span class="coverage-count">${item.count}×</span>
+                        <span class="matomo-timeline-time">${new Date(item.firstTime).toLocaleTimeString()} - ${new Date(item.lastTime).toLocaleTimeString()}</span>
+                    </button>
+                `).join('')}
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generates the coverage report (fired vs. never fired tags and triggers per container)
+ * @param {Array<Object>} coverage - Result of computeSessionCoverage()
+ * @returns {string} HTML string for the report
+ */
+function generateCoverageReportHtml(coverage) {
+    if (coverage.length === 0) {
+        return '<div class="matomo-issue-empty">No MTM container detected yet</div>';
+    }
+
+    return coverage.map(container => `
+        <div class="inventory-container">
+            <h5>📦 ${escapeHtml(String(container.id))}</h5>
+            ${container.debugMode ? `
+                ${renderCoverageListHtml(container.tags, 'Tags', 'fired')}
+                ${renderCoverageListHtml(container.triggers, 'Triggers', 'matched')}
+            ` : '<div class="debug-mode-warning">⚠️ MTM Debug Mode not active - coverage of this container is unknown</div>'}
+        </div>
+    `).join('');
+}
+
+// =============================================================================
+// SESSION COMPARISON
+// =============================================================================
+
+/**
+ * Gets the container versions a session ran with
+ * @param {Object} session - Session export
+ * @returns {string} Container IDs with version name and revision
+ */
+function getSessionVersionLabel(session) {
+    const containers = session.containers || [];
+    if (containers.length === 0) {
+        return 'no container info';
+    }
+    return containers.map(container =>
+        `${container.id} ${container.versionName ?? '?'} (rev. ${container.revision ?? '?'})`
+    ).join(', ');
+}
+
+/**
+ * Gets the names of the triggers that fired for an event
+ * @param {Object} event - Event data
+ * @returns {Array<string>} Trigger names
+ */
+function getTriggeredTriggerNames(event) {
+    return (event.triggerAnalysis?.triggeredTriggers || []).map(trigger => String(trigger.name));
+}
+
+/**
+ * Pairs the events of two sessions: the n-th occurrence of an event name in one session
+ * matches the n-th occurrence in the other
+ * @param {Array<Object>} eventsA - Events of session A (chronological)
+ * @param {Array<Object>} eventsB - Events of session B (chronological)
+ * @returns {Array<Object>} Rows in chronological order ({indexA, indexB}, null for a missing side)
+ */
+function alignSessionEvents(eventsA, eventsB) {
+    const occurrenceKeys = events => {
+        const seen = new Map();
+        return events.map(event => {
+            const name = String(event.eventName);
+            seen.set(name, (seen.get(name) || 0) + 1);
+            return `${name}#${seen.get(name)}`;
+        });
+    };
+
+    const keysA = occurrenceKeys(eventsA);
+    const keysB = occurrenceKeys(eventsB);
+    const indexByKeyB = new Map(keysB.map((key, index) => [key, index]));
+    const pairedB = new Set(keysA.map(key => indexByKeyB.get(key)).filter(index => index !== undefined));
+    const rows = [];
+    let nextB = 0;
+
+    /**
+     * Adds the unpaired events of B up to (excluding) an index
+     * @param {number} endB - Index in B
+     */
+    const addUnpairedB = endB => {
+        for (; nextB < endB; nextB++) {
+            if (!pairedB.has(nextB)) {
+                rows.push({ indexA: null, indexB: nextB });
+            }
+        }
+    };
+
+    keysA.forEach((key, indexA) => {
+        const indexB = indexByKeyB.get(key);
+        if (indexB === undefined) {
+            rows.push({ indexA: indexA, indexB: null });
+            return;
+        }
+
+        addUnpairedB(indexB);
+        rows.push({ indexA: indexA, indexB: indexB });
+        nextB = Math.max(nextB, indexB + 1);
+    });
+    addUnpairedB(eventsB.length);
+
+    return rows;
+}
+
+/**
+ * Compares two sessions event by event (events of one side only, trigger and tag differences)
+ * @param {Object} sessionA - Session export (baseline)
+ * @param {Object} sessionB - Session export (comparison)
+ * @returns {Object} Comparison ({rows, onlyA, onlyB, changed, unchanged})
+ */
+function compareSessions(sessionA, sessionB) {
+    const eventsA = sessionA.events || [];
+    const eventsB = sessionB.events || [];
+    const difference = (list, other) => Array.from(new Set(list)).filter(item => !other.includes(item));
+    const result = { rows: [], onlyA: 0, onlyB: 0, changed: 0, unchanged: 0 };
+
+    alignSessionEvents(eventsA, eventsB).forEach(({ indexA, indexB }) => {
+        const eventA = indexA !== null ? eventsA[indexA] : null;
+        const eventB = indexB !== null ? eventsB[indexB] : null;
+        const row = { eventA: eventA, eventB: eventB, numberA: indexA, numberB: indexB };
+
+        if (!eventA || !eventB) {
+            row.type = eventA ? 'onlyA' : 'onlyB';
+            result[row.type]++;
+            result.rows.push(row);
+            return;
+        }
+
+        const triggersA = getTriggeredTriggerNames(eventA);
+        const triggersB = getTriggeredTriggerNames(eventB);
+        const tagsA = getFiredTagNames(eventA);
+        const tagsB = getFiredTagNames(eventB);
+
+        row.triggersOnlyA = difference(triggersA, triggersB);
+        row.triggersOnlyB = difference(triggersB, triggersA);
+        row.tagsRemoved = difference(tagsA, tagsB);
+        row.tagsAdded = difference(tagsB, tagsA);
+        row.type = row.triggersOnlyA.length + row.triggersOnlyB.length + row.tagsRemoved.length + row.tagsAdded.length > 0 ?
+            'changed' : 'unchanged';
+        result[row.type]++;
+        result.rows.push(row);
+    });
+
+    return result;
+}
+
+/**
+ * Generates the comparison of two sessions (unchanged events are only counted)
+ * @param {Object} comparison - Result of compareSessions()
+ * @param {Object} sessionA - Session export (baseline)
+ * @param {Object} sessionB - Session export (comparison)
+ * @returns {string} HTML string for the comparison
+ */
+function generateSessionComparisonHtml(comparison, sessionA, sessionB) {
+    const versionA = getSessionVersionLabel(sessionA);
+    const versionB = getSessionVersionLabel(sessionB);
+    const nameList = names => names.map(name => escapeHtml(name)).join(', ');
+    const eventLabel = (event, number) => `#${number + 1} ${escapeHtml(String(event.eventName || 'Unknown'))}`;
+
+    const rowsHtml = comparison.rows.filter(row => row.type !== 'unchanged').map(row => {
+        if (row.type === 'onlyA') {
+            return `<div class="comparison-row only-a"><strong>− ${eventLabel(row.eventA, row.numberA)}</strong> <small>only in A</small></div>`;
+        }
+        if (row.type === 'onlyB') {
+            return `<div class="comparison-row only-b"><strong>+ ${eventLabel(row.eventB, row.numberB)}</strong> <small>only in B</small></div>`;
+        }
+        return `
+            <div class="comparison-row changed">
+                <strong>≠ ${eventLabel(row.eventA, row.numberA)}</strong> <small>B: #${row.numberB + 1}</small>
+                ${row.triggersOnlyA.length > 0 ? `<div class="comparison-detail only-a">🎯 Triggers only in A: ${nameList(row.triggersOnlyA)}</div>` : ''}
+                ${row.triggersOnlyB.length > 0 ? `<div class="comparison-detail only-b">🎯 Triggers only in B: ${nameList(row.triggersOnlyB)}</div>` : ''}
+                ${row.tagsRemoved.length > 0 ? `<div class="comparison-detail only-a">🏷️ Tags no longer fired: ${nameList(row.tagsRemoved)}</div>` : ''}
+                ${row.tagsAdded.length > 0 ? `<div class="comparison-detail only-b">🏷️ Tags newly fired: ${nameList(row.tagsAdded)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="comparison-versions">
+            <div><strong>A:</strong> ${escapeHtml(versionA)} <small>${(sessionA.events || []).length} events</small></div>
+            <div><strong>B:</strong> ${escapeHtml(versionB)} <small>${(sessionB.events || []).length} events</small></div>
+            ${versionA === versionB ? '<div class="matomo-issue-empty">Both sessions ran the same container versions</div>' : ''}
+        </div>
+        <div class="comparison-summary">
+            ${comparison.changed} changed | ${comparison.onlyA} only in A | ${comparison.onlyB} only in B | ${comparison.unchanged} identical (hidden)
+        </div>
+        ${rowsHtml || '<div class="matomo-issue-empty">No differences in events, triggers and tags</div>'}
+    `;
+}
+
+// =============================================================================
+// SCENARIO REPORT
+// =============================================================================
+
+/**
+ * Describes a scenario expectation in words
+ * @param {Object} expectation - Expectation ({event, tag|trigger, count|min|max})
+ * @returns {string} Description
+ */
+function describeScenarioExpectation(expectation) {
+    const subject = expectation.event ? `Event "${expectation.event}"` : 'The scenario';
+    const target = expectation.tag !== undefined ? `fire tag "${expectation.tag}"` : `match trigger "${expectation.trigger}"`;
+
+    let times;
+    if (expectation.count !== undefined) {
+        times = expectation.count === 0 ? 'never' : expectation.count === 1 ? 'exactly once' : `exactly ${expectation.count} times`;
+    } else if (expectation.max !== undefined) {
+        times = expectation.min !== undefined ? `${expectation.min} to ${expectation.max} times` : `at most ${expectation.max} times`;
+    } else {
+        times = `at least ${expectation.min ?? 1} time(s)`;
+    }
+
+    return times === 'never' ? `${subject} must never ${target}` : `${subject} must ${target} ${times}`;
+}
+
+/**
+ * Counts how often an expectation's tag fired (or trigger matched) in the events of a run
+ * @param {Object} expectation - Expectation ({event, tag|trigger})
+ * @param {Array<Object>} events - Events captured during the run
+ * @returns {number} Number of executions
+ */
+function countScenarioExpectation(expectation, events) {
+    return events
+        .filter(event => !expectation.event || event.eventName === expectation.event)
+        .reduce((sum, event) => {
+            const names = expectation.tag !== undefined ?
+                (event.triggerAnalysis?.firedTags || []).map(tag => String(typeof tag === 'string' ? tag : tag.name)) :
+                getTriggeredTriggerNames(event);
+            const expectedName = String(expectation.tag ?? expectation.trigger);
+            return sum + names.filter(name => name === expectedName).length;
+        }, 0);
+}
+
+/**
+ * Evaluates the expectations of a scenario against the events captured during its run
+ * @param {Object} scenario - Scenario ({name, steps, expectations})
+ * @param {Array<Object>} events - Events captured during the run
+ * @returns {Array<Object>} Results ({description, actual, passed})
+ */
+function evaluateScenarioExpectations(scenario, events) {
+    return (scenario.expectations || []).map(expectation => {
+        const actual = countScenarioExpectation(expectation, events);
+        const passed = expectation.count !== undefined ? actual === expectation.count :
+            actual >= (expectation.min ?? (expectation.max !== undefined ? 0 : 1)) &&
+            (expectation.max === undefined || actual <= expectation.max);
+
+        return { description: describeScenarioExpectation(expectation), actual: actual, passed: passed };
+    });
+}
+
+/**
+ * Generates the pass/fail report of a scenario run
+ * @param {Object} report - Scenario report ({scenarioName, finishedAt, eventCount, stepErrors, results, passed})
+ * @returns {string} HTML string for the report
+ */
+function generateScenarioReportHtml(report) {
+    const passedCount = report.results.filter(result => result.passed).length;
+
+    return `
+        <div class="scenario-report-summary ${report.passed ? 'passed' : 'failed'}">
+            ${report.passed ? '✅ PASSED' : '❌ FAILED'} - ${escapeHtml(report.scenarioName)}:
+            ${passedCount}/${report.results.length} expectations met, ${Number(report.eventCount)} events captured
+            <small>${new Date(report.finishedAt).toLocaleTimeString()}</small>
+        </div>
+        ${report.stepErrors.map(error => `<div class="scenario-result failed">⚠️ ${escapeHtml(error)}</div>`).join('')}
+        ${report.results.map(result => `
+            <div class="scenario-result ${result.passed ? 'passed' : 'failed'}">
+                ${result.passed ? '✅' : '❌'} ${escapeHtml(result.description)}
+                <small>(actual: ${Number(result.actual)})</small>
+            </div>
+        `).join('')}
+    `;
+}
+
+// =============================================================================
+// WINDOWED EVENT LIST
+// =============================================================================
+
+/**
+ * Creates a windowed event list for a scroll container. Only rows inside the visible area
+ * (plus overscan) are in the DOM, new events are added as a single row.
+ * @param {HTMLElement} scrollEl - Scrolling element that contains the rows element
+ * @returns {Object} Event list view state
+ */
+function createEventListView(scrollEl) {
+    const view = {
+        scrollEl: scrollEl,
+        rowsEl: null,
+        topSpacer: null,
+        bottomSpacer: null,
+        events: [],
+        eventNumbers: null,
+        totalLength: 0,
+        currentPageLoadId: null,
+        showSeparators: false,
+        windowed: false,
+        rowHeights: new Map(),
+        start: 0,
+        end: 0,
+        frameRequested: false,
+        resizeObserver: null
+    };
+
+    // Row heights change when details are expanded, the container when the overlay is shown
+    if (typeof ResizeObserver === 'function') {
+        view.resizeObserver = new ResizeObserver(() => {
+            measureEventListRows(view);
+            scheduleEventListWindow(view);
+        });
+        view.resizeObserver.observe(scrollEl);
+    }
+
+    scrollEl.addEventListener('scroll', () => scheduleEventListWindow(view), { passive: true });
+
+    return view;
+}
+
+/**
+ * Renders a new set of events into a (freshly rendered) rows element
+ * @param {Object} view - Event list view
+ * @param {HTMLElement} rowsEl - Element holding the rows
+ * @param {Object} options - Events (newest first), totalLength, currentPageLoadId, eventNumbers, windowed
+ */
+function setEventListViewEvents(view, rowsEl, options) {
+    if (view.resizeObserver) {
+        view.resizeObserver.disconnect();
+        view.resizeObserver.observe(view.scrollEl);
+    }
+
+    view.rowsEl = rowsEl;
+    rowsEl.innerHTML = '<div class="matomo-list-spacer"></div><div class="matomo-list-spacer"></div>';
+    view.topSpacer = rowsEl.firstChild;
+    view.bottomSpacer = rowsEl.lastChild;
+
+    view.events = options.events.slice();
+    view.totalLength = options.totalLength;
+    view.currentPageLoadId = options.currentPageLoadId || null;
+    view.eventNumbers = options.eventNumbers || null;
+    view.windowed = !!options.windowed;
+    view.showSeparators = hasMultiplePageLoads(view.events);
+    view.start = 0;
+    view.end = 0;
+
+    // Forget heights of events that are gone
+    const eventIds = new Set(view.events.map(event => event.id));
+    view.rowHeights.forEach((height, eventId) => {
+        if (!eventIds.has(eventId)) view.rowHeights.delete(eventId);
+    });
+
+    renderEventListWindow(view);
+}
+
+/**
+ * Adds a new (newest) event as a single row
+ * @param {Object} view - Event list view
+ * @param {Object} event - New event
+ * @param {number} eventNumber - Event number (position in the event log)
+ */
+function prependEventToListView(view, event, eventNumber) {
+    const newerEvent = view.events[0];
+
+    view.events.unshift(event);
+    view.totalLength++;
+    if (view.eventNumbers) {
+        view.eventNumbers.set(event.id, eventNumber);
+    }
+
+    // The first event of another page load adds separators to all rows
+    if (!view.showSeparators && newerEvent && newerEvent.pageLoadId !== event.pageLoadId) {
+        view.showSeparators = hasMultiplePageLoads(view.events);
+        if (view.showSeparators) {
+            rerenderEventListRows(view);
+            return;
+        }
+    }
+
+    if (view.start > 0) {
+        // Scrolled down: the new row is above the rendered rows - keep the visible rows in place
+        const height = getEventRowHeight(view, event);
+        view.start++;
+        view.end++;
+        updateEventListSpacers(view);
+        view.scrollEl.scrollTop += height;
+        return;
+    }
+
+    const keepScrollPosition = view.scrollEl.scrollTop > 0;
+
+    view.topSpacer.after(createEventRowElement(view, 0));
+    view.end++;
+
+    // The previously newest row drops its separator if it belongs to the same page
+    if (view.showSeparators && view.end > 1) {
+        replaceEventRowElement(view, 1);
+    }
+
+    measureEventListRows(view);
+    if (keepScrollPosition) {
+        view.scrollEl.scrollTop += getEventRowHeight(view, event);
+    }
+    renderEventListWindow(view);
+}
+
+/**
+ * Re-renders the row of an event that changed (e.g. a tracking request was attached later)
+ * @param {Object} view - Event list view
+ * @param {Object} event - Changed event (matched by ID)
+ */
+function updateEventInListView(view, event) {
+    const index = view.events.findIndex(listEvent => listEvent.id === event.id);
+    if (index === -1) return;
+
+    view.events[index] = event;
+    if (view.rowsEl && index >= view.start && index < view.end) {
+        replaceEventRowElement(view, index);
+        measureEventListRows(view);
+        updateEventListSpacers(view);
+    }
+}
+
+/**
+ * Scrolls an event into view and expands its details
+ * @param {Object} view - Event list view
+ * @param {string} eventId - Event ID
+ * @returns {boolean} Whether the event is part of the list (it may be filtered out)
+ */
+function revealEventInListView(view, eventId) {
+    const index = view.events.findIndex(event => String(event.id) === String(eventId));
+    if (index === -1 || !view.rowsEl) return false;
+
+    expandedStates[`event-${view.events[index].id}`] = true;
+
+    const scrollRect = view.scrollEl.getBoundingClientRect();
+    const rowsTop = view.rowsEl.getBoundingClientRect().top - scrollRect.top + view.scrollEl.scrollTop;
+    view.scrollEl.scrollTop = rowsTop + getEventRowsHeight(view, 0, index);
+
+    renderEventListWindow(view);
+    if (index >= view.start && index < view.end) {
+        replaceEventRowElement(view, index);
+        measureEventListRows(view);
+        updateEventListSpacers(view);
+    }
+    return true;
+}
+
+/**
+ * Re-renders all rendered rows (e.g. after separators or event numbers changed)
+ * @param {Object} view - Event list view
+ */
+function rerenderEventListRows(view) {
+    removeEventRowElements(view, view.end - view.start, true);
+    view.start = 0;
+    view.end = 0;
+    renderEventListWindow(view);
+}
+
+/**
+ * Renders the rows of the visible range on the next animation frame
+ * @param {Object} view - Event list view
+ */
+function scheduleEventListWindow(view) {
+    if (view.frameRequested || !view.rowsEl) return;
+
+    view.frameRequested = true;
+    requestAnimationFrame(() => {
+        view.frameRequested = false;
+        renderEventListWindow(view);
+    });
+}
+
+/**
+ * Brings the rendered rows in line with the visible range (removes/adds rows at the edges only)
+ * @param {Object} view - Event list view
+ */
+function renderEventListWindow(view) {
+    if (!view.rowsEl || !view.rowsEl.isConnected) return;
+
+    const range = getVisibleEventRange(view);
+
+    if (range.start >= view.end || range.end <= view.start) {
+        // No overlap with the rendered rows - start over
+        removeEventRowElements(view, view.end - view.start, true);
+        view.start = range.start;
+        view.end = range.start;
+    }
+
+    // Remove rows that left the range
+    if (range.start > view.start) {
+        removeEventRowElements(view, range.start - view.start, true);
+        view.start = range.start;
+    }
+    if (range.end < view.end) {
+        removeEventRowElements(view, view.end - range.end, false);
+        view.end = range.end;
+    }
+
+    // Add rows that entered the range
+    if (range.start < view.start) {
+        const fragment = document.createDocumentFragment();
+        for (let index = range.start; index < view.start; index++) {
+            fragment.appendChild(createEventRowElement(view, index));
+        }
+        view.topSpacer.after(fragment);
+        view.start = range.start;
+    }
+    if (range.end > view.end) {
+        const fragment = document.createDocumentFragment();
+        for (let index = view.end; index < range.end; index++) {
+            fragment.appendChild(createEventRowElement(view, index));
+        }
+        view.bottomSpacer.before(fragment);
+        view.end = range.end;
+    }
+
+    measureEventListRows(view);
+    updateEventListSpacers(view);
+}
+
+/**
+ * Calculates the range of rows inside the visible area (plus overscan)
+ * @param {Object} view - Event list view
+ * @returns {{start: number, end: number}} Row range (end exclusive)
+ */
+function getVisibleEventRange(view) {
+    const count = view.events.length;
+
+    if (!view.windowed) {
+        return { start: 0, end: count };
+    }
+
+    const scrollRect = view.scrollEl.getBoundingClientRect();
+    const rowsTop = view.rowsEl.getBoundingClientRect().top - scrollRect.top + view.scrollEl.scrollTop;
+    const visibleTop = view.scrollEl.scrollTop - rowsTop;
+    const visibleBottom = visibleTop + view.scrollEl.clientHeight;
+
+    let start = count;
+    let end = count;
+    let offset = 0;
+
+    for (let index = 0; index < count; index++) {
+        const height = getEventRowHeight(view, view.events[index]);
+        if (start === count && offset + height > visibleTop) {
+            start = index;
+        }
+        if (offset >= visibleBottom) {
+            end = index;
+            break;
+        }
+        offset += height;
+    }
+
+    return {
+        start: Math.max(0, Math.min(start, end) - EVENT_LIST_WINDOW.OVERSCAN_ROWS),
+        end: Math.min(count, end + EVENT_LIST_WINDOW.OVERSCAN_ROWS)
+    };
+}
+
+/**
+ * Gets the measured (or estimated) height of an event row
+ * @param {Object} view - Event list view
+ * @param {Object} event - Event data
+ * @returns {number} Height in pixels
+ */
+function getEventRowHeight(view, event) {
+    return view.rowHeights.get(event.id) || EVENT_LIST_WINDOW.ESTIMATED_ROW_HEIGHT;
+}
+
+/**
+ * Sums the row heights of a range
+ * @param {Object} view - Event list view
+ * @param {number} start - First row
+ * @param {number} end - Row after the last row
+ * @returns {number} Height in pixels
+ */
+function getEventRowsHeight(view, start, end) {
+    let height = 0;
+    for (let index = start; index < end; index++) {
+        height += getEventRowHeight(view, view.events[index]);
+    }
+    return height;
+}
+
+/**
+ * Sizes the spacers that stand in for the rows above and below the rendered ones
+ * @param {Object} view - Event list view
+ */
+function updateEventListSpacers(view) {
+    view.topSpacer.style.height = `${getEventRowsHeight(view, 0, view.start)}px`;
+    view.bottomSpacer.style.height = `${getEventRowsHeight(view, view.end, view.events.length)}px`;
+}
+
+/**
+ * Stores the heights of the rendered rows
+ * @param {Object} view - Event list view
+ */
+function measureEventListRows(view) {
+    if (!view.topSpacer) return;
+
+    let rowEl = view.topSpacer.nextSibling;
+    for (let index = view.start; index < view.end && rowEl && rowEl !== view.bottomSpacer; index++) {
+        if (rowEl.offsetHeight > 0) {
+            view.rowHeights.set(view.events[index].id, rowEl.offsetHeight);
+        }
+        rowEl = rowEl.nextSibling;
+    }
+}
+
+/**
+ * Creates the DOM node of a row
+ * @param {Object} view - Event list view
+ * @param {number} index - Row index (0 = newest)
+ * @returns {HTMLElement} Row element
+ */
+function createEventRowElement(view, index) {
+    const event = view.events[index];
+    const eventNumber = view.eventNumbers && view.eventNumbers.has(event.id) ?
+        view.eventNumbers.get(event.id) : view.totalLength - 1 - index;
+    const separatorHtml = view.showSeparators ?
+        renderNavigationSeparatorHTML(event, view.events[index - 1] || null, view.currentPageLoadId) : '';
+
+    const rowEl = document.createElement('div');
+    rowEl.className = 'matomo-event-row';
+    rowEl.innerHTML = separatorHtml + renderEventHTML(event, eventNumber);
+
+    if (view.resizeObserver) {
+        view.resizeObserver.observe(rowEl);
+    }
+    return rowEl;
+}
+
+/**
+ * Replaces a rendered row with a freshly rendered one
+ * @param {Object} view - Event list view
+ * @param {number} index - Row index (must be rendered)
+ */
+function replaceEventRowElement(view, index) {
+    let rowEl = view.topSpacer.nextSibling;
+    for (let i = view.start; i < index && rowEl; i++) {
+        rowEl = rowEl.nextSibling;
+    }
+    if (rowEl && rowEl !== view.bottomSpacer) {
+        if (view.resizeObserver) view.resizeObserver.unobserve(rowEl);
+        rowEl.replaceWith(createEventRowElement(view, index));
+    }
+}
+
+/**
+ * Removes rendered rows from the top or bottom of the rendered range
+ * @param {Object} view - Event list view
+ * @param {number} count - Number of rows to remove
+ * @param {boolean} fromTop - Remove the first (true) or last (false) rendered rows
+ */
+function removeEventRowElements(view, count, fromTop) {
+    for (let i = 0; i < count; i++) {
+        const rowEl = fromTop ? view.topSpacer.nextSibling : view.bottomSpacer.previousSibling;
+        if (!rowEl || rowEl === view.topSpacer || rowEl === view.bottomSpacer) break;
+        if (view.resizeObserver) view.resizeObserver.unobserve(rowEl);
+        rowEl.remove();
+    }
+}
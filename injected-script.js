@@ -2,9 +2,11 @@
  * Matomo Tag Manager Event Monitor - Injected Script
  * Monitors MTM events and dataLayer in the main page context
  *
- * @description Core monitoring script that intercepts _mtm array pushes and dataLayer events
- *              for Matomo Tag Manager debugging. Runs in the main page context to access
- *              window objects directly.
+ * @description Core monitoring script that intercepts _mtm array pushes, dataLayer events and
+ *              outgoing Matomo tracking requests for Matomo Tag Manager debugging. Runs in the
+ *              main page context to access window objects directly. Live and historical events
+ *              share one pipeline (normalize, analyze, enrich, dedupe, dispatch) - the
+ *              environment-independent steps come from event-pipeline.js.
  * @version 1.4
  * @author MTM Event Monitor
  */
@@ -22,7 +24,7 @@
     const INTERVALS = {
         ARRAY_CHECK: 200,           // Check for array changes
         CACHE_CLEANUP: 5000,        // Cleanup processed events cache
-        HISTORICAL_OFFSET: 5000     // Historical event timestamp offset
+        MTM_PROCESSING_DELAY: 50    // Wait for MTM to process a live push before analyzing it
     };
 
     /** @const {Object} Cache timeouts in milliseconds */
@@ -31,6 +33,12 @@
         RECENT_EVENTS: 2000         // Recent events tracking
     };
 
+    /** @const {Object} Shared event pipeline steps (event-pipeline.js, loaded before this script) */
+    const EVENT_PIPELINE = window.MTMEventPipeline;
+
+    /** @const {Array<string>} Entry keys holding the real time of a start event (e.g. the MTM snippet's mtm.Start) */
+    const START_TIME_KEYS = ['mtm.startTime', 'gtm.start'];
+
     /** @const {Array<string>} MTM object names to monitor */
     const MTM_OBJECTS = ['_mtm', 'mtm', '_paq_mtm'];
 
@@ -48,6 +56,83 @@
     /** @const {Array<string>} Fields that contain tag information */
     const TAG_FIELDS = ['tags', 'firedTags', 'mtm.tags', 'gtm.tags'];
 
+    /** @const {Object} Tag execution states recorded by the MTM execution hooks */
+    const TAG_STATUS = {
+        FIRED: 'fired',
+        DELAYED: 'delayed',
+        BLOCKED: 'blocked',
+        FIRE_LIMIT: 'fire-limit',
+        SUPPRESSED: 'suppressed'
+    };
+
+    /** @const {Object} Event scoped MTM variable types and the dataLayer keys MTM stores them in */
+    const EVENT_VARIABLE_KEYS = {
+        ClickElement: 'mtm.clickElement',
+        ClickId: 'mtm.clickElementId',
+        ClickClasses: 'mtm.clickElementClasses',
+        ClickText: 'mtm.clickText',
+        ClickNodeName: 'mtm.clickNodeName',
+        ClickDestinationUrl: 'mtm.clickDestinationUrl',
+        FormElement: 'mtm.formElement',
+        FormId: 'mtm.formElementId',
+        FormName: 'mtm.formElementName',
+        FormClasses: 'mtm.formElementClasses',
+        FormDestination: 'mtm.formElementAction',
+        ElementVisibilityElement: 'mtm.elementVisibilityElement',
+        ElementVisibilityId: 'mtm.elementVisibilityId',
+        ElementVisibilityClasses: 'mtm.elementVisibilityClasses',
+        ElementVisibilityText: 'mtm.elementVisibilityText',
+        ElementVisibilityNodeName: 'mtm.elementVisibilityNodeName',
+        ElementVisibilityUrl: 'mtm.elementVisibilityUrl',
+        ErrorMessage: 'mtm.errorMessage',
+        ErrorUrl: 'mtm.errorUrl',
+        ErrorLine: 'mtm.errorLine',
+        ScrollHorizontalPercentage: 'mtm.scrollHorizontalPercentage',
+        ScrollVerticalPercentage: 'mtm.scrollVerticalPercentage',
+        ScrollLeftPixel: 'mtm.scrollLeftPx',
+        ScrollTopPixel: 'mtm.scrollTopPx',
+        EventName: 'event'
+    };
+
+    /** @const {Object} Element variable types that can be derived from the event element */
+    const ELEMENT_VARIABLE_SOURCES = {
+        ClickId: ['mtm.clickElement', 'id'],
+        ClickClasses: ['mtm.clickElement', 'classes'],
+        ClickText: ['mtm.clickElement', 'text'],
+        ClickNodeName: ['mtm.clickElement', 'nodeName'],
+        ClickDestinationUrl: ['mtm.clickElement', 'url'],
+        FormId: ['mtm.formElement', 'id'],
+        FormName: ['mtm.formElement', 'name'],
+        FormClasses: ['mtm.formElement', 'classes'],
+        FormDestination: ['mtm.formElement', 'url'],
+        ElementVisibilityId: ['mtm.elementVisibilityElement', 'id'],
+        ElementVisibilityClasses: ['mtm.elementVisibilityElement', 'classes'],
+        ElementVisibilityText: ['mtm.elementVisibilityElement', 'text'],
+        ElementVisibilityNodeName: ['mtm.elementVisibilityElement', 'nodeName'],
+        ElementVisibilityUrl: ['mtm.elementVisibilityElement', 'url']
+    };
+
+    /** @const {number} Maximum number of tag execution records kept in memory */
+    const MAX_TAG_EXECUTION_RECORDS = 500;
+
+    /** @const {RegExp} Path of Matomo tracking endpoints */
+    const TRACKING_ENDPOINT_PATTERN = /(matomo|piwik)\.php$/i;
+
+    /** @const {number} Time a fired Matomo tag waits for its (asynchronous) tracking request (ms) */
+    const TRACKING_ATTRIBUTION_WINDOW = 5000;
+
+    /** @const {Object} Limits of the computed dataLayer model */
+    const DATALAYER_MODEL_LIMITS = {
+        MAX_DEPTH: 8,               // Deeper values are replaced by a placeholder
+        MAX_CHANGES: 100            // Changes reported per push
+    };
+
+    /** @const {number} Nesting depth up to which tag/trigger/variable parameters are described */
+    const MTM_DESCRIPTION_MAX_DEPTH = 5;
+
+    /** @const {Array<string>} Arrays the push console may push events into */
+    const PUSH_CONSOLE_TARGETS = ['_mtm', 'dataLayer'];
+
     // =============================================================================
     // STATE MANAGEMENT
     // =============================================================================
@@ -55,8 +140,42 @@
     /** @type {boolean} Whether initial scan of existing arrays is completed */
     let initialScanCompleted = false;
 
-    /** @type {Map<string, number>} Global processed events cache (signature -> timestamp) */
-    let globalProcessedEvents = new Map();
+    /** @const {Object} Event processor - analyze → enrich → dedupe → dispatch (see event-pipeline.js) */
+    const eventProcessor = EVENT_PIPELINE.createEventProcessor({
+        analyze: addTriggerAnalysis,
+        enrich: enrichEvent,
+        dispatch: dispatchMatomoEvent,
+        onDuplicate: reportDuplicateEvent,
+        dedupeWindow: CACHE_TIMEOUTS.GLOBAL_EVENTS,
+        liveDelay: INTERVALS.MTM_PROCESSING_DELAY
+    });
+
+    /** @type {number} Sequence number of the most recently detected live event */
+    let currentEventSequence = 0;
+
+    /** @type {number} Depth of intercepted push calls currently being executed */
+    let nestedPushDepth = 0;
+
+    /** @type {Array<Object>} Real tag executions recorded via MTM execution hooks */
+    let tagExecutionLog = [];
+
+    /** @type {boolean} Whether at least one MTM tag has been hooked */
+    let executionHooksActive = false;
+
+    /** @type {Array<Object>} Tag executions currently running (requests sent synchronously belong to the last one) */
+    let activeTagExecutions = [];
+
+    /** @type {Array<Object>} Fired Matomo tags that have not sent a tracking request yet (oldest first) */
+    let pendingTrackingTags = [];
+
+    /** @type {boolean} Whether the tracking request hooks are installed */
+    let trackingCaptureActive = false;
+
+    /** @type {Object} Computed (deep-merged) model per data layer array (array name -> model) */
+    let dataLayerModels = {};
+
+    /** @type {WeakSet<Object>} Pushed objects already merged into a model */
+    const mergedDataLayerEntries = new WeakSet();
 
     /** @type {Object} Configuration loaded from extension storage or global object */
     let CONFIG = window.MTM_MONITOR_CONFIG || {
@@ -93,32 +212,46 @@
     }
 
     /**
-     * Cleans up old entries from cache maps
-     * @param {Map} cache - The cache map to clean
-     * @param {number} maxAge - Maximum age in milliseconds
+     * Formats a timestamp as time string with milliseconds
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {string} Formatted time (HH:MM:SS.mmm)
      */
-    function cleanupCache(cache, maxAge) {
-        const now = Date.now();
-        for (const [key, timestamp] of cache.entries()) {
-            if (now - timestamp > maxAge) {
-                cache.delete(key);
-            }
-        }
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('de-DE', {
+            hour12: false,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            fractionalSecondDigits: 3
+        });
     }
 
     /**
-     * Creates a clean object for event comparison (removes metadata)
-     * @param {Object} details - Event details object
-     * @returns {Object} Cleaned object without metadata
+     * Starts a new live event sequence (called synchronously before MTM processes the push)
+     * Nested interceptors of the same push (e.g. _mtm.push wrapped twice) share the sequence.
+     * @returns {number} Sequence number of the event
      */
-    function cleanEventDetails(details) {
-        if (!details || typeof details !== 'object') return details;
+    function startEventSequence() {
+        if (nestedPushDepth === 0) {
+            currentEventSequence++;
+        }
+        return currentEventSequence;
+    }
 
-        const cleaned = { ...details };
-        delete cleaned.__mtm_processed;
-        delete cleaned._debug;
-        delete cleaned.customTimestamp;
-        return cleaned;
+    /**
+     * Calls an original push method while tracking the nesting depth
+     * @param {Function} originalPush - Original push method
+     * @param {Object} context - Array/object the method is called on
+     * @param {Array} args - Push arguments
+     * @returns {any} Result of the original method
+     */
+    function callOriginalPush(originalPush, context, args) {
+        nestedPushDepth++;
+        try {
+            return originalPush.apply(context, args);
+        } finally {
+            nestedPushDepth--;
+        }
     }
 
     // =============================================================================
@@ -163,137 +296,694 @@
                 revision: container.revision,
                 environment: container.environment,
                 debugMode: container.triggers && container.tags,
-                triggers: container.triggers || [],
-                tags: container.tags || [],
-                variables: container.variables || [],
+                triggers: (container.triggers || []).map(describeMTMTrigger),
+                tags: (container.tags || []).map(describeMTMTag),
+                variables: (container.variables || []).map(describeMTMVariable),
                 dataLayer: container.dataLayer || []
             }));
         }
         return [];
     }
 
+    /**
+     * Converts a configuration value of a live MTM object into plain data
+     * (variable references are shown as {{Variable Name}} like in the MTM UI)
+     * @param {any} value - Configuration value
+     * @param {number} depth - Current nesting depth
+     * @returns {any} Plain value
+     */
+    function describeMTMValue(value, depth = 0) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (!Array.isArray(value) && typeof value.name === 'string' && typeof value.type === 'string' && typeof value.get === 'function') {
+            return `{{${value.name}}}`;
+        }
+        if (depth >= MTM_DESCRIPTION_MAX_DEPTH) {
+            return '[…]';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => describeMTMValue(item, depth + 1));
+        }
+
+        const described = {};
+        Object.keys(value).forEach(key => {
+            // Back references to the container would make the description circular
+            if (key !== 'container') {
+                described[key] = describeMTMValue(value[key], depth + 1);
+            }
+        });
+        return described;
+    }
+
+    /**
+     * Gets the configured parameters of a live MTM tag, trigger or variable
+     * @param {Object} item - Live MTM object
+     * @returns {Object} Plain parameters
+     */
+    function getMTMParameters(item) {
+        let parameters = item.parameters || {};
+
+        // Parameters may be wrapped in a TemplateParameters instance
+        if (parameters.parameters && typeof parameters.parameters === 'object' && !Array.isArray(parameters.parameters)) {
+            parameters = parameters.parameters;
+        }
+        return describeMTMValue(parameters);
+    }
+
+    /**
+     * Describes a live MTM trigger for the container inventory
+     * @param {Object} trigger - MTM trigger
+     * @returns {Object} Plain trigger description
+     */
+    function describeMTMTrigger(trigger) {
+        return {
+            id: trigger.id,
+            name: trigger.name,
+            type: trigger.type,
+            parameters: getMTMParameters(trigger),
+            conditions: (trigger.conditions || []).map(condition => ({
+                variable: condition.actual?.name || condition.actual?.parameters?.dataLayerName || 'Unknown Variable',
+                comparison: condition.comparison,
+                expected: condition.expected
+            }))
+        };
+    }
+
+    /**
+     * Describes a live MTM tag for the container inventory
+     * @param {Object} tag - MTM tag
+     * @returns {Object} Plain tag description
+     */
+    function describeMTMTag(tag) {
+        return {
+            id: tag.id,
+            name: tag.name,
+            type: tag.type,
+            parameters: getMTMParameters(tag),
+            fireTriggerIds: tag.fireTriggerIds || [],
+            blockTriggerIds: tag.blockTriggerIds || [],
+            fireLimit: tag.fireLimit,
+            fireDelay: tag.fireDelay,
+            startDate: tag.startDate || null,
+            endDate: tag.endDate || null
+        };
+    }
+
+    /**
+     * Describes a live MTM variable for the container inventory
+     * @param {Object} variable - MTM variable
+     * @returns {Object} Plain variable description
+     */
+    function describeMTMVariable(variable) {
+        return {
+            id: variable.id,
+            name: variable.name,
+            type: variable.type,
+            parameters: getMTMParameters(variable),
+            defaultValue: variable.defaultValue ?? null,
+            lookUpTable: describeMTMValue(variable.lookUpTable || [])
+        };
+    }
+
     // =============================================================================
-    // EVENT PROCESSING AND DISPATCHING
+    // MTM EXECUTION HOOKS
     // =============================================================================
 
     /**
-     * Dispatches a Matomo event with timestamp
-     * @param {Object} eventData - Event data to dispatch
-     * @param {number} timestamp - Event timestamp
+     * Hooks fire/block methods of all tags in all loaded MTM containers
+     * (already hooked tags are skipped, so this can be called repeatedly)
      */
-    function dispatchMatomoEventWithTimestamp(eventData, timestamp) {
-        if (!eventData) {
-            debugLog('Event data is null/undefined, skipping');
+    function hookMTMExecution() {
+        if (typeof window.MatomoTagManager === 'undefined' ||
+            !Array.isArray(window.MatomoTagManager.containers)) {
             return;
         }
 
-        // Clean and serialize event data
-        let cleanedEventData;
-        try {
-            cleanedEventData = JSON.parse(JSON.stringify(eventData, (key, value) => {
-                if (value instanceof Event) {
-                    return {
-                        event: value.event || value.type,
-                        type: value.type,
-                        isTrusted: value.isTrusted,
-                        timeStamp: value.timeStamp,
-                        __isSerializedEvent: true
-                    };
+        window.MatomoTagManager.containers.forEach(container => {
+            if (!Array.isArray(container.tags)) return;
+
+            container.tags.forEach(tag => {
+                if (tag && !tag.__mtmMonitorHooked) {
+                    hookTag(tag, container.id || null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Wraps the fire, _fire and block methods of a single MTM tag
+     * @param {Object} tag - MTM tag instance
+     * @param {string|null} containerId - ID of the container the tag belongs to
+     */
+    function hookTag(tag, containerId) {
+        if (typeof tag.fire !== 'function') return;
+
+        const originalFire = tag.fire;
+        tag.fire = function(...args) {
+            const sequence = currentEventSequence;
+            const executedBefore = this.numExecuted || 0;
+
+            // Without _fire hook the execution is only known afterwards - keep a placeholder for requests
+            const execution = this.__mtmMonitorHasFireHook ? null :
+                { id: this.id, name: this.name || 'Unknown Tag', type: this.type, containerId: containerId, sequence: sequence };
+            if (execution) activeTagExecutions.push(execution);
+
+            // _fire runs inside fire() or later for delayed tags - both belong to this event
+            this.__mtmMonitorFiringSequence = sequence;
+            let result;
+            try {
+                result = originalFire.apply(this, args);
+            } finally {
+                this.__mtmMonitorFiringSequence = null;
+                if (execution) activeTagExecutions.pop();
+            }
+            const status = getTagFireStatus(this, executedBefore);
+            if (status === TAG_STATUS.DELAYED) {
+                this.__mtmMonitorDelayedSequences = (this.__mtmMonitorDelayedSequences || []).concat(sequence);
+            }
+
+            // Direct executions are recorded by the _fire hook if available
+            if (status !== TAG_STATUS.FIRED || !this.__mtmMonitorHasFireHook) {
+                recordTagExecution(this, containerId, sequence, status);
+            }
+            return result;
+        };
+
+        // _fire is the actual execution (also used for delayed tags)
+        if (typeof tag._fire === 'function') {
+            const originalInternalFire = tag._fire;
+            tag._fire = function(...args) {
+                const isLate = typeof this.__mtmMonitorFiringSequence !== 'number';
+                const delayedSequences = this.__mtmMonitorDelayedSequences || [];
+                let sequence = this.__mtmMonitorFiringSequence;
+                if (isLate) {
+                    sequence = delayedSequences.length > 0 ? delayedSequences.shift() : currentEventSequence;
+                }
+
+                const record = recordTagExecution(this, containerId, sequence, TAG_STATUS.FIRED);
+                if (isLate) {
+                    reportLateTagExecution(record);
+                }
+                activeTagExecutions.push(record);
+                try {
+                    return originalInternalFire.apply(this, args);
+                } finally {
+                    activeTagExecutions.pop();
                 }
-                return typeof value === 'function' ? undefined : value;
-            }));
-        } catch (error) {
-            debugLog('Serialization failed:', error);
-            cleanedEventData = {
-                source: eventData.source || 'unknown',
-                eventName: eventData.eventName || 'unknown',
-                details: typeof eventData.details === 'object' ? { serialized: 'true' } : eventData.details
             };
+            tag.__mtmMonitorHasFireHook = true;
         }
 
-        // Add current _mtm array state for console logging
-        if (typeof window._mtm !== 'undefined' && Array.isArray(window._mtm)) {
+        if (typeof tag.block === 'function') {
+            const originalBlock = tag.block;
+            tag.block = function(...args) {
+                recordTagExecution(this, containerId, currentEventSequence, TAG_STATUS.BLOCKED);
+                return originalBlock.apply(this, args);
+            };
+        }
+
+        tag.__mtmMonitorHooked = true;
+        executionHooksActive = true;
+        debugLog(`Tag ${tag.name} hooked (container ${containerId})`);
+    }
+
+    /**
+     * Determines what happened to a tag after MTM's fire() method returned
+     * @param {Object} tag - MTM tag instance
+     * @param {number} executedBefore - Value of tag.numExecuted before fire()
+     * @returns {string} One of TAG_STATUS
+     */
+    function getTagFireStatus(tag, executedBefore) {
+        if ((tag.numExecuted || 0) > executedBefore) {
+            return TAG_STATUS.FIRED;
+        }
+        if (tag.blocked) {
+            return TAG_STATUS.BLOCKED;
+        }
+        if (tag.fireDelay) {
+            return TAG_STATUS.DELAYED;
+        }
+        if (tag.fireLimit && tag.fireLimit !== 'unlimited') {
+            return TAG_STATUS.FIRE_LIMIT;
+        }
+        return TAG_STATUS.SUPPRESSED;
+    }
+
+    /**
+     * Records a tag execution (or suppression) in the execution log
+     * @param {Object} tag - MTM tag instance
+     * @param {string|null} containerId - Container ID
+     * @param {number} sequence - Event sequence the execution belongs to
+     * @param {string} status - One of TAG_STATUS
+     * @returns {Object} Execution record
+     */
+    function recordTagExecution(tag, containerId, sequence, status) {
+        const record = {
+            id: tag.id,
+            name: tag.name || 'Unknown Tag',
+            type: tag.type,
+            containerId: containerId,
+            fireTriggerIds: tag.fireTriggerIds || [],
+            fireLimit: tag.fireLimit,
+            fireDelay: tag.fireDelay,
+            status: status,
+            sequence: sequence,
+            timestamp: Date.now()
+        };
+
+        debugLog(`Tag ${record.name}: ${status} (event sequence ${sequence})`);
+
+        tagExecutionLog.push(record);
+        if (tagExecutionLog.length > MAX_TAG_EXECUTION_RECORDS) {
+            tagExecutionLog.splice(0, tagExecutionLog.length - MAX_TAG_EXECUTION_RECORDS);
+        }
+
+        // Matomo tags often send their request later (tracker loading, request queue)
+        if (status === TAG_STATUS.FIRED && record.type === 'Matomo') {
+            pendingTrackingTags.push(record);
+        }
+
+        return record;
+    }
+
+    /**
+     * Creates the tag entry of an event analysis from a tag execution record
+     * @param {Object} record - Tag execution record
+     * @param {Object} analysisResult - Analysis result with triggered triggers
+     * @returns {Object} Tag entry
+     */
+    function createExecutedTagObject(record, analysisResult) {
+        return {
+            name: record.name,
+            trigger: getFiringTriggerName(record, analysisResult),
+            containerId: record.containerId,
+            timestamp: formatTime(record.timestamp),
+            status: record.status
+        };
+    }
+
+    /**
+     * Adds the really executed and suppressed tags of an event to the analysis
+     * @param {number} sequence - Event sequence number
+     * @param {Object} analysisResult - Analysis result to extend
+     */
+    function collectExecutedTags(sequence, analysisResult) {
+        const records = tagExecutionLog.filter(record => record.sequence === sequence);
+        const seen = new Set();
+
+        records.forEach(record => {
+            const key = `${record.containerId}:${record.id}:${record.status}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            record.collected = true;
+
+            // A delay that ended before the analysis shows as fired tag only
+            if (record.status === TAG_STATUS.DELAYED && records.some(other =>
+                other.status === TAG_STATUS.FIRED && other.id === record.id && other.containerId === record.containerId)) {
+                return;
+            }
+
+            const tagObject = createExecutedTagObject(record, analysisResult);
+
+            if (record.status === TAG_STATUS.FIRED) {
+                analysisResult.firedTags.push(tagObject);
+            } else {
+                tagObject.fireLimit = record.fireLimit;
+                tagObject.fireDelay = record.fireDelay;
+                analysisResult.suppressedTags.push(tagObject);
+            }
+        });
+    }
+
+    /**
+     * Reports a delayed tag execution to the content script if its event was already analyzed
+     * (otherwise the analysis of the event picks the execution up from the log)
+     * @param {Object} record - Tag execution record
+     */
+    function reportLateTagExecution(record) {
+        const wasAnalyzed = tagExecutionLog.some(other => other.collected && other.sequence === record.sequence &&
+            other.id === record.id && other.containerId === record.containerId && other.status === TAG_STATUS.DELAYED);
+        if (!wasAnalyzed) return;
+
+        record.collected = true;
+        const tagObject = { ...createExecutedTagObject(record, { triggeredTriggers: [] }), fireDelay: record.fireDelay };
+        debugLog(`Delayed tag ${record.name} executed for event sequence ${record.sequence}`);
+
+        document.dispatchEvent(new CustomEvent('matomoLateTagExecution', {
+            detail: { eventSequence: record.sequence, tag: tagObject },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Gets the name of the trigger that most likely caused a tag execution
+     * @param {Object} record - Tag execution record
+     * @param {Object} analysisResult - Analysis result with triggered triggers
+     * @returns {string} Trigger name
+     */
+    function getFiringTriggerName(record, analysisResult) {
+        const matchedTrigger = analysisResult.triggeredTriggers.find(trigger =>
+            trigger.containerId === record.containerId && record.fireTriggerIds.includes(trigger.id)
+        );
+        if (matchedTrigger) {
+            return matchedTrigger.name;
+        }
+
+        // Fall back to the first configured fire trigger of the tag
+        const container = (window.MatomoTagManager?.containers || []).find(c => c.id === record.containerId);
+        const fireTrigger = container && Array.isArray(container.triggers) ?
+            container.triggers.find(trigger => record.fireTriggerIds.includes(trigger.id)) : null;
+        return fireTrigger ? fireTrigger.name : 'Unknown trigger';
+    }
+
+    // =============================================================================
+    // TRACKING REQUEST CAPTURE
+    // =============================================================================
+
+    /**
+     * Hooks the transports the Matomo JS tracker uses (sendBeacon, fetch, XHR, image pixel)
+     * and reports tracking requests that were sent before the hooks were installed
+     */
+    function interceptTrackingRequests() {
+        if (trackingCaptureActive) return;
+        trackingCaptureActive = true;
+
+        const hooksInstalledAt = typeof performance !== 'undefined' ? performance.now() : 0;
+
+        // navigator.sendBeacon (default transport of the tracker for POST requests)
+        if (navigator.sendBeacon) {
+            const originalSendBeacon = navigator.sendBeacon;
+            navigator.sendBeacon = function(url, data) {
+                const result = originalSendBeacon.apply(this, arguments);
+                try {
+                    captureTrackingRequest('sendBeacon', 'POST', url, data);
+                } catch (error) {
+                    debugLog('Error capturing sendBeacon request:', error);
+                }
+                return result;
+            };
+        }
+
+        // fetch
+        if (typeof window.fetch === 'function') {
+            const originalFetch = window.fetch;
+            window.fetch = function(input, init) {
+                try {
+                    const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+                    const method = (init && init.method) || (input && input.method) || 'GET';
+                    captureTrackingRequest('fetch', method, url, init ? init.body : null);
+                } catch (error) {
+                    debugLog('Error capturing fetch request:', error);
+                }
+                return originalFetch.apply(this, arguments);
+            };
+        }
+
+        // XMLHttpRequest (bulk requests and POST fallback)
+        if (typeof XMLHttpRequest !== 'undefined') {
+            const originalOpen = XMLHttpRequest.prototype.open;
+            const originalSend = XMLHttpRequest.prototype.send;
+
+            XMLHttpRequest.prototype.open = function(method, url) {
+                this.__mtmMonitorRequest = { method: method, url: url };
+                return originalOpen.apply(this, arguments);
+            };
+
+            XMLHttpRequest.prototype.send = function(body) {
+                try {
+                    if (this.__mtmMonitorRequest) {
+                        captureTrackingRequest('xhr', this.__mtmMonitorRequest.method, this.__mtmMonitorRequest.url, body);
+                    }
+                } catch (error) {
+                    debugLog('Error capturing XMLHttpRequest:', error);
+                }
+                return originalSend.apply(this, arguments);
+            };
+        }
+
+        // Image pixel (GET fallback)
+        const srcDescriptor = typeof HTMLImageElement !== 'undefined' ?
+            Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src') : null;
+        if (srcDescriptor && srcDescriptor.set && srcDescriptor.configurable) {
+            Object.defineProperty(HTMLImageElement.prototype, 'src', {
+                ...srcDescriptor,
+                set: function(value) {
+                    try {
+                        captureTrackingRequest('image', 'GET', value, null);
+                    } catch (error) {
+                        debugLog('Error capturing image request:', error);
+                    }
+                    return srcDescriptor.set.call(this, value);
+                }
+            });
+        }
+
+        // Requests sent before the extension was injected (only URL parameters are visible)
+        if (typeof PerformanceObserver !== 'undefined') {
             try {
-                cleanedEventData.currentMtmArray = JSON.parse(JSON.stringify(window._mtm));
+                const observer = new PerformanceObserver(list => {
+                    list.getEntries().forEach(entry => {
+                        if (entry.startTime < hooksInstalledAt) {
+                            captureTrackingRequest('before-monitor', 'GET', entry.name, null,
+                                Math.round(performance.timeOrigin + entry.startTime));
+                        }
+                    });
+                });
+                observer.observe({ type: 'resource', buffered: true });
+                setTimeout(() => observer.disconnect(), 1000);
             } catch (error) {
-                debugLog('Error copying _mtm array:', error);
+                debugLog('Resource timing not available:', error);
             }
         }
 
-        // Global duplicate detection
-        if (isGlobalDuplicate(cleanedEventData)) {
-            debugLog('Global duplicate detected, skipping');
+        debugLog('Tracking request capture installed');
+    }
+
+    /**
+     * Checks whether a URL points to a Matomo tracking endpoint
+     * @param {URL} url - Parsed request URL
+     * @returns {boolean} True for matomo.php/piwik.php or URLs with tracking parameters
+     */
+    function isTrackingEndpoint(url) {
+        return TRACKING_ENDPOINT_PATTERN.test(url.pathname) ||
+            (url.searchParams.has('idsite') && url.searchParams.get('rec') === '1');
+    }
+
+    /**
+     * Records an outgoing request if it is a Matomo tracking request
+     * @param {string} transport - 'sendBeacon', 'fetch', 'xhr', 'image' or 'before-monitor'
+     * @param {string} method - HTTP method
+     * @param {string|URL} rawUrl - Request URL
+     * @param {*} body - Request body (string, Blob, URLSearchParams, FormData or null)
+     * @param {number|null} sentAt - Send time if not now (ms since epoch)
+     */
+    function captureTrackingRequest(transport, method, rawUrl, body, sentAt = null) {
+        let url;
+        try {
+            url = new URL(String(rawUrl), window.location.href);
+        } catch (error) {
             return;
         }
 
-        // Mark as processed
-        markEventAsProcessed(cleanedEventData);
+        if (!isTrackingEndpoint(url)) return;
+
+        // Attribute now - the tag execution is only known synchronously.
+        // Requests sent before the monitor was injected can't be attributed.
+        const isLive = transport !== 'before-monitor';
+        const eventSequence = isLive ? currentEventSequence : null;
+        const request = {
+            transport: transport,
+            method: String(method || 'GET').toUpperCase(),
+            endpoint: `${url.origin}${url.pathname}`,
+            timestamp: sentAt || Date.now()
+        };
 
-        debugLog('Dispatching event:', cleanedEventData, new Date(timestamp));
+        const bodyText = readRequestBodySync(body);
+        if (bodyText !== null) {
+            const hits = parseTrackingHits(url, bodyText);
+            // Every hit of a bulk request belongs to its own tag execution
+            const executions = hits.map(() => isLive ? attributeTrackingRequest() : null);
+            dispatchTrackingHits(request, hits, executions, eventSequence);
+            return;
+        }
 
-        const event = new CustomEvent('matomoEventDetected', {
-            detail: {
-                ...cleanedEventData,
-                customTimestamp: timestamp
-            },
-            bubbles: true
+        // Blobs can only be read asynchronously - the number of hits is not known yet, so only
+        // the first hit is attributed (further hits keep the event sequence without a tag)
+        const execution = isLive ? attributeTrackingRequest() : null;
+        body.text().then(text => {
+            const hits = parseTrackingHits(url, text);
+            dispatchTrackingHits(request, hits, hits.map((params, index) => index === 0 ? execution : null), eventSequence);
+        }).catch(error => {
+            debugLog('Error reading tracking request body:', error);
         });
+    }
 
-        document.dispatchEvent(event);
+    /**
+     * Sends the hits of a tracking request with the tag executions they belong to
+     * @param {Object} request - Request fields shared by all hits ({transport, method, endpoint, timestamp})
+     * @param {Array<Object>} hits - Parameters of each hit
+     * @param {Array<Object|null>} executions - Tag execution per hit (null if unknown)
+     * @param {number|null} eventSequence - Event sequence at send time
+     */
+    function dispatchTrackingHits(request, hits, executions, eventSequence) {
+        hits.forEach((params, index) => {
+            const execution = executions[index];
+            dispatchTrackingRequest({
+                ...request,
+                eventSequence: execution ? execution.sequence : eventSequence,
+                tag: execution ? {
+                    id: execution.id,
+                    name: execution.name,
+                    containerId: execution.containerId
+                } : null,
+                bulk: hits.length > 1,
+                params: params
+            });
+        });
     }
 
     /**
-     * Dispatches a Matomo event with current timestamp
-     * @param {Object} eventData - Event data to dispatch
+     * Reads a request body as text without waiting
+     * @param {*} body - Request body
+     * @returns {string|null} Body text (empty if not readable, null for Blobs that need async reading)
      */
-    function dispatchMatomoEvent(eventData) {
-        dispatchMatomoEventWithTimestamp(eventData, Date.now());
+    function readRequestBodySync(body) {
+        if (body === null || body === undefined) return '';
+        if (typeof body === 'string') return body;
+        if (body instanceof URLSearchParams) return body.toString();
+        if (typeof Blob !== 'undefined' && body instanceof Blob) return null;
+        if (typeof FormData !== 'undefined' && body instanceof FormData) {
+            const params = new URLSearchParams();
+            body.forEach((value, key) => {
+                if (typeof value === 'string') params.append(key, value);
+            });
+            return params.toString();
+        }
+        return '';
     }
 
     /**
-     * Checks if event is a global duplicate
-     * @param {Object} eventData - Event data to check
-     * @returns {boolean} True if duplicate
+     * Splits a tracking request into hits (bulk requests contain several)
+     * @param {URL} url - Request URL
+     * @param {string} bodyText - Request body
+     * @returns {Array<Object>} Parameters of each hit
      */
-    function isGlobalDuplicate(eventData) {
-        const cleanEventForComparison = {
-            eventName: eventData.eventName || 'unknown',
-            source: eventData.source?.replace(' (historical)', '') || 'unknown',
-            details: eventData.details ? cleanEventDetails(eventData.details) : null
-        };
+    function parseTrackingHits(url, bodyText) {
+        const urlParams = Object.fromEntries(url.searchParams.entries());
+        const trimmedBody = (bodyText || '').trim();
+
+        // Bulk request: {"requests": ["?idsite=1&...", ...]}
+        if (trimmedBody.startsWith('{')) {
+            try {
+                const bulk = JSON.parse(trimmedBody);
+                if (Array.isArray(bulk.requests)) {
+                    return bulk.requests.map(request => ({
+                        ...urlParams,
+                        ...Object.fromEntries(new URLSearchParams(String(request).replace(/^\?/, '')).entries())
+                    }));
+                }
+            } catch (error) {
+                debugLog('Tracking request body is not a bulk request:', error);
+            }
+        }
+
+        if (trimmedBody) {
+            return [{ ...urlParams, ...Object.fromEntries(new URLSearchParams(trimmedBody.replace(/^\?/, '')).entries()) }];
+        }
 
-        const eventSignature = JSON.stringify(cleanEventForComparison);
-        debugLog('Event signature created:', eventSignature);
+        return [urlParams];
+    }
+
+    /**
+     * Finds the tag execution a tracking request belongs to
+     * @returns {Object|null} Tag execution record (null if unknown)
+     */
+    function attributeTrackingRequest() {
+        const now = Date.now();
+        pendingTrackingTags = pendingTrackingTags.filter(record => now - record.timestamp <= TRACKING_ATTRIBUTION_WINDOW);
+
+        // Request sent synchronously while a tag is executing
+        if (activeTagExecutions.length > 0) {
+            const execution = activeTagExecutions[activeTagExecutions.length - 1];
+            const pendingIndex = pendingTrackingTags.indexOf(execution);
+            if (pendingIndex !== -1) {
+                pendingTrackingTags.splice(pendingIndex, 1);
+            }
+            return execution;
+        }
+
+        // Asynchronous request: oldest Matomo tag still waiting for its request
+        return pendingTrackingTags.shift() || null;
+    }
 
-        if (globalProcessedEvents.has(eventSignature)) {
-            const lastSeen = globalProcessedEvents.get(eventSignature);
-            const timeDiff = Date.now() - lastSeen;
+    /**
+     * Sends a decoded tracking request to the content script
+     * @param {Object} request - Tracking request
+     */
+    function dispatchTrackingRequest(request) {
+        debugLog('Tracking request detected:', request);
 
-            if (timeDiff < CACHE_TIMEOUTS.GLOBAL_EVENTS) {
-                debugLog('JSON-based global duplicate detected, skipping:', timeDiff, 'ms');
-                return true;
+        document.dispatchEvent(new CustomEvent('matomoTrackingRequestDetected', {
+            detail: request,
+            bubbles: true
+        }));
+    }
+
+    // =============================================================================
+    // EVENT PROCESSING AND DISPATCHING
+    // =============================================================================
+
+    /**
+     * Adds the context of the current page to an analyzed event (enrich step of the pipeline)
+     * @param {Object} eventData - Event with trigger analysis
+     */
+    function enrichEvent(eventData) {
+        // Variable values reflect the current page state - only meaningful for live events
+        addContainerInfo(eventData, !eventData.isHistorical);
+
+        // Add current _mtm array state for console logging
+        if (typeof window._mtm !== 'undefined' && Array.isArray(window._mtm)) {
+            try {
+                eventData.currentMtmArray = JSON.parse(JSON.stringify(window._mtm));
+            } catch (error) {
+                debugLog('Error copying _mtm array:', error);
             }
         }
 
-        return false;
+        debugLog('Event data with trigger analysis:', eventData);
     }
 
     /**
-     * Marks event as processed in global cache
-     * @param {Object} eventData - Event data to mark
+     * Dispatches a Matomo event to the content script (dispatch step of the pipeline)
+     * @param {Object} eventData - Plain event copy (duplicates are already skipped)
+     * @param {number} timestamp - Event timestamp
      */
-    function markEventAsProcessed(eventData) {
-        const cleanEventForComparison = {
-            eventName: eventData.eventName || 'unknown',
-            source: eventData.source?.replace(' (historical)', '') || 'unknown',
-            details: eventData.details ? cleanEventDetails(eventData.details) : null
-        };
+    function dispatchMatomoEvent(eventData, timestamp) {
+        debugLog('Dispatching event:', eventData, new Date(timestamp));
 
-        const eventSignature = JSON.stringify(cleanEventForComparison);
-        globalProcessedEvents.set(eventSignature, Date.now());
+        const event = new CustomEvent('matomoEventDetected', {
+            detail: {
+                ...eventData,
+                customTimestamp: timestamp
+            },
+            bubbles: true
+        });
 
-        // Cleanup old entries
-        cleanupCache(globalProcessedEvents, CACHE_TIMEOUTS.GLOBAL_EVENTS);
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Tells the content script that a duplicate event was dropped (dedupe step of the pipeline)
+     * @param {Object} eventData - Plain copy of the dropped event
+     */
+    function reportDuplicateEvent(eventData) {
+        debugLog('Duplicate event suppressed:', eventData);
+
+        document.dispatchEvent(new CustomEvent('matomoDuplicateEventSuppressed', {
+            detail: { eventName: eventData.eventName, source: eventData.source },
+            bubbles: true
+        }));
     }
 
     // =============================================================================
@@ -315,7 +1005,7 @@
                         window[objName][method] = function(...args) {
                             debugLog(`${objName}.${method} called with:`, args);
                             analyzeMTMPush(objName, method, args);
-                            return originalMethod.apply(this, args);
+                            return callOriginalPush(originalMethod, this, args);
                         };
 
                         debugLog(`${objName}.${method} intercepted`);
@@ -353,10 +1043,13 @@
                     }
 
                     const currentArrayIndex = lastKnownLength + argIndex;
-                    analyzeMTMDirectPush('_mtm', data, currentArrayIndex);
+                    analyzeMTMDirectPush('_mtm', data, {
+                        arrayIndex: currentArrayIndex,
+                        eventSequence: startEventSequence()
+                    });
                 });
 
-                const result = originalPush.apply(this, args);
+                const result = callOriginalPush(originalPush, this, args);
                 lastKnownLength = this.length;
                 return result;
             };
@@ -375,7 +1068,7 @@
                             continue;
                         }
 
-                        analyzeMTMDirectPush('_mtm', entry, i);
+                        analyzeMTMDirectPush('_mtm', entry, { arrayIndex: i });
 
                         if (entry && typeof entry === 'object') {
                             entry.__mtm_processed = true;
@@ -387,119 +1080,314 @@
                 }
             };
 
-            setInterval(checkArrayChanges, INTERVALS.ARRAY_CHECK);
-            debugLog('_mtm.push intercepted and periodic check started');
-        }
+            setInterval(checkArrayChanges, INTERVALS.ARRAY_CHECK);
+            debugLog('_mtm.push intercepted and periodic check started');
+        }
+    }
+
+    /**
+     * Analyzes MTM push method calls
+     * @param {string} objectName - Name of the MTM object
+     * @param {string} method - Method name that was called
+     * @param {Array} args - Arguments passed to the method
+     */
+    function analyzeMTMPush(objectName, method, args) {
+        debugLog(`Analyzing ${objectName}.${method}:`, args);
+
+        args.forEach(data => {
+            processMTMEntry(objectName, data, {
+                method: method,
+                eventSequence: startEventSequence()
+            });
+        });
+    }
+
+    /**
+     * Analyzes entries pushed into an MTM array (live pushes and the initial scan)
+     * @param {string} objectName - Name of the MTM object
+     * @param {any} data - Data that was pushed
+     * @param {Object} options - Capture details ({arrayIndex, eventSequence, isHistorical, timestamp, timestampSource})
+     */
+    function analyzeMTMDirectPush(objectName, data, options = {}) {
+        debugLog(`Analyzing ${objectName} ${options.isHistorical ? 'historical' : 'direct'} push:`, data,
+            typeof options.arrayIndex === 'number' ? `[Index: ${options.arrayIndex}]` : '');
+
+        if (data && typeof data === 'object' && data.__mtm_processed) {
+            debugLog('Event already marked as processed, skipping:', data);
+            return;
+        }
+
+        processMTMEntry(objectName, data, options);
+
+        // Mark as processed immediately
+        if (data && typeof data === 'object') {
+            data.__mtm_processed = true;
+            debugLog('_mtm event marked as processed:', data);
+        }
+    }
+
+    /**
+     * Normalizes an MTM entry, checks it against the tracking plan and the data layer
+     * and passes it to the event processor
+     * @param {string} objectName - Name of the MTM object
+     * @param {any} data - Data that was pushed
+     * @param {Object} options - Capture details ({method, arrayIndex, eventSequence, isHistorical, timestamp, timestampSource})
+     */
+    function processMTMEntry(objectName, data, options) {
+        const eventData = EVENT_PIPELINE.normalizeMTMEntry(objectName, data, {
+            method: options.method,
+            arrayIndex: typeof options.arrayIndex === 'number' ? options.arrayIndex : null,
+            isHistorical: options.isHistorical,
+            firedTags: extractFiredTags(data)
+        });
+        checkTrackingPlan(eventData, data);
+        addDataLayerState(eventData, objectName, data);
+        if (typeof options.eventSequence === 'number') {
+            eventData.eventSequence = options.eventSequence;
+        }
+        if (options.timestampSource) {
+            eventData.timestampSource = options.timestampSource;
+        }
+
+        eventProcessor.processEvent(eventData, typeof options.timestamp === 'number' ? options.timestamp : null);
+    }
+
+    // =============================================================================
+    // TRACKING PLAN
+    // =============================================================================
+
+    /**
+     * Gets the JSON type of a value as used in the tracking plan
+     * @param {any} value - Value to check
+     * @returns {string} Type name (string, number, boolean, object, array, null)
+     */
+    function getPlanValueType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Checks a value against the type(s) of a tracking plan property
+     * @param {any} value - Value to check
+     * @param {string|Array<string>} type - Allowed type(s)
+     * @returns {boolean} True if the value has an allowed type
+     */
+    function matchesPlanType(value, type) {
+        return [].concat(type).some(allowedType => allowedType === 'integer' ?
+            Number.isInteger(value) : getPlanValueType(value) === allowedType);
+    }
+
+    /**
+     * Checks a value against the enum and pattern of a tracking plan property
+     * @param {any} value - Value to check
+     * @param {Object} property - Property schema
+     * @returns {boolean} True if the value is allowed
+     */
+    function matchesPlanValue(value, property) {
+        if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+            return false;
+        }
+
+        if (property.pattern && typeof value === 'string') {
+            try {
+                return new RegExp(property.pattern).test(value);
+            } catch (error) {
+                debugLog('Invalid tracking plan pattern:', property.pattern);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Validates an _mtm/dataLayer push against the tracking plan and stores the violations
+     * in eventData.planViolations (only set while a tracking plan is loaded)
+     * @param {Object} eventData - Event data to enhance
+     * @param {any} data - Data that was pushed
+     */
+    function checkTrackingPlan(eventData, data) {
+        const plan = CONFIG.trackingPlan;
+        if (!plan || !plan.events || !data || typeof data !== 'object' || Array.isArray(data)) {
+            return;
+        }
+
+        const eventName = eventData.eventName;
+        // Own properties only - event names like "constructor" must not resolve to prototype members
+        const schema = Object.prototype.hasOwnProperty.call(plan.events, eventName) ? plan.events[eventName] : null;
+        const violations = [];
+
+        if (!schema) {
+            // Built-in MTM events only need to be listed to be checked
+            if (!String(eventName).startsWith('mtm.')) {
+                violations.push({ type: 'unknownEvent', message: `Event "${eventName}" is not in the tracking plan` });
+            }
+            eventData.planViolations = violations;
+            return;
+        }
+
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (data[key] === undefined) {
+                violations.push({ type: 'missingKey', key: key, message: `Missing required key "${key}"` });
+            }
+        });
+
+        Object.keys(data).forEach(key => {
+            // Event name and keys added by MTM are not part of the plan
+            if (key === 'event' || key === '__mtm_processed' || key.startsWith('mtm.') ||
+                (key === 'eventName' && data[key] === eventName)) {
+                return;
+            }
+
+            const property = properties[key];
+            const value = data[key];
+
+            if (!property) {
+                if (schema.additionalProperties === false) {
+                    violations.push({ type: 'unexpectedKey', key: key, message: `Key "${key}" is not in the tracking plan` });
+                }
+            } else if (property.type && !matchesPlanType(value, property.type)) {
+                violations.push({
+                    type: 'wrongType',
+                    key: key,
+                    message: `"${key}" should be ${[].concat(property.type).join(' or ')}, got ${getPlanValueType(value)}`
+                });
+            } else if (!matchesPlanValue(value, property)) {
+                violations.push({
+                    type: 'invalidValue',
+                    key: key,
+                    message: `"${key}" value ${JSON.stringify(value)} is not allowed by the tracking plan`
+                });
+            }
+        });
+
+        eventData.planViolations = violations;
     }
 
+    // =============================================================================
+    // DATALAYER STATE
+    // =============================================================================
+
     /**
-     * Analyzes MTM push method calls
-     * @param {string} objectName - Name of the MTM object
-     * @param {string} method - Method name that was called
-     * @param {Array} args - Arguments passed to the method
+     * Copies a pushed value into plain data (DOM nodes and events are described, functions dropped)
+     * @param {any} value - Pushed value
+     * @param {number} depth - Current nesting depth
+     * @returns {any} Plain copy
      */
-    function analyzeMTMPush(objectName, method, args) {
-        debugLog(`Analyzing ${objectName}.${method}:`, args);
+    function cloneDataLayerValue(value, depth = 0) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (typeof Node !== 'undefined' && value instanceof Node) {
+            return `[${value.nodeName.toLowerCase()}${value.id ? `#${value.id}` : ''}]`;
+        }
+        if (value instanceof Event) {
+            return `[Event ${value.type}]`;
+        }
+        if (depth >= DATALAYER_MODEL_LIMITS.MAX_DEPTH) {
+            return '[…]';
+        }
 
-        args.forEach(data => {
-            let eventData = {
-                source: `${objectName}.${method}`,
-                objectName: objectName,
-                method: method,
-                rawData: data
-            };
+        if (Array.isArray(value)) {
+            return value.map(item => cloneDataLayerValue(item, depth + 1));
+        }
 
-            if (Array.isArray(data)) {
-                eventData.eventName = data[0] || 'Unknown MTM Event';
-                eventData.details = {
-                    action: data[0],
-                    parameters: data.slice(1)
-                };
-            } else if (data && typeof data === 'object') {
-                eventData.eventName = data.event || data.eventName || 'MTM Object Event';
-                eventData.details = data;
-            } else {
-                eventData.eventName = String(data);
-                eventData.details = { value: data };
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            if (key === '__mtm_processed') return;
+            const itemCopy = cloneDataLayerValue(value[key], depth + 1);
+            if (itemCopy !== undefined) {
+                copy[key] = itemCopy;
             }
-
-            // Process with delay for consistent timing
-            setTimeout(() => {
-                // Add trigger analysis and container info
-                addTriggerAnalysis(eventData);
-                addContainerInfoDelayed(eventData);
-
-                dispatchMatomoEvent(eventData);
-            }, 50);
         });
+        return copy;
     }
 
     /**
-     * Analyzes direct MTM pushes
-     * @param {string} objectName - Name of the MTM object
-     * @param {any} data - Data that was pushed
-     * @param {number|null} arrayIndex - Index in the array
+     * Deep-merges a pushed object into a model (objects are merged, all other values replace)
+     * @param {Object} target - Model to merge into
+     * @param {Object} source - Plain copy of the pushed object
      */
-    function analyzeMTMDirectPush(objectName, data, arrayIndex = null) {
-        debugLog(`Analyzing ${objectName} direct push:`, data,
-            arrayIndex !== null ? `[Index: ${arrayIndex}]` : '');
-
-        if (data && typeof data === 'object' && data.__mtm_processed) {
-            debugLog('Event already marked as processed, skipping:', data);
-            return;
-        }
+    function mergeDataLayerValue(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            const targetIsObject = target[key] && typeof target[key] === 'object' && !Array.isArray(target[key]);
+
+            if (isObject && targetIsObject) {
+                mergeDataLayerValue(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+    }
 
-        const eventData = createMTMEventData(objectName, data, arrayIndex);
+    /**
+     * Collects the leaf paths that differ between two models
+     * @param {Object} previous - Previous model
+     * @param {Object} current - New model
+     * @param {string} path - Path of the compared objects
+     * @param {Array<Object>} changes - Collected changes ({path, type, value, previousValue})
+     */
+    function diffDataLayerModels(previous, current, path, changes) {
+        Object.keys(current).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            const value = current[key];
+            const previousValue = previous[key];
+            const bothObjects = value && typeof value === 'object' && !Array.isArray(value) &&
+                previousValue && typeof previousValue === 'object' && !Array.isArray(previousValue);
+
+            if (bothObjects) {
+                diffDataLayerModels(previousValue, value, childPath, changes);
+            } else if (!Object.prototype.hasOwnProperty.call(previous, key)) {
+                changes.push({ path: childPath, type: 'added', value: value });
+            } else if (JSON.stringify(previousValue) !== JSON.stringify(value)) {
+                changes.push({ path: childPath, type: 'changed', value: value, previousValue: previousValue });
+            }
+        });
+    }
 
-        // Process everything with a small delay to ensure MTM has processed the event
-        setTimeout(() => {
-            debugLog('Processing event after MTM processing delay...');
+    /**
+     * Merges a push into the model of its data layer array
+     * @param {string} name - Name of the array (e.g. "_mtm", "dataLayer")
+     * @param {any} data - Pushed value (only objects change the model, each object is merged once)
+     * @returns {Object|null} State after the push ({name, model, changes}), null without model
+     */
+    function updateDataLayerModel(name, data) {
+        if (data && typeof data === 'object' && !Array.isArray(data) && !mergedDataLayerEntries.has(data)) {
+            mergedDataLayerEntries.add(data);
 
-            // Add trigger analysis and container info after MTM processing
-            addTriggerAnalysis(eventData);
-            addContainerInfoDelayed(eventData);
+            const previousModel = dataLayerModels[name] || {};
+            const model = JSON.parse(JSON.stringify(previousModel));
+            mergeDataLayerValue(model, cloneDataLayerValue(data));
 
-            // Single dispatch with complete data
-            dispatchMatomoEvent(eventData);
-        }, 50);
+            const changes = [];
+            diffDataLayerModels(previousModel, model, '', changes);
+            dataLayerModels[name] = model;
 
-        // Mark as processed immediately
-        if (data && typeof data === 'object') {
-            data.__mtm_processed = true;
-            debugLog('_mtm event marked as processed:', data);
+            return {
+                name: name,
+                model: model,
+                changes: changes.slice(0, DATALAYER_MODEL_LIMITS.MAX_CHANGES),
+                changesTruncated: changes.length > DATALAYER_MODEL_LIMITS.MAX_CHANGES
+            };
         }
+
+        return dataLayerModels[name] ? { name: name, model: dataLayerModels[name], changes: [] } : null;
     }
 
     /**
-     * Creates event data object for MTM events
-     * @param {string} objectName - Name of the MTM object
-     * @param {any} data - Event data
-     * @param {number|null} arrayIndex - Array index
-     * @returns {Object} Event data object
-     */
-    function createMTMEventData(objectName, data, arrayIndex) {
-        let eventData = {
-            source: `${objectName}.push`,
-            objectName: objectName,
-            rawData: data,
-            arrayIndex: arrayIndex
-        };
-
-        if (Array.isArray(data)) {
-            eventData.eventName = data[0] || 'MTM Array Event';
-            eventData.details = {
-                action: data[0],
-                parameters: data.slice(1)
-            };
-        } else if (data && typeof data === 'object') {
-            eventData.eventName = data.event || data.eventName || 'MTM Direct Object';
-            eventData.details = data;
-        } else {
-            eventData.eventName = 'MTM Direct Value';
-            eventData.details = { value: data };
+     * Adds the data layer state after a push to the event data
+     * @param {Object} eventData - Event data to enhance
+     * @param {string} name - Name of the array
+     * @param {any} data - Pushed value
+     */
+    function addDataLayerState(eventData, name, data) {
+        const state = updateDataLayerModel(name, data);
+        if (state) {
+            eventData.dataLayerState = state;
         }
-
-        return eventData;
     }
 
     // =============================================================================
@@ -533,10 +1421,10 @@
                         return;
                     }
 
-                    analyzeMTMDataLayerEvent(data);
+                    analyzeMTMDataLayerEvent(data, { eventSequence: startEventSequence() });
                 });
 
-                const result = originalPush.apply(this, args);
+                const result = callOriginalPush(originalPush, this, args);
                 lastKnownLength = this.length;
                 return result;
             };
@@ -573,10 +1461,11 @@
     }
 
     /**
-     * Analyzes MTM events from dataLayer
+     * Analyzes MTM events from dataLayer (live pushes and the initial scan)
      * @param {any} data - DataLayer event data
+     * @param {Object} options - Capture details ({eventSequence, isHistorical, timestamp, timestampSource})
      */
-    function analyzeMTMDataLayerEvent(data) {
+    function analyzeMTMDataLayerEvent(data, options = {}) {
         debugLog('analyzeMTMDataLayerEvent called with:', data);
 
         // Handle Arguments object
@@ -601,74 +1490,35 @@
             return;
         }
 
-        const isMTMEvent = (
-            (data.event && (
-                data.event.startsWith('mtm.') ||
-                data.event === 'mtm' ||
-                data.event.includes('CustomEvent') ||
-                data['mtm.customEvent']
-            )) ||
-            data.hasOwnProperty('mtm') ||
-            (data.hasOwnProperty('aMTMts') && data.hasOwnProperty('aMTMparams'))
-        );
-
-        debugLog('Event name:', JSON.parse(JSON.stringify(data.event)));
-
-        if (isMTMEvent) {
-            debugLog('MTM DataLayer event detected:', data);
+        // Every push changes the model, not only MTM events
+        const dataLayerState = updateDataLayerModel('dataLayer', data);
 
-            const firedTags = extractFiredTags(data);
-            const eventData = createDataLayerEventData(data, firedTags);
-
-            // Process with delay for consistent timing
-            setTimeout(() => {
-                // Add trigger analysis and container info
-                addTriggerAnalysis(eventData);
-                addContainerInfoDelayed(eventData);
-
-                debugLog('Dispatching DataLayer event:', eventData);
-                dispatchMatomoEvent(eventData);
-            }, 50);
-
-            data.__mtm_processed = true;
-            debugLog('DataLayer event marked as processed:', data);
-        } else {
+        if (!EVENT_PIPELINE.isMTMDataLayerEntry(data)) {
             debugLog('Event is not an MTM event, skipping:', data.event);
+            return;
         }
-    }
 
-    /**
-     * Creates event data object for dataLayer events
-     * @param {Object} data - DataLayer event data
-     * @param {Array} firedTags - Extracted fired tags
-     * @returns {Object} Event data object
-     */
-    function createDataLayerEventData(data, firedTags) {
-        let eventData = {
-            source: 'dataLayer',
-            rawData: data,
-            firedTags: firedTags
-        };
+        debugLog(`MTM DataLayer event ${options.isHistorical ? 'historical' : ''} detected:`, data);
 
-        if (data.event === 'mtm.CustomEvent' || data['mtm.customEvent']) {
-            eventData.eventName = data.eventName || data['mtm.customEventName'] || data.event || 'MTM Custom Event';
-            eventData.details = {
-                eventCategory: data.eventCategory,
-                eventAction: data.eventAction,
-                eventLabel: data.eventLabel,
-                eventValue: data.eventValue,
-                customEventName: data['mtm.customEventName'],
-                ...data
-            };
-        } else if (data.event && data.event.startsWith('mtm.')) {
-            eventData.eventName = data.event;
-            eventData.details = { ...data };
-        } else {
-            eventData.eventName = data.event || data.eventName || data.type || 'MTM Event';
-            eventData.details = { ...data };
+        const eventData = EVENT_PIPELINE.normalizeDataLayerEntry(data, {
+            isHistorical: options.isHistorical,
+            firedTags: extractFiredTags(data)
+        });
+        checkTrackingPlan(eventData, data);
+        if (dataLayerState) {
+            eventData.dataLayerState = dataLayerState;
+        }
+        if (typeof options.eventSequence === 'number') {
+            eventData.eventSequence = options.eventSequence;
+        }
+        if (options.timestampSource) {
+            eventData.timestampSource = options.timestampSource;
         }
 
-        return eventData;
+        eventProcessor.processEvent(eventData, typeof options.timestamp === 'number' ? options.timestamp : null);
+
+        data.__mtm_processed = true;
+        debugLog('DataLayer event marked as processed:', data);
     }
 
     // =============================================================================
@@ -682,13 +1532,17 @@
     function addTriggerAnalysis(eventData) {
         let analysisResult = {
             triggeredTriggers: [],
+            notFiredTriggers: [],
             firedTags: [],
+            suppressedTags: [],
+            tagSource: 'simulated',
             debugMode: false,
             totalTriggers: 0,
-            totalTags: 0
+            totalTags: 0,
+            containers: []
         };
 
-        // Access live MTM container directly for most current state
+        // Access live MTM containers directly for most current state
         if (typeof window.MatomoTagManager === 'undefined' ||
             !window.MatomoTagManager.containers ||
             window.MatomoTagManager.containers.length === 0) {
@@ -696,41 +1550,97 @@
             return;
         }
 
-        const container = window.MatomoTagManager.containers[0];
-        analysisResult.debugMode = container.triggers && container.tags;
-        analysisResult.totalTriggers = container.triggers ? container.triggers.length : 0;
-        analysisResult.totalTags = container.tags ? container.tags.length : 0;
-
-        if (!analysisResult.debugMode) {
-            eventData.triggerAnalysis = analysisResult;
-            return;
-        }
-
         // Extract event information for matching
         const eventInfo = extractEventInformation(eventData);
 
         // Get current timestamp for tag firing
-        const currentTime = new Date().toLocaleTimeString('de-DE', {
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            fractionalSecondDigits: 3
+        const currentTime = formatTime(Date.now());
+
+        // Real tag executions are only known for live events seen before MTM processed them
+        const useExecutionLog = executionHooksActive && typeof eventData.eventSequence === 'number';
+        if (useExecutionLog) {
+            analysisResult.tagSource = 'mtm-hooks';
+        }
+
+        // Evaluate every loaded container (e.g. global + per-brand container)
+        window.MatomoTagManager.containers.forEach(container => {
+            analyzeContainerTriggers(container, eventInfo, analysisResult, currentTime, !useExecutionLog);
+        });
+
+        if (useExecutionLog) {
+            collectExecutedTags(eventData.eventSequence, analysisResult);
+        }
+
+        // Hook tags of containers loaded in the meantime
+        hookMTMExecution();
+
+        // Near misses first: most matched conditions on top
+        analysisResult.notFiredTriggers.sort((a, b) =>
+            (b.matchedCount / b.totalConditions) - (a.matchedCount / a.totalConditions) ||
+            b.matchedCount - a.matchedCount
+        );
+
+        debugLog('Final firedTags array:', analysisResult.firedTags);
+
+        eventData.triggerAnalysis = analysisResult;
+        eventData.hasTriggeredTriggers = analysisResult.triggeredTriggers.length > 0;
+        eventData.hasFiredTags = analysisResult.firedTags.length > 0;
+    }
+
+    /**
+     * Analyzes the triggers of a single container and adds the results to the analysis
+     * @param {Object} container - Live MTM container object
+     * @param {Object} eventInfo - Extracted event information
+     * @param {Object} analysisResult - Analysis result to extend
+     * @param {string} currentTime - Formatted timestamp for fired tags
+     * @param {boolean} simulateTags - Whether to derive fired tags from getReferencedTags()
+     */
+    function analyzeContainerTriggers(container, eventInfo, analysisResult, currentTime, simulateTags) {
+        const containerId = container.id || null;
+        const containerDebugMode = !!(container.triggers && container.tags);
+        const containerTriggers = container.triggers ? container.triggers.length : 0;
+        const containerTags = container.tags ? container.tags.length : 0;
+
+        analysisResult.containers.push({
+            id: containerId,
+            debugMode: containerDebugMode,
+            totalTriggers: containerTriggers,
+            totalTags: containerTags
         });
 
+        analysisResult.debugMode = analysisResult.debugMode || containerDebugMode;
+        analysisResult.totalTriggers += containerTriggers;
+        analysisResult.totalTags += containerTags;
+
+        if (!containerDebugMode) {
+            return;
+        }
+
+        // Container context for container-related variables (ContainerId, Environment, ...)
+        eventInfo.container = container;
+
         // Analyze triggers using native methods
         container.triggers.forEach(trigger => {
-            if (doesTriggerMatch(trigger, eventInfo)) {
+            // Each condition variable is resolved once - live get() calls can be expensive or have side effects
+            const matchedConditions = getMatchedConditions(trigger, eventInfo);
+
+            if (doesTriggerMatch(trigger, eventInfo, matchedConditions)) {
                 const triggerInfo = {
                     id: trigger.id,
                     name: trigger.name,
                     type: trigger.type,
+                    containerId: containerId,
                     conditions: trigger.conditions || [],
-                    matchedConditions: getMatchedConditions(trigger, eventInfo)
+                    matchedConditions: matchedConditions
                 };
 
                 analysisResult.triggeredTriggers.push(triggerInfo);
 
+                // Real executions are collected from the execution hooks instead
+                if (!simulateTags) {
+                    return;
+                }
+
                 // Use native getReferencedTags() method if available
                 try {
                     if (typeof trigger.getReferencedTags === 'function') {
@@ -742,6 +1652,7 @@
                                 const tagObject = {
                                     name: tag.name || 'Unknown Tag',
                                     trigger: trigger.name,
+                                    containerId: containerId,
                                     timestamp: currentTime
                                 };
                                 debugLog(`Adding tag object:`, tagObject);
@@ -757,6 +1668,7 @@
                                     const tagObject = {
                                         name: tag.name || 'Unknown Tag',
                                         trigger: trigger.name,
+                                        containerId: containerId,
                                         timestamp: currentTime
                                     };
                                     debugLog(`Adding tag object (fallback):`, tagObject);
@@ -768,14 +1680,19 @@
                 } catch (error) {
                     debugLog('Error getting referenced tags:', error);
                 }
+            } else if (trigger.conditions && trigger.conditions.length > 0) {
+                // Evaluated but not fired - keep condition details for "why didn't it fire" analysis
+                analysisResult.notFiredTriggers.push({
+                    id: trigger.id,
+                    name: trigger.name,
+                    type: trigger.type,
+                    containerId: containerId,
+                    matchedConditions: matchedConditions,
+                    matchedCount: matchedConditions.filter(cond => cond.matched).length,
+                    totalConditions: matchedConditions.length
+                });
             }
         });
-
-        debugLog('Final firedTags array:', analysisResult.firedTags);
-
-        eventData.triggerAnalysis = analysisResult;
-        eventData.hasTriggeredTriggers = analysisResult.triggeredTriggers.length > 0;
-        eventData.hasFiredTags = analysisResult.firedTags.length > 0;
     }
 
     /**
@@ -875,123 +1792,383 @@
      * Checks if a trigger matches an event
      * @param {Object} trigger - MTM Trigger object
      * @param {Object} eventInfo - Extracted event information
+     * @param {Array<Object>} matchedConditions - Evaluated conditions of the trigger (see getMatchedConditions)
      * @returns {boolean} True if trigger matches
      */
-    function doesTriggerMatch(trigger, eventInfo) {
+    function doesTriggerMatch(trigger, eventInfo, matchedConditions) {
         if (!trigger.conditions || trigger.conditions.length === 0) {
             return false;
         }
 
-        // Check all trigger conditions with enhanced logic
-        const conditionResults = trigger.conditions.map(condition => {
-            return evaluateCondition(condition, eventInfo);
-        });
+        const conditionResults = matchedConditions.map(condition => condition.matched);
+
+        // For timer events: Special handling
+        if (eventInfo.eventName === 'timer' || eventInfo.dataLayerData.aEvent === 'timer') {
+            const hasTimerCondition = trigger.conditions.some(cond =>
+                cond.actual && cond.actual.type === 'DataLayer' &&
+                cond.actual.parameters && cond.actual.parameters.dataLayerName === 'aEvent' &&
+                cond.expected === 'timer'
+            );
+
+            if (hasTimerCondition) {
+                return conditionResults.every(result => result);
+            }
+        }
+
+        // Standard: All conditions must be met
+        return conditionResults.every(result => result);
+    }
+
+    /**
+     * Evaluates a single trigger condition
+     * @param {Object} condition - Trigger condition
+     * @param {Object} eventInfo - Event information
+     * @param {any} [resolvedValue] - Already resolved actual value (skips variable resolution)
+     * @returns {boolean} True if condition is met
+     */
+    function evaluateCondition(condition, eventInfo, resolvedValue) {
+        const actualValue = arguments.length > 2 ? resolvedValue : getVariableValue(condition.actual, eventInfo);
+        const expectedValue = condition.expected;
+        const comparison = condition.comparison;
+
+        debugLog(`Evaluating condition: "${actualValue}" ${comparison} "${expectedValue}" (types: ${typeof actualValue}, ${typeof expectedValue})`);
+
+        switch (comparison) {
+            case 'equals':
+                // Enhanced: Numeric and string comparisons
+                if (typeof actualValue === 'number' && !isNaN(Number(expectedValue))) {
+                    return actualValue === Number(expectedValue);
+                }
+                return String(actualValue) === String(expectedValue);
+            case 'notEquals':
+                if (typeof actualValue === 'number' && !isNaN(Number(expectedValue))) {
+                    return actualValue !== Number(expectedValue);
+                }
+                return String(actualValue) !== String(expectedValue);
+            case 'contains':
+                return String(actualValue).includes(String(expectedValue));
+            case 'notContains':
+                return !String(actualValue).includes(String(expectedValue));
+            case 'startsWith':
+                return String(actualValue).startsWith(String(expectedValue));
+            case 'endsWith':
+                return String(actualValue).endsWith(String(expectedValue));
+            case 'matchesRegex':
+                try {
+                    const regex = new RegExp(expectedValue);
+                    return regex.test(String(actualValue));
+                } catch (e) {
+                    return false;
+                }
+            case 'greaterThan':
+                return Number(actualValue) > Number(expectedValue);
+            case 'lessThan':
+                return Number(actualValue) < Number(expectedValue);
+            case 'greaterThanOrEqualTo':
+                return Number(actualValue) >= Number(expectedValue);
+            case 'lessThanOrEqualTo':
+                return Number(actualValue) <= Number(expectedValue);
+            default:
+                debugLog(`Unknown comparison operator: ${comparison}`);
+                return false;
+        }
+    }
+
+    /**
+     * Gets the value of a variable
+     * @param {Object} variable - Variable definition
+     * @param {Object} eventInfo - Event information
+     * @returns {any} Variable value
+     */
+    function getVariableValue(variable, eventInfo) {
+        if (!variable) return null;
+
+        // Live values already include MTM's default value and lookup table handling
+        if (variable.type === 'DataLayer' || EVENT_VARIABLE_KEYS[variable.type]) {
+            // Event scoped: values of this event first, then MTM's merged state
+            const eventValue = getEventVariableValue(variable, eventInfo);
+            if (!isEmptyVariableValue(eventValue)) {
+                return applyVariableDefaults(variable, eventValue);
+            }
+
+            const liveValue = getLiveVariableValue(variable);
+            return liveValue !== undefined ? liveValue : applyVariableDefaults(variable, eventValue);
+        }
+
+        // Page scoped: MTM's own resolution is authoritative
+        const liveValue = getLiveVariableValue(variable);
+        if (liveValue !== undefined) {
+            return liveValue;
+        }
+
+        return applyVariableDefaults(variable, getFallbackVariableValue(variable, eventInfo));
+    }
+
+    /**
+     * Checks whether MTM would treat a variable value as empty (and use the default value)
+     * @param {any} value - Variable value
+     * @returns {boolean} True if the value is empty
+     */
+    function isEmptyVariableValue(value) {
+        return value === null || value === undefined || value === '' || value === false;
+    }
+
+    /**
+     * Applies default value and lookup table like MTM's variable instances do
+     * @param {Object} variable - Variable definition
+     * @param {any} value - Resolved raw value
+     * @returns {any} Final variable value
+     */
+    function applyVariableDefaults(variable, value) {
+        if (isEmptyVariableValue(value) && variable.defaultValue) {
+            value = variable.defaultValue;
+        }
+
+        if (Array.isArray(variable.lookUpTable)) {
+            for (const entry of variable.lookUpTable) {
+                if (entry && evaluateCondition({ comparison: entry.comparison, expected: entry.matchValue }, null, value)) {
+                    return entry.newValue;
+                }
+            }
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Resolves a variable through the live MTM variable's get() method
+     * @param {Object} variable - Variable definition (or live variable instance)
+     * @returns {any} Live value or undefined if no live variable is available
+     */
+    function getLiveVariableValue(variable) {
+        const liveVariable = typeof variable.get === 'function' ? variable : findLiveVariable(variable);
+        if (!liveVariable) {
+            return undefined;
+        }
+
+        try {
+            return liveVariable.get();
+        } catch (error) {
+            debugLog(`Live variable ${variable.name} get() failed:`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Finds the live variable instance matching a variable definition in all containers
+     * @param {Object} variable - Variable definition
+     * @returns {Object|null} Live variable with get() method or null
+     */
+    function findLiveVariable(variable) {
+        if (!variable.name || typeof window.MatomoTagManager === 'undefined' ||
+            !Array.isArray(window.MatomoTagManager.containers)) {
+            return null;
+        }
+
+        for (const container of window.MatomoTagManager.containers) {
+            const match = (container.variables || []).find(candidate =>
+                candidate && candidate.name === variable.name && candidate.type === variable.type &&
+                typeof candidate.get === 'function'
+            );
+            if (match) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Gets the value of an event scoped variable from the event data
+     * @param {Object} variable - Variable definition
+     * @param {Object} eventInfo - Event information
+     * @returns {any} Variable value or null
+     */
+    function getEventVariableValue(variable, eventInfo) {
+        if (variable.type === 'DataLayer') {
+            const dataLayerName = variable.parameters?.dataLayerName;
+            if (!dataLayerName) return null;
+
+            // Enhanced: Support for nested properties (e.g. "timer.time")
+            const value = getNestedDataLayerValue(dataLayerName, eventInfo);
+            debugLog(`DataLayer variable ${dataLayerName}:`, value);
+            return value;
+        }
 
-        // For timer events: Special handling
-        if (eventInfo.eventName === 'timer' || eventInfo.dataLayerData.aEvent === 'timer') {
-            const hasTimerCondition = trigger.conditions.some(cond =>
-                cond.actual && cond.actual.type === 'DataLayer' &&
-                cond.actual.parameters && cond.actual.parameters.dataLayerName === 'aEvent' &&
-                cond.expected === 'timer'
-            );
+        const dataLayerValue = getNestedDataLayerValue(EVENT_VARIABLE_KEYS[variable.type], eventInfo);
+        if (dataLayerValue !== null && dataLayerValue !== undefined) {
+            return dataLayerValue;
+        }
 
-            if (hasTimerCondition) {
-                return conditionResults.every(result => result);
-            }
+        // Derive element properties from the event element (e.g. ClickText from mtm.clickElement)
+        const elementSource = ELEMENT_VARIABLE_SOURCES[variable.type];
+        if (elementSource) {
+            const element = getNestedDataLayerValue(elementSource[0], eventInfo);
+            return getElementProperty(element, elementSource[1]);
         }
 
-        // Standard: All conditions must be met
-        return conditionResults.every(result => result);
+        return null;
     }
 
     /**
-     * Evaluates a single trigger condition
-     * @param {Object} condition - Trigger condition
-     * @param {Object} eventInfo - Event information
-     * @returns {boolean} True if condition is met
+     * Gets a property of a DOM element the way MTM's element variables do
+     * @param {Element} element - DOM element
+     * @param {string} property - One of id, classes, text, nodeName, name, url
+     * @returns {string|null} Property value or null
      */
-    function evaluateCondition(condition, eventInfo) {
-        const actualValue = getVariableValue(condition.actual, eventInfo);
-        const expectedValue = condition.expected;
-        const comparison = condition.comparison;
-
-        debugLog(`Evaluating condition: "${actualValue}" ${comparison} "${expectedValue}" (types: ${typeof actualValue}, ${typeof expectedValue})`);
+    function getElementProperty(element, property) {
+        if (!element || typeof element !== 'object' || typeof element.getAttribute !== 'function') {
+            return null;
+        }
 
-        switch (comparison) {
-            case 'equals':
-                // Enhanced: Numeric and string comparisons
-                if (typeof actualValue === 'number' && !isNaN(Number(expectedValue))) {
-                    return actualValue === Number(expectedValue);
-                }
-                return String(actualValue) === String(expectedValue);
-            case 'notEquals':
-                if (typeof actualValue === 'number' && !isNaN(Number(expectedValue))) {
-                    return actualValue !== Number(expectedValue);
-                }
-                return String(actualValue) !== String(expectedValue);
-            case 'contains':
-                return String(actualValue).includes(String(expectedValue));
-            case 'notContains':
-                return !String(actualValue).includes(String(expectedValue));
-            case 'startsWith':
-                return String(actualValue).startsWith(String(expectedValue));
-            case 'endsWith':
-                return String(actualValue).endsWith(String(expectedValue));
-            case 'matchesRegex':
-                try {
-                    const regex = new RegExp(expectedValue);
-                    return regex.test(String(actualValue));
-                } catch (e) {
-                    return false;
-                }
-            case 'greaterThan':
-                return Number(actualValue) > Number(expectedValue);
-            case 'lessThan':
-                return Number(actualValue) < Number(expectedValue);
-            case 'greaterThanOrEqualTo':
-                return Number(actualValue) >= Number(expectedValue);
-            case 'lessThanOrEqualTo':
-                return Number(actualValue) <= Number(expectedValue);
+        switch (property) {
+            case 'id':
+                return element.id || null;
+            case 'classes':
+                return element.className && typeof element.className === 'string' ? element.className : null;
+            case 'text':
+                return (element.innerText || element.textContent || '').trim() || null;
+            case 'nodeName':
+                return element.nodeName || null;
+            case 'name':
+                return element.getAttribute('name');
+            case 'url':
+                return element.href || element.action || element.getAttribute('href') || element.getAttribute('action');
             default:
-                debugLog(`Unknown comparison operator: ${comparison}`);
-                return false;
+                return null;
         }
     }
 
     /**
-     * Gets the value of a variable
+     * Resolves page scoped built-in variable types without a live MTM variable
      * @param {Object} variable - Variable definition
      * @param {Object} eventInfo - Event information
      * @returns {any} Variable value
      */
-    function getVariableValue(variable, eventInfo) {
-        if (!variable) return null;
+    function getFallbackVariableValue(variable, eventInfo) {
+        const params = variable.parameters || {};
+        const container = eventInfo && eventInfo.container ? eventInfo.container : null;
 
         switch (variable.type) {
-            case 'DataLayer':
-                const dataLayerName = variable.parameters?.dataLayerName;
-                if (dataLayerName) {
-                    // Enhanced: Support for nested properties (e.g. "timer.time")
-                    const value = getNestedDataLayerValue(dataLayerName, eventInfo);
-                    if (value !== null && value !== undefined) {
-                        debugLog(`Found DataLayer variable ${dataLayerName}:`, value);
-                        return value;
-                    }
-
-                    debugLog(`DataLayer variable ${dataLayerName} not found, using default:`, variable.defaultValue);
-                }
-                return variable.defaultValue || null;
-
             case 'PageUrl':
                 return window.location.href;
-
+            case 'PageHostname':
+                return window.location.hostname;
+            case 'PageOrigin':
+                return window.location.origin;
+            case 'PagePath':
+                return window.location.pathname;
+            case 'PageTitle':
+                return document.title;
+            case 'Referrer':
+            case 'ReferrerUrl':
+                return document.referrer;
+            case 'UrlParameter':
+                return params.parameterName ?
+                    new URLSearchParams(window.location.search).get(params.parameterName) : null;
+            case 'Url':
+                return getUrlPart(window.location, params.urlPart);
+            case 'Cookie':
+                return getCookieValue(params.cookieName);
+            case 'JavaScript':
+                return params.variableName ? getNestedValue(window, params.variableName) : null;
+            case 'Constant':
+                return params.constantValue !== undefined ? params.constantValue : null;
+            case 'MetaContent':
+                return getMetaContent(params.metaName);
+            case 'DomElement':
+                return getDomElementValue(params);
+            case 'RandomNumber':
+                return Math.floor(Math.random() * 2147483647);
+            case 'TimeSinceLoad':
+                return Math.max(0, Math.round(Date.now() - getPageStartTime()));
+            case 'ContainerId':
+                return container ? container.id : null;
+            case 'ContainerVersion':
+                return container ? container.versionName : null;
+            case 'ContainerRevision':
+                return container ? container.revision : null;
+            case 'Environment':
+                return container ? container.environment : null;
             case 'CustomJsFunction':
-                return variable.defaultValue || null;
-
+                // Custom code can only be run by MTM itself (via the live variable)
+                return null;
             default:
                 debugLog(`Unknown variable type: ${variable.type}`);
-                return variable.defaultValue || null;
+                return null;
+        }
+    }
+
+    /**
+     * Gets a part of a URL (Url variable type)
+     * @param {Location|URL} url - URL object
+     * @param {string} urlPart - Requested part (href, hostname, pathname, search, hash, ...)
+     * @returns {string|null} URL part
+     */
+    function getUrlPart(url, urlPart) {
+        const part = urlPart || 'href';
+        return typeof url[part] === 'string' ? url[part] : null;
+    }
+
+    /**
+     * Reads a cookie value from document.cookie
+     * @param {string} cookieName - Cookie name
+     * @returns {string|null} Decoded cookie value or null
+     */
+    function getCookieValue(cookieName) {
+        if (!cookieName) return null;
+
+        for (const cookie of document.cookie.split(';')) {
+            const separatorIndex = cookie.indexOf('=');
+            const name = cookie.slice(0, separatorIndex).trim();
+            if (name === cookieName) {
+                try {
+                    return decodeURIComponent(cookie.slice(separatorIndex + 1));
+                } catch (error) {
+                    return cookie.slice(separatorIndex + 1);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Reads the content of a meta tag
+     * @param {string} metaName - Value of the meta name attribute
+     * @returns {string|null} Meta content or null
+     */
+    function getMetaContent(metaName) {
+        if (!metaName) return null;
+
+        const meta = Array.from(document.getElementsByTagName('meta'))
+            .find(element => element.getAttribute('name') === metaName);
+        return meta ? meta.getAttribute('content') : null;
+    }
+
+    /**
+     * Reads the value of a DOM element (DomElement variable type)
+     * @param {Object} params - Variable parameters
+     * @returns {string|null} Element text or attribute value
+     */
+    function getDomElementValue(params) {
+        let element = null;
+        try {
+            element = params.selectionMethod === 'elementId' ?
+                document.getElementById(params.elementId) :
+                document.querySelector(params.cssSelector);
+        } catch (error) {
+            debugLog('Invalid DomElement selector:', error);
         }
+
+        if (!element) return null;
+        return params.attributeName ? element.getAttribute(params.attributeName) : element.textContent;
+    }
+
+    /**
+     * Gets the time MTM measures the time since load from (TimeSinceLoad variable type)
+     * @returns {number} mtm.startTime of the _mtm snippet or the navigation start (epoch milliseconds)
+     */
+    function getPageStartTime() {
+        const startEntry = Array.isArray(window._mtm) ?
+            window._mtm.find(entry => entry && typeof entry['mtm.startTime'] === 'number') : null;
+        return startEntry ? startEntry['mtm.startTime'] : getNavigationStartTime();
     }
 
     /**
@@ -1049,7 +2226,7 @@
 
         return trigger.conditions.map(condition => {
             const actualValue = getVariableValue(condition.actual, eventInfo);
-            const isMatched = evaluateCondition(condition, eventInfo);
+            const isMatched = evaluateCondition(condition, eventInfo, actualValue);
 
             return {
                 variable: condition.actual?.name || condition.actual?.parameters?.dataLayerName || 'Unknown Variable',
@@ -1064,57 +2241,24 @@
     }
 
     /**
-     * Adds container information to event data with current event context (delayed)
+     * Adds container information to event data
      * @param {Object} eventData - Event data to enhance
+     * @param {boolean} resolveVariables - Whether to add the current values of all variables
      */
-    function addContainerInfoDelayed(eventData) {
+    function addContainerInfo(eventData, resolveVariables) {
         const containerInfo = getMTMContainerInfo();
         if (containerInfo.length > 0) {
-            debugLog('Resolving variables after MTM event processing...');
-
             // Add resolved variables using .get() method with updated context
-            if (typeof window.MatomoTagManager !== 'undefined' &&
+            if (resolveVariables &&
+                typeof window.MatomoTagManager !== 'undefined' &&
                 window.MatomoTagManager.containers &&
                 window.MatomoTagManager.containers.length > 0) {
 
-                const liveContainer = window.MatomoTagManager.containers[0];
-
-                if (liveContainer.variables && Array.isArray(liveContainer.variables)) {
-                    containerInfo[0].resolvedVariables = {};
-
-                    liveContainer.variables.forEach((variable, index) => {
-                        if (variable && variable.name) {
-                            // Filter out Matomo configuration variables
-                            if (variable.name.toLowerCase().includes('matomo') ||
-                                variable.name.toLowerCase().includes('_matomo') ||
-                                (variable.parameters && variable.parameters.dataLayerName &&
-                                 variable.parameters.dataLayerName.toLowerCase().includes('matomo'))) {
-                                return; // Skip Matomo config variables
-                            }
-
-                            let currentValue = 'undefined';
-
-                            try {
-                                if (typeof variable.get === 'function') {
-                                    currentValue = variable.get();
-                                    debugLog(`Variable ${variable.name} resolved to: ${currentValue} (after event)`);
-                                } else {
-                                    currentValue = 'get() method not available';
-                                }
-                            } catch (error) {
-                                currentValue = `Error: ${error.message}`;
-                                debugLog(`Variable ${variable.name}: Error - ${error.message}`);
-                            }
-
-                            containerInfo[0].resolvedVariables[variable.name] = {
-                                currentValue: currentValue,
-                                defaultValue: variable.defaultValue || null,
-                                dataLayerName: variable.parameters?.dataLayerName || null,
-                                type: variable.type
-                            };
-                        }
-                    });
-                }
+                window.MatomoTagManager.containers.forEach((liveContainer, containerIndex) => {
+                    if (containerInfo[containerIndex]) {
+                        containerInfo[containerIndex].resolvedVariables = resolveContainerVariables(liveContainer);
+                    }
+                });
             }
 
             eventData.containerInfo = containerInfo;
@@ -1122,112 +2266,106 @@
     }
 
     /**
-     * Adds trigger analysis to event data (delayed)
-     * @param {Object} eventData - Event data to enhance
+     * Resolves the current values of all variables of a live container
+     * @param {Object} liveContainer - Live MTM container object
+     * @returns {Object|undefined} Resolved variables (variable name -> value info)
      */
-    function addTriggerAnalysisDelayed(eventData) {
-        let analysisResult = {
-            triggeredTriggers: [],
-            firedTags: [],
-            debugMode: false,
-            totalTriggers: 0,
-            totalTags: 0
-        };
-
-        // Access live MTM container directly for most current state
-        if (typeof window.MatomoTagManager === 'undefined' ||
-            !window.MatomoTagManager.containers ||
-            window.MatomoTagManager.containers.length === 0) {
-            eventData.triggerAnalysis = analysisResult;
-            return;
-        }
-
-        const container = window.MatomoTagManager.containers[0];
-        analysisResult.debugMode = container.triggers && container.tags;
-        analysisResult.totalTriggers = container.triggers ? container.triggers.length : 0;
-        analysisResult.totalTags = container.tags ? container.tags.length : 0;
-
-        if (!analysisResult.debugMode) {
-            eventData.triggerAnalysis = analysisResult;
-            return;
+    function resolveContainerVariables(liveContainer) {
+        if (!liveContainer.variables || !Array.isArray(liveContainer.variables)) {
+            return undefined;
         }
 
-        // Extract event information for matching
-        const eventInfo = extractEventInformation(eventData);
-
-        // Get current timestamp for tag firing
-        const currentTime = new Date().toLocaleTimeString('de-DE', {
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            fractionalSecondDigits: 3
-        });
+        const resolvedVariables = {};
 
-        // Analyze triggers using native methods
-        container.triggers.forEach(trigger => {
-            if (doesTriggerMatch(trigger, eventInfo)) {
-                const triggerInfo = {
-                    id: trigger.id,
-                    name: trigger.name,
-                    type: trigger.type,
-                    conditions: trigger.conditions || [],
-                    matchedConditions: getMatchedConditions(trigger, eventInfo)
-                };
+        liveContainer.variables.forEach(variable => {
+            if (variable && variable.name) {
+                // Filter out Matomo configuration variables
+                if (variable.name.toLowerCase().includes('matomo') ||
+                    variable.name.toLowerCase().includes('_matomo') ||
+                    (variable.parameters && variable.parameters.dataLayerName &&
+                     variable.parameters.dataLayerName.toLowerCase().includes('matomo'))) {
+                    return; // Skip Matomo config variables
+                }
 
-                analysisResult.triggeredTriggers.push(triggerInfo);
+                let currentValue = 'undefined';
 
-                // Use native getReferencedTags() method if available
                 try {
-                    if (typeof trigger.getReferencedTags === 'function') {
-                        const referencedTags = trigger.getReferencedTags();
-                        debugLog(`Trigger ${trigger.name} getReferencedTags():`, referencedTags);
-
-                        if (Array.isArray(referencedTags)) {
-                            referencedTags.forEach(tag => {
-                                const tagObject = {
-                                    name: tag.name || 'Unknown Tag',
-                                    trigger: trigger.name,
-                                    timestamp: currentTime
-                                };
-                                debugLog(`Adding tag object:`, tagObject);
-                                analysisResult.firedTags.push(tagObject);
-                            });
-                        }
+                    if (typeof variable.get === 'function') {
+                        currentValue = variable.get();
+                        debugLog(`Variable ${variable.name} resolved to: ${currentValue} (after event)`);
                     } else {
-                        debugLog(`Trigger ${trigger.name}: getReferencedTags method not available, using fallback`);
-                        // Fallback to manual method
-                        if (trigger.referencedTags) {
-                            trigger.referencedTags.forEach(tag => {
-                                if (tag.fireTriggerIds && tag.fireTriggerIds.includes(trigger.id)) {
-                                    const tagObject = {
-                                        name: tag.name || 'Unknown Tag',
-                                        trigger: trigger.name,
-                                        timestamp: currentTime
-                                    };
-                                    debugLog(`Adding tag object (fallback):`, tagObject);
-                                    analysisResult.firedTags.push(tagObject);
-                                }
-                            });
-                        }
+                        currentValue = 'get() method not available';
                     }
                 } catch (error) {
-                    debugLog('Error getting referenced tags:', error);
+                    currentValue = `Error: ${error.message}`;
+                    debugLog(`Variable ${variable.name}: Error - ${error.message}`);
                 }
+
+                resolvedVariables[variable.name] = {
+                    currentValue: currentValue,
+                    defaultValue: variable.defaultValue || null,
+                    dataLayerName: variable.parameters?.dataLayerName || null,
+                    type: variable.type,
+                    containerId: liveContainer.id || null
+                };
             }
         });
 
-        debugLog('Final firedTags array:', analysisResult.firedTags);
-
-        eventData.triggerAnalysis = analysisResult;
-        eventData.hasTriggeredTriggers = analysisResult.triggeredTriggers.length > 0;
-        eventData.hasFiredTags = analysisResult.firedTags.length > 0;
+        return resolvedVariables;
     }
 
     // =============================================================================
     // INITIAL ARRAY SCANNING
     // =============================================================================
 
+    /**
+     * Gets the navigation start of the page (earliest possible push time)
+     * @returns {number} Epoch milliseconds
+     */
+    function getNavigationStartTime() {
+        if (typeof performance === 'undefined') return Date.now();
+        if (performance.timeOrigin) return Math.round(performance.timeOrigin);
+        return performance.timing ? performance.timing.navigationStart : Date.now();
+    }
+
+    /**
+     * Gets the real push time of an entry that existed before the monitor was injected
+     * @param {any} entry - Array entry
+     * @returns {Object|null} Push time ({timestamp, source}) or null if unknown
+     */
+    function getKnownPushTime(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+
+        // Recorded at document_start by push-recorder.js
+        const pushTimes = window.MTM_MONITOR_PUSH_TIMES;
+        if (pushTimes && pushTimes.has(entry)) {
+            return { timestamp: Math.round(pushTimes.get(entry)), source: 'recorded' };
+        }
+
+        const startTimeKey = START_TIME_KEYS.find(key => typeof entry[key] === 'number');
+        return startTimeKey ? { timestamp: entry[startTimeKey], source: startTimeKey } : null;
+    }
+
+    /**
+     * Creates a clock for the entries of one array (called in array order)
+     * Entries without known push time get the last known time before them - starting at
+     * navigation start - and are marked 'unknown' instead of receiving an invented time.
+     * @returns {Function} Returns the timing ({timestamp, timestampSource}) of an entry
+     */
+    function createHistoricalClock() {
+        let lastKnownTime = getNavigationStartTime();
+
+        return entry => {
+            const pushTime = getKnownPushTime(entry);
+            if (!pushTime) {
+                return { timestamp: lastKnownTime, timestampSource: 'unknown' };
+            }
+
+            lastKnownTime = Math.max(lastKnownTime, pushTime.timestamp);
+            return { timestamp: pushTime.timestamp, timestampSource: pushTime.source };
+        };
+    }
+
     /**
      * Monitors existing MTM arrays and dataLayer on page load
      */
@@ -1241,7 +2379,9 @@
             debugLog('Existing _mtm entries found:', window._mtm.length);
             debugLog('_mtm content:', window._mtm);
 
+            const getTiming = createHistoricalClock();
             window._mtm.forEach((entry, index) => {
+                const timing = getTiming(entry);
                 debugLog(`_mtm[${index}]:`, entry, 'Type:', typeof entry, 'Processed:', entry?.__mtm_processed);
 
                 if (entry && typeof entry === 'object' && entry.__mtm_processed) {
@@ -1249,8 +2389,12 @@
                     return;
                 }
 
-                const historicalTimestamp = Date.now() - (window._mtm.length - index) * INTERVALS.HISTORICAL_OFFSET;
-                analyzeMTMDirectPushWithTimestamp('_mtm', entry, historicalTimestamp, wasInitialScan, index);
+                analyzeMTMDirectPush('_mtm', entry, {
+                    arrayIndex: index,
+                    isHistorical: wasInitialScan,
+                    timestamp: timing.timestamp,
+                    timestampSource: timing.timestampSource
+                });
 
                 if (entry && typeof entry === 'object') {
                     entry.__mtm_processed = true;
@@ -1265,36 +2409,32 @@
         if (CONFIG.watchDataLayer && window.dataLayer && Array.isArray(window.dataLayer)) {
             debugLog('Checking existing dataLayer entries for MTM events:', window.dataLayer.length);
 
-            const mtmEvents = window.dataLayer.filter(entry => {
-                if (!entry || typeof entry !== 'object') return false;
-
-                return entry.event && (
-                    entry.event.startsWith('mtm.') ||
-                    entry.event === 'mtm' ||
-                    entry.event.includes('CustomEvent') ||
-                    entry['mtm.customEvent'] ||
-                    entry.hasOwnProperty('mtm')
-                );
-            });
+            const mtmEvents = window.dataLayer.filter(EVENT_PIPELINE.isMTMDataLayerEntry);
 
             debugLog('MTM events found in existing dataLayer:', mtmEvents.length);
             if (mtmEvents.length > 0) {
                 debugLog('dataLayer MTM events:', mtmEvents);
             }
 
-            mtmEvents.forEach((entry, index) => {
-                debugLog(`dataLayer MTM[${index}]:`, entry, 'Processed:', entry.__mtm_processed);
-
-                if (entry.__mtm_processed) {
-                    debugLog(`dataLayer MTM[${index}] already processed, skipping`);
+            // Walk all entries in order - pushes without MTM event still change the merged model
+            // and their push times bound the times of later entries
+            const getTiming = createHistoricalClock();
+            let index = 0;
+            window.dataLayer.forEach(entry => {
+                const timing = getTiming(entry);
+                if (!mtmEvents.includes(entry)) {
+                    updateDataLayerModel('dataLayer', entry);
                     return;
                 }
 
-                const historicalTimestamp = Date.now() - (mtmEvents.length - index) * 3000;
-                analyzeMTMDataLayerEventWithTimestamp(entry, historicalTimestamp, wasInitialScan);
+                const mtmIndex = index++;
+                debugLog(`dataLayer MTM[${mtmIndex}]:`, entry, 'Processed:', entry.__mtm_processed);
 
-                entry.__mtm_processed = true;
-                debugLog(`dataLayer MTM[${index}] marked as processed`);
+                analyzeMTMDataLayerEvent(entry, {
+                    isHistorical: wasInitialScan,
+                    timestamp: timing.timestamp,
+                    timestampSource: timing.timestampSource
+                });
             });
         }
 
@@ -1304,136 +2444,87 @@
         }
     }
 
+    // =============================================================================
+    // PUSH CONSOLE
+    // =============================================================================
+
     /**
-     * Analyzes MTM DirectPush with custom timestamp
-     * @param {string} objectName - Name of the MTM object
-     * @param {any} data - Event data
-     * @param {number} timestamp - Custom timestamp
-     * @param {boolean} isHistorical - Whether this is a historical event
-     * @param {number|null} arrayIndex - Array index
-     */
-    function analyzeMTMDirectPushWithTimestamp(objectName, data, timestamp, isHistorical = false, arrayIndex = null) {
-        debugLog(`Analyzing ${objectName} ${isHistorical ? 'historical' : 'direct'} push:`, data,
-            arrayIndex !== null ? `[Index: ${arrayIndex}]` : '');
-
-        const firedTags = extractFiredTags(data);
-
-        let eventData = {
-            source: `${objectName}.push${isHistorical ? ' (historical)' : ''}`,
-            objectName: objectName,
-            rawData: data,
-            firedTags: firedTags,
-            isHistorical: isHistorical,
-            arrayIndex: arrayIndex,
-            sourceType: isHistorical ? 'initial-scan' : 'live-proxy',
-            detectionMethod: isHistorical ? 'array-read' : 'proxy-intercept'
-        };
+     * Pushes an event composed in the overlay push console into the page
+     * @param {Object} request - Push request ({target, json})
+     */
+    function pushConsoleEvent(request) {
+        const result = { target: request.target, success: false };
 
-        const debugInfo = {
-            sourceType: eventData.sourceType,
-            detectionMethod: eventData.detectionMethod,
-            arrayIndex: arrayIndex,
-            isHistorical: isHistorical
-        };
+        try {
+            if (!PUSH_CONSOLE_TARGETS.includes(request.target)) {
+                throw new Error(`Unsupported target "${request.target}"`);
+            }
 
-        if (Array.isArray(data)) {
-            eventData.eventName = data[0] || 'MTM Array Event';
-            eventData.details = {
-                action: data[0],
-                parameters: data.slice(1),
-                _debug: debugInfo
-            };
-        } else if (data && typeof data === 'object') {
-            eventData.eventName = data.event || data.eventName || 'MTM Direct Object';
-            eventData.details = {
-                ...data,
-                _debug: debugInfo
-            };
-        } else {
-            eventData.eventName = 'MTM Direct Value';
-            eventData.details = {
-                value: data,
-                _debug: debugInfo
-            };
+            // Pushed like page code would - the array hooks capture and analyze the event
+            window[request.target] = window[request.target] || [];
+            window[request.target].push(JSON.parse(request.json));
+            result.success = true;
+            debugLog('Push console event pushed to', request.target);
+        } catch (error) {
+            result.error = error.message;
         }
 
-        // Add trigger analysis and container info for historical events too
-        addTriggerAnalysis(eventData);
-        addContainerInfo(eventData);
-
-        debugLog('Event data with trigger analysis:', eventData);
-        dispatchMatomoEventWithTimestamp(eventData, timestamp);
+        document.dispatchEvent(new CustomEvent('matomoPushEventResult', {
+            detail: result,
+            bubbles: true
+        }));
     }
 
     /**
-     * Adds container information to event data (immediate version)
-     * @param {Object} eventData - Event data to enhance
-     */
-     function addContainerInfo(eventData) {
-         const containerInfo = getMTMContainerInfo();
-         if (containerInfo.length > 0) {
-             eventData.containerInfo = containerInfo;
-             debugLog('Container info added to event:', containerInfo);
-         }
-     }
-
-    /**
-     * Analyzes MTM DataLayer event with custom timestamp
-     * @param {Object} data - DataLayer event data
-     * @param {number} timestamp - Custom timestamp
-     * @param {boolean} isHistorical - Whether this is a historical event
+     * Evaluates all triggers against a hypothetical payload without pushing it
+     * @param {Object} request - Dry-run request ({target, json})
      */
-    function analyzeMTMDataLayerEventWithTimestamp(data, timestamp, isHistorical = false) {
-        debugLog(`MTM DataLayer event ${isHistorical ? 'historical' : ''} detected:`, data);
+    function dryRunConsoleEvent(request) {
+        const result = { target: request.target, success: false };
 
-        const firedTags = extractFiredTags(data);
-
-        let eventData = {
-            source: `dataLayer${isHistorical ? ' (historical)' : ''}`,
-            rawData: data,
-            firedTags: firedTags,
-            isHistorical: isHistorical,
-            sourceType: isHistorical ? 'initial-scan' : 'live-proxy',
-            detectionMethod: isHistorical ? 'array-read' : 'proxy-intercept'
-        };
+        try {
+            // Parsed copy - the payload never reaches window._mtm or the dataLayer
+            const payload = JSON.parse(request.json);
+            const eventData = request.target === 'dataLayer' ?
+                EVENT_PIPELINE.normalizeDataLayerEntry(payload) :
+                EVENT_PIPELINE.normalizeMTMEntry('_mtm', payload);
 
-        const debugInfo = {
-            sourceType: eventData.sourceType,
-            detectionMethod: eventData.detectionMethod,
-            isHistorical: isHistorical
-        };
+            // No event sequence - tags are derived from the triggers instead of the execution log
+            addTriggerAnalysis(eventData);
 
-        if (data.event === 'mtm.CustomEvent' || data['mtm.customEvent']) {
-            eventData.eventName = data.eventName || data['mtm.customEventName'] || data.event || 'MTM Custom Event';
-            eventData.details = {
-                eventCategory: data.eventCategory,
-                eventAction: data.eventAction,
-                eventLabel: data.eventLabel,
-                eventValue: data.eventValue,
-                customEventName: data['mtm.customEventName'],
-                ...data,
-                _debug: debugInfo
-            };
-        } else if (data.event && data.event.startsWith('mtm.')) {
-            eventData.eventName = data.event;
-            eventData.details = {
-                ...data,
-                _debug: debugInfo
-            };
-        } else {
-            eventData.eventName = data.event || data.eventName || data.type || 'MTM Event';
-            eventData.details = {
-                ...data,
-                _debug: debugInfo
-            };
+            const analysis = eventData.triggerAnalysis;
+            const withoutRawConditions = ({ conditions, ...trigger }) => trigger;
+            result.eventName = eventData.eventName;
+            result.triggerAnalysis = JSON.parse(JSON.stringify({
+                ...analysis,
+                triggeredTriggers: analysis.triggeredTriggers.map(withoutRawConditions)
+            }, (key, value) => typeof value === 'function' ? undefined : value));
+            result.success = true;
+        } catch (error) {
+            result.error = error.message;
         }
 
-        // Add trigger analysis and container info
-        addTriggerAnalysis(eventData);
-        addContainerInfo(eventData);
+        document.dispatchEvent(new CustomEvent('matomoDryRunResult', {
+            detail: result,
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Listens for events of the overlay push console
+     */
+    function listenForPushConsoleEvents() {
+        document.addEventListener('mtmPushEventRequest', function(event) {
+            if (event.detail) {
+                pushConsoleEvent(event.detail);
+            }
+        });
 
-        debugLog('DataLayer event data with source info:', eventData);
-        dispatchMatomoEventWithTimestamp(eventData, timestamp);
+        document.addEventListener('mtmDryRunRequest', function(event) {
+            if (event.detail) {
+                dryRunConsoleEvent(event.detail);
+            }
+        });
     }
 
     // =============================================================================
@@ -1537,6 +2628,9 @@
      */
     function setupPeriodicMonitoring() {
         setInterval(() => {
+            // Hook tags of containers loaded after initialization
+            hookMTMExecution();
+
             // Check MTM objects
             MTM_OBJECTS.forEach(objName => {
                 if (typeof window[objName] !== 'undefined' &&
@@ -1548,8 +2642,8 @@
                     const originalPush = window[objName].push;
                     window[objName].push = function(...args) {
                         debugLog(`${objName}.push called with:`, args);
-                        args.forEach(data => analyzeMTMDirectPush(objName, data));
-                        return originalPush.apply(this, args);
+                        args.forEach(data => analyzeMTMDirectPush(objName, data, { eventSequence: startEventSequence() }));
+                        return callOriginalPush(originalPush, this, args);
                     };
                     window[objName].push.__intercepted = true;
                 }
@@ -1573,6 +2667,12 @@
         // Auto-enable debug mode
         autoEnableMTMDebugMode();
 
+        // Hook MTM tag execution to record real fire/block notifications
+        hookMTMExecution();
+
+        // Capture outgoing Matomo tracking requests
+        interceptTrackingRequests();
+
         // Monitor existing arrays immediately
         monitorExistingArrays();
 
@@ -1599,6 +2699,9 @@
     // Handle configuration updates
     handleConfigurationUpdate();
 
+    // Push events composed in the overlay
+    listenForPushConsoleEvents();
+
     // Start immediately or wait for DOM
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
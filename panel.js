@@ -0,0 +1,299 @@
+/**
+ * Matomo Tag Manager Event Monitor - DevTools Panel
+ * Shows the events of the inspected tab in the "MTM" DevTools panel
+ *
+ * @description Connects to the service worker, which relays the event log and newly
+ *              captured events from the content script. Rendering is shared with the
+ *              in-page overlay (event-renderer.js).
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+
+// =============================================================================
+// CONSTANTS AND CONFIGURATION
+// =============================================================================
+
+/** @const {string} Port name expected by the service worker */
+const DEVTOOLS_PORT_NAME = 'mtm-devtools-panel';
+
+/** @const {number} Maximum number of events kept in the panel */
+const MAX_PANEL_EVENTS = 1000;
+
+/** @const {number} Number of events from which only visible rows are rendered */
+const PANEL_VIRTUALIZE_THRESHOLD = 100;
+
+// =============================================================================
+// STATE MANAGEMENT
+// =============================================================================
+
+/** @type {Array<Object>} Events of the inspected tab (oldest first) */
+let panelEvents = [];
+
+/** @type {string|null} Page load ID of the currently inspected page */
+let currentPageLoadId = null;
+
+/** @type {chrome.runtime.Port|null} Connection to the service worker */
+let panelPort = null;
+
+/** @type {Object|null} Windowed event list (see createEventListView) */
+let panelListView = null;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Collects container IDs of all panel events
+ * @returns {Array<string>} Unique container IDs
+ */
+function getPanelContainerIds() {
+    const containerIds = new Set();
+    panelEvents.forEach(event => {
+        (event.containerInfo || []).forEach(container => {
+            if (container.id) containerIds.add(String(container.id));
+        });
+    });
+    return Array.from(containerIds);
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Updates the container filter select (only shown for more than one container)
+ */
+function updateContainerFilter() {
+    const select = document.getElementById('matomo-container-filter');
+    const containerIds = getPanelContainerIds();
+
+    if (containerIds.length < 2) {
+        select.hidden = true;
+        activeContainerFilter = null;
+        return;
+    }
+
+    select.hidden = false;
+    select.innerHTML = `
+        <option value="">All containers</option>
+        ${containerIds.map(id => `
+            <option value="${escapeHtml(id)}" ${activeContainerFilter === id ? 'selected' : ''}>${escapeHtml(id)}</option>
+        `).join('')}
+    `;
+}
+
+/**
+ * Renders the event list of the panel
+ */
+function renderPanel() {
+    const eventListEl = document.getElementById('matomo-event-list');
+    const countEl = document.getElementById('matomo-panel-count');
+    const events = panelEvents.slice().reverse(); // Newest first
+
+    countEl.textContent = events.length > 0 ? `(${events.length})` : '';
+    updateContainerFilter();
+
+    if (events.length === 0) {
+        eventListEl.innerHTML = '<div class="matomo-empty-state">No MTM events captured on this page yet.</div>';
+        return;
+    }
+
+    eventListEl.innerHTML = '<div id="matomo-event-rows" class="matomo-event-rows"></div>';
+    if (!panelListView) {
+        panelListView = createEventListView(eventListEl);
+    }
+
+    setEventListViewEvents(panelListView, document.getElementById('matomo-event-rows'), {
+        events: events,
+        totalLength: events.length,
+        currentPageLoadId: currentPageLoadId,
+        windowed: events.length > PANEL_VIRTUALIZE_THRESHOLD
+    });
+}
+
+/**
+ * Adds a captured event as a single row (falls back to a full render)
+ * @param {Object} event - Captured event
+ * @param {boolean} listTrimmed - Whether old events were removed from the list
+ */
+function addEventToPanel(event, listTrimmed) {
+    const rowsEl = document.getElementById('matomo-event-rows');
+    const containerCount = getPanelContainerIds().length;
+
+    // Event numbers shift when the list is trimmed or the event is not the newest one,
+    // separators are relabelled on a new page and the container filter may appear
+    const canAddRow = panelListView && rowsEl && panelListView.rowsEl === rowsEl && !listTrimmed &&
+        panelEvents[panelEvents.length - 1] === event &&
+        panelListView.currentPageLoadId === currentPageLoadId &&
+        panelListView.windowed === (panelEvents.length > PANEL_VIRTUALIZE_THRESHOLD) &&
+        (containerCount < 2) === document.getElementById('matomo-container-filter').hidden;
+
+    if (!canAddRow) {
+        renderPanel();
+        return;
+    }
+
+    prependEventToListView(panelListView, event, panelEvents.length - 1);
+    document.getElementById('matomo-panel-count').textContent = `(${panelEvents.length})`;
+}
+
+/**
+ * Adds a relayed event to the panel (events are analyzed and deduplicated in the page)
+ * @param {Object} event - Captured event
+ */
+function addCapturedEvent(event) {
+    // The event log sent on connect may already contain the event
+    if (panelEvents.some(panelEvent => panelEvent.id === event.id)) return;
+
+    panelEvents.push(event);
+    panelEvents.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const listTrimmed = panelEvents.length > MAX_PANEL_EVENTS;
+    if (listTrimmed) {
+        panelEvents.splice(0, panelEvents.length - MAX_PANEL_EVENTS);
+    }
+    currentPageLoadId = event.pageLoadId || currentPageLoadId;
+    addEventToPanel(event, listTrimmed);
+}
+
+/**
+ * Shows the value timeline of a variable across all panel events
+ * @param {Object} variable - Variable ({name, containerId, frameKey})
+ */
+function showVariableTimeline(variable) {
+    const timelineEl = document.getElementById('matomo-variable-timeline');
+    timelineEl.innerHTML = generateVariableTimelineHtml(panelEvents, variable);
+    timelineEl.classList.add('visible');
+}
+
+/**
+ * Hides the variable timeline
+ */
+function hideVariableTimeline() {
+    document.getElementById('matomo-variable-timeline').classList.remove('visible');
+}
+
+// =============================================================================
+// MESSAGE HANDLING
+// =============================================================================
+
+/**
+ * Handles messages relayed by the service worker
+ * @param {Object} message - Message from the service worker
+ */
+function handlePanelMessage(message) {
+    switch (message.type) {
+        case 'eventLog':
+            panelEvents = message.events || [];
+            currentPageLoadId = message.pageLoadId;
+            expandedStates = {};
+            hideVariableTimeline();
+            renderPanel();
+            break;
+
+        case 'eventCaptured':
+            if (message.event) {
+                addCapturedEvent(message.event);
+            }
+            break;
+
+        case 'eventUpdated': {
+            const index = message.event ? panelEvents.findIndex(event => event.id === message.event.id) : -1;
+            if (index !== -1) {
+                panelEvents[index] = message.event;
+                if (panelListView) {
+                    updateEventInListView(panelListView, message.event);
+                }
+            }
+            break;
+        }
+
+        case 'eventsCleared':
+            panelEvents = [];
+            expandedStates = {};
+            hideVariableTimeline();
+            renderPanel();
+            break;
+    }
+}
+
+/**
+ * Connects to the service worker and requests the event log of the inspected tab
+ */
+function connectPanel() {
+    panelPort = chrome.runtime.connect({ name: DEVTOOLS_PORT_NAME });
+    panelPort.onMessage.addListener(handlePanelMessage);
+    panelPort.onDisconnect.addListener(() => {
+        // Service worker was stopped - reconnect to keep receiving events
+        panelPort = null;
+        setTimeout(connectPanel, 100);
+    });
+    panelPort.postMessage({ type: 'init', tabId: chrome.devtools.inspectedWindow.tabId });
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Sets up event listeners for the panel UI
+ */
+function setupPanelListeners() {
+    document.getElementById('matomo-clear-btn').addEventListener('click', function() {
+        if (panelPort) {
+            panelPort.postMessage({ type: 'clearEvents' });
+        }
+    });
+
+    document.getElementById('matomo-container-filter').addEventListener('change', function(e) {
+        activeContainerFilter = e.target.value || null;
+        renderPanel();
+    });
+
+    // Event delegation for dynamic toggle buttons, details tabs, variable timelines and path copy
+    document.getElementById('matomo-event-list').addEventListener('click', function(e) {
+        const copyPathButton = e.target.closest('[data-copy-path]');
+        if (copyPathButton) {
+            e.preventDefault();
+            copyDataLayerPath(copyPathButton);
+            return;
+        }
+
+        const tabButton = e.target.closest('[data-details-tab]');
+        if (tabButton) {
+            e.preventDefault();
+            switchEventDetailsTab(tabButton.getAttribute('data-tab-event-id'), tabButton.getAttribute('data-details-tab'));
+            return;
+        }
+
+        const timelineLink = e.target.closest('[data-variable-timeline]');
+        if (timelineLink) {
+            e.preventDefault();
+            showVariableTimeline({
+                name: timelineLink.getAttribute('data-variable-timeline'),
+                containerId: timelineLink.getAttribute('data-variable-container'),
+                frameKey: timelineLink.getAttribute('data-variable-frame')
+            });
+            return;
+        }
+
+        const button = e.target.closest('.matomo-details-toggle') || e.target.closest('.matomo');
+        const eventId = button && button.getAttribute('data-event-id');
+        if (eventId) {
+            e.preventDefault();
+            toggleEventDetails(eventId);
+        }
+    });
+
+    document.getElementById('matomo-variable-timeline').addEventListener('click', function(e) {
+        const entry = e.target.closest('[data-reveal-event-id]');
+        if (e.target.closest('[data-close-variable-timeline]')) {
+            hideVariableTimeline();
+        } else if (entry && panelListView) {
+            revealEventInListView(panelListView, entry.getAttribute('data-reveal-event-id'));
+        }
+    });
+}
+
+setupPanelListeners();
+connectPanel();
+renderPanel();
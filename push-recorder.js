@@ -0,0 +1,132 @@
+/**
+ * Matomo Tag Manager Event Monitor - Push Recorder
+ * Records when entries are pushed into _mtm and dataLayer before the monitor is injected
+ *
+ * @description Runs in the main page context at document_start, before any page script.
+ *              Keeps the push time of every entry pushed into the _mtm and dataLayer arrays,
+ *              so the initial scan of the injected script can show real times instead of
+ *              estimates. Scripts of the main world have no extension API access - the times
+ *              are shared via window.MTM_MONITOR_PUSH_TIMES. The service worker only registers
+ *              this script while monitoring is enabled and never on restricted domains.
+ *
+ *              Only the _mtm and dataLayer arrays are hooked: window gets an accessor for both
+ *              names that wraps the push method of every array the page assigns (other arrays
+ *              and Array.prototype stay untouched). Entries of an array literal
+ *              (dataLayer = [{...}]) are not pushed, so their time stays unknown.
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+(function() {
+    'use strict';
+
+    // =============================================================================
+    // CONSTANTS AND CONFIGURATION
+    // =============================================================================
+
+    /** @const {Array<string>} Global arrays whose pushes are timed */
+    const RECORDED_ARRAYS = ['_mtm', 'dataLayer'];
+
+    // =============================================================================
+    // STATE MANAGEMENT
+    // =============================================================================
+
+    /** @type {WeakMap<Object, number>} Push time per entry (epoch milliseconds) */
+    const pushTimes = new WeakMap();
+
+    /** @type {WeakSet<Array>} Arrays whose push method is hooked */
+    const hookedArrays = new WeakSet();
+
+    // =============================================================================
+    // RECORDING
+    // =============================================================================
+
+    /**
+     * Gets the current time from the high resolution performance clock
+     * @returns {number} Epoch milliseconds
+     */
+    function getCurrentTime() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    /**
+     * Remembers the push time of entries (only objects can be recognized later)
+     * @param {Array} entries - Pushed entries
+     * @param {number} time - Push time (epoch milliseconds)
+     */
+    function recordEntries(entries, time) {
+        entries.forEach(entry => {
+            if (entry && typeof entry === 'object' && !pushTimes.has(entry)) {
+                pushTimes.set(entry, time);
+            }
+        });
+    }
+
+    /**
+     * Wraps a push method so it records the push time before pushing
+     * @param {any} push - Push method of the array
+     * @returns {any} Recording push method (other values are returned unchanged)
+     */
+    function createRecordingPush(push) {
+        if (typeof push !== 'function') return push;
+
+        return function(...args) {
+            recordEntries(args, getCurrentTime());
+            return push.apply(this, args);
+        };
+    }
+
+    /**
+     * Hooks the push method of an array. Push methods assigned later (MTM replaces
+     * _mtm.push when it loads) are wrapped as well, so the time is recorded first.
+     * @param {any} array - Value assigned to a recorded global
+     */
+    function hookArray(array) {
+        if (!Array.isArray(array) || hookedArrays.has(array)) return;
+        hookedArrays.add(array);
+
+        let recordingPush = createRecordingPush(array.push);
+        Object.defineProperty(array, 'push', {
+            configurable: true,
+            enumerable: false,
+            get: () => recordingPush,
+            set: push => {
+                recordingPush = createRecordingPush(push);
+            }
+        });
+    }
+
+    /**
+     * Replaces a global with an accessor that hooks every array assigned to it
+     * @param {string} name - Name of the global (e.g. 'dataLayer')
+     */
+    function recordGlobalPushes(name) {
+        const descriptor = Object.getOwnPropertyDescriptor(window, name);
+        // Globals defined by other scripts as accessors are left alone
+        if (descriptor && (!descriptor.configurable || !('value' in descriptor))) return;
+
+        let value = descriptor ? descriptor.value : undefined;
+        hookArray(value);
+
+        Object.defineProperty(window, name, {
+            configurable: true,
+            enumerable: true,
+            get: () => value,
+            set: newValue => {
+                value = newValue;
+                hookArray(newValue);
+            }
+        });
+    }
+
+    // =============================================================================
+    // STARTUP
+    // =============================================================================
+
+    try {
+        Object.defineProperty(window, 'MTM_MONITOR_PUSH_TIMES', { value: pushTimes });
+        RECORDED_ARRAYS.forEach(recordGlobalPushes);
+    } catch (error) {
+        // Silent fail - historical entries are marked as having an unknown time
+    }
+
+})();
@@ -3,7 +3,8 @@
  * Handles extension icon badge updates and click actions
  *
  * @description Background service worker for Chrome extension that manages
- *              badge counters and handles extension icon clicks to toggle overlay
+ *              badge counters, handles extension icon clicks to toggle overlay
+ *              and relays events of subframes and to the DevTools panel
  * @version 1.4
  * @author MTM Event Monitor
  */
@@ -15,6 +16,32 @@
 /** @const {string} Badge background color */
 const BADGE_COLOR = '#e74c3c';
 
+/** @const {string} Storage key prefix for preserved events (chrome.storage.session) */
+const PRESERVED_EVENTS_PREFIX = 'preservedEvents_';
+
+/** @const {number} Maximum number of preserved events per tab */
+const MAX_PRESERVED_EVENTS = 1000;
+
+/** @const {number} Preserved events per storage key (appending only rewrites the newest chunk) */
+const PRESERVED_EVENTS_CHUNK_SIZE = 50;
+
+/** @const {string} Storage key prefix for running regression scenarios (chrome.storage.session) */
+const SCENARIO_RUN_PREFIX = 'scenarioRun_';
+
+/** @const {string} ID of the dynamically registered push recorder (main world content script) */
+const PUSH_RECORDER_SCRIPT_ID = 'mtm-push-recorder';
+
+/** @const {Array<string>} Sites the monitor never runs on (same domains the content script skips) */
+const RESTRICTED_MATCHES = [
+    '*://accounts.google.com/*',
+    '*://meet.google.com/*',
+    '*://chrome.google.com/*',
+    '*://chromewebstore.google.com/*'
+];
+
+/** @const {string} Port name used by the DevTools panel */
+const DEVTOOLS_PORT_NAME = 'mtm-devtools-panel';
+
 // =============================================================================
 // STATE MANAGEMENT
 // =============================================================================
@@ -22,6 +49,15 @@ const BADGE_COLOR = '#e74c3c';
 /** @type {Map<number, number>} Badge counters per tab (TabId -> Event Count) */
 let badgeCounters = new Map();
 
+/** @type {Promise<void>} Serializes read-modify-write access to preserved events */
+let preservedEventsQueue = Promise.resolve();
+
+/** @type {Promise<void>} Serializes read-modify-write access to scenario runs */
+let scenarioRunQueue = Promise.resolve();
+
+/** @type {Map<number, chrome.runtime.Port>} Open DevTools panels (TabId -> Port) */
+let devtoolsPorts = new Map();
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -64,6 +100,39 @@ async function executeToggleScript(tabId) {
     }
 }
 
+// =============================================================================
+// PUSH RECORDER REGISTRATION
+// =============================================================================
+
+/**
+ * Registers the push recorder while MTM or dataLayer monitoring is enabled and removes it
+ * otherwise (the recorder runs in the main world and can't read the configuration itself)
+ * @returns {Promise<void>} Promise that resolves when the registration matches the configuration
+ */
+async function syncPushRecorderRegistration() {
+    try {
+        const config = await chrome.storage.sync.get({ watchMTM: true, watchDataLayer: false });
+        const enabled = !!(config.watchMTM || config.watchDataLayer);
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PUSH_RECORDER_SCRIPT_ID] });
+
+        if (enabled && registered.length === 0) {
+            await chrome.scripting.registerContentScripts([{
+                id: PUSH_RECORDER_SCRIPT_ID,
+                matches: ['<all_urls>'],
+                excludeMatches: RESTRICTED_MATCHES,
+                js: ['push-recorder.js'],
+                runAt: 'document_start',
+                allFrames: true,
+                world: 'MAIN'
+            }]);
+        } else if (!enabled && registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [PUSH_RECORDER_SCRIPT_ID] });
+        }
+    } catch (error) {
+        // Silent fail - historical entries are marked as having an unknown time
+    }
+}
+
 // =============================================================================
 // BADGE MANAGEMENT
 // =============================================================================
@@ -156,6 +225,332 @@ function clearAllBadges() {
     badgeCounters.clear();
 }
 
+// =============================================================================
+// PRESERVED EVENT LOG
+// =============================================================================
+
+/**
+ * Gets the storage key of the chunk index of preserved events of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {string} Storage key
+ */
+function getPreservedEventsKey(tabId) {
+    return `${PRESERVED_EVENTS_PREFIX}${tabId}`;
+}
+
+/**
+ * Gets the storage key of a chunk of preserved events
+ * @param {number} tabId - Tab ID
+ * @param {number} chunk - Chunk number
+ * @returns {string} Storage key
+ */
+function getPreservedChunkKey(tabId, chunk) {
+    return `${PRESERVED_EVENTS_PREFIX}${tabId}_${chunk}`;
+}
+
+/**
+ * Gets the chunk index of preserved events of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Chunk index ({firstChunk, lastChunk, lastChunkSize}) or null
+ */
+async function getPreservedEventsIndex(tabId) {
+    const key = getPreservedEventsKey(tabId);
+    const items = await chrome.storage.session.get({ [key]: null });
+    return items[key];
+}
+
+/**
+ * Gets the storage keys of all chunks of a chunk index
+ * @param {number} tabId - Tab ID
+ * @param {Object} index - Chunk index
+ * @returns {Array<string>} Storage keys (oldest first)
+ */
+function getPreservedChunkKeys(tabId, index) {
+    const keys = [];
+    for (let chunk = index.firstChunk; chunk <= index.lastChunk; chunk++) {
+        keys.push(getPreservedChunkKey(tabId, chunk));
+    }
+    return keys;
+}
+
+/**
+ * Queues a storage operation so concurrent messages don't overwrite each other
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<any>} Result of the operation
+ */
+function queuePreservedEventsOperation(operation) {
+    const result = preservedEventsQueue.then(operation);
+    preservedEventsQueue = result.catch(() => {
+        // Keep the queue alive after failed operations
+    });
+    return result;
+}
+
+/**
+ * Gets preserved events of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Array<Object>>} Preserved events
+ */
+async function getPreservedEvents(tabId) {
+    const index = await getPreservedEventsIndex(tabId);
+    if (!index) return [];
+
+    const keys = getPreservedChunkKeys(tabId, index);
+    const items = await chrome.storage.session.get(keys);
+    return keys.flatMap(key => items[key] || []);
+}
+
+/**
+ * Appends an event to the preserved events of a tab
+ * (only the newest chunk is rewritten - the oldest chunk is dropped above the limit)
+ * @param {number} tabId - Tab ID
+ * @param {Object} event - Serialized event
+ * @returns {Promise<number>} Number of preserved events
+ */
+function preserveEvent(tabId, event) {
+    return queuePreservedEventsOperation(async () => {
+        const index = await getPreservedEventsIndex(tabId) || { firstChunk: 0, lastChunk: 0, lastChunkSize: 0 };
+
+        let chunkEvents = [];
+        if (index.lastChunkSize >= PRESERVED_EVENTS_CHUNK_SIZE) {
+            index.lastChunk++;
+            index.lastChunkSize = 0;
+        } else if (index.lastChunkSize > 0) {
+            const chunkKey = getPreservedChunkKey(tabId, index.lastChunk);
+            const items = await chrome.storage.session.get({ [chunkKey]: [] });
+            chunkEvents = items[chunkKey];
+        }
+        chunkEvents.push(event);
+        index.lastChunkSize = chunkEvents.length;
+
+        const removedKeys = [];
+        while ((index.lastChunk - index.firstChunk) * PRESERVED_EVENTS_CHUNK_SIZE + index.lastChunkSize > MAX_PRESERVED_EVENTS) {
+            removedKeys.push(getPreservedChunkKey(tabId, index.firstChunk));
+            index.firstChunk++;
+        }
+
+        await chrome.storage.session.set({
+            [getPreservedChunkKey(tabId, index.lastChunk)]: chunkEvents,
+            [getPreservedEventsKey(tabId)]: index
+        });
+        if (removedKeys.length > 0) {
+            await chrome.storage.session.remove(removedKeys);
+        }
+        return (index.lastChunk - index.firstChunk) * PRESERVED_EVENTS_CHUNK_SIZE + index.lastChunkSize;
+    });
+}
+
+/**
+ * Replaces a preserved event with its updated state (e.g. a late tracking request)
+ * (searched from the newest chunk - updates arrive shortly after an event was captured)
+ * @param {number} tabId - Tab ID
+ * @param {Object} event - Serialized event
+ * @returns {Promise<boolean>} True if the event was preserved and is updated
+ */
+function updatePreservedEvent(tabId, event) {
+    return queuePreservedEventsOperation(async () => {
+        const index = await getPreservedEventsIndex(tabId);
+        if (!index) return false;
+
+        for (let chunk = index.lastChunk; chunk >= index.firstChunk; chunk--) {
+            const chunkKey = getPreservedChunkKey(tabId, chunk);
+            const items = await chrome.storage.session.get({ [chunkKey]: [] });
+            const position = items[chunkKey].findIndex(preservedEvent => preservedEvent.id === event.id);
+            if (position !== -1) {
+                items[chunkKey][position] = event;
+                await chrome.storage.session.set({ [chunkKey]: items[chunkKey] });
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+/**
+ * Removes preserved events of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>} Promise that resolves when events are removed
+ */
+function clearPreservedEvents(tabId) {
+    return queuePreservedEventsOperation(async () => {
+        const index = await getPreservedEventsIndex(tabId);
+        const keys = index ? getPreservedChunkKeys(tabId, index) : [];
+        await chrome.storage.session.remove(keys.concat(getPreservedEventsKey(tabId)));
+    });
+}
+
+// =============================================================================
+// SCENARIO RUNS
+// =============================================================================
+
+/**
+ * Gets the storage key of the scenario run of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {string} Storage key
+ */
+function getScenarioRunKey(tabId) {
+    return `${SCENARIO_RUN_PREFIX}${tabId}`;
+}
+
+/**
+ * Queues a scenario run operation so concurrent messages don't overwrite each other
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<any>} Result of the operation
+ */
+function queueScenarioRunOperation(operation) {
+    const result = scenarioRunQueue.then(operation);
+    scenarioRunQueue = result.catch(() => {
+        // Keep the queue alive after failed operations
+    });
+    return result;
+}
+
+/**
+ * Gets the scenario run of a tab (survives page navigations of the run)
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Scenario run or null
+ */
+async function getScenarioRun(tabId) {
+    const key = getScenarioRunKey(tabId);
+    const items = await chrome.storage.session.get({ [key]: null });
+    return items[key];
+}
+
+/**
+ * Starts or updates the scenario run of a tab
+ * @param {number} tabId - Tab ID
+ * @param {Object} changes - Changed run properties (a complete run to start one)
+ * @returns {Promise<void>} Promise that resolves when the run is stored
+ */
+function updateScenarioRun(tabId, changes) {
+    return queueScenarioRunOperation(async () => {
+        const run = await getScenarioRun(tabId);
+        await chrome.storage.session.set({ [getScenarioRunKey(tabId)]: { ...(run || {}), ...changes } });
+    });
+}
+
+/**
+ * Adds captured events to the scenario run of a tab (ignored without run)
+ * @param {number} tabId - Tab ID
+ * @param {Array<Object>} events - Serialized events
+ * @returns {Promise<void>} Promise that resolves when the events are stored
+ */
+function addScenarioEvents(tabId, events) {
+    return queueScenarioRunOperation(async () => {
+        const run = await getScenarioRun(tabId);
+        if (!run) return;
+
+        run.events = (run.events || []).concat(events);
+        await chrome.storage.session.set({ [getScenarioRunKey(tabId)]: run });
+    });
+}
+
+/**
+ * Replaces events of the scenario run of a tab with their updated state
+ * (e.g. delayed tags that fired later) - events that are not part of the run are ignored
+ * @param {number} tabId - Tab ID
+ * @param {Array<Object>} events - Serialized events
+ * @returns {Promise<void>} Promise that resolves when the events are stored
+ */
+function updateScenarioEvents(tabId, events) {
+    return queueScenarioRunOperation(async () => {
+        const run = await getScenarioRun(tabId);
+        if (!run || !run.events) return;
+
+        const updatedEvents = new Map(events.map(event => [event.id, event]));
+        run.events = run.events.map(event => updatedEvents.get(event.id) || event);
+        await chrome.storage.session.set({ [getScenarioRunKey(tabId)]: run });
+    });
+}
+
+/**
+ * Ends the scenario run of a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} The finished run
+ */
+function clearScenarioRun(tabId) {
+    return queueScenarioRunOperation(async () => {
+        const run = await getScenarioRun(tabId);
+        await chrome.storage.session.remove(getScenarioRunKey(tabId));
+        return run;
+    });
+}
+
+// =============================================================================
+// DEVTOOLS PANEL
+// =============================================================================
+
+/**
+ * Tells the content script of a tab whether its DevTools panel is open
+ * @param {number} tabId - Tab ID
+ * @param {boolean} connected - Whether the panel is open
+ */
+function sendDevtoolsPanelState(tabId, connected) {
+    chrome.tabs.sendMessage(tabId, { type: 'devtoolsPanelState', connected: connected }, { frameId: 0 })
+        .catch(() => {
+            // Silent fail - no content script on this page
+        });
+}
+
+/**
+ * Sends the current event log of a tab to its DevTools panel
+ * @param {number} tabId - Tab ID
+ */
+function sendEventLogToDevtoolsPanel(tabId) {
+    const port = devtoolsPorts.get(tabId);
+    if (!port) return;
+
+    chrome.tabs.sendMessage(tabId, { type: 'getEventLog' }, { frameId: 0 })
+        .then(response => {
+            port.postMessage({
+                type: 'eventLog',
+                pageUrl: response?.pageUrl || null,
+                pageLoadId: response?.pageLoadId || null,
+                suppressedDuplicates: response?.suppressedDuplicates || 0,
+                events: response?.events || []
+            });
+        })
+        .catch(() => {
+            // No content script (restricted page or not loaded yet)
+            port.postMessage({ type: 'eventLog', pageUrl: null, pageLoadId: null, suppressedDuplicates: 0, events: [] });
+        });
+}
+
+/**
+ * Handles connections of DevTools panels
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== DEVTOOLS_PORT_NAME) return;
+
+    let panelTabId = null;
+
+    port.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'init':
+                panelTabId = message.tabId;
+                devtoolsPorts.set(panelTabId, port);
+                sendDevtoolsPanelState(panelTabId, true);
+                sendEventLogToDevtoolsPanel(panelTabId);
+                break;
+
+            case 'clearEvents':
+                if (panelTabId !== null) {
+                    chrome.tabs.sendMessage(panelTabId, { type: 'clearEvents' }, { frameId: 0 }).catch(() => {
+                        // Silent fail - nothing to clear without a content script
+                    });
+                }
+                break;
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        if (panelTabId !== null && devtoolsPorts.get(panelTabId) === port) {
+            devtoolsPorts.delete(panelTabId);
+            sendDevtoolsPanelState(panelTabId, false);
+        }
+    });
+});
+
 // =============================================================================
 // EVENT LISTENERS
 // =============================================================================
@@ -190,6 +585,82 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 sendResponse({ success: true });
                 break;
 
+            case 'preserveEvent':
+                preserveEvent(tabId, message.event)
+                    .then(count => sendResponse({ success: true, count: count }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'updatePreservedEvent':
+                updatePreservedEvent(tabId, message.event)
+                    .then(updated => sendResponse({ success: true, updated: updated }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'getPreservedEvents':
+                getPreservedEvents(tabId)
+                    .then(events => sendResponse({ success: true, events: events }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'devtoolsPanelMessage':
+                if (devtoolsPorts.has(tabId)) {
+                    devtoolsPorts.get(tabId).postMessage(message.message);
+                }
+                sendResponse({ success: true });
+                break;
+
+            case 'frameEvent':
+                // Subframe events are shown in the overlay of the top frame
+                chrome.tabs.sendMessage(tabId, {
+                    type: 'frameEvent',
+                    event: { ...message.event, frame: { ...(message.event.frame || {}), frameId: sender.frameId } }
+                }, { frameId: 0 }).catch(() => {
+                    // Silent fail - no content script in the top frame
+                });
+                sendResponse({ success: true });
+                break;
+
+            case 'getDevtoolsPanelState':
+                sendResponse({ success: true, connected: devtoolsPorts.has(tabId) });
+                break;
+
+            case 'updateScenarioRun':
+                updateScenarioRun(tabId, message.changes)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'getScenarioRun':
+                getScenarioRun(tabId)
+                    .then(run => sendResponse({ success: true, run: run }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'addScenarioEvents':
+                addScenarioEvents(tabId, message.events)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'updateScenarioEvents':
+                updateScenarioEvents(tabId, message.events)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'clearScenarioRun':
+                clearScenarioRun(tabId)
+                    .then(run => sendResponse({ success: true, run: run }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
+            case 'clearPreservedEvents':
+                clearPreservedEvents(tabId)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Async response
+
             default:
                 sendResponse({ success: false, error: 'Unknown message type' });
         }
@@ -210,15 +681,32 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
     badgeCounters.delete(tabId);
+    clearPreservedEvents(tabId).catch(() => {
+        // Silent fail - session storage is cleared with the browser session anyway
+    });
+    clearScenarioRun(tabId).catch(() => {
+        // Silent fail - session storage is cleared with the browser session anyway
+    });
 });
 
 /**
- * Resets badge when tab navigates to new URL
+ * Resets badge when tab navigates to new URL (keeps it cumulative in "preserve log" mode)
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     // Reset badge when new URL is loading
     if (changeInfo.status === 'loading' && changeInfo.url) {
-        clearBadgeForTab(tabId);
+        chrome.storage.sync.get({ preserveLog: false }, (config) => {
+            if (config.preserveLog) {
+                updateBadgeForTab(tabId, badgeCounters.get(tabId) || 0);
+            } else {
+                clearBadgeForTab(tabId);
+            }
+        });
+    }
+
+    // Resync an open DevTools panel with the event log of the new page
+    if (changeInfo.status === 'complete' && devtoolsPorts.has(tabId)) {
+        sendEventLogToDevtoolsPanel(tabId);
     }
 });
 
@@ -241,6 +729,8 @@ chrome.runtime.onInstalled.addListener((details) => {
     if (details.reason === 'install' || details.reason === 'update') {
         clearAllBadges();
     }
+
+    syncPushRecorderRegistration();
 });
 
 /**
@@ -254,4 +744,15 @@ chrome.runtime.onStartup.addListener(() => {
             badgeAPI.setBadgeBackgroundColor({ color: BADGE_COLOR });
         }
     });
+
+    syncPushRecorderRegistration();
+});
+
+/**
+ * Registers or removes the push recorder when monitoring is switched on or off
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.watchMTM || changes.watchDataLayer)) {
+        syncPushRecorderRegistration();
+    }
 });
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * Tests of the content script (content-script.js, event-renderer.js) against a mock chrome API
+ */
+'use strict';
+
+const assert = require('assert');
+const { createTab } = require('./helpers/content-script');
+
+/** @const {string} Markup that runs script when it is parsed as HTML */
+const PAYLOAD = '<img src=x onerror="window.attacked=true">';
+
+/**
+ * Creates an exported session event with markup in every rendered field
+ * @returns {Object} Hostile session event
+ */
+function createHostileEvent() {
+    const tag = {
+        name: PAYLOAD,
+        trigger: PAYLOAD,
+        timestamp: PAYLOAD,
+        status: `delayed" onmouseover="window.attacked=true`,
+        fireDelay: PAYLOAD,
+        delayed: true
+    };
+    const trigger = {
+        name: PAYLOAD,
+        type: PAYLOAD,
+        matchedCount: PAYLOAD,
+        totalConditions: PAYLOAD,
+        matchedConditions: [{ variable: PAYLOAD, actual: PAYLOAD, comparison: PAYLOAD, expected: PAYLOAD, matched: true }]
+    };
+
+    return {
+        id: `1" onmouseover="window.attacked=true`,
+        eventName: PAYLOAD,
+        source: PAYLOAD,
+        timestamp: PAYLOAD,
+        arrayIndex: PAYLOAD,
+        firedTags: [PAYLOAD],
+        frame: { isTop: false, origin: PAYLOAD, url: PAYLOAD },
+        details: { event: PAYLOAD },
+        triggerAnalysis: {
+            debugMode: true,
+            tagSource: 'mtm-hooks',
+            triggeredTriggers: [trigger],
+            notFiredTriggers: [trigger],
+            firedTags: [tag],
+            suppressedTags: [tag]
+        },
+        injected: PAYLOAD
+    };
+}
+
+/**
+ * Renders HTML into a detached element of a frame
+ * @param {Object} frame - Frame of the test tab
+ * @param {string} html - HTML string
+ * @returns {Element} Element containing the parsed HTML
+ */
+function renderInto(frame, html) {
+    const container = frame.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+}
+
+/**
+ * Gets the elements with event handler attributes
+ * @param {Element} container - Rendered HTML
+ * @returns {Array<Element>} Elements with on* attributes
+ */
+function findHandlerElements(container) {
+    return Array.from(container.querySelectorAll('*')).filter(element =>
+        Array.from(element.attributes).some(attribute => attribute.name.startsWith('on'))
+    );
+}
+
+/**
+ * Creates an event as injected-script.js dispatches it, with a delayed tag
+ * @param {number} eventSequence - Sequence number of the event in its frame
+ * @returns {Object} Event detail
+ */
+function createDelayedTagEvent(eventSequence) {
+    return {
+        eventName: 'purchase',
+        source: '_mtm.push',
+        details: { event: 'purchase' },
+        eventSequence: eventSequence,
+        customTimestamp: Date.now(),
+        triggerAnalysis: {
+            debugMode: true,
+            tagSource: 'mtm-hooks',
+            triggeredTriggers: [{ name: 'Purchase Event', type: 'CustomEvent', containerId: 'C1', matchedConditions: [] }],
+            notFiredTriggers: [],
+            firedTags: [],
+            suppressedTags: [{ name: 'Track Purchase', containerId: 'C1', trigger: 'Purchase Event', status: 'delayed', fireDelay: 100 }],
+            containers: [{ id: 'C1', debugMode: true }]
+        }
+    };
+}
+
+describe('content-script', function() {
+    let tab;
+
+    afterEach(function() {
+        if (tab) tab.close();
+        tab = null;
+    });
+
+    describe('session import', function() {
+        it('renders a hostile imported event as text', async function() {
+            tab = await createTab();
+            const frame = tab.topFrame;
+
+            const session = frame.window.normalizeImportedSession({
+                format: 'mtm-monitor-session',
+                events: [createHostileEvent()]
+            });
+            const [event] = session.events;
+            frame.evaluate('expandedStates')[`event-${event.id}`] = true;
+            const container = renderInto(frame, frame.window.renderEventHTML(event, 1));
+
+            assert.strictEqual(container.querySelectorAll('img').length, 0);
+            assert.deepStrictEqual(findHandlerElements(container), []);
+            assert.ok(container.textContent.includes(PAYLOAD), 'payload shown as text');
+        });
+
+        it('keeps only known fields of imported events', async function() {
+            tab = await createTab();
+
+            const session = tab.topFrame.window.normalizeImportedSession({
+                format: 'mtm-monitor-session',
+                page: { url: PAYLOAD, title: 42 },
+                events: [createHostileEvent(), 'not an event']
+            });
+            const [event, invalid] = session.events;
+
+            assert.strictEqual(event.id, 'imported-0');
+            assert.strictEqual(event.injected, undefined);
+            assert.strictEqual(event.arrayIndex, null);
+            assert.deepStrictEqual([session.page.url, session.page.title], [PAYLOAD, null]);
+            assert.deepStrictEqual([invalid.id, invalid.eventName, invalid.triggerAnalysis], ['imported-1', null, null]);
+        });
+
+        it('renders scenario results as text', async function() {
+            tab = await createTab();
+
+            const container = renderInto(tab.topFrame, tab.topFrame.window.generateScenarioReportHtml({
+                scenarioName: PAYLOAD,
+                finishedAt: Date.now(),
+                eventCount: PAYLOAD,
+                stepErrors: [PAYLOAD],
+                results: [{ description: PAYLOAD, actual: PAYLOAD, passed: false }],
+                passed: false
+            }));
+
+            assert.strictEqual(container.querySelectorAll('img').length, 0);
+        });
+    });
+
+    describe('events', function() {
+        it('logs page events and counts the duplicates the page dropped', async function() {
+            tab = await createTab();
+            const frame = tab.topFrame;
+
+            frame.dispatch('matomoEventDetected', createDelayedTagEvent(1));
+            frame.dispatch('matomoDuplicateEventSuppressed', { eventName: 'purchase', source: '_mtm.push' });
+            await tab.settle();
+
+            assert.deepStrictEqual(Array.from(frame.evaluate('eventLog'), event => event.eventName), ['purchase']);
+            assert.strictEqual(frame.evaluate('suppressedDuplicates'), 1);
+        });
+    });
+
+    describe('tracking request validation', function() {
+        it('flags unexpected site IDs only while the rule is enabled', async function() {
+            const validate = async ruleExpectedSiteIds => {
+                tab = await createTab({ storage: { sync: { expectedSiteIds: '1, 5', ruleExpectedSiteIds } } });
+                await tab.settle();
+                const warnings = tab.topFrame.window.validateTrackingRequest({ params: { idsite: '2' } }, { pageLoadId: 'page' });
+                tab.close();
+                return Array.from(warnings, warning => [warning.rule, warning.message]);
+            };
+
+            assert.deepStrictEqual(await validate(true), [['ruleExpectedSiteIds', 'Unexpected site ID 2 (expected 1, 5)']]);
+            assert.deepStrictEqual(await validate(false), []);
+        });
+    });
+
+    describe('frames', function() {
+        it('shows a delayed tag that fired in a subframe in the top frame', async function() {
+            tab = await createTab({ handlers: { getDevtoolsPanelState: () => ({ success: true, connected: true }) } });
+            const frame = await tab.addFrame();
+
+            frame.dispatch('matomoEventDetected', createDelayedTagEvent(1));
+            await tab.settle();
+            frame.dispatch('matomoLateTagExecution', { eventSequence: 1, tag: { name: 'Track Purchase', containerId: 'C1', status: 'fired' } });
+            await tab.settle();
+
+            const [event] = tab.topFrame.evaluate('eventLog');
+            assert.deepStrictEqual(event.triggerAnalysis.firedTags.map(tag => [tag.name, tag.trigger, tag.delayed]),
+                [['Track Purchase', 'Purchase Event', true]]);
+            assert.deepStrictEqual(event.triggerAnalysis.suppressedTags, []);
+            assert.strictEqual(event.pageLoadId, tab.topFrame.evaluate('PAGE_LOAD_ID'));
+
+            const updates = tab.messagesOfType('devtoolsPanelMessage').map(message => message.message)
+                .filter(message => message.type === 'eventUpdated');
+            assert.deepStrictEqual(updates.map(update => update.event.triggerAnalysis.firedTags.length), [1]);
+        });
+    });
+
+    describe('scenario runs', function() {
+        it('sends events to the run again when a delayed tag fired', async function() {
+            tab = await createTab();
+            const frame = tab.topFrame;
+            frame.evaluate('activeScenarioRun = { scenario: { name: "Checkout", steps: [] }, stepIndex: 0, stepErrors: [] }');
+
+            frame.dispatch('matomoEventDetected', createDelayedTagEvent(1));
+            await tab.settle();
+            frame.dispatch('matomoLateTagExecution', { eventSequence: 1, tag: { name: 'Track Purchase', containerId: 'C1', status: 'fired' } });
+            await tab.settle();
+
+            const [added] = tab.messagesOfType('addScenarioEvents');
+            const [updated] = tab.messagesOfType('updateScenarioEvents');
+            assert.strictEqual(added.events[0].triggerAnalysis.firedTags.length, 0);
+            assert.strictEqual(updated.events[0].id, added.events[0].id);
+
+            const scenario = { expectations: [{ event: 'purchase', tag: 'Track Purchase', count: 1 }] };
+            const [result] = frame.window.evaluateScenarioExpectations(scenario, updated.events);
+            assert.deepStrictEqual([result.actual, result.passed], [1, true]);
+        });
+    });
+
+    describe('preserve log', function() {
+        it('updates the preserved copy when a delayed tag fired', async function() {
+            tab = await createTab({ storage: { sync: { preserveLog: true } } });
+            const frame = tab.topFrame;
+
+            frame.dispatch('matomoEventDetected', createDelayedTagEvent(1));
+            await tab.settle();
+            frame.dispatch('matomoLateTagExecution', { eventSequence: 1, tag: { name: 'Track Purchase', containerId: 'C1', status: 'fired' } });
+            await tab.settle();
+
+            const [preserved] = tab.messagesOfType('preserveEvent');
+            const [updated] = tab.messagesOfType('updatePreservedEvent');
+            assert.strictEqual(preserved.event.triggerAnalysis.firedTags.length, 0);
+            assert.strictEqual(updated.event.id, preserved.event.id);
+            assert.deepStrictEqual(updated.event.triggerAnalysis.firedTags.map(tag => tag.name), ['Track Purchase']);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests of the shared event pipeline (event-pipeline.js)
+ */
+'use strict';
+
+const assert = require('assert');
+const MTMEventPipeline = require('../event-pipeline');
+
+/**
+ * Creates an event processor with a manual clock and timer
+ * @param {Object} steps - Steps passed to createEventProcessor
+ * @returns {Object} Processor with the dispatched events, scheduled callbacks and clock
+ */
+function createTestProcessor(steps = {}) {
+    const result = { dispatched: [], scheduled: [], time: 1000, calls: [] };
+    result.processor = MTMEventPipeline.createEventProcessor({
+        analyze: eventData => result.calls.push(`analyze ${eventData.eventName}`),
+        enrich: eventData => result.calls.push(`enrich ${eventData.eventName}`),
+        dispatch: (eventData, timestamp) => {
+            result.calls.push(`dispatch ${eventData.eventName}`);
+            result.dispatched.push({ eventData, timestamp });
+        },
+        schedule: (callback, delay) => result.scheduled.push({ callback, delay }),
+        now: () => result.time,
+        ...steps
+    });
+    return result;
+}
+
+describe('event-pipeline', function() {
+    describe('normalize', function() {
+        it('normalizes _mtm objects, arrays and values', function() {
+            const object = MTMEventPipeline.normalizeMTMEntry('_mtm', { event: 'purchase', revenue: 42 });
+            assert.deepStrictEqual([object.eventName, object.source, object.details.revenue], ['purchase', '_mtm.push', 42]);
+
+            const array = MTMEventPipeline.normalizeMTMEntry('_mtm', ['trackEvent', 'shop', 'buy']);
+            assert.deepStrictEqual(array.details, { action: 'trackEvent', parameters: ['shop', 'buy'] });
+
+            const value = MTMEventPipeline.normalizeMTMEntry('_mtm', 'ping');
+            assert.deepStrictEqual([value.eventName, value.details], ['MTM Direct Value', { value: 'ping' }]);
+        });
+
+        it('marks historical entries and keeps their array index', function() {
+            const eventData = MTMEventPipeline.normalizeMTMEntry('_mtm', { event: 'purchase' }, { isHistorical: true, arrayIndex: 3 });
+
+            assert.deepStrictEqual([eventData.source, eventData.sourceType, eventData.arrayIndex],
+                ['_mtm.push (historical)', 'initial-scan', 3]);
+            assert.strictEqual(eventData.details._debug.arrayIndex, 3);
+        });
+
+        it('recognizes MTM events in the dataLayer', function() {
+            assert.strictEqual(MTMEventPipeline.isMTMDataLayerEntry({ event: 'mtm.PageView' }), true);
+            assert.strictEqual(MTMEventPipeline.isMTMDataLayerEntry({ event: 'gtm.js' }), false);
+            assert.strictEqual(MTMEventPipeline.isMTMDataLayerEntry({ pageType: 'product' }), false);
+
+            const custom = MTMEventPipeline.normalizeDataLayerEntry({ event: 'mtm.CustomEvent', eventName: 'signup' });
+            assert.deepStrictEqual([custom.eventName, custom.source], ['signup', 'dataLayer']);
+        });
+    });
+
+    describe('dedupe', function() {
+        it('gives historical and live copies of an entry the same signature', function() {
+            const historical = MTMEventPipeline.normalizeMTMEntry('_mtm', { event: 'purchase' }, { isHistorical: true });
+            const live = MTMEventPipeline.normalizeMTMEntry('_mtm', { event: 'purchase', __mtm_processed: true });
+
+            assert.strictEqual(MTMEventPipeline.getEventSignature(historical), MTMEventPipeline.getEventSignature(live));
+        });
+    });
+
+    describe('createEventProcessor', function() {
+        it('runs analyze, enrich and dispatch in order', function() {
+            const test = createTestProcessor();
+
+            test.processor.processEvent({ eventName: 'purchase', isHistorical: true }, 500);
+
+            assert.deepStrictEqual(test.calls, ['analyze purchase', 'enrich purchase', 'dispatch purchase']);
+            assert.strictEqual(test.dispatched[0].timestamp, 500);
+        });
+
+        it('processes historical events right away and delays live events', function() {
+            const test = createTestProcessor({ liveDelay: 50 });
+
+            test.processor.processEvent({ eventName: 'live' });
+            test.processor.processEvent({ eventName: 'historical', isHistorical: true });
+
+            assert.deepStrictEqual(test.dispatched.map(entry => entry.eventData.eventName), ['historical']);
+            assert.strictEqual(test.scheduled[0].delay, 50);
+
+            test.time = 1050;
+            test.scheduled[0].callback();
+            assert.deepStrictEqual(test.dispatched.map(entry => [entry.eventData.eventName, entry.timestamp]),
+                [['historical', 1000], ['live', 1050]]);
+        });
+
+        it('drops duplicates within the dedupe window only', function() {
+            const duplicates = [];
+            const test = createTestProcessor({ dedupeWindow: 1000, onDuplicate: eventData => duplicates.push(eventData) });
+            const push = () => test.processor.processEvent({ eventName: 'purchase', source: '_mtm.push', details: { id: 1 } });
+
+            push();
+            test.time = 1999;
+            push();
+            test.time = 2000;
+            push();
+
+            assert.deepStrictEqual(test.dispatched.map(entry => entry.timestamp), [1000, 2000]);
+            assert.deepStrictEqual(duplicates.map(eventData => eventData.details.id), [1]);
+        });
+
+        it('dispatches plain copies', function() {
+            const test = createTestProcessor();
+            const eventData = { eventName: 'purchase', isHistorical: true, details: { callback: () => {}, id: 1 } };
+
+            test.processor.processEvent(eventData);
+
+            const dispatched = test.dispatched[0].eventData;
+            assert.notStrictEqual(dispatched, eventData);
+            assert.deepStrictEqual(dispatched.details, { id: 1 });
+        });
+
+        it('uses a custom signature for duplicate detection', function() {
+            const test = createTestProcessor({ getSignature: eventData => eventData.id, dedupeWindow: Infinity });
+
+            test.processor.processEvent({ id: 'a', eventName: 'first' });
+            test.processor.processEvent({ id: 'a', eventName: 'first again' });
+            test.processor.processEvent({ id: 'b', eventName: 'first' });
+
+            assert.deepStrictEqual(test.dispatched.map(entry => entry.eventData.id), ['a', 'b']);
+        });
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * Matomo Tag Manager Event Monitor - Test Content Script Harness
+ * Loads the content scripts into jsdom frames with a mock chrome extension API
+ *
+ * @description Creates a tab (top frame plus optional subframes) and loads event-renderer.js
+ *              and content-script.js into each frame in manifest order.
+ *              The mock chrome API keeps storage per tab, records the messages sent to the
+ *              service worker and relays subframe events to the top frame like service-worker.js.
+ *              Page events are dispatched on the frame documents the way injected-script.js does.
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// =============================================================================
+// CONSTANTS AND CONFIGURATION
+// =============================================================================
+
+/** @const {string} Root directory of the extension */
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+
+/** @const {Array<string>} Content scripts in manifest order */
+const CONTENT_SCRIPTS = ['event-renderer.js', 'content-script.js'].map(file =>
+    fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8')
+);
+
+/** @const {string} Base URL of extension resources */
+const EXTENSION_URL = 'chrome-extension://mtm-monitor/';
+
+/** @const {number} Time until storage callbacks and live events were processed */
+const SETTLE_TIME = 50;
+
+// =============================================================================
+// MOCK CHROME API
+// =============================================================================
+
+/**
+ * Creates a storage area with callback and promise style get/set/remove
+ * @param {Object} tab - Tab the storage belongs to
+ * @param {Object} items - Initial items
+ * @returns {Object} Storage area (items are kept in area.items)
+ */
+function createStorageArea(tab, items = {}) {
+    const area = {
+        items: JSON.parse(JSON.stringify(items)),
+
+        get(defaults, callback) {
+            const keys = typeof defaults === 'string' ? { [defaults]: undefined } : defaults || {};
+            const result = {};
+            Object.keys(keys).forEach(key => {
+                result[key] = key in area.items ? JSON.parse(JSON.stringify(area.items[key])) : keys[key];
+            });
+            return respond(tab, result, callback);
+        },
+
+        set(values, callback) {
+            Object.assign(area.items, JSON.parse(JSON.stringify(values)));
+            return respond(tab, undefined, callback);
+        },
+
+        remove(keys, callback) {
+            [].concat(keys).forEach(key => delete area.items[key]);
+            return respond(tab, undefined, callback);
+        }
+    };
+    return area;
+}
+
+/**
+ * Answers an API call asynchronously via callback or promise (like chrome.* APIs)
+ * (timers of the top frame, so closing the tab drops pending answers)
+ * @param {Object} tab - Tab the call was made in
+ * @param {any} result - Result of the call
+ * @param {Function} callback - Optional callback
+ * @returns {Promise<any>|undefined} Promise without callback
+ */
+function respond(tab, result, callback) {
+    if (typeof callback === 'function') {
+        tab.window.setTimeout(() => callback(result), 0);
+        return undefined;
+    }
+    return new Promise(resolve => tab.window.setTimeout(() => resolve(result), 0));
+}
+
+/**
+ * Creates the chrome API of one frame
+ * @param {Object} tab - Tab the frame belongs to
+ * @param {Object} frame - Frame ({frameId, listeners})
+ * @returns {Object} Mock chrome object
+ */
+function createChromeApi(tab, frame) {
+    return {
+        storage: tab.storage,
+        runtime: {
+            lastError: undefined,
+            getURL: file => `${EXTENSION_URL}${file}`,
+            getManifest: () => ({ version: '1.4' }),
+            onMessage: {
+                addListener: listener => frame.listeners.push(listener)
+            },
+            sendMessage(message, callback) {
+                // Messages are copied like chrome's message passing does
+                const copy = JSON.parse(JSON.stringify(message));
+                tab.messages.push({ frameId: frame.frameId, message: copy });
+                return respond(tab, handleServiceWorkerMessage(tab, frame, copy), callback);
+            }
+        }
+    };
+}
+
+/**
+ * Answers a message like service-worker.js (frame events are relayed to the top frame)
+ * @param {Object} tab - Tab the message was sent from
+ * @param {Object} frame - Sending frame
+ * @param {Object} message - Message
+ * @returns {Object} Response
+ */
+function handleServiceWorkerMessage(tab, frame, message) {
+    if (message.type === 'frameEvent') {
+        tab.window.setTimeout(() => tab.topFrame.sendMessage({
+            type: 'frameEvent',
+            event: { ...message.event, frame: { ...(message.event.frame || {}), frameId: frame.frameId } }
+        }), 0);
+        return { success: true };
+    }
+
+    const handler = tab.handlers[message.type];
+    return handler ? handler(message, frame) : { success: true };
+}
+
+// =============================================================================
+// FRAMES
+// =============================================================================
+
+/**
+ * Waits until a frame document has loaded (content scripts run at document_idle)
+ * @param {Window} window - Frame window
+ * @returns {Promise<void>} Promise that resolves when the document is complete
+ */
+function waitForLoad(window) {
+    if (window.document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('load', () => resolve(), { once: true }));
+}
+
+/**
+ * Loads the content scripts into a frame window
+ * @param {Object} tab - Tab the frame belongs to
+ * @param {Window} window - Frame window
+ * @param {number} frameId - Frame ID (0 = top frame)
+ * @returns {Promise<Object>} Frame ({window, document, frameId, dispatch, sendMessage, evaluate})
+ */
+async function loadFrame(tab, window, frameId) {
+    const frame = {
+        window: window,
+        document: window.document,
+        frameId: frameId,
+        listeners: [],
+
+        /**
+         * Dispatches a page event the way injected-script.js does
+         * @param {string} type - CustomEvent type (e.g. 'matomoEventDetected')
+         * @param {Object} detail - Event detail
+         */
+        dispatch(type, detail) {
+            window.document.dispatchEvent(new window.CustomEvent(type, { detail: detail }));
+        },
+
+        /**
+         * Sends a message from the service worker to this frame
+         * @param {Object} message - Message
+         * @returns {any} Synchronous response of the listeners
+         */
+        sendMessage(message) {
+            let response;
+            frame.listeners.forEach(listener => listener(message, { id: 'mtm-monitor' }, result => {
+                response = result;
+            }));
+            return response;
+        },
+
+        /**
+         * Evaluates an expression in the content script scope (e.g. 'eventLog')
+         * @param {string} expression - Expression
+         * @returns {any} Result
+         */
+        evaluate(expression) {
+            return window.eval(expression);
+        }
+    };
+
+    window.chrome = createChromeApi(tab, frame);
+    window.fetch = url => Promise.resolve({
+        text: () => Promise.resolve(fs.readFileSync(path.join(EXTENSION_DIR, String(url).replace(EXTENSION_URL, '')), 'utf8'))
+    });
+
+    await waitForLoad(window);
+    CONTENT_SCRIPTS.forEach(source => {
+        const script = window.document.createElement('script');
+        script.textContent = source;
+        window.document.head.appendChild(script);
+    });
+    return frame;
+}
+
+/**
+ * Creates a tab with the content scripts loaded into its top frame
+ * @param {Object} options - Tab options ({url, html, storage, handlers})
+ *                           - storage: initial items ({sync, local})
+ *                           - handlers: service worker responses by message type (message, frame) => response
+ * @returns {Promise<Object>} Tab ({window, topFrame, storage, messages, addFrame, messagesOfType, settle, close})
+ */
+async function createTab(options = {}) {
+    const dom = new JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: options.url || 'https://shop.example/products/shoes',
+        runScripts: 'dangerously',
+        virtualConsole: new VirtualConsole()
+    });
+    const storage = options.storage || {};
+
+    const tab = {
+        window: dom.window,
+        handlers: options.handlers || {},
+        messages: [],
+        frames: [],
+
+        /**
+         * Adds a subframe with the content scripts loaded
+         * @returns {Promise<Object>} Frame
+         */
+        async addFrame() {
+            const iframe = tab.topFrame.document.createElement('iframe');
+            tab.topFrame.document.body.appendChild(iframe);
+            const frame = await loadFrame(tab, iframe.contentWindow, tab.frames.length);
+            tab.frames.push(frame);
+            return frame;
+        },
+
+        /**
+         * Gets the messages of a type sent to the service worker
+         * @param {string} type - Message type
+         * @returns {Array<Object>} Messages
+         */
+        messagesOfType(type) {
+            return tab.messages.filter(entry => entry.message.type === type).map(entry => entry.message);
+        },
+
+        /**
+         * Waits until storage callbacks and relayed messages were processed
+         * @param {number} time - Time to wait (ms)
+         * @returns {Promise<void>} Promise that resolves after the time
+         */
+        settle(time = SETTLE_TIME) {
+            return new Promise(resolve => setTimeout(resolve, time));
+        },
+
+        /**
+         * Closes the tab (stops the timers of all frames)
+         */
+        close() {
+            dom.window.close();
+        }
+    };
+
+    tab.storage = {
+        sync: createStorageArea(tab, storage.sync),
+        local: createStorageArea(tab, storage.local)
+    };
+    tab.topFrame = await loadFrame(tab, dom.window, 0);
+    tab.frames.push(tab.topFrame);
+    return tab;
+}
+
+module.exports = {
+    createTab
+};
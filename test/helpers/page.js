@@ -0,0 +1,256 @@
+/**
+ * Matomo Tag Manager Event Monitor - Test Page Harness
+ * Loads the page context scripts into a jsdom page with a mock MatomoTagManager
+ *
+ * @description Creates a page, installs a mock MatomoTagManager (containers with tags, triggers
+ *              and variables that behave like MTM's instances) and injects event-pipeline.js and
+ *              injected-script.js the way config-script.js does once the page has loaded.
+ *              Events the injected script dispatches to the content script are collected as
+ *              plain copies (like the content script receives them) for assertions.
+ * @version 1.4
+ * @author MTM Event Monitor
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// =============================================================================
+// CONSTANTS AND CONFIGURATION
+// =============================================================================
+
+/** @const {string} Root directory of the extension */
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+
+/** @const {Array<string>} Page context scripts in injection order (see config-script.js) */
+const PAGE_SCRIPTS = ['event-pipeline.js', 'injected-script.js'].map(file =>
+    fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8')
+);
+
+/** @const {Object} Monitor configuration used unless a test overrides it */
+const DEFAULT_CONFIG = {
+    watchMTM: true,
+    watchDataLayer: true
+};
+
+/** @const {number} Time until live events are dispatched (MTM processing delay plus margin) */
+const SETTLE_TIME = 100;
+
+// =============================================================================
+// MOCK MATOMO TAG MANAGER
+// =============================================================================
+
+/**
+ * Creates a mock MTM tag (fire() runs _fire() right away or after fireDelay, like MTM)
+ * @param {Object} definition - Tag definition ({id, name, type, fireTriggerIds, fireDelay})
+ * @returns {Object} Tag instance
+ */
+function createTag(definition) {
+    return {
+        type: 'Matomo',
+        fireTriggerIds: [],
+        numExecuted: 0,
+        ...definition,
+        fire() {
+            if (this.fireDelay) {
+                setTimeout(() => this._fire(), this.fireDelay);
+            } else {
+                this._fire();
+            }
+        },
+        _fire() {
+            this.numExecuted++;
+        }
+    };
+}
+
+/**
+ * Creates a mock MTM trigger
+ * @param {Object} definition - Trigger definition ({id, name, type, conditions, tags, matches})
+ *                              - matches(entry) decides whether the mock container fires the tags
+ * @returns {Object} Trigger instance
+ */
+function createTrigger(definition) {
+    const { tags = [], matches = () => false, ...trigger } = definition;
+    return {
+        type: 'CustomEvent',
+        conditions: [],
+        ...trigger,
+        matches: matches,
+        getReferencedTags() {
+            return tags;
+        }
+    };
+}
+
+/**
+ * Creates a mock MTM variable with get()
+ * @param {Object} definition - Variable definition ({name, type, parameters, defaultValue, lookUpTable, get})
+ * @returns {Object} Variable instance
+ */
+function createVariable(definition) {
+    return {
+        parameters: {},
+        ...definition
+    };
+}
+
+/**
+ * Installs a mock MatomoTagManager that fires the tags of matching triggers for each _mtm entry
+ * @param {Window} window - Page window
+ * @param {Array<Object>} containers - Containers ({id, tags, triggers, variables})
+ * @returns {Object} Mock MatomoTagManager
+ */
+function installTagManager(window, containers) {
+    const manager = {
+        containers: containers.map(container => ({
+            versionName: 'v1',
+            revision: 1,
+            environment: 'live',
+            tags: [],
+            triggers: [],
+            variables: [],
+            ...container
+        })),
+        debugModeEnabled: false,
+        enableDebugMode() {
+            this.debugModeEnabled = true;
+        }
+    };
+
+    /**
+     * Fires the tags of all triggers matching an entry
+     * @param {any} entry - Pushed entry
+     */
+    function processEntry(entry) {
+        manager.containers.forEach(container => {
+            container.triggers.forEach(trigger => {
+                if (trigger.matches(entry)) {
+                    trigger.getReferencedTags().forEach(tag => tag.fire());
+                }
+            });
+        });
+    }
+
+    // MTM processes the entries pushed before it loaded and replaces _mtm.push
+    const mtmArray = window._mtm = window._mtm || [];
+    mtmArray.forEach(processEntry);
+    const arrayPush = mtmArray.push;
+    mtmArray.push = function(...entries) {
+        const result = arrayPush.apply(this, entries);
+        entries.forEach(processEntry);
+        return result;
+    };
+
+    window.MatomoTagManager = manager;
+    return manager;
+}
+
+// =============================================================================
+// PAGE
+// =============================================================================
+
+/**
+ * Waits until the page has loaded (the content script injects at document_idle)
+ * @param {Window} window - Page window
+ * @returns {Promise<void>} Promise that resolves when the document is complete
+ */
+function waitForLoad(window) {
+    if (window.document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('load', () => resolve(), { once: true }));
+}
+
+/**
+ * Collects the details of a page event as plain copies of this realm
+ * @param {Document} document - Page document
+ * @param {string} type - CustomEvent type
+ * @param {Array<Object>} target - Collected details
+ */
+function collectEvents(document, type, target) {
+    document.addEventListener(type, event => target.push(JSON.parse(JSON.stringify(event.detail))));
+}
+
+/**
+ * Creates a page with the monitor injected
+ * @param {Object} options - Page options ({url, html, cookie, config, globals, containers})
+ *                           - globals are assigned before MTM and the monitor load (e.g. _mtm, dataLayer)
+ *                           - containers installs a mock MatomoTagManager
+ * @returns {Promise<Object>} Page ({window, document, events, lateTagExecutions, trackingRequests, push, settle, close})
+ */
+async function createPage(options = {}) {
+    const dom = new JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: options.url || 'https://shop.example/products/shoes?color=red#reviews',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    if (options.cookie) {
+        options.cookie.split(';').forEach(cookie => {
+            window.document.cookie = cookie.trim();
+        });
+    }
+
+    Object.assign(window, options.globals || {});
+    if (options.containers) {
+        installTagManager(window, options.containers);
+    }
+    window.MTM_MONITOR_CONFIG = { ...DEFAULT_CONFIG, ...(options.config || {}) };
+
+    const page = {
+        window: window,
+        document: window.document,
+        events: [],
+        lateTagExecutions: [],
+        trackingRequests: [],
+
+        /**
+         * Pushes entries into a page array
+         * @param {string} target - Name of the global array (e.g. '_mtm')
+         * @param {...any} entries - Entries to push
+         */
+        push(target, ...entries) {
+            window[target].push(...entries);
+        },
+
+        /**
+         * Waits until live events were processed and dispatched
+         * @param {number} time - Time to wait (ms)
+         * @returns {Promise<void>} Promise that resolves after the time
+         */
+        settle(time = SETTLE_TIME) {
+            return new Promise(resolve => setTimeout(resolve, time));
+        },
+
+        /**
+         * Gets the dispatched events with an event name
+         * @param {string} eventName - Event name
+         * @returns {Array<Object>} Dispatched events
+         */
+        eventsNamed(eventName) {
+            return page.events.filter(event => event.eventName === eventName);
+        },
+
+        /**
+         * Closes the page (stops the monitor's timers)
+         */
+        close() {
+            window.close();
+        }
+    };
+
+    collectEvents(window.document, 'matomoEventDetected', page.events);
+    collectEvents(window.document, 'matomoLateTagExecution', page.lateTagExecutions);
+    collectEvents(window.document, 'matomoTrackingRequestDetected', page.trackingRequests);
+
+    await waitForLoad(window);
+    PAGE_SCRIPTS.forEach(source => window.eval(source));
+    return page;
+}
+
+module.exports = {
+    createPage,
+    createTag,
+    createTrigger,
+    createVariable
+};
@@ -0,0 +1,289 @@
+/**
+ * Tests of the page context monitor (injected-script.js) against a mock MatomoTagManager
+ */
+'use strict';
+
+const assert = require('assert');
+const { createPage, createTag, createTrigger } = require('./helpers/page');
+
+/**
+ * Creates a DataLayer variable condition
+ * @param {string} dataLayerName - DataLayer key
+ * @param {string} comparison - MTM comparison operator
+ * @param {any} expected - Expected value
+ * @returns {Object} Trigger condition
+ */
+function dataLayerCondition(dataLayerName, comparison, expected) {
+    return {
+        actual: { name: `DL ${dataLayerName}`, type: 'DataLayer', parameters: { dataLayerName: dataLayerName } },
+        comparison: comparison,
+        expected: expected
+    };
+}
+
+/**
+ * Creates a container with one trigger firing one tag on a custom event
+ * @param {string} eventName - Event the trigger listens to
+ * @param {Object} tagDefinition - Additional tag properties
+ * @returns {Object} Container definition
+ */
+function createEventContainer(eventName, tagDefinition = {}) {
+    const tag = createTag({ id: 'tag1', name: 'Track Purchase', fireTriggerIds: ['trigger1'], ...tagDefinition });
+    const trigger = createTrigger({
+        id: 'trigger1',
+        name: 'Purchase Event',
+        conditions: [dataLayerCondition('event', 'equals', eventName)],
+        tags: [tag],
+        matches: entry => !!entry && entry.event === eventName
+    });
+    return { id: 'C1', tags: [tag], triggers: [trigger] };
+}
+
+describe('injected-script', function() {
+    let page;
+
+    afterEach(function() {
+        if (page) page.close();
+        page = null;
+    });
+
+    describe('interception', function() {
+        it('dispatches live _mtm pushes with trigger analysis and executed tags', async function() {
+            page = await createPage({ containers: [createEventContainer('purchase')] });
+
+            page.push('_mtm', { event: 'purchase', revenue: 42 });
+            await page.settle();
+
+            const [event] = page.eventsNamed('purchase');
+            assert.ok(event, 'purchase event dispatched');
+            assert.strictEqual(event.source, '_mtm.push');
+            assert.strictEqual(event.isHistorical, false);
+            assert.strictEqual(event.details.revenue, 42);
+            assert.strictEqual(typeof event.customTimestamp, 'number');
+
+            const analysis = event.triggerAnalysis;
+            assert.strictEqual(analysis.tagSource, 'mtm-hooks');
+            assert.deepStrictEqual(analysis.triggeredTriggers.map(trigger => trigger.name), ['Purchase Event']);
+            assert.deepStrictEqual(analysis.firedTags.map(tag => [tag.name, tag.trigger, tag.status]),
+                [['Track Purchase', 'Purchase Event', 'fired']]);
+        });
+
+        it('reports triggers that did not fire with their conditions', async function() {
+            page = await createPage({ containers: [createEventContainer('purchase')] });
+
+            page.push('_mtm', { event: 'add_to_cart' });
+            await page.settle();
+
+            const analysis = page.eventsNamed('add_to_cart')[0].triggerAnalysis;
+            assert.strictEqual(analysis.triggeredTriggers.length, 0);
+            assert.strictEqual(analysis.firedTags.length, 0);
+            assert.deepStrictEqual(analysis.notFiredTriggers[0].matchedConditions.map(condition =>
+                [condition.actual, condition.expected, condition.matched]), [['add_to_cart', 'purchase', false]]);
+        });
+
+        it('dispatches MTM events pushed into the dataLayer', async function() {
+            page = await createPage({ containers: [createEventContainer('purchase')], globals: { dataLayer: [] } });
+
+            page.push('dataLayer', { event: 'mtm.Click', 'mtm.clickText': 'Buy' });
+            page.push('dataLayer', { pageType: 'product' });
+            await page.settle();
+
+            assert.deepStrictEqual(page.events.map(event => [event.eventName, event.source]), [['mtm.Click', 'dataLayer']]);
+        });
+
+        it('analyzes MTM object method calls like pushes into _mtm', async function() {
+            page = await createPage({
+                globals: { mtm: { track() {} } },
+                config: { trackingPlan: { events: { purchase: { required: ['revenue'] } } } }
+            });
+
+            const entry = { event: 'purchase', currency: 'EUR' };
+            page.window.mtm.track(entry, 'ping');
+            entry.currency = 'USD';
+            await page.settle();
+
+            const [purchase] = page.eventsNamed('purchase');
+            assert.deepStrictEqual([purchase.source, purchase.method, purchase.details.currency], ['mtm.track', 'track', 'EUR']);
+            assert.deepStrictEqual(purchase.planViolations.map(violation => [violation.type, violation.key]), [['missingKey', 'revenue']]);
+            assert.deepStrictEqual(purchase.dataLayerState.model, { event: 'purchase', currency: 'EUR' });
+            assert.strictEqual(page.eventsNamed('MTM Direct Value').length, 1);
+        });
+
+        it('attributes a delayed tag to the event that fired it', async function() {
+            page = await createPage({ containers: [createEventContainer('purchase', { fireDelay: 150 })] });
+
+            page.push('_mtm', { event: 'purchase' });
+            page.push('_mtm', { event: 'other' });
+            await page.settle(250);
+
+            const purchase = page.eventsNamed('purchase')[0];
+            assert.deepStrictEqual(purchase.triggerAnalysis.suppressedTags.map(tag => [tag.name, tag.status]),
+                [['Track Purchase', 'delayed']]);
+            assert.deepStrictEqual(page.lateTagExecutions.map(execution => [execution.eventSequence, execution.tag.name]),
+                [[purchase.eventSequence, 'Track Purchase']]);
+        });
+    });
+
+    describe('tracking requests', function() {
+        it('still sends XHR and image requests when capturing them fails', async function() {
+            /** Records the body instead of sending the request */
+            class RecordingXMLHttpRequest {
+                open() {}
+                send(body) {
+                    this.sentBody = body;
+                }
+            }
+            page = await createPage({ globals: { XMLHttpRequest: RecordingXMLHttpRequest } });
+            page.window.CustomEvent = function() {
+                throw new Error('CustomEvent unavailable');
+            };
+
+            const request = new page.window.XMLHttpRequest();
+            request.open('POST', 'https://matomo.example/matomo.php');
+            request.send('idsite=1&rec=1');
+            const image = page.document.createElement('img');
+            image.src = 'https://matomo.example/matomo.php?idsite=1&rec=1';
+
+            assert.strictEqual(request.sentBody, 'idsite=1&rec=1');
+            assert.strictEqual(image.getAttribute('src'), 'https://matomo.example/matomo.php?idsite=1&rec=1');
+        });
+    });
+
+    describe('historical scan', function() {
+        it('reports entries pushed before the monitor loaded as historical', async function() {
+            page = await createPage({
+                containers: [createEventContainer('purchase')],
+                globals: { _mtm: [{ 'mtm.startTime': 1700000000000, event: 'mtm.Start' }, { event: 'purchase' }] }
+            });
+
+            assert.deepStrictEqual(page.events.map(event => [event.eventName, event.source, event.sourceType]), [
+                ['mtm.Start', '_mtm.push (historical)', 'initial-scan'],
+                ['purchase', '_mtm.push (historical)', 'initial-scan']
+            ]);
+            assert.strictEqual(page.events[1].details._debug.arrayIndex, 1);
+        });
+
+        it('takes times from mtm.startTime and marks unknown times', async function() {
+            // Later entries can't be older than the last known push time
+            const startTime = Date.now() + 1000;
+            page = await createPage({
+                globals: { _mtm: [{ event: 'early' }, { 'mtm.startTime': startTime, event: 'mtm.Start' }, { event: 'purchase' }] }
+            });
+
+            const [early, start, purchase] = page.events;
+            assert.strictEqual(early.timestampSource, 'unknown');
+            assert.ok(early.customTimestamp <= startTime);
+            assert.deepStrictEqual([start.timestampSource, start.customTimestamp], ['mtm.startTime', startTime]);
+            assert.deepStrictEqual([purchase.timestampSource, purchase.customTimestamp], ['unknown', startTime]);
+        });
+
+        it('uses push times recorded by the push recorder', async function() {
+            const recorded = { event: 'purchase' };
+            const pushTimes = new WeakMap([[recorded, 1700000000500]]);
+            page = await createPage({ globals: { _mtm: [recorded], MTM_MONITOR_PUSH_TIMES: pushTimes } });
+
+            assert.deepStrictEqual(page.events.map(event => [event.timestampSource, event.customTimestamp]),
+                [['recorded', 1700000000500]]);
+        });
+
+        it('scans MTM events of the dataLayer only', async function() {
+            page = await createPage({ globals: { dataLayer: [{ pageType: 'product' }, { event: 'mtm.PageView' }] } });
+
+            assert.deepStrictEqual(page.events.map(event => [event.eventName, event.source]),
+                [['mtm.PageView', 'dataLayer (historical)']]);
+        });
+    });
+
+    describe('dedupe', function() {
+        it('dispatches a push seen by several interceptors once', async function() {
+            page = await createPage({ containers: [createEventContainer('purchase')] });
+
+            page.push('_mtm', { event: 'purchase' });
+            await page.settle();
+
+            assert.strictEqual(page.eventsNamed('purchase').length, 1);
+        });
+
+        it('drops an identical push within the dedupe window', async function() {
+            page = await createPage();
+            const duplicates = [];
+            page.document.addEventListener('matomoDuplicateEventSuppressed', event => duplicates.push(event.detail.eventName));
+
+            page.push('_mtm', { event: 'purchase', id: 1 });
+            page.push('_mtm', { event: 'purchase', id: 1 });
+            page.push('_mtm', { event: 'purchase', id: 2 });
+            await page.settle();
+
+            assert.deepStrictEqual(page.eventsNamed('purchase').map(event => event.details.id), [1, 2]);
+            assert.deepStrictEqual(duplicates, ['purchase']);
+        });
+
+        it('drops a live copy of a historical entry', async function() {
+            page = await createPage({ globals: { _mtm: [{ event: 'purchase', id: 1 }] } });
+
+            page.push('_mtm', { event: 'purchase', id: 1 });
+            await page.settle();
+
+            assert.deepStrictEqual(page.eventsNamed('purchase').map(event => event.isHistorical), [true]);
+        });
+    });
+
+    describe('condition operators', function() {
+        const cases = [
+            ['equals', 'shoes', 'shoes', true],
+            ['equals', 'shoes', 'boots', false],
+            ['equals', 42, '42', true],
+            ['notEquals', 'shoes', 'boots', true],
+            ['notEquals', 42, '42', false],
+            ['contains', 'red shoes', 'shoe', true],
+            ['notContains', 'red shoes', 'boot', true],
+            ['notContains', 'red shoes', 'shoe', false],
+            ['startsWith', 'red shoes', 'red', true],
+            ['startsWith', 'red shoes', 'shoes', false],
+            ['endsWith', 'red shoes', 'shoes', true],
+            ['matchesRegex', 'SKU-123', '^SKU-\\d+$', true],
+            ['matchesRegex', 'SKU-123', '(', false],
+            ['greaterThan', 10, '9', true],
+            ['greaterThan', 9, '9', false],
+            ['lessThan', 8, '9', true],
+            ['greaterThanOrEqualTo', 9, '9', true],
+            ['lessThanOrEqualTo', 10, '9', false],
+            ['unknownOperator', 'shoes', 'shoes', false]
+        ];
+
+        cases.forEach(([comparison, actual, expected, matched]) => {
+            it(`${comparison}: ${JSON.stringify(actual)} vs ${JSON.stringify(expected)} -> ${matched}`, async function() {
+                const trigger = createTrigger({
+                    id: 'trigger1',
+                    name: 'Operator Trigger',
+                    conditions: [dataLayerCondition('value', comparison, expected)]
+                });
+                page = await createPage({ containers: [{ id: 'C1', triggers: [trigger] }] });
+
+                page.push('_mtm', { event: 'check', value: actual });
+                await page.settle();
+
+                const analysis = page.eventsNamed('check')[0].triggerAnalysis;
+                const evaluated = analysis.triggeredTriggers.concat(analysis.notFiredTriggers)[0];
+                assert.strictEqual(evaluated.matchedConditions[0].matched, matched);
+                assert.strictEqual(analysis.triggeredTriggers.length, matched ? 1 : 0);
+            });
+        });
+
+        it('requires all conditions of a trigger to match', async function() {
+            const trigger = createTrigger({
+                id: 'trigger1',
+                name: 'Two Conditions',
+                conditions: [dataLayerCondition('event', 'equals', 'check'), dataLayerCondition('value', 'greaterThan', '5')]
+            });
+            page = await createPage({ containers: [{ id: 'C1', triggers: [trigger] }] });
+
+            page.push('_mtm', { event: 'check', value: 3 });
+            await page.settle();
+
+            const analysis = page.eventsNamed('check')[0].triggerAnalysis;
+            assert.strictEqual(analysis.triggeredTriggers.length, 0);
+            assert.deepStrictEqual([analysis.notFiredTriggers[0].matchedCount, analysis.notFiredTriggers[0].totalConditions], [1, 2]);
+        });
+    });
+});
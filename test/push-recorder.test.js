@@ -0,0 +1,72 @@
+/**
+ * Tests of the push recorder (push-recorder.js) in a jsdom page
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+/** @const {string} Source of the push recorder */
+const PUSH_RECORDER = fs.readFileSync(path.join(__dirname, '..', 'push-recorder.js'), 'utf8');
+
+/**
+ * Creates a page with the push recorder loaded at document_start
+ * @returns {Window} Page window
+ */
+function createPage() {
+    const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://shop.example/',
+        runScripts: 'outside-only'
+    });
+    window.eval('window.nativeArrayPush = Array.prototype.push');
+    window.eval(PUSH_RECORDER);
+    return window;
+}
+
+describe('push-recorder', function() {
+    let window;
+
+    afterEach(function() {
+        if (window) window.close();
+        window = null;
+    });
+
+    it('records pushes into _mtm and dataLayer only', function() {
+        window = createPage();
+
+        window.eval(`
+            var _mtm = window._mtm = window._mtm || [];
+            _mtm.push(window.mtmEntry = { event: 'mtm.Start' });
+            window.dataLayer = window.dataLayer || [];
+            dataLayer.push(window.dataLayerEntry = { event: 'purchase' });
+            [].push(window.otherEntry = { event: 'other' });
+        `);
+
+        const pushTimes = window.MTM_MONITOR_PUSH_TIMES;
+        assert.strictEqual(typeof pushTimes.get(window.mtmEntry), 'number');
+        assert.strictEqual(typeof pushTimes.get(window.dataLayerEntry), 'number');
+        assert.strictEqual(pushTimes.has(window.otherEntry), false);
+        assert.strictEqual(window.eval('Array.prototype.push'), window.nativeArrayPush);
+        assert.deepStrictEqual(Array.from(window._mtm, entry => entry.event), ['mtm.Start']);
+    });
+
+    it('keeps recording when the page replaces the push method', function() {
+        window = createPage();
+
+        window.eval(`
+            window._mtm = [];
+            var arrayPush = _mtm.push;
+            _mtm.push = function(...entries) {
+                window.processed = entries.length;
+                return arrayPush.apply(this, entries);
+            };
+            _mtm.push(window.mtmEntry = { event: 'purchase' });
+        `);
+
+        assert.strictEqual(window.processed, 1);
+        assert.strictEqual(window._mtm.length, 1);
+        assert.strictEqual(typeof window.MTM_MONITOR_PUSH_TIMES.get(window.mtmEntry), 'number');
+    });
+});
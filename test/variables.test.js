@@ -0,0 +1,234 @@
+/**
+ * Tests of the variable resolution of the page context monitor (injected-script.js)
+ */
+'use strict';
+
+const assert = require('assert');
+const { createPage, createTrigger, createVariable } = require('./helpers/page');
+
+/** @const {string} Page used by the DOM based variables */
+const PAGE_HTML = `<!DOCTYPE html><html><head><title>Shoes</title></head><body>
+    <h1 id="headline" data-sku="SKU-1"> Red shoes </h1>
+    <a id="buy" class="button primary" href="/checkout"> Buy now </a>
+    <form id="newsletter" name="signup" class="subscribe" action="/subscribe"></form>
+    <section id="teaser" class="teaser">Summer sale</section>
+</body></html>`;
+
+/**
+ * Resolves a variable through the trigger analysis of a pushed event
+ * @param {Object} variable - Variable definition used as condition variable
+ * @param {Object} options - Resolution options ({page, entry, variables})
+ *                           - page: createPage options
+ *                           - entry(document): builds the pushed _mtm entry
+ *                           - variables: live variables of the container
+ * @returns {Promise<any>} Resolved value (as the content script receives it)
+ */
+async function resolveVariable(variable, options = {}) {
+    const trigger = createTrigger({
+        id: 'trigger1',
+        name: 'Variable Trigger',
+        conditions: [{ actual: variable, comparison: 'equals', expected: '__unmatched__' }]
+    });
+    const page = await createPage({
+        html: PAGE_HTML,
+        ...options.page,
+        containers: [{ id: 'C1', triggers: [trigger], variables: options.variables || [] }]
+    });
+
+    try {
+        const entry = options.entry ? options.entry(page.document) : {};
+        page.push('_mtm', { event: 'resolve', ...entry });
+        await page.settle();
+
+        const analysis = page.eventsNamed('resolve')[0].triggerAnalysis;
+        return analysis.notFiredTriggers[0].matchedConditions[0].actual;
+    } finally {
+        page.close();
+    }
+}
+
+describe('variables', function() {
+    describe('page variables', function() {
+        it('resolves the page URL variables', async function() {
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Host', type: 'PageHostname' })), 'shop.example');
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Path', type: 'PagePath' })), '/products/shoes');
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Title', type: 'PageTitle' })), 'Shoes');
+        });
+
+        it('resolves URL parts', async function() {
+            const urlPart = part => createVariable({ name: `Url ${part}`, type: 'Url', parameters: { urlPart: part } });
+
+            assert.strictEqual(await resolveVariable(urlPart('hostname')), 'shop.example');
+            assert.strictEqual(await resolveVariable(urlPart('pathname')), '/products/shoes');
+            assert.strictEqual(await resolveVariable(urlPart('search')), '?color=red');
+            assert.strictEqual(await resolveVariable(urlPart('hash')), '#reviews');
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Url', type: 'Url' })),
+                'https://shop.example/products/shoes?color=red#reviews');
+            assert.strictEqual(await resolveVariable(urlPart('unknown')), null);
+        });
+
+        it('resolves URL parameters', async function() {
+            const parameter = name => createVariable({ name: `Param ${name}`, type: 'UrlParameter', parameters: { parameterName: name } });
+
+            assert.strictEqual(await resolveVariable(parameter('color')), 'red');
+            assert.strictEqual(await resolveVariable(parameter('size')), null);
+        });
+
+        it('resolves cookies', async function() {
+            const cookie = name => createVariable({ name: `Cookie ${name}`, type: 'Cookie', parameters: { cookieName: name } });
+            const page = { cookie: 'consent=yes; cart=shoes%20and%20socks' };
+
+            assert.strictEqual(await resolveVariable(cookie('consent'), { page }), 'yes');
+            assert.strictEqual(await resolveVariable(cookie('cart'), { page }), 'shoes and socks');
+            assert.strictEqual(await resolveVariable(cookie('missing'), { page }), null);
+        });
+
+        it('resolves DOM elements by ID and CSS selector', async function() {
+            const domElement = parameters => createVariable({ name: 'Dom', type: 'DomElement', parameters });
+
+            assert.strictEqual(await resolveVariable(domElement({ selectionMethod: 'elementId', elementId: 'headline' })),
+                ' Red shoes ');
+            assert.strictEqual(await resolveVariable(domElement({
+                selectionMethod: 'elementId', elementId: 'headline', attributeName: 'data-sku'
+            })), 'SKU-1');
+            assert.strictEqual(await resolveVariable(domElement({ selectionMethod: 'cssSelector', cssSelector: '.teaser' })),
+                'Summer sale');
+            assert.strictEqual(await resolveVariable(domElement({ selectionMethod: 'cssSelector', cssSelector: '#missing' })),
+                null);
+            assert.strictEqual(await resolveVariable(domElement({ selectionMethod: 'cssSelector', cssSelector: '((' })), null);
+        });
+
+        it('resolves the time since load from mtm.startTime', async function() {
+            const startTime = Date.now() - 5000;
+            const value = await resolveVariable(createVariable({ name: 'Time', type: 'TimeSinceLoad' }), {
+                page: { globals: { _mtm: [{ 'mtm.startTime': startTime, event: 'mtm.Start' }] } }
+            });
+
+            assert.ok(value >= 5000 && value < 10000, `time since load ${value}`);
+        });
+
+        it('resolves container variables', async function() {
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Version', type: 'ContainerVersion' })), 'v1');
+            assert.strictEqual(await resolveVariable(createVariable({ name: 'Environment', type: 'Environment' })), 'live');
+        });
+    });
+
+    describe('event variables', function() {
+        it('reads values MTM stored in the event', async function() {
+            const value = await resolveVariable(createVariable({ name: 'Click Text', type: 'ClickText' }), {
+                entry: () => ({ 'mtm.clickText': 'Pushed text' })
+            });
+
+            assert.strictEqual(value, 'Pushed text');
+        });
+
+        it('derives click variables from the clicked element', async function() {
+            const entry = document => ({ 'mtm.clickElement': document.getElementById('buy') });
+            const click = type => resolveVariable(createVariable({ name: type, type }), { entry });
+
+            assert.strictEqual(await click('ClickId'), 'buy');
+            assert.strictEqual(await click('ClickClasses'), 'button primary');
+            assert.strictEqual(await click('ClickText'), 'Buy now');
+            assert.strictEqual(await click('ClickNodeName'), 'A');
+            assert.strictEqual(await click('ClickDestinationUrl'), 'https://shop.example/checkout');
+        });
+
+        it('derives form variables from the submitted form', async function() {
+            const entry = document => ({ 'mtm.formElement': document.getElementById('newsletter') });
+            const form = type => resolveVariable(createVariable({ name: type, type }), { entry });
+
+            assert.strictEqual(await form('FormId'), 'newsletter');
+            assert.strictEqual(await form('FormName'), 'signup');
+            assert.strictEqual(await form('FormClasses'), 'subscribe');
+            assert.strictEqual(await form('FormDestination'), 'https://shop.example/subscribe');
+        });
+
+        it('derives element visibility variables from the visible element', async function() {
+            const entry = document => ({ 'mtm.elementVisibilityElement': document.getElementById('teaser') });
+            const visibility = type => resolveVariable(createVariable({ name: type, type }), { entry });
+
+            assert.strictEqual(await visibility('ElementVisibilityId'), 'teaser');
+            assert.strictEqual(await visibility('ElementVisibilityClasses'), 'teaser');
+            assert.strictEqual(await visibility('ElementVisibilityText'), 'Summer sale');
+            assert.strictEqual(await visibility('ElementVisibilityNodeName'), 'SECTION');
+        });
+
+        it('reads nested dataLayer values', async function() {
+            const value = await resolveVariable(
+                createVariable({ name: 'Timer', type: 'DataLayer', parameters: { dataLayerName: 'timer.time' } }),
+                { entry: () => ({ timer: { time: 30 } }) }
+            );
+
+            assert.strictEqual(value, 30);
+        });
+    });
+
+    describe('defaults and live variables', function() {
+        it('uses the default value for empty values', async function() {
+            const value = await resolveVariable(createVariable({
+                name: 'Size', type: 'UrlParameter', parameters: { parameterName: 'size' }, defaultValue: 'none'
+            }));
+
+            assert.strictEqual(value, 'none');
+        });
+
+        it('maps values through the lookup table', async function() {
+            const lookUpTable = [
+                { comparison: 'equals', matchValue: 'blue', newValue: 'Blue' },
+                { comparison: 'startsWith', matchValue: 're', newValue: 'Red' }
+            ];
+            const value = await resolveVariable(createVariable({
+                name: 'Color', type: 'UrlParameter', parameters: { parameterName: 'color' }, lookUpTable
+            }));
+
+            assert.strictEqual(value, 'Red');
+        });
+
+        it('maps event values through the lookup table', async function() {
+            const value = await resolveVariable(createVariable({
+                name: 'DL plan', type: 'DataLayer', parameters: { dataLayerName: 'plan' },
+                lookUpTable: [{ comparison: 'equals', matchValue: 'p1', newValue: 'Premium' }]
+            }), { entry: () => ({ plan: 'p1' }) });
+
+            assert.strictEqual(value, 'Premium');
+        });
+
+        it('prefers the live variable of the container', async function() {
+            const variable = createVariable({ name: 'Color', type: 'UrlParameter', parameters: { parameterName: 'color' } });
+            const liveVariable = createVariable({ ...variable, get: () => 'live red' });
+
+            assert.strictEqual(await resolveVariable(variable, { variables: [liveVariable] }), 'live red');
+        });
+
+        it('resolves the live variable of a condition once per trigger', async function() {
+            const variable = createVariable({ name: 'Color', type: 'UrlParameter', parameters: { parameterName: 'color' } });
+            const calls = [];
+            const liveVariable = createVariable({ ...variable, get: () => calls.push('get') && 'live red' });
+
+            const trigger = createTrigger({
+                id: 'trigger1',
+                name: 'Variable Trigger',
+                conditions: [{ actual: variable, comparison: 'equals', expected: '__unmatched__' }]
+            });
+
+            // Entries of the initial scan are analyzed once and don't list the current variable values
+            const page = await createPage({
+                globals: { _mtm: [{ event: 'resolve' }] },
+                containers: [{ id: 'C1', triggers: [trigger], variables: [liveVariable] }]
+            });
+            try {
+                const [condition] = page.eventsNamed('resolve')[0].triggerAnalysis.notFiredTriggers[0].matchedConditions;
+                assert.deepStrictEqual([condition.actual, calls.length], ['live red', 1]);
+            } finally {
+                page.close();
+            }
+        });
+
+        it('falls back when the live variable fails', async function() {
+            const variable = createVariable({ name: 'Color', type: 'UrlParameter', parameters: { parameterName: 'color' } });
+            const liveVariable = createVariable({ ...variable, get: () => { throw new Error('broken'); } });
+
+            assert.strictEqual(await resolveVariable(variable, { variables: [liveVariable] }), 'red');
+        });
+    });
+});